@@ -0,0 +1,309 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./ProductTrace.sol";
+
+// Issuer-signed certificates for the batches of one ProductTrace deployment. The ProductTrace owner
+// registers certificate issuers (the Halal authority, a BPOM office, a lab); an issuer attests a
+// certificate by signing it as EIP-712 typed data, and anyone may bring the signed attestation
+// on-chain with attachCertificate. Unlike the self-declared digests passed to packageProduct, an
+// attached certificate proves who issued it.
+contract CertificateRegistry {
+    // --- Custom Errors ---
+    error CertificateRegistry__ZeroAddressNotAllowed();
+    error CertificateRegistry__NotOwner();
+    error CertificateRegistry__IssuerAlreadyRegistered(address issuer);
+    error CertificateRegistry__IssuerNotRegistered(address issuer);
+    error CertificateRegistry__IssuerNotAllowed(address issuer, CertificateType certType);
+    error CertificateRegistry__BatchNotFound(uint batchId);
+    error CertificateRegistry__MissingDigest();
+    error CertificateRegistry__InvalidValidity(uint64 issuedAt, uint64 expiresAt);
+    error CertificateRegistry__AttestationExpired(uint64 expiresAt);
+    error CertificateRegistry__InvalidSignature();
+    error CertificateRegistry__AttestationAlreadyUsed();
+    error CertificateRegistry__CertificateNotFound();
+    error CertificateRegistry__NotIssuer();
+    error CertificateRegistry__AlreadyRevoked(uint certificateId);
+
+    // --- Events ---
+    event IssuerRegistered(address indexed issuer, string name, CertificateType indexed certType, address indexed registeredBy, uint timestamp);
+    event IssuerRemoved(address indexed issuer, address indexed removedBy, uint timestamp);
+    event CertificateAttached(
+        uint indexed certificateId,
+        uint indexed batchId,
+        address indexed issuer,
+        CertificateType certType,
+        bytes32 digest,
+        string uri,
+        uint64 issuedAt,
+        uint64 expiresAt,
+        address attachedBy,
+        uint timestamp
+    );
+    event CertificateRevoked(uint indexed certificateId, address indexed issuer, string reason, uint timestamp);
+
+    // --- Enums ---
+    enum CertificateType {
+        Halal,
+        Bpom,
+        Lab
+    }
+
+    // --- Structs ---
+    // A registered issuer may only attest certificates of its own type
+    struct Issuer {
+        string name;
+        CertificateType certType;
+        bool active;
+        uint registeredAt;
+    }
+
+    // What an issuer signs. issuedAt and expiresAt are unix seconds; expiresAt 0 means no expiry.
+    struct Attestation {
+        uint batchId;
+        CertificateType certType;
+        bytes32 digest; // keccak256 digest of the certificate document
+        string uri; // Where the document is stored off-chain (e.g. ipfs://...)
+        uint64 issuedAt;
+        uint64 expiresAt;
+    }
+
+    struct Certificate {
+        uint id;
+        uint batchId;
+        CertificateType certType;
+        address issuer;
+        bytes32 digest;
+        string uri;
+        uint64 issuedAt;
+        uint64 expiresAt;
+        address attachedBy;
+        uint attachedAt; // Block timestamp the certificate was attached
+        bool revoked;
+        uint revokedAt;
+        string revocationReason;
+    }
+
+    // --- State Variables ---
+    ProductTrace public immutable productTrace;
+
+    mapping(address => Issuer) public issuers;
+    address[] private issuerAddresses; // Every address ever registered, including removed issuers
+
+    mapping(uint => Certificate) private certificates;
+    // Certificate ids per batch, oldest first
+    mapping(uint => uint[]) private certificateIds;
+    // EIP-712 digests of attestations already attached, so a signature is only ever used once
+    mapping(bytes32 => bool) public attestationUsed;
+
+    uint public certificateCount;
+
+    bytes32 public constant ATTESTATION_TYPEHASH = keccak256(
+        "Attestation(uint256 batchId,uint8 certType,bytes32 digest,string uri,uint64 issuedAt,uint64 expiresAt)"
+    );
+    bytes32 private constant DOMAIN_TYPEHASH = keccak256(
+        "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+    );
+    // Signatures with s in the upper half of the curve order are malleable copies of valid ones
+    uint private constant MAX_SIGNATURE_S = 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0;
+
+    // --- Modifiers ---
+    // The registry is governed by whoever owns ProductTrace
+    modifier onlyOwner() {
+        if (msg.sender != productTrace.owner()) {
+            revert CertificateRegistry__NotOwner();
+        }
+        _;
+    }
+
+    constructor(ProductTrace _productTrace) {
+        if (address(_productTrace) == address(0)) {
+            revert CertificateRegistry__ZeroAddressNotAllowed();
+        }
+        productTrace = _productTrace;
+    }
+
+    // --- Issuer Management ---
+
+    function registerIssuer(address _issuer, string memory _name, CertificateType _certType) public onlyOwner {
+        if (_issuer == address(0)) {
+            revert CertificateRegistry__ZeroAddressNotAllowed();
+        }
+        if (issuers[_issuer].active) {
+            revert CertificateRegistry__IssuerAlreadyRegistered(_issuer);
+        }
+        // A removed issuer can be registered again, possibly for another type
+        if (issuers[_issuer].registeredAt == 0) {
+            issuerAddresses.push(_issuer);
+        }
+        issuers[_issuer] = Issuer({ name: _name, certType: _certType, active: true, registeredAt: block.timestamp });
+        emit IssuerRegistered(_issuer, _name, _certType, msg.sender, block.timestamp);
+    }
+
+    // Stops the issuer from attesting new certificates. Certificates it already issued stay attached;
+    // it can still revoke them.
+    function removeIssuer(address _issuer) public onlyOwner {
+        if (!issuers[_issuer].active) {
+            revert CertificateRegistry__IssuerNotRegistered(_issuer);
+        }
+        issuers[_issuer].active = false;
+        emit IssuerRemoved(_issuer, msg.sender, block.timestamp);
+    }
+
+    // --- Certificates ---
+
+    // Attaches a certificate signed by a registered issuer to its batch. The signature, not the caller,
+    // is what vouches for the certificate, so the packager, the issuer or anyone else may submit it.
+    function attachCertificate(Attestation memory _attestation, bytes memory _signature) public returns (uint) {
+        if (_attestation.batchId == 0 || _attestation.batchId > productTrace.batchCount()) {
+            revert CertificateRegistry__BatchNotFound(_attestation.batchId);
+        }
+        if (_attestation.digest == bytes32(0)) {
+            revert CertificateRegistry__MissingDigest();
+        }
+        if (_attestation.issuedAt > block.timestamp ||
+            (_attestation.expiresAt != 0 && _attestation.expiresAt <= _attestation.issuedAt)) {
+            revert CertificateRegistry__InvalidValidity(_attestation.issuedAt, _attestation.expiresAt);
+        }
+        if (_attestation.expiresAt != 0 && _attestation.expiresAt <= block.timestamp) {
+            revert CertificateRegistry__AttestationExpired(_attestation.expiresAt);
+        }
+
+        bytes32 digest = hashAttestation(_attestation);
+        if (attestationUsed[digest]) {
+            revert CertificateRegistry__AttestationAlreadyUsed();
+        }
+        address issuer = _recover(digest, _signature);
+        Issuer storage registered = issuers[issuer];
+        if (!registered.active) {
+            revert CertificateRegistry__IssuerNotRegistered(issuer);
+        }
+        if (registered.certType != _attestation.certType) {
+            revert CertificateRegistry__IssuerNotAllowed(issuer, _attestation.certType);
+        }
+        attestationUsed[digest] = true;
+
+        certificateCount++;
+        uint certificateId = certificateCount;
+        certificates[certificateId] = Certificate({
+            id: certificateId,
+            batchId: _attestation.batchId,
+            certType: _attestation.certType,
+            issuer: issuer,
+            digest: _attestation.digest,
+            uri: _attestation.uri,
+            issuedAt: _attestation.issuedAt,
+            expiresAt: _attestation.expiresAt,
+            attachedBy: msg.sender,
+            attachedAt: block.timestamp,
+            revoked: false,
+            revokedAt: 0,
+            revocationReason: ""
+        });
+        certificateIds[_attestation.batchId].push(certificateId);
+
+        emit CertificateAttached(
+            certificateId,
+            _attestation.batchId,
+            issuer,
+            _attestation.certType,
+            _attestation.digest,
+            _attestation.uri,
+            _attestation.issuedAt,
+            _attestation.expiresAt,
+            msg.sender,
+            block.timestamp
+        );
+        return certificateId;
+    }
+
+    // Only the issuer of a certificate can revoke it, and only once
+    function revokeCertificate(uint _certificateId, string memory _reason) public {
+        Certificate storage certificate = _certificate(_certificateId);
+        if (certificate.issuer != msg.sender) {
+            revert CertificateRegistry__NotIssuer();
+        }
+        if (certificate.revoked) {
+            revert CertificateRegistry__AlreadyRevoked(_certificateId);
+        }
+        certificate.revoked = true;
+        certificate.revokedAt = block.timestamp;
+        certificate.revocationReason = _reason;
+        emit CertificateRevoked(_certificateId, msg.sender, _reason, block.timestamp);
+    }
+
+    // --- View Functions ---
+
+    // EIP-712 domain separator. Computed on every call so a signature for one chain never verifies on a fork.
+    function domainSeparator() public view returns (bytes32) {
+        return keccak256(abi.encode(DOMAIN_TYPEHASH, keccak256("CertificateRegistry"), keccak256("1"), block.chainid, address(this)));
+    }
+
+    // The EIP-712 digest an issuer signs for _attestation
+    function hashAttestation(Attestation memory _attestation) public view returns (bytes32) {
+        bytes32 structHash = keccak256(abi.encode(
+            ATTESTATION_TYPEHASH,
+            _attestation.batchId,
+            _attestation.certType,
+            _attestation.digest,
+            keccak256(bytes(_attestation.uri)),
+            _attestation.issuedAt,
+            _attestation.expiresAt
+        ));
+        return keccak256(abi.encodePacked("\x19\x01", domainSeparator(), structHash));
+    }
+
+    function getCertificate(uint _certificateId) public view returns (Certificate memory) {
+        return _certificate(_certificateId);
+    }
+
+    // Every certificate attached to a batch, oldest first, including revoked and expired ones
+    function getCertificates(uint _batchId) public view returns (Certificate[] memory list) {
+        uint[] storage ids = certificateIds[_batchId];
+        list = new Certificate[](ids.length);
+        for (uint i = 0; i < ids.length; i++) {
+            list[i] = certificates[ids[i]];
+        }
+    }
+
+    // Attached, not revoked and not expired
+    function isCertificateValid(uint _certificateId) public view returns (bool) {
+        Certificate storage certificate = _certificate(_certificateId);
+        return !certificate.revoked && (certificate.expiresAt == 0 || certificate.expiresAt > block.timestamp);
+    }
+
+    function getIssuers() public view returns (address[] memory) {
+        return issuerAddresses;
+    }
+
+    // --- Internal Helpers ---
+
+    function _certificate(uint _certificateId) private view returns (Certificate storage) {
+        if (_certificateId == 0 || _certificateId > certificateCount) {
+            revert CertificateRegistry__CertificateNotFound();
+        }
+        return certificates[_certificateId];
+    }
+
+    // Signer of a 65-byte r || s || v signature over _digest
+    function _recover(bytes32 _digest, bytes memory _signature) private pure returns (address signer) {
+        if (_signature.length != 65) {
+            revert CertificateRegistry__InvalidSignature();
+        }
+        bytes32 r;
+        bytes32 s;
+        uint8 v;
+        assembly {
+            r := mload(add(_signature, 0x20))
+            s := mload(add(_signature, 0x40))
+            v := byte(0, mload(add(_signature, 0x60)))
+        }
+        if (uint(s) > MAX_SIGNATURE_S || (v != 27 && v != 28)) {
+            revert CertificateRegistry__InvalidSignature();
+        }
+        signer = ecrecover(_digest, v, r, s);
+        if (signer == address(0)) {
+            revert CertificateRegistry__InvalidSignature();
+        }
+    }
+}
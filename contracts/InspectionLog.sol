@@ -0,0 +1,153 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./ProductTrace.sol";
+
+// Quality inspection records for the products and batches of one ProductTrace deployment. Auditors
+// (Role.Auditor on ProductTrace) can add an inspection at any stage; records are never changed or
+// removed. Deploy it after ProductTrace with that contract's address (see scripts/deploy.js).
+contract InspectionLog {
+    // --- Custom Errors ---
+    error InspectionLog__ZeroAddressNotAllowed();
+    error InspectionLog__MissingRole(address account, ProductTrace.Role role);
+    error InspectionLog__SubjectNotFound(Subject subject, uint subjectId);
+    error InspectionLog__InspectionNotFound();
+    error InspectionLog__MissingReportDigest();
+
+    // --- Events ---
+    event InspectionRecorded(
+        uint indexed inspectionId,
+        Subject indexed subject,
+        uint indexed subjectId,
+        address inspector,
+        bool passed,
+        Measurement[] measurements,
+        string reportHash,
+        string reportUri,
+        string notes,
+        uint timestamp
+    );
+
+    // --- Enums ---
+    // What an inspection is about: a product (lot) or a production batch, by its ProductTrace id
+    enum Subject {
+        Product,
+        Batch
+    }
+
+    // --- Structs ---
+    // One measured parameter, e.g. { "moisture", 12500, "%" } for 12.5 %. Values are fixed-point with
+    // MEASUREMENT_DECIMALS decimals and signed, so temperatures below zero can be recorded.
+    struct Measurement {
+        string parameter;
+        int value;
+        string unit;
+    }
+
+    struct Inspection {
+        uint id;
+        Subject subject;
+        uint subjectId;
+        address inspector;
+        bool passed;
+        Measurement[] measurements;
+        string reportHash; // keccak256 digest of the inspection report document
+        string reportUri; // Where the report is stored off-chain (e.g. ipfs://...)
+        string notes;
+        uint timestamp; // Block timestamp the inspection was recorded
+    }
+
+    // --- State Variables ---
+    ProductTrace public immutable productTrace;
+
+    mapping(uint => Inspection) private inspections;
+    // Inspection ids per subject, oldest first
+    mapping(Subject => mapping(uint => uint[])) private inspectionIds;
+
+    uint public inspectionCount;
+
+    // Every measurement value is a fixed-point number with this many decimals (1000 = 1)
+    uint8 public constant MEASUREMENT_DECIMALS = 3;
+
+    // --- Modifiers ---
+    // Roles are the ones granted on ProductTrace
+    modifier onlyRole(ProductTrace.Role _role) {
+        if (!productTrace.hasRole(msg.sender, _role)) {
+            revert InspectionLog__MissingRole(msg.sender, _role);
+        }
+        _;
+    }
+
+    constructor(ProductTrace _productTrace) {
+        if (address(_productTrace) == address(0)) {
+            revert InspectionLog__ZeroAddressNotAllowed();
+        }
+        productTrace = _productTrace;
+    }
+
+    // --- Auditor Functions ---
+
+    // Appends an inspection to the subject's list. The report document lives off-chain; only its
+    // digest and URI are stored here.
+    function recordInspection(
+        Subject _subject,
+        uint _subjectId,
+        bool _passed,
+        Measurement[] memory _measurements,
+        string memory _reportHash,
+        string memory _reportUri,
+        string memory _notes
+    ) public onlyRole(ProductTrace.Role.Auditor) returns (uint) {
+        // Product and batch ids are handed out sequentially from 1
+        uint subjectCount = _subject == Subject.Product ? productTrace.productCount() : productTrace.batchCount();
+        if (_subjectId == 0 || _subjectId > subjectCount) {
+            revert InspectionLog__SubjectNotFound(_subject, _subjectId);
+        }
+        // A document without a digest could never be verified
+        if (bytes(_reportUri).length != 0 && bytes(_reportHash).length == 0) {
+            revert InspectionLog__MissingReportDigest();
+        }
+
+        inspectionCount++;
+        uint inspectionId = inspectionCount;
+        Inspection storage inspection = inspections[inspectionId];
+        inspection.id = inspectionId;
+        inspection.subject = _subject;
+        inspection.subjectId = _subjectId;
+        inspection.inspector = msg.sender;
+        inspection.passed = _passed;
+        for (uint i = 0; i < _measurements.length; i++) {
+            inspection.measurements.push(_measurements[i]);
+        }
+        inspection.reportHash = _reportHash;
+        inspection.reportUri = _reportUri;
+        inspection.notes = _notes;
+        inspection.timestamp = block.timestamp;
+        inspectionIds[_subject][_subjectId].push(inspectionId);
+
+        emit InspectionRecorded(inspectionId, _subject, _subjectId, msg.sender, _passed, _measurements, _reportHash, _reportUri, _notes, block.timestamp);
+        return inspectionId;
+    }
+
+    // --- View Functions ---
+
+    function getInspection(uint _inspectionId) public view returns (Inspection memory) {
+        if (_inspectionId == 0 || _inspectionId > inspectionCount) {
+            revert InspectionLog__InspectionNotFound();
+        }
+        return inspections[_inspectionId];
+    }
+
+    // Every inspection of a product or batch, oldest first
+    function getInspections(Subject _subject, uint _subjectId) public view returns (Inspection[] memory list) {
+        uint[] storage ids = inspectionIds[_subject][_subjectId];
+        list = new Inspection[](ids.length);
+        for (uint i = 0; i < ids.length; i++) {
+            list[i] = inspections[ids[i]];
+        }
+    }
+
+    function getInspectionCount(Subject _subject, uint _subjectId) public view returns (uint) {
+        return inspectionIds[_subject][_subjectId].length;
+    }
+}
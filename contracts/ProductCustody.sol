@@ -0,0 +1,79 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./ProductTrace.sol";
+import "./ProductIndex.sol";
+
+// Two-step custody transfers: the owner proposes, the recipient accepts, and either can cancel
+library ProductCustody {
+    // Proposing again replaces the pending transfer
+    function propose(
+        mapping(uint => ProductTrace.Product) storage products,
+        mapping(uint => ProductTrace.PendingTransfer) storage pendingTransfers,
+        uint _productId,
+        address _to,
+        string memory _note
+    ) public {
+        if (products[_productId].id == 0) {
+            revert ProductTrace.ProductTrace__ProductNotFound();
+        }
+        if (msg.sender != products[_productId].productOwner) {
+            revert ProductTrace.ProductTrace__NotProductOwner();
+        }
+        if (_to == address(0)) {
+            revert ProductTrace.ProductTrace__ZeroAddressNotAllowed();
+        }
+        if (_to == msg.sender) {
+            revert ProductTrace.ProductTrace__InvalidCustodian();
+        }
+        pendingTransfers[_productId] = ProductTrace.PendingTransfer({ to: _to, note: _note, proposedAt: block.timestamp });
+        emit ProductTrace.CustodyTransferProposed(_productId, msg.sender, _to, _note, block.timestamp);
+    }
+
+    function accept(
+        mapping(uint => ProductTrace.Product) storage products,
+        mapping(uint => ProductTrace.PendingTransfer) storage pendingTransfers,
+        mapping(uint => ProductTrace.CustodyRecord[]) storage custodyHistory,
+        mapping(address => uint[]) storage productIdsByOwner,
+        mapping(uint => uint) storage ownerIndexPosition,
+        uint _productId,
+        string memory _note
+    ) public {
+        ProductTrace.PendingTransfer storage transfer = pendingTransfers[_productId];
+        if (transfer.to == address(0)) {
+            revert ProductTrace.ProductTrace__NoPendingTransfer(_productId);
+        }
+        if (transfer.to != msg.sender) {
+            revert ProductTrace.ProductTrace__NotTransferRecipient();
+        }
+
+        ProductTrace.Product storage product = products[_productId];
+        address previousOwner = product.productOwner;
+        ProductIndex.remove(productIdsByOwner[previousOwner], ownerIndexPosition, _productId);
+        ProductIndex.add(productIdsByOwner[msg.sender], ownerIndexPosition, _productId);
+        product.productOwner = msg.sender;
+        custodyHistory[_productId].push(ProductTrace.CustodyRecord({ custodian: msg.sender, since: block.timestamp, note: _note }));
+        delete pendingTransfers[_productId];
+
+        emit ProductTrace.CustodyTransferAccepted(_productId, previousOwner, msg.sender, _note, block.timestamp);
+    }
+
+    // Either side can call off a pending transfer: the owner withdraws it, the recipient declines it
+    function cancel(
+        mapping(uint => ProductTrace.Product) storage products,
+        mapping(uint => ProductTrace.PendingTransfer) storage pendingTransfers,
+        uint _productId
+    ) public {
+        ProductTrace.PendingTransfer storage transfer = pendingTransfers[_productId];
+        if (transfer.to == address(0)) {
+            revert ProductTrace.ProductTrace__NoPendingTransfer(_productId);
+        }
+        address currentOwner = products[_productId].productOwner;
+        if (msg.sender != currentOwner && msg.sender != transfer.to) {
+            revert ProductTrace.ProductTrace__NotProductOwner();
+        }
+        address to = transfer.to;
+        delete pendingTransfers[_productId];
+        emit ProductTrace.CustodyTransferCancelled(_productId, currentOwner, to, msg.sender, block.timestamp);
+    }
+}
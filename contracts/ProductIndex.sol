@@ -0,0 +1,25 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+// Secondary indexes of product IDs (per owner, per stage) behind ProductTrace's listing getters.
+// Positions are stored 1-based so 0 means "not indexed". Internal, so it is compiled into
+// ProductTrace and each library that registers or hands over products.
+library ProductIndex {
+    function add(uint[] storage _ids, mapping(uint => uint) storage _positions, uint _productId) internal {
+        _ids.push(_productId);
+        _positions[_productId] = _ids.length;
+    }
+
+    // Swap-and-pop so removal stays O(1) however large the index gets
+    function remove(uint[] storage _ids, mapping(uint => uint) storage _positions, uint _productId) internal {
+        uint position = _positions[_productId];
+        if (position == 0) {
+            return;
+        }
+        uint lastId = _ids[_ids.length - 1];
+        _ids[position - 1] = lastId;
+        _positions[lastId] = position;
+        _ids.pop();
+        delete _positions[_productId];
+    }
+}
@@ -0,0 +1,177 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./ProductTrace.sol";
+import "./ProductIndex.sol";
+
+// Splits raw material lots and merges them on behalf of ProductTrace. Quantity is conserved: whatever
+// the new lots hold is taken from their parents. Every parent-child pair is recorded in a LotSplit or
+// LotMerged event. ProductTrace checks the caller's role first.
+library ProductLots {
+    // Takes _quantities off the caller's lot _productId and registers each as a new lot with the
+    // parent's details. The parent keeps the remainder. Returns the new lot IDs, which follow on
+    // from _productCount.
+    function split(
+        mapping(uint => ProductTrace.Product) storage products,
+        mapping(uint => ProductTrace.PendingTransfer) storage pendingTransfers,
+        mapping(uint => ProductTrace.CustodyRecord[]) storage custodyHistory,
+        mapping(address => uint[]) storage productIdsByOwner,
+        mapping(uint => uint) storage ownerIndexPosition,
+        mapping(ProductTrace.Stage => uint[]) storage productIdsByStage,
+        mapping(uint => uint) storage stageIndexPosition,
+        uint _productCount,
+        uint _productId,
+        uint[] memory _quantities
+    ) public returns (uint[] memory newLotIds) {
+        ProductTrace.Product storage parent = _heldLot(products, _productId);
+        if (_quantities.length == 0) {
+            revert ProductTrace.ProductTrace__InvalidLotCount();
+        }
+        uint total;
+        for (uint i = 0; i < _quantities.length; i++) {
+            if (_quantities[i] == 0) {
+                revert ProductTrace.ProductTrace__ZeroQuantityNotAllowed();
+            }
+            total += _quantities[i];
+        }
+        if (total > parent.availableQuantity) {
+            revert ProductTrace.ProductTrace__InsufficientProductQuantity(_productId, total, parent.availableQuantity);
+        }
+        _cancelPendingTransfer(pendingTransfers, _productId);
+        parent.availableQuantity -= total;
+        emit ProductTrace.ProductQuantityUpdated(_productId, total, parent.availableQuantity, block.timestamp);
+
+        newLotIds = new uint[](_quantities.length);
+        for (uint i = 0; i < _quantities.length; i++) {
+            uint lotId = _productCount + i + 1;
+            products[lotId] = ProductTrace.Product({
+                id: lotId,
+                name: parent.name,
+                source: parent.source,
+                quality: parent.quality,
+                initialQuantity: _quantities[i],
+                availableQuantity: _quantities[i],
+                unit: parent.unit,
+                pickupTime: parent.pickupTime,
+                stage: ProductTrace.Stage.RawMaterial,
+                timestamp: block.timestamp,
+                createdAt: block.timestamp,
+                productOwner: msg.sender,
+                currentBatchId: 0,
+                distributionDetails: ""
+            });
+            _index(custodyHistory, productIdsByOwner, ownerIndexPosition, productIdsByStage, stageIndexPosition, lotId, parent.name);
+            emit ProductTrace.LotSplit(_productId, lotId, _quantities[i], msg.sender, block.timestamp);
+            newLotIds[i] = lotId;
+        }
+    }
+
+    // Empties the caller's lots _productIds into one new lot named _name, which gets ID _productCount + 1.
+    // The lots must share their unit, source and quality. The new lot takes the latest of their pickup
+    // times, so it cannot go into production before any of them was picked up.
+    function merge(
+        mapping(uint => ProductTrace.Product) storage products,
+        mapping(uint => ProductTrace.PendingTransfer) storage pendingTransfers,
+        mapping(uint => ProductTrace.CustodyRecord[]) storage custodyHistory,
+        mapping(address => uint[]) storage productIdsByOwner,
+        mapping(uint => uint) storage ownerIndexPosition,
+        mapping(ProductTrace.Stage => uint[]) storage productIdsByStage,
+        mapping(uint => uint) storage stageIndexPosition,
+        uint _productCount,
+        uint[] memory _productIds,
+        string memory _name
+    ) public returns (uint lotId) {
+        if (_productIds.length < 2) {
+            revert ProductTrace.ProductTrace__InvalidLotCount();
+        }
+        ProductTrace.Product storage first = _heldLot(products, _productIds[0]);
+        ProductTrace.DeclaredTime memory latestPickup = first.pickupTime;
+        uint[] memory quantities = new uint[](_productIds.length);
+        uint total;
+        for (uint i = 0; i < _productIds.length; i++) {
+            uint parentId = _productIds[i];
+            ProductTrace.Product storage parent = _heldLot(products, parentId);
+            if (parent.unit != first.unit) {
+                revert ProductTrace.ProductTrace__IncompatibleUnits(parentId, first.unit, parent.unit);
+            }
+            if (keccak256(bytes(parent.source)) != keccak256(bytes(first.source)) ||
+                keccak256(bytes(parent.quality)) != keccak256(bytes(first.quality))) {
+                revert ProductTrace.ProductTrace__LotsNotMergeable(parentId);
+            }
+            // Also rejects a lot listed twice, which is empty by the time it comes up again
+            if (parent.availableQuantity == 0) {
+                revert ProductTrace.ProductTrace__ZeroQuantityNotAllowed();
+            }
+            if (parent.pickupTime.timestamp > latestPickup.timestamp) {
+                latestPickup = parent.pickupTime;
+            }
+            _cancelPendingTransfer(pendingTransfers, parentId);
+            quantities[i] = parent.availableQuantity;
+            total += parent.availableQuantity;
+            parent.availableQuantity = 0;
+            emit ProductTrace.ProductQuantityUpdated(parentId, quantities[i], 0, block.timestamp);
+        }
+
+        lotId = _productCount + 1;
+        products[lotId] = ProductTrace.Product({
+            id: lotId,
+            name: _name,
+            source: first.source,
+            quality: first.quality,
+            initialQuantity: total,
+            availableQuantity: total,
+            unit: first.unit,
+            pickupTime: latestPickup,
+            stage: ProductTrace.Stage.RawMaterial,
+            timestamp: block.timestamp,
+            createdAt: block.timestamp,
+            productOwner: msg.sender,
+            currentBatchId: 0,
+            distributionDetails: ""
+        });
+        _index(custodyHistory, productIdsByOwner, ownerIndexPosition, productIdsByStage, stageIndexPosition, lotId, _name);
+        for (uint i = 0; i < _productIds.length; i++) {
+            emit ProductTrace.LotMerged(_productIds[i], lotId, quantities[i], msg.sender, block.timestamp);
+        }
+    }
+
+    // A raw material lot the caller holds
+    function _heldLot(mapping(uint => ProductTrace.Product) storage products, uint _productId) private view returns (ProductTrace.Product storage lot) {
+        lot = products[_productId];
+        if (lot.id == 0) {
+            revert ProductTrace.ProductTrace__ProductNotFound();
+        }
+        if (lot.productOwner != msg.sender) {
+            revert ProductTrace.ProductTrace__NotProductOwner();
+        }
+        if (lot.stage != ProductTrace.Stage.RawMaterial) {
+            revert ProductTrace.ProductTrace__InvalidProductStage(_productId, lot.stage, ProductTrace.Stage.RawMaterial);
+        }
+    }
+
+    // Calls off a custody transfer proposed for a parent lot, whose quantity is about to change. The
+    // caller owns the lot, so this is the owner withdrawing it as in ProductCustody.cancel.
+    function _cancelPendingTransfer(mapping(uint => ProductTrace.PendingTransfer) storage pendingTransfers, uint _productId) private {
+        address to = pendingTransfers[_productId].to;
+        if (to != address(0)) {
+            delete pendingTransfers[_productId];
+            emit ProductTrace.CustodyTransferCancelled(_productId, msg.sender, to, msg.sender, block.timestamp);
+        }
+    }
+
+    // Same bookkeeping as ProductTrace._registerProduct for a new lot owned by the caller
+    function _index(
+        mapping(uint => ProductTrace.CustodyRecord[]) storage custodyHistory,
+        mapping(address => uint[]) storage productIdsByOwner,
+        mapping(uint => uint) storage ownerIndexPosition,
+        mapping(ProductTrace.Stage => uint[]) storage productIdsByStage,
+        mapping(uint => uint) storage stageIndexPosition,
+        uint _lotId,
+        string memory _name
+    ) private {
+        ProductIndex.add(productIdsByOwner[msg.sender], ownerIndexPosition, _lotId);
+        ProductIndex.add(productIdsByStage[ProductTrace.Stage.RawMaterial], stageIndexPosition, _lotId);
+        custodyHistory[_lotId].push(ProductTrace.CustodyRecord({ custodian: msg.sender, since: block.timestamp, note: "" }));
+        emit ProductTrace.ProductCreated(_lotId, _name, msg.sender, ProductTrace.Stage.RawMaterial, block.timestamp);
+    }
+}
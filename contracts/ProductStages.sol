@@ -0,0 +1,64 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./ProductTrace.sol";
+import "./ProductIndex.sol";
+
+// Stage changes outside the regular production steps. setStage is internal and also compiled into
+// ProductTrace for its regular steps.
+library ProductStages {
+    // Quality hold and its release, rejection, recall, destruction and final delivery. The caller's
+    // custody and role are checked by ProductTrace.changeProductStage. The regular steps carry data of
+    // their own, so this only moves a product back into them when releasing a quality hold.
+    function change(
+        mapping(uint => ProductTrace.Product) storage products,
+        mapping(uint => ProductTrace.Stage) storage stageBeforeHold,
+        mapping(ProductTrace.Stage => mapping(ProductTrace.Stage => bool)) storage allowedStageTransitions,
+        mapping(ProductTrace.Stage => uint[]) storage productIdsByStage,
+        mapping(uint => uint) storage stageIndexPosition,
+        uint _productId,
+        ProductTrace.Stage _newStage,
+        string memory _reason
+    ) public {
+        if (bytes(_reason).length == 0) {
+            revert ProductTrace.ProductTrace__MissingReason();
+        }
+        ProductTrace.Product storage product = products[_productId];
+        ProductTrace.Stage oldStage = product.stage;
+        if (_newStage <= ProductTrace.Stage.Distribution && (oldStage != ProductTrace.Stage.QualityHold || _newStage != stageBeforeHold[_productId])) {
+            revert ProductTrace.ProductTrace__InvalidProductStage(_productId, oldStage, _newStage);
+        }
+
+        if (_newStage == ProductTrace.Stage.QualityHold) {
+            stageBeforeHold[_productId] = oldStage;
+        }
+        setStage(products, allowedStageTransitions, productIdsByStage, stageIndexPosition, _productId, _newStage);
+        // Nothing of a destroyed lot can be consumed any more
+        if (_newStage == ProductTrace.Stage.Destroyed && product.availableQuantity != 0) {
+            emit ProductTrace.ProductQuantityUpdated(_productId, product.availableQuantity, 0, block.timestamp);
+            product.availableQuantity = 0;
+        }
+        emit ProductTrace.ProductStageReason(_productId, _newStage, _reason, msg.sender, block.timestamp);
+    }
+
+    // Every stage change goes through here, so none can bypass allowedStageTransitions
+    function setStage(
+        mapping(uint => ProductTrace.Product) storage products,
+        mapping(ProductTrace.Stage => mapping(ProductTrace.Stage => bool)) storage allowedStageTransitions,
+        mapping(ProductTrace.Stage => uint[]) storage productIdsByStage,
+        mapping(uint => uint) storage stageIndexPosition,
+        uint _productId,
+        ProductTrace.Stage _newStage
+    ) internal {
+        ProductTrace.Product storage product = products[_productId];
+        ProductTrace.Stage oldStage = product.stage;
+        if (!allowedStageTransitions[oldStage][_newStage]) {
+            revert ProductTrace.ProductTrace__InvalidProductStage(_productId, oldStage, _newStage);
+        }
+        ProductIndex.remove(productIdsByStage[oldStage], stageIndexPosition, _productId);
+        ProductIndex.add(productIdsByStage[_newStage], stageIndexPosition, _productId);
+        product.stage = _newStage;
+        product.timestamp = block.timestamp;
+        emit ProductTrace.ProductStageChanged(_productId, oldStage, _newStage, msg.sender, block.timestamp);
+    }
+}
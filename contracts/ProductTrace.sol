@@ -4,8 +4,15 @@ pragma solidity ^0.8.20;
 // Uncomment this line to use console.log
 // import "hardhat/console.sol";
 
+import "./ProductionInputs.sol";
+import "./ProductLots.sol";
+import "./ProductCustody.sol";
+import "./ProductStages.sol";
+import "./ProductIndex.sol";
+
 contract ProductTrace {
-    address public immutable owner;
+    address public owner;
+    address public pendingOwner; // Set by transferOwnership until the new owner accepts
 
     // --- Custom Errors ---
     // General
@@ -14,32 +21,65 @@ contract ProductTrace {
     error ProductTrace__ZeroAddressNotAllowed();
     error ProductTrace__ArrayLengthMismatch();
     error ProductTrace__ZeroQuantityNotAllowed();
+    error ProductTrace__NotPendingOwner();
+    error ProductTrace__MissingRole(address account, Role role);
+    error ProductTrace__InvalidRole();
 
     // Product Specific
     error ProductTrace__ProductNotFound();
     error ProductTrace__NotProductOwner();
+    // requiredStage is the stage the step needs, or the stage asked for when allowedStageTransitions forbids the move
     error ProductTrace__InvalidProductStage(uint productId, Stage currentStage, Stage requiredStage);
     error ProductTrace__InsufficientProductQuantity(uint productId, uint requested, uint available);
     error ProductTrace__ProductAlreadyUsedAsInput(); // If a product instance can only be consumed once
+    error ProductTrace__InvalidDeclaredTime();
+    error ProductTrace__DeclaredTimeInFuture(uint declaredTime, uint blockTime);
+    error ProductTrace__DeclaredTimeOutOfOrder(uint declaredTime, uint earliestAllowed);
+    error ProductTrace__IncompatibleUnits(uint productId, Unit productUnit, Unit givenUnit);
+    error ProductTrace__InexactUnitConversion(uint productId, uint quantity, Unit fromUnit, Unit toUnit);
+    error ProductTrace__MissingReason();
+    error ProductTrace__InvalidLotCount();
+    error ProductTrace__LotsNotMergeable(uint productId); // Source or quality differs from the first lot
+
+    // Custody Specific
+    error ProductTrace__InvalidCustodian();
+    error ProductTrace__NoPendingTransfer(uint productId);
+    error ProductTrace__NotTransferRecipient();
 
     // Batch Specific
     error ProductTrace__BatchNotFound();
     error ProductTrace__BatchNotStarted(); // Retained if direct batch manipulation implies a start
     error ProductTrace__BatchAlreadyPackaged();
+    error ProductTrace__MissingCertificateDigest();
     error ProductTrace__NoInputsForProduction();
 
     // --- Events ---
     event ProducerAdded(address indexed producerAddress);
     event ProducerRemoved(address indexed producerAddress);
+    event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+    event RoleGranted(address indexed account, Role indexed role, address indexed grantedBy);
+    event RoleRevoked(address indexed account, Role indexed role, address indexed revokedBy);
 
     // Product Lifecycle Events
     event ProductCreated(uint indexed productId, string name, address indexed productOwner, Stage initialStage, uint timestamp);
     event ProductStageChanged(uint indexed productId, Stage oldStage, Stage newStage, address indexed changedBy, uint timestamp);
     event ProductQuantityUpdated(uint indexed productId, uint quantityUsedOrReduced, uint newAvailableQuantity, uint timestamp);
+    // Lot lineage, one event per parent-child pair; quantities are in the lots' shared unit
+    event LotSplit(uint indexed parentId, uint indexed lotId, uint quantity, address indexed splitBy, uint timestamp);
+    event LotMerged(uint indexed parentId, uint indexed lotId, uint quantity, address indexed mergedBy, uint timestamp);
+    // Emitted after ProductStageChanged for every changeProductStage call
+    event ProductStageReason(uint indexed productId, Stage indexed newStage, string reason, address indexed changedBy, uint timestamp);
+
+    // Custody Events
+    event CustodyTransferProposed(uint indexed productId, address indexed from, address indexed to, string note, uint timestamp);
+    event CustodyTransferAccepted(uint indexed productId, address indexed from, address indexed to, string note, uint timestamp);
+    event CustodyTransferCancelled(uint indexed productId, address indexed from, address indexed to, address cancelledBy, uint timestamp);
 
     // Batch Lifecycle Events (linked to a Product)
     event BatchCreated(uint indexed batchId, uint indexed productId, address indexed createdBy, uint[] consumedProductIds, uint[] quantitiesUsed, uint timestamp);
-    event BatchPackaged(uint indexed batchId, uint indexed productId, address indexed packagedBy, string halalCertHash, string bpomCertHash, uint timestamp);
+    event BatchPackaged(uint indexed batchId, uint indexed productId, address indexed packagedBy, string halalCertHash, string halalCertUri, string bpomCertHash, string bpomCertUri, uint timestamp);
+    event BatchOutputRecorded(uint indexed batchId, uint indexed productId, uint expectedOutputQuantity, uint actualOutputQuantity, uint yieldBasisPoints, uint wasteQuantity, Unit wasteUnit, uint timestamp);
 
     // --- Enums ---
     enum Stage {
@@ -47,10 +87,43 @@ contract ProductTrace {
         RawMaterial, // Product is defined and available as a raw material
         Production,  // Product is currently undergoing production
         Packaging,   // Product has been produced and is being packaged
-        Distribution // Product is packaged and ready for/in distribution
+        Distribution, // Product is packaged and ready for/in distribution
+        QualityHold, // Blocked pending a quality decision; a release returns it to the stage it was held in
+        Rejected,    // Failed its quality checks, waiting to be destroyed
+        Recalled,    // Pulled back after release
+        Destroyed,   // Written off, nothing of it is left to use
+        Delivered    // Handed over to (or sold to) the final customer
+    }
+
+    // Lifecycle roles, each gating the matching step. Producers added through addProducer hold
+    // every role except Auditor, which is only ever granted explicitly.
+    enum Role {
+        None,
+        Supplier,     // Registers raw material lots (createProduct)
+        Manufacturer, // Registers output products and runs production (createProduct, startProduction)
+        Packager,     // packageProduct
+        Distributor,  // distributeProduct
+        Auditor       // Reserved for inspection records
+    }
+
+    // Unit a product's quantities are counted in. Quantities are fixed-point with
+    // QUANTITY_DECIMALS decimals, so 2.5 kg is stored as 2500 with Unit.Kilogram.
+    enum Unit {
+        Piece,
+        Gram,
+        Kilogram,
+        Millilitre,
+        Litre
     }
 
     // --- Structs ---
+    // A time entered by the user: unix seconds plus the UTC offset of the place it happened,
+    // so it can be shown in local time as well as compared with block timestamps
+    struct DeclaredTime {
+        uint64 timestamp;
+        int16 utcOffsetMinutes;
+    }
+
     struct Product {
         uint id;
         string name; // e.g., "Organic Apples Batch A123", "Finished Juice Batch B789"
@@ -58,9 +131,11 @@ contract ProductTrace {
         string quality; // Quality, relevant if it's a raw material
         uint initialQuantity; // Initial quantity when created as RawMaterial
         uint availableQuantity; // Current available quantity (can be consumed)
-        string pickupTimeManual; // Manual pickup time, relevant for raw materials
+        Unit unit; // Unit of initialQuantity and availableQuantity
+        DeclaredTime pickupTime; // When the lot was picked up, relevant for raw materials
         Stage stage;
         uint timestamp; // Timestamp of the last stage change or creation
+        uint createdAt; // Block timestamp of creation
         address productOwner; // The producer who created/owns this product instance
         uint currentBatchId; // If in Production/Packaging, links to the active batch
         string distributionDetails; // Details for the distribution stage
@@ -69,7 +144,9 @@ contract ProductTrace {
     constructor() {
         owner = msg.sender;
         producers[msg.sender] = true;
+        emit OwnershipTransferred(address(0), msg.sender);
         emit ProducerAdded(msg.sender);
+        _initStageTransitions();
     }
 
     struct ProductionBatch {
@@ -78,10 +155,41 @@ contract ProductTrace {
         uint[] quantitiesUsed;
         uint startTime;
         uint packagingTime;
-        string halalCertHash;
+        string halalCertHash; // keccak256 digest of the certificate document
         string bpomCertHash; // New field for BPOM certificate hash
-        string startTimeManual; // New field for detailed start time (e.g., "10:21, 14/05/2025")
-        string packagingTimeManual; // New field for detailed packaging time (e.g., "17:10, 14/05/2025")
+        DeclaredTime declaredStartTime; // When production actually started, as entered by the manufacturer
+        DeclaredTime declaredPackagingTime;
+        string halalCertUri; // Where the certificate document is stored off-chain (e.g. ipfs://...)
+        string bpomCertUri;
+        uint expectedOutputQuantity; // In the output product's unit, declared when production starts
+        uint actualOutputQuantity; // In the output product's unit, recorded at packaging
+        // Recorded at packaging. Any unit goes: waste may be trimmed input material (kg of cocoa shells)
+        // or rejected output (pieces), so it need not match the product's unit.
+        uint wasteQuantity;
+        Unit wasteUnit;
+    }
+
+    // Proposed by the current productOwner, takes effect when `to` accepts
+    struct PendingTransfer {
+        address to;
+        string note;
+        uint proposedAt;
+    }
+
+    // One row of createProducts, with the same fields as createProduct's arguments
+    struct NewProduct {
+        string name;
+        string source;
+        string quality;
+        uint initialQuantity;
+        Unit unit;
+        DeclaredTime pickupTime;
+    }
+
+    struct CustodyRecord {
+        address custodian;
+        uint since; // Block timestamp the custodian took over
+        string note; // Note given when the custody was accepted, empty for the creator
     }
 
     struct FullTraceDetails {
@@ -92,9 +200,11 @@ contract ProductTrace {
         string productQuality; // if applicable
         uint productInitialQuantity;
         uint productAvailableQuantity;
-        string productPickupTimeManual; // if applicable
+        Unit productUnit;
+        DeclaredTime productPickupTime; // if applicable
         Stage productStage;
         uint productLastUpdateTimestamp;
+        uint productCreatedAt;
         address productOwner;
         string productDistributionDetails;
 
@@ -103,31 +213,58 @@ contract ProductTrace {
         uint[] consumedProductIds; // IDs of products used as raw materials for this batch
         string[] consumedProductNames;
         string[] consumedProductSources;
-        uint[] consumedQuantitiesUsed;
+        uint[] consumedQuantitiesUsed; // In the unit of each consumed product
+        Unit[] consumedProductUnits;
         uint batchStartTime;
         uint batchPackagingTime;
         string batchHalalCertHash;
         string batchBpomCertHash;
-        string batchStartTimeManual;
-        string batchPackagingTimeManual;
+        string batchHalalCertUri;
+        string batchBpomCertUri;
+        DeclaredTime batchDeclaredStartTime;
+        DeclaredTime batchDeclaredPackagingTime;
+        uint batchExpectedOutputQuantity;
+        uint batchActualOutputQuantity;
+        uint batchYieldBasisPoints; // 0 until packaged
+        uint batchWasteQuantity;
+        Unit batchWasteUnit;
     }
 
     // --- State Variables ---
     mapping(address => bool) public producers;
+    mapping(address => mapping(Role => bool)) private accountRoles;
     mapping(uint => Product) public products;
     mapping(uint => ProductionBatch) public batches;
+    mapping(uint => PendingTransfer) public pendingTransfers;
+    mapping(uint => CustodyRecord[]) private custodyHistory;
+
+    // Which stage may follow which, filled in once by the constructor
+    mapping(Stage => mapping(Stage => bool)) public allowedStageTransitions;
+    // The stage a product was in when it was put on quality hold, which is where a release returns it
+    mapping(uint => Stage) public stageBeforeHold;
 
     uint public productCount;
     uint public batchCount;
 
-    // --- Modifiers ---
-    modifier onlyProducer() {
-        if (!producers[msg.sender]) {
-            revert ProductTrace__NotAuthorizedProducer();
-        }
-        _;
-    }
+    // Listing getters never return more than this many entries per call
+    uint public constant MAX_PAGE_SIZE = 100;
+
+    // Every quantity is a fixed-point number with this many decimals (1000 = 1 unit)
+    uint8 public constant QUANTITY_DECIMALS = 3;
 
+    // Yields are expressed in basis points of the expected output (10000 = 100%)
+    uint public constant YIELD_BASIS_POINTS = 10000;
+
+    // How far a declared time may run ahead of the block, to allow for clock differences
+    uint public constant MAX_CLOCK_SKEW = 5 minutes;
+
+    // Secondary indexes for the listing getters, maintained through ProductIndex
+    mapping(address => uint[]) private productIdsByOwner;
+    mapping(uint => uint) private ownerIndexPosition;
+    mapping(Stage => uint[]) private productIdsByStage;
+    mapping(uint => uint) private stageIndexPosition;
+
+    // --- Modifiers ---
     modifier onlyOwner() {
         if (msg.sender != owner) {
             revert ProductTrace__NotOwner();
@@ -135,15 +272,42 @@ contract ProductTrace {
         _;
     }
 
-    modifier onlyProductOwner(uint _productId) {
+    // Owning the product is not enough: the caller also needs the role for the step being performed
+    // (Role.None for steps any custodian may take)
+    modifier onlyProductOwner(uint _productId, Role _role) {
         if (products[_productId].id == 0) {
             revert ProductTrace__ProductNotFound();
         }
         if (msg.sender != products[_productId].productOwner) {
             revert ProductTrace__NotProductOwner();
         }
+        if (_role != Role.None && !hasRole(msg.sender, _role)) {
+            revert ProductTrace__MissingRole(msg.sender, _role);
+        }
         _;
     }
+
+    // --- Ownership ---
+    // Two steps, so a typo in the new address cannot lock everyone out of producer management.
+    // Calling transferOwnership again replaces the pending owner.
+    function transferOwnership(address _newOwner) public onlyOwner {
+        if (_newOwner == address(0)) {
+            revert ProductTrace__ZeroAddressNotAllowed();
+        }
+        pendingOwner = _newOwner;
+        emit OwnershipTransferStarted(owner, _newOwner);
+    }
+
+    function acceptOwnership() public {
+        if (msg.sender != pendingOwner) {
+            revert ProductTrace__NotPendingOwner();
+        }
+        address previousOwner = owner;
+        owner = msg.sender;
+        pendingOwner = address(0);
+        emit OwnershipTransferred(previousOwner, msg.sender);
+    }
+
     // --- Owner Functions ---
     function addProducer(address _prod) public onlyOwner {
         if (_prod == address(0)) {
@@ -164,6 +328,33 @@ contract ProductTrace {
         emit ProducerRemoved(_prod);
     }
 
+    function grantRole(address _account, Role _role) public onlyOwner {
+        if (_account == address(0)) {
+            revert ProductTrace__ZeroAddressNotAllowed();
+        }
+        if (_role == Role.None) {
+            revert ProductTrace__InvalidRole();
+        }
+        accountRoles[_account][_role] = true;
+        emit RoleGranted(_account, _role, msg.sender);
+    }
+
+    // Only revokes an explicit grant; a producer keeps its implied roles until removeProducer
+    function revokeRole(address _account, Role _role) public onlyOwner {
+        if (!accountRoles[_account][_role]) {
+            revert ProductTrace__MissingRole(_account, _role);
+        }
+        accountRoles[_account][_role] = false;
+        emit RoleRevoked(_account, _role, msg.sender);
+    }
+
+    function hasRole(address _account, Role _role) public view returns (bool) {
+        if (accountRoles[_account][_role]) {
+            return true;
+        }
+        return producers[_account] && _role != Role.None && _role != Role.Auditor;
+    }
+
     // --- Producer Functions ---
 
     // Step 1: Create a Product (initially as a Raw Material)
@@ -172,108 +363,86 @@ contract ProductTrace {
         string memory _source,
         string memory _quality,
         uint _initialQuantity,
-        string memory _pickupTimeManual
-    ) public onlyProducer returns (uint) {
+        Unit _unit,
+        DeclaredTime memory _pickupTime
+    ) public returns (uint) {
+        _checkLotRole();
         if (_initialQuantity == 0) {
             revert ProductTrace__ZeroQuantityNotAllowed();
         }
-        productCount++;
-        uint newProductId = productCount;
-
-        products[newProductId] = Product({
-            id: newProductId,
-            name: _name,
-            source: _source,
-            quality: _quality,
-            initialQuantity: _initialQuantity,
-            availableQuantity: _initialQuantity,
-            pickupTimeManual: _pickupTimeManual,
-            stage: Stage.RawMaterial,
-            timestamp: block.timestamp,
-            productOwner: msg.sender,
-            currentBatchId: 0,
-            distributionDetails: ""
-        });
+        _checkDeclaredTime(_pickupTime, 0);
+        return _registerProduct(_name, _source, _quality, _initialQuantity, _unit, _pickupTime, Stage.RawMaterial);
+    }
 
-        emit ProductCreated(newProductId, _name, msg.sender, Stage.RawMaterial, block.timestamp);
-        return newProductId;
+    // Registers several raw material lots in one transaction, e.g. a day's deliveries. Each row is
+    // checked as in createProduct; any invalid row reverts the whole batch. Returns the new IDs in row order.
+    function createProducts(NewProduct[] calldata _products) external returns (uint[] memory productIds) {
+        productIds = new uint[](_products.length);
+        for (uint i = 0; i < _products.length; i++) {
+            NewProduct calldata row = _products[i];
+            productIds[i] = createProduct(row.name, row.source, row.quality, row.initialQuantity, row.unit, row.pickupTime);
+        }
     }
 
     // Step 2: Start Production for a Product, consuming other Products (as Raw Materials)
+    // Each quantity is given in _unitsUsed[i] and converted to the consumed product's own unit
+    // (g <-> kg, mL <-> L); the batch records the converted quantities. _expectedOutputQuantity is
+    // in the product's unit and is what the yield is measured against at packaging.
     function startProduction(
         uint _productId,
         uint[] memory _consumedProductIds,
         uint[] memory _quantitiesUsed,
-        string memory _startTimeManual
-    ) public onlyProductOwner(_productId) returns (uint) {
+        Unit[] memory _unitsUsed,
+        uint _expectedOutputQuantity,
+        DeclaredTime memory _startTime
+    ) public onlyProductOwner(_productId, Role.Manufacturer) returns (uint) {
         Product storage productToProcess = products[_productId];
 
         if (productToProcess.stage != Stage.RawMaterial) {
             revert ProductTrace__InvalidProductStage(_productId, productToProcess.stage, Stage.RawMaterial);
         }
-        if (_consumedProductIds.length != _quantitiesUsed.length) {
-            revert ProductTrace__ArrayLengthMismatch();
-        }
-        if (_consumedProductIds.length == 0) {
-            revert ProductTrace__NoInputsForProduction();
-        }
-
-        for (uint i = 0; i < _consumedProductIds.length; i++) {
-            uint consumedId = _consumedProductIds[i];
-            uint quantityToUse = _quantitiesUsed[i];
-            Product storage consumedProduct = products[consumedId];
-
-            if (consumedProduct.id == 0) {
-                revert ProductTrace__ProductNotFound(); // Consumed product does not exist
-            }
-            if (consumedProduct.stage != Stage.RawMaterial) {
-                // Consumed products must be in RawMaterial stage
-                revert ProductTrace__InvalidProductStage(consumedId, consumedProduct.stage, Stage.RawMaterial);
-            }
-            if (quantityToUse == 0) {
-                revert ProductTrace__ZeroQuantityNotAllowed();
-            }
-            if (quantityToUse > consumedProduct.availableQuantity) {
-                revert ProductTrace__InsufficientProductQuantity(consumedId, quantityToUse, consumedProduct.availableQuantity);
-            }
-            // Update available quantity of consumed product
-            consumedProduct.availableQuantity -= quantityToUse;
-            emit ProductQuantityUpdated(consumedId, quantityToUse, consumedProduct.availableQuantity, block.timestamp);
-        }
-
-        // Create a new batch for this production
-        batchCount++;
-        uint newBatchId = batchCount;
-        batches[newBatchId] = ProductionBatch({
-            id: newBatchId,
-            rawMaterialIds: _consumedProductIds, // Storing IDs of Products used as raw materials
-            quantitiesUsed: _quantitiesUsed,
-            startTime: block.timestamp,
-            packagingTime: 0,
-            halalCertHash: "",
-            bpomCertHash: "",
-            startTimeManual: _startTimeManual,
-            packagingTimeManual: ""
-        });
+        // Production cannot start before the product or any of its inputs was picked up
+        uint newBatchId = _startBatch(_productId, _consumedProductIds, _quantitiesUsed, _unitsUsed, _expectedOutputQuantity, _startTime, productToProcess.pickupTime.timestamp);
 
         // Update the main product being processed
-        Stage oldStage = productToProcess.stage;
-        productToProcess.stage = Stage.Production;
-        productToProcess.timestamp = block.timestamp;
-        productToProcess.currentBatchId = newBatchId;
-
-        emit BatchCreated(newBatchId, _productId, msg.sender, _consumedProductIds, _quantitiesUsed, block.timestamp);
-        emit ProductStageChanged(_productId, oldStage, Stage.Production, msg.sender, block.timestamp);
+        _setStage(_productId, Stage.Production);
         return newBatchId;
     }
 
+    // Step 1+2 for finished goods: registers the output product directly in Production with its
+    // own batch, so it never has to pose as a raw material. Its quantity is set at packaging from
+    // the actual output. Inputs, units and times are checked exactly as in startProduction.
+    function createProductFromInputs(
+        string memory _name,
+        Unit _unit,
+        uint[] memory _consumedProductIds,
+        uint[] memory _quantitiesUsed,
+        Unit[] memory _unitsUsed,
+        uint _expectedOutputQuantity,
+        DeclaredTime memory _startTime
+    ) public returns (uint) {
+        if (!hasRole(msg.sender, Role.Manufacturer)) {
+            revert ProductTrace__MissingRole(msg.sender, Role.Manufacturer);
+        }
+        uint newProductId = _registerProduct(_name, "", "", 0, _unit, DeclaredTime(0, 0), Stage.Production);
+        _startBatch(newProductId, _consumedProductIds, _quantitiesUsed, _unitsUsed, _expectedOutputQuantity, _startTime, 0);
+        return newProductId;
+    }
+
     // Step 3: Package a Product
+    // Certificate documents live off-chain; only their digest and URI are stored here.
+    // The actual output becomes the product's quantity, replacing the one it was registered with.
     function packageProduct(
         uint _productId,
         string memory _halalCertHash,
+        string memory _halalCertUri,
         string memory _bpomCertHash,
-        string memory _packagingTimeManual
-    ) public onlyProductOwner(_productId) {
+        string memory _bpomCertUri,
+        uint _actualOutputQuantity,
+        uint _wasteQuantity,
+        Unit _wasteUnit,
+        DeclaredTime memory _packagingTime
+    ) public onlyProductOwner(_productId, Role.Packager) {
         Product storage productToPackage = products[_productId];
         if (productToPackage.stage != Stage.Production) {
             revert ProductTrace__InvalidProductStage(_productId, productToPackage.stage, Stage.Production);
@@ -289,33 +458,97 @@ contract ProductTrace {
         if (batch.packagingTime != 0) {
             revert ProductTrace__BatchAlreadyPackaged();
         }
+        // A document without a digest could never be verified
+        if ((bytes(_halalCertUri).length != 0 && bytes(_halalCertHash).length == 0) ||
+            (bytes(_bpomCertUri).length != 0 && bytes(_bpomCertHash).length == 0)) {
+            revert ProductTrace__MissingCertificateDigest();
+        }
+        if (_actualOutputQuantity == 0) {
+            revert ProductTrace__ZeroQuantityNotAllowed();
+        }
+        _checkDeclaredTime(_packagingTime, batch.declaredStartTime.timestamp);
 
         batch.packagingTime = block.timestamp;
         batch.halalCertHash = _halalCertHash;
         batch.bpomCertHash = _bpomCertHash;
-        batch.packagingTimeManual = _packagingTimeManual;
-
-        Stage oldStage = productToPackage.stage;
-        productToPackage.stage = Stage.Packaging;
-        productToPackage.timestamp = block.timestamp;
-
-        emit BatchPackaged(batch.id, _productId, msg.sender, _halalCertHash, _bpomCertHash, block.timestamp);
-        emit ProductStageChanged(_productId, oldStage, Stage.Packaging, msg.sender, block.timestamp);
+        batch.halalCertUri = _halalCertUri;
+        batch.bpomCertUri = _bpomCertUri;
+        batch.declaredPackagingTime = _packagingTime;
+        batch.actualOutputQuantity = _actualOutputQuantity;
+        batch.wasteQuantity = _wasteQuantity;
+        batch.wasteUnit = _wasteUnit;
+        productToPackage.initialQuantity = _actualOutputQuantity;
+        productToPackage.availableQuantity = _actualOutputQuantity;
+        // Nothing is taken from the product; its quantity is replaced
+        emit ProductQuantityUpdated(_productId, 0, _actualOutputQuantity, block.timestamp);
+
+        emit BatchPackaged(batch.id, _productId, msg.sender, _halalCertHash, _halalCertUri, _bpomCertHash, _bpomCertUri, block.timestamp);
+        emit BatchOutputRecorded(
+            batch.id,
+            _productId,
+            batch.expectedOutputQuantity,
+            _actualOutputQuantity,
+            _yieldBasisPoints(batch),
+            _wasteQuantity,
+            _wasteUnit,
+            block.timestamp
+        );
+        _setStage(_productId, Stage.Packaging);
     }
 
     // Step 4: Distribute a Product
-    function distributeProduct(uint _productId, string memory _distributionDetails) public onlyProductOwner(_productId) {
+    function distributeProduct(uint _productId, string memory _distributionDetails) public onlyProductOwner(_productId, Role.Distributor) {
         Product storage productToDistribute = products[_productId];
         if (productToDistribute.stage != Stage.Packaging) {
             revert ProductTrace__InvalidProductStage(_productId, productToDistribute.stage, Stage.Packaging);
         }
 
-        Stage oldStage = productToDistribute.stage;
-        productToDistribute.stage = Stage.Distribution;
-        productToDistribute.timestamp = block.timestamp;
         productToDistribute.distributionDetails = _distributionDetails;
+        _setStage(_productId, Stage.Distribution);
+    }
+
+    // --- Exceptions and Delivery ---
+    // Quality hold and its release, rejection, recall, destruction and final delivery (see
+    // ProductStages.change). Any custodian may take these steps except delivery, which needs the
+    // Distributor role.
+    function changeProductStage(uint _productId, Stage _newStage, string memory _reason)
+        public
+        onlyProductOwner(_productId, _newStage == Stage.Delivered ? Role.Distributor : Role.None)
+    {
+        ProductStages.change(products, stageBeforeHold, allowedStageTransitions, productIdsByStage, stageIndexPosition, _productId, _newStage, _reason);
+    }
+
+    // --- Lot Splits and Merges ---
+    // Divides a raw material lot the caller holds (e.g. a 1000 kg delivery into lots for different
+    // warehouses). Each new lot copies the parent's details; the parent keeps whatever is left.
+    // Splits and merges cancel a custody transfer pending on a parent, since the lot it offered changes.
+    function splitProduct(uint _productId, uint[] memory _quantities) public returns (uint[] memory newLotIds) {
+        _checkLotRole();
+        newLotIds = ProductLots.split(products, pendingTransfers, custodyHistory, productIdsByOwner, ownerIndexPosition, productIdsByStage, stageIndexPosition, productCount, _productId, _quantities);
+        productCount += newLotIds.length;
+    }
+
+    // Combines identical raw material lots the caller holds into a new lot, emptying them
+    function mergeProducts(uint[] memory _productIds, string memory _name) public returns (uint) {
+        _checkLotRole();
+        productCount = ProductLots.merge(products, pendingTransfers, custodyHistory, productIdsByOwner, ownerIndexPosition, productIdsByStage, stageIndexPosition, productCount, _productIds, _name);
+        return productCount;
+    }
+
+    // --- Custody Transfer ---
+    // Hands a product to the next party in the chain (farm -> factory -> distributor). Proposing again
+    // replaces the pending transfer.
+    function proposeCustodyTransfer(uint _productId, address _to, string memory _note) public {
+        ProductCustody.propose(products, pendingTransfers, _productId, _to, _note);
+    }
 
-        emit ProductStageChanged(_productId, oldStage, Stage.Distribution, msg.sender, block.timestamp);
+    function acceptCustodyTransfer(uint _productId, string memory _note) public {
+        ProductCustody.accept(products, pendingTransfers, custodyHistory, productIdsByOwner, ownerIndexPosition, _productId, _note);
+    }
+
+    // Either side can call off a pending transfer: the owner withdraws it, the recipient declines it
+    function cancelCustodyTransfer(uint _productId) public {
+        ProductCustody.cancel(products, pendingTransfers, _productId);
     }
 
     // --- Getter Functions ---
@@ -334,9 +567,11 @@ contract ProductTrace {
         details.productQuality = product.quality;
         details.productInitialQuantity = product.initialQuantity;
         details.productAvailableQuantity = product.availableQuantity;
-        details.productPickupTimeManual = product.pickupTimeManual;
+        details.productUnit = product.unit;
+        details.productPickupTime = product.pickupTime;
         details.productStage = product.stage;
         details.productLastUpdateTimestamp = product.timestamp;
+        details.productCreatedAt = product.createdAt;
         details.productOwner = product.productOwner;
         details.productDistributionDetails = product.distributionDetails;
 
@@ -356,18 +591,27 @@ contract ProductTrace {
             details.batchPackagingTime = batch.packagingTime;
             details.batchHalalCertHash = batch.halalCertHash;
             details.batchBpomCertHash = batch.bpomCertHash;
-            details.batchStartTimeManual = batch.startTimeManual;
-            details.batchPackagingTimeManual = batch.packagingTimeManual;
+            details.batchHalalCertUri = batch.halalCertUri;
+            details.batchBpomCertUri = batch.bpomCertUri;
+            details.batchDeclaredStartTime = batch.declaredStartTime;
+            details.batchDeclaredPackagingTime = batch.declaredPackagingTime;
+            details.batchExpectedOutputQuantity = batch.expectedOutputQuantity;
+            details.batchActualOutputQuantity = batch.actualOutputQuantity;
+            details.batchYieldBasisPoints = _yieldBasisPoints(batch);
+            details.batchWasteQuantity = batch.wasteQuantity;
+            details.batchWasteUnit = batch.wasteUnit;
 
             uint numConsumed = batch.rawMaterialIds.length;
             details.consumedProductNames = new string[](numConsumed);
             details.consumedProductSources = new string[](numConsumed);
+            details.consumedProductUnits = new Unit[](numConsumed);
 
             for (uint i = 0; i < numConsumed; i++) {
                 Product storage consumedProduct = products[batch.rawMaterialIds[i]];
                 if (consumedProduct.id != 0) {
                     details.consumedProductNames[i] = consumedProduct.name;
                     details.consumedProductSources[i] = consumedProduct.source; // Or other relevant info
+                    details.consumedProductUnits[i] = consumedProduct.unit;
                 } else {
                     // Handle case where a consumed product ID might be invalid (should be prevented by startProduction logic)
                     details.consumedProductNames[i] = "Error: Product Not Found";
@@ -378,6 +622,14 @@ contract ProductTrace {
         return details;
     }
 
+    // Every custodian in order, starting with the creator
+    function getCustodyHistory(uint _productId) public view returns (CustodyRecord[] memory) {
+        if (products[_productId].id == 0) {
+            revert ProductTrace__ProductNotFound();
+        }
+        return custodyHistory[_productId];
+    }
+
     function getBatchRawMaterialIds(uint _batchId) public view returns (uint[] memory) {
         return batches[_batchId].rawMaterialIds;
     }
@@ -386,6 +638,7 @@ contract ProductTrace {
         return batches[_batchId].quantitiesUsed;
     }
 
+    // Unbounded: prefer getProducts() once productCount grows
     function getAllProducts() public view returns (Product[] memory) {
         Product[] memory all = new Product[](productCount);
         for (uint i = 1; i <= productCount; i++) {
@@ -393,4 +646,225 @@ contract ProductTrace {
         }
         return all;
     }
+
+    // Products ordered by ID. _offset is zero-based, so page n is getProducts(n * limit, limit).
+    function getProducts(uint _offset, uint _limit) public view returns (Product[] memory page) {
+        uint count = _pageLength(productCount, _offset, _limit);
+        page = new Product[](count);
+        for (uint i = 0; i < count; i++) {
+            page[i] = products[_offset + i + 1];
+        }
+    }
+
+    // Order is not stable across writes: removing a product from an index moves the last entry into its slot
+    function getProductsByOwner(address _productOwner, uint _offset, uint _limit) public view returns (Product[] memory) {
+        return _productsPage(productIdsByOwner[_productOwner], _offset, _limit);
+    }
+
+    function getProductsByStage(Stage _stage, uint _offset, uint _limit) public view returns (Product[] memory) {
+        return _productsPage(productIdsByStage[_stage], _offset, _limit);
+    }
+
+    function getProductCountByOwner(address _productOwner) public view returns (uint) {
+        return productIdsByOwner[_productOwner].length;
+    }
+
+    function getProductCountByStage(Stage _stage) public view returns (uint) {
+        return productIdsByStage[_stage].length;
+    }
+
+    // Batches ordered by ID, paged like getProducts()
+    function getBatches(uint _offset, uint _limit) public view returns (ProductionBatch[] memory page) {
+        uint count = _pageLength(batchCount, _offset, _limit);
+        page = new ProductionBatch[](count);
+        for (uint i = 0; i < count; i++) {
+            page[i] = batches[_offset + i + 1];
+        }
+    }
+
+    // --- Internal Helpers ---
+    // The allowed stage changes. Releasing a quality hold is further limited to the stage it was held in,
+    // and Destroyed is final.
+    function _initStageTransitions() private {
+        allowedStageTransitions[Stage.RawMaterial][Stage.Production] = true;
+        allowedStageTransitions[Stage.RawMaterial][Stage.QualityHold] = true;
+        allowedStageTransitions[Stage.RawMaterial][Stage.Rejected] = true;
+        allowedStageTransitions[Stage.RawMaterial][Stage.Recalled] = true;
+        allowedStageTransitions[Stage.RawMaterial][Stage.Destroyed] = true;
+
+        allowedStageTransitions[Stage.Production][Stage.Packaging] = true;
+        allowedStageTransitions[Stage.Production][Stage.QualityHold] = true;
+        allowedStageTransitions[Stage.Production][Stage.Rejected] = true;
+        allowedStageTransitions[Stage.Production][Stage.Destroyed] = true;
+
+        allowedStageTransitions[Stage.Packaging][Stage.Distribution] = true;
+        allowedStageTransitions[Stage.Packaging][Stage.QualityHold] = true;
+        allowedStageTransitions[Stage.Packaging][Stage.Rejected] = true;
+        allowedStageTransitions[Stage.Packaging][Stage.Recalled] = true;
+        allowedStageTransitions[Stage.Packaging][Stage.Destroyed] = true;
+
+        allowedStageTransitions[Stage.Distribution][Stage.Delivered] = true;
+        allowedStageTransitions[Stage.Distribution][Stage.QualityHold] = true;
+        allowedStageTransitions[Stage.Distribution][Stage.Recalled] = true;
+
+        allowedStageTransitions[Stage.Delivered][Stage.Recalled] = true;
+
+        allowedStageTransitions[Stage.QualityHold][Stage.RawMaterial] = true;
+        allowedStageTransitions[Stage.QualityHold][Stage.Production] = true;
+        allowedStageTransitions[Stage.QualityHold][Stage.Packaging] = true;
+        allowedStageTransitions[Stage.QualityHold][Stage.Distribution] = true;
+        allowedStageTransitions[Stage.QualityHold][Stage.Rejected] = true;
+        allowedStageTransitions[Stage.QualityHold][Stage.Recalled] = true;
+        allowedStageTransitions[Stage.QualityHold][Stage.Destroyed] = true;
+
+        allowedStageTransitions[Stage.Rejected][Stage.Destroyed] = true;
+
+        allowedStageTransitions[Stage.Recalled][Stage.Destroyed] = true;
+    }
+
+    // Suppliers register, split and merge raw material lots; manufacturers also register the product
+    // they are about to produce, and prepare the lots they take in
+    function _checkLotRole() private view {
+        if (!hasRole(msg.sender, Role.Supplier) && !hasRole(msg.sender, Role.Manufacturer)) {
+            revert ProductTrace__MissingRole(msg.sender, Role.Supplier);
+        }
+    }
+
+    // Rejects unset times, offsets outside UTC-12:00..UTC+14:00, times ahead of the block and
+    // times before the previous step (_notBefore)
+    function _checkDeclaredTime(DeclaredTime memory _time, uint _notBefore) private view {
+        if (_time.timestamp == 0 || _time.utcOffsetMinutes < -720 || _time.utcOffsetMinutes > 840) {
+            revert ProductTrace__InvalidDeclaredTime();
+        }
+        if (_time.timestamp > block.timestamp + MAX_CLOCK_SKEW) {
+            revert ProductTrace__DeclaredTimeInFuture(_time.timestamp, block.timestamp);
+        }
+        if (_time.timestamp < _notBefore) {
+            revert ProductTrace__DeclaredTimeOutOfOrder(_time.timestamp, _notBefore);
+        }
+    }
+
+    // Stores a new product owned by the caller and indexes it under _stage
+    function _registerProduct(
+        string memory _name,
+        string memory _source,
+        string memory _quality,
+        uint _initialQuantity,
+        Unit _unit,
+        DeclaredTime memory _pickupTime,
+        Stage _stage
+    ) private returns (uint) {
+        productCount++;
+        uint newProductId = productCount;
+
+        products[newProductId] = Product({
+            id: newProductId,
+            name: _name,
+            source: _source,
+            quality: _quality,
+            initialQuantity: _initialQuantity,
+            availableQuantity: _initialQuantity,
+            unit: _unit,
+            pickupTime: _pickupTime,
+            stage: _stage,
+            timestamp: block.timestamp,
+            createdAt: block.timestamp,
+            productOwner: msg.sender,
+            currentBatchId: 0,
+            distributionDetails: ""
+        });
+
+        ProductIndex.add(productIdsByOwner[msg.sender], ownerIndexPosition, newProductId);
+        ProductIndex.add(productIdsByStage[_stage], stageIndexPosition, newProductId);
+        custodyHistory[newProductId].push(CustodyRecord({ custodian: msg.sender, since: block.timestamp, note: "" }));
+
+        emit ProductCreated(newProductId, _name, msg.sender, _stage, block.timestamp);
+        return newProductId;
+    }
+
+    // Consumes the inputs and opens a batch for _productId. The start time may not be before
+    // _notBefore or the pickup of any input.
+    function _startBatch(
+        uint _productId,
+        uint[] memory _consumedProductIds,
+        uint[] memory _quantitiesUsed,
+        Unit[] memory _unitsUsed,
+        uint _expectedOutputQuantity,
+        DeclaredTime memory _startTime,
+        uint _notBefore
+    ) private returns (uint) {
+        if (_consumedProductIds.length != _quantitiesUsed.length || _consumedProductIds.length != _unitsUsed.length) {
+            revert ProductTrace__ArrayLengthMismatch();
+        }
+        if (_consumedProductIds.length == 0) {
+            revert ProductTrace__NoInputsForProduction();
+        }
+        if (_expectedOutputQuantity == 0) {
+            revert ProductTrace__ZeroQuantityNotAllowed();
+        }
+
+        uint latestPickup;
+        (_quantitiesUsed, latestPickup) = ProductionInputs.consume(products, _consumedProductIds, _quantitiesUsed, _unitsUsed, _notBefore);
+        _checkDeclaredTime(_startTime, latestPickup);
+
+        // Create a new batch for this production
+        batchCount++;
+        uint newBatchId = batchCount;
+        batches[newBatchId] = ProductionBatch({
+            id: newBatchId,
+            rawMaterialIds: _consumedProductIds, // Storing IDs of Products used as raw materials
+            quantitiesUsed: _quantitiesUsed,
+            startTime: block.timestamp,
+            packagingTime: 0,
+            halalCertHash: "",
+            bpomCertHash: "",
+            declaredStartTime: _startTime,
+            declaredPackagingTime: DeclaredTime(0, 0),
+            halalCertUri: "",
+            bpomCertUri: "",
+            expectedOutputQuantity: _expectedOutputQuantity,
+            actualOutputQuantity: 0,
+            wasteQuantity: 0,
+            wasteUnit: Unit.Piece
+        });
+
+        Product storage productToProcess = products[_productId];
+        productToProcess.timestamp = block.timestamp;
+        productToProcess.currentBatchId = newBatchId;
+
+        emit BatchCreated(newBatchId, _productId, msg.sender, _consumedProductIds, _quantitiesUsed, block.timestamp);
+        return newBatchId;
+    }
+
+    // Actual output as a share of the expected output; above YIELD_BASIS_POINTS when the batch beat the plan
+    function _yieldBasisPoints(ProductionBatch storage _batch) private view returns (uint) {
+        if (_batch.expectedOutputQuantity == 0) {
+            return 0;
+        }
+        return _batch.actualOutputQuantity * YIELD_BASIS_POINTS / _batch.expectedOutputQuantity;
+    }
+
+    function _pageLength(uint _total, uint _offset, uint _limit) private pure returns (uint) {
+        if (_offset >= _total) {
+            return 0;
+        }
+        if (_limit > MAX_PAGE_SIZE) {
+            _limit = MAX_PAGE_SIZE;
+        }
+        uint remaining = _total - _offset;
+        return remaining < _limit ? remaining : _limit;
+    }
+
+    function _productsPage(uint[] storage _ids, uint _offset, uint _limit) private view returns (Product[] memory page) {
+        uint count = _pageLength(_ids.length, _offset, _limit);
+        page = new Product[](count);
+        for (uint i = 0; i < count; i++) {
+            page[i] = products[_ids[_offset + i]];
+        }
+    }
+
+    // Every regular step goes through ProductStages.setStage and its allowedStageTransitions check
+    function _setStage(uint _productId, Stage _newStage) private {
+        ProductStages.setStage(products, allowedStageTransitions, productIdsByStage, stageIndexPosition, _productId, _newStage);
+    }
 }
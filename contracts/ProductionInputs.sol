@@ -0,0 +1,68 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./ProductTrace.sol";
+
+// Consumes the inputs of a production batch on behalf of ProductTrace
+library ProductionInputs {
+    // Checks and draws down every input. Quantities come back converted to each input's own unit,
+    // along with the latest pickup time among the inputs and _notBefore.
+    function consume(
+        mapping(uint => ProductTrace.Product) storage products,
+        uint[] memory _consumedProductIds,
+        uint[] memory _quantitiesUsed,
+        ProductTrace.Unit[] memory _unitsUsed,
+        uint _notBefore
+    ) public returns (uint[] memory quantities, uint latestPickup) {
+        latestPickup = _notBefore;
+        quantities = new uint[](_consumedProductIds.length);
+        for (uint i = 0; i < _consumedProductIds.length; i++) {
+            uint consumedId = _consumedProductIds[i];
+            ProductTrace.Product storage consumedProduct = products[consumedId];
+
+            if (consumedProduct.id == 0) {
+                revert ProductTrace.ProductTrace__ProductNotFound(); // Consumed product does not exist
+            }
+            uint quantityToUse = convertQuantity(consumedId, _quantitiesUsed[i], _unitsUsed[i], consumedProduct.unit);
+            quantities[i] = quantityToUse;
+            if (consumedProduct.productOwner != msg.sender) {
+                // Inputs have to be handed over (see proposeCustodyTransfer) before they can be consumed
+                revert ProductTrace.ProductTrace__NotProductOwner();
+            }
+            if (consumedProduct.stage != ProductTrace.Stage.RawMaterial) {
+                // Consumed products must be in RawMaterial stage
+                revert ProductTrace.ProductTrace__InvalidProductStage(consumedId, consumedProduct.stage, ProductTrace.Stage.RawMaterial);
+            }
+            if (quantityToUse == 0) {
+                revert ProductTrace.ProductTrace__ZeroQuantityNotAllowed();
+            }
+            if (quantityToUse > consumedProduct.availableQuantity) {
+                revert ProductTrace.ProductTrace__InsufficientProductQuantity(consumedId, quantityToUse, consumedProduct.availableQuantity);
+            }
+            if (consumedProduct.pickupTime.timestamp > latestPickup) {
+                latestPickup = consumedProduct.pickupTime.timestamp;
+            }
+            // Update available quantity of consumed product
+            consumedProduct.availableQuantity -= quantityToUse;
+            emit ProductTrace.ProductQuantityUpdated(consumedId, quantityToUse, consumedProduct.availableQuantity, block.timestamp);
+        }
+    }
+
+    // Converts _quantity from _from to _to. Only mass (g, kg) and volume (mL, L) units convert into
+    // each other, and only when no precision is lost (0.0005 kg cannot be recorded).
+    function convertQuantity(uint _productId, uint _quantity, ProductTrace.Unit _from, ProductTrace.Unit _to) internal pure returns (uint) {
+        if (_from == _to) {
+            return _quantity;
+        }
+        if ((_from == ProductTrace.Unit.Kilogram && _to == ProductTrace.Unit.Gram) || (_from == ProductTrace.Unit.Litre && _to == ProductTrace.Unit.Millilitre)) {
+            return _quantity * 1000;
+        }
+        if ((_from == ProductTrace.Unit.Gram && _to == ProductTrace.Unit.Kilogram) || (_from == ProductTrace.Unit.Millilitre && _to == ProductTrace.Unit.Litre)) {
+            if (_quantity % 1000 != 0) {
+                revert ProductTrace.ProductTrace__InexactUnitConversion(_productId, _quantity, _from, _to);
+            }
+            return _quantity / 1000;
+        }
+        revert ProductTrace.ProductTrace__IncompatibleUnits(_productId, _to, _from);
+    }
+}
@@ -1,11 +1,20 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("dotenv").config();
+require("./tasks/whereUsed");
+require("./tasks/producers");
+require("./tasks/products");
 
 module.exports = {
   solidity: {
     compilers: [
       {
-        version: "0.8.28"
+        version: "0.8.28",
+        settings: {
+          // Keeps the deployed bytecode under the 24 KB contract size limit
+          optimizer: { enabled: true, runs: 100 },
+          // The public products() getter returns more values than the legacy pipeline can keep on the stack
+          viaIR: true,
+        },
       },
     ]
   },
@@ -1,168 +1,356 @@
 import { useEffect, useState } from 'react';
 import { ethers } from 'ethers';
-import * as QRCodeReact from 'qrcode.react'; // Use namespace import
-import deployedConfig from '../deployed.json';
-
-// Ensure the ABI and address are correctly imported from deployed.json
-import { TrashIcon } from '@heroicons/react/24/outline'; // For a nicer remove button
-
-const contractAddress = deployedConfig.address;
-
-const Spinner = () => (
-  <svg className="animate-spin -ml-1 mr-2 h-5 w-5 text-white inline" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-  </svg>
-);
+import { QRCodeSVG as QRCode } from 'qrcode.react';
+import Spinner from './Spinner.jsx';
+import OwnerConsole from './OwnerConsole.jsx';
+import RoleConsole from './RoleConsole.jsx';
+import OwnershipPanel from './OwnershipPanel.jsx';
+import { VIEWER_ROLES, describeRoles, resolveRoles } from './roles.js';
+import { STAGE_NAMES, STAGE_PACKAGING, STAGE_RAW_MATERIAL, normalizeCustodyHistory, normalizeTrace, traceUrl } from './trace.js';
+import { resolveProvenance } from './traceResolver.js';
+import ProvenanceTree from './ProvenanceTree.jsx';
+import CustodyChain from './CustodyChain.jsx';
+import CertificateStatus from './CertificateStatus.jsx';
+import CustodyPanel from './CustodyPanel.jsx';
+import LotPanel from './LotPanel.jsx';
+import RawMaterialImport from './RawMaterialImport.jsx';
+import StageChangePanel from './StageChangePanel.jsx';
+import StageBadge from './StageBadge.jsx';
+import StageHistory from './StageHistory.jsx';
+import { fetchStageReasons } from './stageChanges.js';
+import InspectionPanel from './InspectionPanel.jsx';
+import InspectionTimeline from './InspectionTimeline.jsx';
+import { fetchInspections } from './inspections.js';
+import CertificatePanel from './CertificatePanel.jsx';
+import CertificateList from './CertificateList.jsx';
+import IssuerConsole from './IssuerConsole.jsx';
+import { CERT_TYPE_BPOM, CERT_TYPE_HALAL, fetchCertificates, isDigestAttested } from './certificates.js';
+import WhereUsedPanel from './WhereUsedPanel.jsx';
+import InventoryDashboard from './InventoryDashboard.jsx';
+import { fetchIndexedProducts, isIndexerEnabled } from './indexerClient.js';
+import { uploadCertificate } from './certificateStore.js';
+import { formatDeclaredTime, fromDateTimeInput, normalizeDeclaredTime, nowDateTimeInputValue, validateDeclaredTime } from './declaredTime.js';
+import DeclaredTimeField from './DeclaredTimeField.jsx';
+import { UNITS, formatQuantity, parseQuantity } from './quantities.js';
+import { collectProductionInputs, emptyInputRow } from './productionInputs.js';
+import ProductionInputs from './ProductionInputs.jsx';
+import { formatYield, lossBasisPoints } from './yieldReport.js';
+import YieldReport from './YieldReport.jsx';
+import { getDeployment, networkLabel, requestNetworkSwitch, supportedChainIds } from './deployments.js';
+import { errorMessage } from './errors.js';
+import { createProduct, createProductFromInputs, encodeDistributionDetails, fetchProductsByStage, findEvent, getCustodyHistory, getTrace, startProduction, write } from '../../sdk/index.js';
+
+// "17.5 L of 20 L expected (yield 87.5%, loss 12.5%, waste 21.25 kg)"
+const describeBatchOutput = (trace) => {
+  const expected = formatQuantity(trace.batchExpectedOutputQuantity, trace.productUnit);
+  if (trace.batchActualOutputQuantity === '0') return `${expected} expected, not packaged yet`;
+  const waste = trace.batchWasteQuantity !== '0' ? `, waste ${formatQuantity(trace.batchWasteQuantity, trace.batchWasteUnit)}` : '';
+  return `${formatQuantity(trace.batchActualOutputQuantity, trace.productUnit)} of ${expected} expected ` +
+    `(yield ${formatYield(trace.batchYieldBasisPoints)}, loss ${formatYield(lossBasisPoints(trace.batchYieldBasisPoints))}${waste})`;
+};
+
+// Raw material lots with quantity left, for the production input pickers
+const fetchAvailableRawMaterials = async (ctr) => {
+  if (isIndexerEnabled()) {
+    return (await fetchIndexedProducts({ stage: STAGE_RAW_MATERIAL }))
+      .filter(product => BigInt(product.availableQuantity) > 0n)
+      .map(product => ({ id: String(product.id), name: product.name, availableQuantity: product.availableQuantity, unit: Number(product.unit) }));
+  }
+  return (await fetchProductsByStage(ctr, STAGE_RAW_MATERIAL))
+    .filter(product => product.availableQuantity > 0n)
+    .map(product => ({ id: product.id.toString(), name: product.name, availableQuantity: product.availableQuantity.toString(), unit: Number(product.unit) }));
+};
+
+// Whether a digest typed in at packaging is backed by a valid issuer-signed certificate
+const AttestationNote = ({ certificates, certType, digest }) => {
+  if (!certificates || !digest) return null;
+  return isDigestAttested(certificates, certType, digest)
+    ? <span className="text-xs font-semibold px-2 py-0.5 rounded bg-green-800 text-green-200">Issuer-signed</span>
+    : <span className="text-xs font-semibold px-2 py-0.5 rounded bg-gray-700 text-gray-300">Self-declared</span>;
+};
 
 function App() {
   const [provider, setProvider] = useState(null);
-  const QRCode = QRCodeReact.default;
   const [contract, setContract] = useState(null);
+  // Companion InspectionLog contract; null on deployments recorded without one
+  const [inspectionLog, setInspectionLog] = useState(null);
+  // Block the contract was deployed in; event scans start here instead of at genesis
+  const [deployBlock, setDeployBlock] = useState(0);
+  // Companion CertificateRegistry contract; null on deployments recorded without one
+  const [certificateRegistry, setCertificateRegistry] = useState(null);
   const [account, setAccount] = useState(null);
+  // Set when the wallet is on a chain without a ProductTrace deployment
+  const [unsupportedChainId, setUnsupportedChainId] = useState(null);
+  const [networkSwitchFeedback, setNetworkSwitchFeedback] = useState({ text: '', type: '' });
 
   // New states for QR codes and inputs
   const [lastRawMaterialId, setLastRawMaterialId] = useState(null);
-  const [rawMaterialInputs, setRawMaterialInputs] = useState([{ id: '', quantity: '' }]);
+  const [rawMaterialInputs, setRawMaterialInputs] = useState([emptyInputRow()]);
+  const [outputInputs, setOutputInputs] = useState([emptyInputRow()]);
   const [lastProductId, setLastProductId] = useState(null);
   const [lastBatchId, setLastBatchId] = useState(null);
   const [packagingConfirmed, setPackagingConfirmed] = useState(false);
   const [halalCertHash, setHalalCertHash] = useState('');
   const [bpomCertHash, setBpomCertHash] = useState('');
   const [fullTraceData, setFullTraceData] = useState(null);
+  const [provenanceGraph, setProvenanceGraph] = useState(null);
   const [traceProductIdInput, setTraceProductIdInput] = useState('');
   const [startProductionProductId, setStartProductionProductId] = useState('');
   const [availableRawMaterials, setAvailableRawMaterials] = useState([]);
-  const [isProducer, setIsProducer] = useState(false);
+  const [roles, setRoles] = useState(VIEWER_ROLES);
+  const { isOwner, isPendingOwner, lifecycle } = roles;
+  // Suppliers register raw material lots, manufacturers the products they are about to produce
+  const canCreateProducts = lifecycle.supplier || lifecycle.manufacturer;
+  const hasLifecycleRole = Object.values(lifecycle).some(Boolean);
+  const [packagedProducts, setPackagedProducts] = useState([]);
+  const [lastDistribution, setLastDistribution] = useState(null);
   // Remove any reference to traceBatchIdInput which is undefined
 
   // Loading states for async operations
   const [isAddingMaterial, setIsAddingMaterial] = useState(false);
   const [isStartingProduction, setIsStartingProduction] = useState(false);
+  const [isCreatingOutput, setIsCreatingOutput] = useState(false);
   const [isPackagingProduct, setIsPackagingProduct] = useState(false);
   const [isFetchingTrace, setIsFetchingTrace] = useState(false);
+  const [isResolvingProvenance, setIsResolvingProvenance] = useState(false);
+  const [isDistributingProduct, setIsDistributingProduct] = useState(false);
 
   // Feedback messages
   const [initializationStatus, setInitializationStatus] = useState({ loading: true, message: 'Initializing: Connecting to MetaMask...', type: 'info' });
   const [addMaterialFeedback, setAddMaterialFeedback] = useState({ text: '', type: '' });
   const [startProductionFeedback, setStartProductionFeedback] = useState({ text: '', type: '' });
+  const [createOutputFeedback, setCreateOutputFeedback] = useState({ text: '', type: '' });
   const [packageProductFeedback, setPackageProductFeedback] = useState({ text: '', type: '' });
   const [getTraceFeedback, setGetTraceFeedback] = useState({ text: '', type: '' });
+  const [distributeProductFeedback, setDistributeProductFeedback] = useState({ text: '', type: '' });
+
+  // Products owned by the connected account that are packaged and ready to ship
+  const fetchPackagedProducts = async (ctr, acct) => {
+    try {
+      if (isIndexerEnabled()) {
+        const packaged = await fetchIndexedProducts({ owner: acct, stage: STAGE_PACKAGING });
+        setPackagedProducts(packaged.map(product => ({ id: String(product.id), name: product.name })));
+        return;
+      }
+      const packaged = (await fetchProductsByStage(ctr, STAGE_PACKAGING))
+        .filter(product => product.productOwner.toLowerCase() === acct.toLowerCase())
+        .map(product => ({ id: product.id.toString(), name: product.name }));
+      setPackagedProducts(packaged);
+    } catch (e) {
+      console.warn("Failed to load packaged products:", e);
+      setPackagedProducts([]);
+    }
+  };
 
   useEffect(() => {
+    if (!window.ethereum) {
+      setInitializationStatus({ loading: false, message: "MetaMask not detected. Please install MetaMask.", type: 'error' });
+      return;
+    }
+
+    // Each (re)initialisation gets a sequence number so a slow, stale run cannot overwrite a newer one
+    let initSequence = 0;
+
     const init = async () => {
-      if (window.ethereum) {
-        try {
-          const prov = new ethers.BrowserProvider(window.ethereum);
-          const accounts = await window.ethereum.request({ method: 'eth_requestAccounts' });
-          const signer = await prov.getSigner();
-          // Use the ABI and address from deployed.json explicitly
-          const ctr = new ethers.Contract(deployedConfig.address, deployedConfig.abi, signer);
-
-          setProvider(prov);
-          setContract(ctr);
+      const sequence = ++initSequence;
+      const isStale = () => sequence !== initSequence;
+      try {
+        const prov = new ethers.BrowserProvider(window.ethereum);
+        const accounts = await window.ethereum.request({ method: 'eth_requestAccounts' });
+        const signer = await prov.getSigner();
+        const { chainId } = await prov.getNetwork();
+        const deployment = getDeployment(chainId);
+        if (isStale()) return;
+
+        if (!deployment) {
+          setContract(null);
+          setInspectionLog(null);
+          setCertificateRegistry(null);
           setAccount(accounts[0]);
-          setInitializationStatus({ loading: false, message: `Connected as: ${accounts[0]}`, type: 'success' });
-
-          // Check if current account is a producer by reading ProducerAdded events
-          let isProducer = false;
-          try {
-            const filterProducerAdded = ctr.filters.ProducerAdded();
-            const eventsProducerAdded = await ctr.queryFilter(filterProducerAdded);
-            const producerAddresses = eventsProducerAdded.map(event => event.args.producerAddress.toLowerCase());
-            isProducer = producerAddresses.includes(accounts[0].toLowerCase());
-          } catch (e) {
-            console.warn("Failed to check producer status via events:", e);
-            isProducer = false;
-          }
-          setIsProducer(isProducer);
-
-          // Fetch available raw materials for dropdown by reading ProductCreated events
-          const filter = ctr.filters.ProductCreated();
-          const events = await ctr.queryFilter(filter);
-          const rawMaterials = [];
-
-          for (const event of events) {
-            const productId = event.args.productId.toNumber();
-            // Fetch product details individually
-            const product = await ctr.products(productId);
-            // product.stage is uint8, RawMaterial stage is 1
-            if (product.stage === 1 && product.availableQuantity.gt(0)) {
-              rawMaterials.push({
-                id: product.id.toString(),
-                name: product.name,
-                availableQuantity: product.availableQuantity.toString(),
-              });
-            }
-          }
-          setAvailableRawMaterials(rawMaterials);
-
-        } catch (error) {
-          console.error("Failed to initialize connection or contract:", error);
-          setInitializationStatus({ loading: false, message: "Failed to connect. Ensure MetaMask is installed, unlocked, and on the correct network.", type: 'error' });
+          setUnsupportedChainId(Number(chainId));
+          setInitializationStatus({ loading: false, message: `Unsupported network: ProductTrace is not deployed on ${networkLabel(Number(chainId))}.`, type: 'error' });
+          return;
+        }
+        const ctr = new ethers.Contract(deployment.address, deployment.abi, signer);
+        const inspections = deployment.inspectionLog ? new ethers.Contract(deployment.inspectionLog.address, deployment.inspectionLog.abi, signer) : null;
+        const certificates = deployment.certificateRegistry ? new ethers.Contract(deployment.certificateRegistry.address, deployment.certificateRegistry.abi, signer) : null;
+
+        setUnsupportedChainId(null);
+        setNetworkSwitchFeedback({ text: '', type: '' });
+        setProvider(prov);
+        setContract(ctr);
+        setDeployBlock(deployment.deployBlock ?? 0);
+        setInspectionLog(inspections);
+        setCertificateRegistry(certificates);
+        setAccount(accounts[0]);
+
+        let resolvedRoles = VIEWER_ROLES;
+        try {
+          resolvedRoles = await resolveRoles(ctr, accounts[0]);
+        } catch (e) {
+          console.warn("Failed to resolve account roles:", e);
         }
-      } else {
-        setInitializationStatus({ loading: false, message: "MetaMask not detected. Please install MetaMask.", type: 'error' });
+        if (isStale()) return;
+        setRoles(resolvedRoles);
+        setInitializationStatus({ loading: false, message: `Connected as: ${accounts[0]} (${describeRoles(resolvedRoles)})`, type: 'success' });
+
+        const rawMaterials = await fetchAvailableRawMaterials(ctr);
+        if (isStale()) return;
+        setAvailableRawMaterials(rawMaterials);
+        await fetchPackagedProducts(ctr, accounts[0]);
+
+      } catch (error) {
+        if (isStale()) return;
+        console.error("Failed to initialize connection or contract:", error);
+        setInitializationStatus({ loading: false, message: "Failed to connect. Ensure MetaMask is installed, unlocked, and on the correct network.", type: 'error' });
+      }
+    };
+
+    const handleAccountsChanged = (accounts) => {
+      if (accounts.length === 0) {
+        initSequence++;
+        setContract(null);
+        setInspectionLog(null);
+        setCertificateRegistry(null);
+        setAccount(null);
+        setUnsupportedChainId(null);
+        setRoles(VIEWER_ROLES);
+        setInitializationStatus({ loading: false, message: "Wallet disconnected. Connect an account in MetaMask to continue.", type: 'info' });
+        return;
       }
+      setInitializationStatus({ loading: true, message: 'Account changed: reloading roles...', type: 'info' });
+      init();
+    };
+
+    // A BrowserProvider is bound to the network it was created on, so a chain switch rebuilds everything
+    const handleChainChanged = () => {
+      setInitializationStatus({ loading: true, message: 'Network changed: reconnecting...', type: 'info' });
+      init();
     };
+
     init();
+    window.ethereum.on('accountsChanged', handleAccountsChanged);
+    window.ethereum.on('chainChanged', handleChainChanged);
+    return () => {
+      initSequence++;
+      window.ethereum.removeListener('accountsChanged', handleAccountsChanged);
+      window.ethereum.removeListener('chainChanged', handleChainChanged);
+    };
   }, []);
 
+  // The chainChanged listener re-initialises once the wallet has switched
+  const handleSwitchNetwork = async (chainId) => {
+    setNetworkSwitchFeedback({ text: '', type: '' });
+    try {
+      await requestNetworkSwitch(chainId);
+    } catch (error) {
+      console.error("Network switch failed:", error);
+      setNetworkSwitchFeedback({ text: error.message || "Network switch was rejected.", type: 'error' });
+    }
+  };
+
+  // Re-read roles after producer, role or ownership changes (the owner may have changed their own status)
+  const refreshRoles = async () => {
+    try {
+      setRoles(await resolveRoles(contract, account));
+    } catch (e) {
+      console.warn("Failed to refresh account roles:", e);
+    }
+  };
+
+  // Creating, consuming, splitting or merging lots changes what is left to pick as production input
+  const refreshRawMaterials = async () => {
+    try {
+      setAvailableRawMaterials(await fetchAvailableRawMaterials(contract));
+    } catch (e) {
+      console.warn("Failed to refresh raw materials:", e);
+    }
+  };
+
   // Add raw material and generate QR code with productId
   const handleAddRawMaterial = async (e) => {
     e.preventDefault();
     setAddMaterialFeedback({ text: '', type: '' }); // Clear previous feedback
     if (!contract) return setAddMaterialFeedback({ text: "Contract not ready.", type: 'error' });
-    if (!isProducer) return setAddMaterialFeedback({ text: "Only producers can add raw materials.", type: 'error' });
+    if (!canCreateProducts) return setAddMaterialFeedback({ text: "Only suppliers and manufacturers can add products.", type: 'error' });
 
     const form = e.target;
-    const name = form.name.value;
+    const name = form.productName.value;
     const source = form.source.value;
     const quality = form.quality.value;
-    const initialQuantity = parseInt(form.quantity.value);
-    const pickupTimeManual = form.pickupTimeManual.value;
+    const unit = Number(form.unit.value);
+    const pickupTime = fromDateTimeInput(form.pickupTime.value);
 
-    if (isNaN(initialQuantity) || initialQuantity <= 0) {
-      return setAddMaterialFeedback({ text: "Quantity must be a positive number.", type: 'error' });
+    let initialQuantity;
+    try {
+      initialQuantity = parseQuantity(form.quantity.value, unit);
+    } catch (error) {
+      return setAddMaterialFeedback({ text: error.message, type: 'error' });
     }
+    const pickupTimeError = validateDeclaredTime(pickupTime);
+    if (pickupTimeError) return setAddMaterialFeedback({ text: pickupTimeError, type: 'error' });
 
     setIsAddingMaterial(true);
     try {
-      const tx = await contract.createProduct(name, source, quality, initialQuantity, pickupTimeManual);
-      const receipt = await tx.wait();
-
-      const event = receipt.events?.find(e => e.event === 'ProductCreated');
-      if (event && event.args) {
-        const productId = event.args.productId.toString();
-        setLastProductId(productId);
-        setAddMaterialFeedback({ text: `Raw material product created with ID: ${productId}`, type: 'success' });
-      } else {
-        console.warn("ProductCreated event not found or args missing in transaction receipt.", receipt);
-        setAddMaterialFeedback({ text: "Raw material product created, but ID could not be retrieved from event.", type: 'warn' });
-      }
+      const productId = (await createProduct(contract, name, source, quality, initialQuantity, unit, pickupTime)).toString();
+      setLastRawMaterialId(productId);
+      setAddMaterialFeedback({ text: `Raw material product created with ID: ${productId}`, type: 'success' });
       form.reset();
+      await refreshRawMaterials();
     } catch (error) {
       console.error("Failed to create raw material product:", error);
-      setAddMaterialFeedback({ text: `Failed to create raw material product: ${error.message || "Unknown error"}`, type: 'error' });
+      setAddMaterialFeedback({ text: `Failed to create raw material product: ${errorMessage(error, contract)}`, type: 'error' });
     } finally {
       setIsAddingMaterial(false);
     }
   };
 
-  // Handle dynamic input for multiple raw materials with quantities during production start
-  const handleRawMaterialInputChange = (index, field, value) => {
-    const newInputs = [...rawMaterialInputs];
-    newInputs[index][field] = value;
-    setRawMaterialInputs(newInputs);
-  };
+  // Mint a finished good directly in Production from the selected inputs
+  const handleCreateProductFromInputs = async (e) => {
+    e.preventDefault();
+    setCreateOutputFeedback({ text: '', type: '' });
+    if (!contract) return setCreateOutputFeedback({ text: "Contract not ready.", type: 'error' });
+    if (!lifecycle.manufacturer) return setCreateOutputFeedback({ text: "Only manufacturers can produce products.", type: 'error' });
 
-  const addRawMaterialInput = () => {
-    setRawMaterialInputs([...rawMaterialInputs, { id: '', quantity: '' }]);
-  };
+    const form = e.target;
+    const name = form.productName.value.trim();
+    const unit = Number(form.unit.value);
+    const startTime = fromDateTimeInput(form.startTime.value);
+
+    let inputs;
+    let expectedOutput;
+    try {
+      inputs = collectProductionInputs(outputInputs, availableRawMaterials);
+      expectedOutput = parseQuantity(form.expectedOutput.value, unit);
+    } catch (error) {
+      return setCreateOutputFeedback({ text: error.message, type: 'error' });
+    }
 
-  const removeRawMaterialInput = (index) => {
-    const newInputs = rawMaterialInputs.filter((_, i) => i !== index);
-    setRawMaterialInputs(newInputs);
+    setIsCreatingOutput(true);
+    try {
+      // Production cannot start before any input was picked up
+      const pickupTimes = (await Promise.all(inputs.rawMaterialIds.map(id => contract.products(id))))
+        .map(product => normalizeDeclaredTime(product.pickupTime));
+      const latestPickup = pickupTimes.reduce((latest, time) => (time.timestamp > latest.timestamp ? time : latest));
+      const startTimeError = validateDeclaredTime(startTime, { time: latestPickup, label: 'latest pickup time' });
+      if (startTimeError) return setCreateOutputFeedback({ text: startTimeError, type: 'error' });
+
+      const created = await createProductFromInputs(contract, name, unit, inputs.rawMaterialIds, inputs.quantitiesUsed, inputs.unitsUsed, expectedOutput, startTime);
+      const productId = created.productId.toString();
+      const batchId = created.batchId.toString();
+      setLastBatchId(batchId);
+      setLastProductId(productId); // The new product is the one to package next
+      setPackagingConfirmed(false);
+      setCreateOutputFeedback({ text: `Product ${productId} is in production with Batch ID: ${batchId}`, type: 'success' });
+      form.reset();
+      setOutputInputs([emptyInputRow()]);
+      await refreshRawMaterials();
+    } catch (error) {
+      console.error("Failed to create product from inputs:", error);
+      setCreateOutputFeedback({ text: `Failed to create product: ${errorMessage(error, contract)}`, type: 'error' });
+    } finally {
+      setIsCreatingOutput(false);
+    }
   };
 
   // Start production with productId, multiple rawMaterialIds and quantities
@@ -170,51 +358,53 @@ function App() {
     e.preventDefault();
     setStartProductionFeedback({ text: '', type: '' });
     if (!contract) return setStartProductionFeedback({ text: "Contract not ready.", type: 'error' });
-    if (!isProducer) return setStartProductionFeedback({ text: "Only producers can start production.", type: 'error' });
+    if (!lifecycle.manufacturer) return setStartProductionFeedback({ text: "Only manufacturers can start production.", type: 'error' });
 
     const form = e.target;
     const productId = parseInt(form.productId.value);
-    const startTimeManual = form.startTimeManual.value;
+    const startTime = fromDateTimeInput(form.startTime.value);
 
     if (isNaN(productId) || productId <= 0) {
       return setStartProductionFeedback({ text: "Please enter a valid Product ID.", type: 'error' });
     }
 
-    // Collect rawMaterialIds and quantities from inputs
-    const rawMaterialIds = [];
-    const quantitiesUsed = [];
-    for (const input of rawMaterialInputs) {
-      const id = parseInt(input.id);
-      const quantity = parseInt(input.quantity);
-      if (!isNaN(id) && id > 0 && !isNaN(quantity) && quantity > 0) {
-        rawMaterialIds.push(id);
-        quantitiesUsed.push(quantity);
-      }
-    }
-
-    if (rawMaterialIds.length === 0) {
-      return setStartProductionFeedback({ text: "Please enter at least one valid Raw Material ID and quantity.", type: 'error' });
+    // Collect rawMaterialIds and quantities (in the unit picked for each row) from inputs
+    let rawMaterialIds, quantitiesUsed, unitsUsed;
+    try {
+      ({ rawMaterialIds, quantitiesUsed, unitsUsed } = collectProductionInputs(rawMaterialInputs, availableRawMaterials));
+    } catch (error) {
+      return setStartProductionFeedback({ text: error.message, type: 'error' });
     }
 
     setIsStartingProduction(true);
     try {
-      const tx = await contract.startProduction(productId, rawMaterialIds, quantitiesUsed, startTimeManual);
-      const receipt = await tx.wait();
-      const event = receipt.events?.find(e => e.event === 'BatchCreated');
-      if (event && event.args) {
-        const batchId = event.args.batchId.toString();
-        setLastBatchId(batchId);
-        setPackagingConfirmed(false); // Reset packaging confirmation for new batch
-        setStartProductionFeedback({ text: `Production started with Batch ID: ${batchId}`, type: 'success' });
-        form.reset();
-        setRawMaterialInputs([{ id: '', quantity: '' }]); // Reset inputs
-      } else {
-        console.warn("BatchCreated event not found or args missing in transaction receipt.", receipt);
-        setStartProductionFeedback({ text: "Production started, but Batch ID could not be retrieved from event.", type: 'warn' });
+      const involvedProducts = await Promise.all([productId, ...rawMaterialIds].map(id => contract.products(id)));
+      // The expected output is counted in the unit of the product being produced
+      let expectedOutput;
+      try {
+        expectedOutput = parseQuantity(form.expectedOutput.value, involvedProducts[0].unit);
+      } catch (error) {
+        return setStartProductionFeedback({ text: `Expected output: ${error.message}`, type: 'error' });
       }
+
+      // Production cannot start before the product or any input was picked up
+      const pickupTimes = involvedProducts.map(product => normalizeDeclaredTime(product.pickupTime));
+      const latestPickup = pickupTimes.reduce((latest, time) => (time.timestamp > latest.timestamp ? time : latest));
+      const startTimeError = validateDeclaredTime(startTime, { time: latestPickup, label: 'latest pickup time' });
+      if (startTimeError) return setStartProductionFeedback({ text: startTimeError, type: 'error' });
+
+      const batchId = (await startProduction(contract, productId, rawMaterialIds, quantitiesUsed, unitsUsed, expectedOutput, startTime)).toString();
+      setLastBatchId(batchId);
+      setLastProductId(productId.toString()); // The product now in production is the one to package next
+      setPackagingConfirmed(false); // Reset packaging confirmation for new batch
+      setStartProductionFeedback({ text: `Production started with Batch ID: ${batchId}`, type: 'success' });
+      form.reset();
+      setRawMaterialInputs([emptyInputRow()]); // Reset inputs
+      // The product left RawMaterial and its inputs were drawn down
+      await refreshRawMaterials();
     } catch (error) {
       console.error("Failed to start production:", error);
-      setStartProductionFeedback({ text: `Failed to start production: ${error.message || "Unknown error"}`, type: 'error' });
+      setStartProductionFeedback({ text: `Failed to start production: ${errorMessage(error, contract)}`, type: 'error' });
     } finally {
       setIsStartingProduction(false);
     }
@@ -225,78 +415,159 @@ function App() {
     e.preventDefault();
     setPackageProductFeedback({ text: '', type: '' });
     if (!contract) return setPackageProductFeedback({ text: "Contract not ready.", type: 'error' });
-    if (!isProducer) return setPackageProductFeedback({ text: "Only producers can package products.", type: 'error' });
+    if (!lifecycle.packager) return setPackageProductFeedback({ text: "Only packagers can package products.", type: 'error' });
     if (!lastProductId) return setPackageProductFeedback({ text: "No product to package.", type: 'error' });
 
     const form = e.target;
-    const halalCertHashInput = form.halalCertHash.value;
-    const bpomCertHashInput = form.bpomCertHash.value;
-    const packagingTimeManual = form.packagingTimeManual.value;
+    const halalCertFile = form.halalCertFile.files[0];
+    const bpomCertFile = form.bpomCertFile.files[0];
+    const packagingTime = fromDateTimeInput(form.packagingTime.value);
+    const wasteUnit = Number(form.wasteUnit.value);
 
     setIsPackagingProduct(true);
     try {
-      const tx = await contract.packageProduct(lastProductId, halalCertHashInput, bpomCertHashInput, packagingTimeManual);
+      const product = await contract.products(lastProductId);
+      const batch = await contract.batches(product.currentBatchId);
+      let actualOutput;
+      let wasteQuantity = 0n;
+      try {
+        actualOutput = parseQuantity(form.actualOutput.value, product.unit);
+        if (form.wasteQuantity.value.trim()) wasteQuantity = parseQuantity(form.wasteQuantity.value, wasteUnit);
+      } catch (error) {
+        return setPackageProductFeedback({ text: error.message, type: 'error' });
+      }
+      const packagingTimeError = validateDeclaredTime(packagingTime, { time: normalizeDeclaredTime(batch.declaredStartTime), label: 'production start' });
+      if (packagingTimeError) return setPackageProductFeedback({ text: packagingTimeError, type: 'error' });
+
+      // Upload the documents first; only their digests and URIs go on-chain
+      const noDocument = { digest: '', uri: '' };
+      const [halalCert, bpomCert] = await Promise.all([
+        halalCertFile ? uploadCertificate(halalCertFile) : noDocument,
+        bpomCertFile ? uploadCertificate(bpomCertFile) : noDocument,
+      ]);
+      const tx = await write(contract, 'packageProduct', lastProductId, halalCert.digest, halalCert.uri, bpomCert.digest, bpomCert.uri, actualOutput, wasteQuantity, wasteUnit, packagingTime);
       await tx.wait();
       setPackagingConfirmed(true);
-      setHalalCertHash(halalCertHashInput);
-      setBpomCertHash(bpomCertHashInput);
-      setPackageProductFeedback({ text: `Product packaged for Product ID: ${lastProductId}`, type: 'success' });
+      setHalalCertHash(halalCert.digest);
+      setBpomCertHash(bpomCert.digest);
+      const yieldBasisPoints = Number(actualOutput * 10000n / batch.expectedOutputQuantity);
+      setPackageProductFeedback({ text: `Product packaged for Product ID: ${lastProductId} (yield ${formatYield(yieldBasisPoints)})`, type: 'success' });
       form.reset();
+      await fetchPackagedProducts(contract, account);
     } catch (error) {
       console.error("Failed to package product:", error);
-      setPackageProductFeedback({ text: `Failed to package product: ${error.message || "Unknown error"}`, type: 'error' });
+      setPackageProductFeedback({ text: `Failed to package product: ${errorMessage(error, contract)}`, type: 'error' });
     } finally {
       setIsPackagingProduct(false);
     }
   };
 
-  // Get full trace by productId
-  const handleGetFullTrace = async (e) => {
+  // Move a packaged product into distribution with structured shipment details
+  const handleDistributeProduct = async (e) => {
     e.preventDefault();
+    setDistributeProductFeedback({ text: '', type: '' });
+    if (!contract) return setDistributeProductFeedback({ text: "Contract not ready.", type: 'error' });
+    if (!lifecycle.distributor) return setDistributeProductFeedback({ text: "Only distributors can distribute products.", type: 'error' });
+
+    const form = e.target;
+    const productId = form.productId.value;
+    if (!productId) return setDistributeProductFeedback({ text: "Please select a packaged product.", type: 'error' });
+
+    const dispatchTime = fromDateTimeInput(form.dispatchTime.value);
+
+    setIsDistributingProduct(true);
+    try {
+      const product = await contract.products(productId);
+      const batch = await contract.batches(product.currentBatchId);
+      const dispatchTimeError = validateDeclaredTime(dispatchTime, { time: normalizeDeclaredTime(batch.declaredPackagingTime), label: 'packaging' });
+      if (dispatchTimeError) return setDistributeProductFeedback({ text: dispatchTimeError, type: 'error' });
+
+      // The dispatch time keeps its UTC offset, like the on-chain declared times
+      const distributionDetails = encodeDistributionDetails({
+        carrier: form.carrier.value.trim(),
+        destination: form.destination.value.trim(),
+        dispatchTime,
+        vehicleNumber: form.vehicleNumber.value.trim(),
+        sealNumber: form.sealNumber.value.trim(),
+      });
+      const tx = await write(contract, 'distributeProduct', productId, distributionDetails);
+      const receipt = await tx.wait();
+      const stageChanged = await findEvent(contract, receipt, 'ProductStageChanged');
+      setLastDistribution({
+        productId: stageChanged.args.productId.toString(),
+        oldStage: STAGE_NAMES[Number(stageChanged.args.oldStage)],
+        newStage: STAGE_NAMES[Number(stageChanged.args.newStage)],
+        changedBy: stageChanged.args.changedBy,
+        timestamp: new Date(Number(stageChanged.args.timestamp) * 1000).toLocaleString(),
+        txHash: receipt.hash,
+      });
+      setDistributeProductFeedback({ text: `Product ID ${productId} is now in distribution.`, type: 'success' });
+      form.reset();
+      await fetchPackagedProducts(contract, account);
+    } catch (error) {
+      console.error("Failed to distribute product:", error);
+      setDistributeProductFeedback({ text: `Failed to distribute product: ${errorMessage(error, contract)}`, type: 'error' });
+    } finally {
+      setIsDistributingProduct(false);
+    }
+  };
+
+  // Get full trace by productId, then walk its ancestry for the provenance tree
+  const loadTrace = async (productId) => {
     setGetTraceFeedback({ text: '', type: '' });
     if (!contract) return setGetTraceFeedback({ text: "Contract not ready.", type: 'error' });
 
-    const productId = parseInt(traceProductIdInput);
-    if (isNaN(productId) || productId <= 0) return setGetTraceFeedback({ text: "Please enter a valid Product ID.", type: 'error' });
-
     setFullTraceData(null); // Clear previous trace data
+    setProvenanceGraph(null);
     setIsFetchingTrace(true);
     try {
-      const details = await contract.getFullTrace(productId);
-
-      setFullTraceData({
-        productId: details.productId.toString(),
-        productName: details.productName,
-        productSource: details.productSource,
-        productQuality: details.productQuality,
-        productInitialQuantity: details.productInitialQuantity.toString(),
-        productAvailableQuantity: details.productAvailableQuantity.toString(),
-        productPickupTimeManual: details.productPickupTimeManual,
-        productStage: details.productStage,
-        productLastUpdateTimestamp: new Date(Number(details.productLastUpdateTimestamp) * 1000).toLocaleString(),
-        productOwner: details.productOwner,
-        productDistributionDetails: details.productDistributionDetails,
-        batchId: details.batchId.toString(),
-        consumedProductIds: details.consumedProductIds.map(id => id.toString()),
-        consumedProductNames: details.consumedProductNames,
-        consumedProductSources: details.consumedProductSources,
-        consumedQuantitiesUsed: details.consumedQuantitiesUsed.map(q => q.toString()),
-        batchStartTime: new Date(Number(details.batchStartTime) * 1000).toLocaleString(),
-        batchPackagingTime: details.batchPackagingTime && Number(details.batchPackagingTime) > 0
-          ? new Date(Number(details.batchPackagingTime) * 1000).toLocaleString()
-          : 'Not packaged yet',
-        batchHalalCertHash: details.batchHalalCertHash,
-        batchBpomCertHash: details.batchBpomCertHash,
-        batchStartTimeManual: details.batchStartTimeManual,
-        batchPackagingTimeManual: details.batchPackagingTimeManual
-      });
+      const [plainTrace, custodyHistory, stageReasons] = await Promise.all([
+        getTrace(contract, productId),
+        getCustodyHistory(contract, productId),
+        // A failed event scan only loses the reasons, not the trace
+        fetchStageReasons(contract, productId, deployBlock).catch((error) => {
+          console.warn("Failed to load stage change reasons:", error);
+          return null;
+        }),
+      ]);
+
+      const trace = normalizeTrace(plainTrace);
+      const [inspections, certificates] = await Promise.all([
+        inspectionLog ? fetchInspections(inspectionLog, productId, trace.batchId) : null,
+        certificateRegistry ? fetchCertificates(certificateRegistry, trace.batchId) : null,
+      ]);
+
+      setFullTraceData({ ...trace, custodyHistory: normalizeCustodyHistory(custodyHistory), stageReasons, inspections, certificates });
       setGetTraceFeedback({ text: `Trace data loaded for Product ID: ${productId}`, type: 'success' });
     } catch (error) {
       console.error("Failed to get full trace:", error);
-      setGetTraceFeedback({ text: `Failed to get full trace: ${error.message || "Unknown error"}`, type: 'error' });
+      setGetTraceFeedback({ text: `Failed to get full trace: ${errorMessage(error, contract, inspectionLog, certificateRegistry)}`, type: 'error' });
+      return;
     } finally {
       setIsFetchingTrace(false);
     }
+
+    setIsResolvingProvenance(true);
+    try {
+      setProvenanceGraph(await resolveProvenance(contract, productId, { fromBlock: deployBlock }));
+    } catch (error) {
+      console.error("Failed to resolve provenance:", error);
+      setGetTraceFeedback({ text: `Trace loaded, but the full provenance could not be resolved: ${errorMessage(error, contract)}`, type: 'warn' });
+    } finally {
+      setIsResolvingProvenance(false);
+    }
+  };
+
+  const handleGetFullTrace = async (e) => {
+    e.preventDefault();
+    const productId = parseInt(traceProductIdInput);
+    if (isNaN(productId) || productId <= 0) return setGetTraceFeedback({ text: "Please enter a valid Product ID.", type: 'error' });
+    await loadTrace(productId);
+  };
+
+  const handleSelectTraceProduct = (productId) => {
+    setTraceProductIdInput(productId);
+    loadTrace(productId);
   };
 
   return (
@@ -316,129 +587,225 @@ function App() {
         </div>
       </header>
 
+      {unsupportedChainId !== null && (
+        <section className="mb-10 p-6 bg-gray-900 border border-red-700 rounded-xl shadow-lg max-w-lg mx-auto">
+          <h2 className="text-3xl font-semibold mb-4 text-red-400">Unsupported Network</h2>
+          <p className="mb-6 text-gray-300">
+            Your wallet is connected to {networkLabel(unsupportedChainId)} (chain ID {unsupportedChainId}). Switch to a network where ProductTrace is deployed:
+          </p>
+          <div className="space-y-3">
+            {supportedChainIds().map((chainId) => (
+              <button
+                key={chainId}
+                type="button"
+                onClick={() => handleSwitchNetwork(chainId)}
+                className="bg-red-600 text-white px-6 py-3 rounded-lg hover:bg-red-700 w-full font-semibold"
+              >
+                Switch to {networkLabel(chainId)} (chain ID {chainId})
+              </button>
+            ))}
+          </div>
+          {networkSwitchFeedback.text && <p className="mt-4 text-base font-medium text-red-500">{networkSwitchFeedback.text}</p>}
+        </section>
+      )}
+
       {contract && account && (
         <>
+          {(isOwner || isPendingOwner) && (
+            <OwnershipPanel contract={contract} provider={provider} isOwner={isOwner} isPendingOwner={isPendingOwner} onOwnershipChanged={refreshRoles} />
+          )}
+          {isOwner && <OwnerConsole contract={contract} provider={provider} fromBlock={deployBlock} onProducersChanged={refreshRoles} />}
+          {isOwner && <RoleConsole contract={contract} provider={provider} fromBlock={deployBlock} onRolesChanged={refreshRoles} />}
+          {isOwner && certificateRegistry && <IssuerConsole certificateRegistry={certificateRegistry} provider={provider} />}
+
+          <InventoryDashboard contract={contract} account={account} lifecycle={lifecycle} onSelectProduct={handleSelectTraceProduct} />
+
+          <CustodyPanel contract={contract} provider={provider} account={account} fromBlock={deployBlock} onSelectProduct={handleSelectTraceProduct} />
+
+          {canCreateProducts && <LotPanel contract={contract} account={account} onSelectProduct={handleSelectTraceProduct} onLotsChanged={refreshRawMaterials} />}
+
+          <StageChangePanel contract={contract} account={account} lifecycle={lifecycle} onSelectProduct={handleSelectTraceProduct} />
+
+          {lifecycle.auditor && inspectionLog && <InspectionPanel inspectionLog={inspectionLog} onSelectProduct={handleSelectTraceProduct} />}
+
+          {certificateRegistry && <CertificatePanel certificateRegistry={certificateRegistry} account={account} />}
+
+          {!hasLifecycleRole && (
+            <p className="mb-10 text-center text-sm text-gray-400">This account has no lifecycle role. Only the product trace is available.</p>
+          )}
+
           {/* Add Raw Material Section */}
-          <section className="mb-10 p-6 bg-gray-900 border border-gray-700 rounded-xl shadow-lg max-w-lg mx-auto">
-            <h2 className="text-3xl font-semibold mb-6 text-indigo-300">1. Input Raw Material</h2>
-            <form onSubmit={handleAddRawMaterial} className="space-y-5">
-              <input name="source" placeholder="Source (e.g., Farm A)" className="border border-gray-600 p-3 w-full rounded-lg focus:ring-indigo-500 focus:border-indigo-500 bg-gray-800 text-white" required />
-              <input name="quality" placeholder="Quality (e.g., Grade A)" className="border border-gray-600 p-3 w-full rounded-lg focus:ring-indigo-500 focus:border-indigo-500 bg-gray-800 text-white" required />
-              <input name="quantity" type="number" placeholder="Quantity (e.g., 100)" className="border border-gray-600 p-3 w-full rounded-lg focus:ring-indigo-500 focus:border-indigo-500 bg-gray-800 text-white" required />
-              <input name="pickupTimeManual" placeholder="Pickup Time (e.g., 25/12/2023 10:00)" className="border border-gray-600 p-3 w-full rounded-lg focus:ring-indigo-500 focus:border-indigo-500 bg-gray-800 text-white" required />
-              <button type="submit" className="bg-indigo-600 text-white px-6 py-3 rounded-lg hover:bg-indigo-700 w-full disabled:opacity-60 flex items-center justify-center gap-2 font-semibold" disabled={isAddingMaterial}>
-                {isAddingMaterial ? <><Spinner /> Processing...</> : 'Add Raw Material'}
-              </button>
-            </form>
-            {addMaterialFeedback.text && (
-              <p className={`mt-4 text-base font-medium ${
-                addMaterialFeedback.type === 'error' ? 'text-red-500' : 
-                addMaterialFeedback.type === 'success' ? 'text-green-400' : 'text-yellow-400'
-              }`}>
-                {addMaterialFeedback.text}
-              </p>
-            )}
-            {lastRawMaterialId && (
-              <div className="mt-6 p-5 bg-indigo-900 rounded-xl shadow-inner text-center">
-                <p className="font-semibold text-indigo-300 mb-3">Last Raw Material ID: {lastRawMaterialId}</p>
-                <div className="qrcode-container inline-block">
-                  <QRCode value={lastRawMaterialId} size={140} />
+          {canCreateProducts && (
+            <section className="mb-10 p-6 bg-gray-900 border border-gray-700 rounded-xl shadow-lg max-w-lg mx-auto">
+              <h2 className="text-3xl font-semibold mb-6 text-indigo-300">1. Input Raw Material</h2>
+              <form onSubmit={handleAddRawMaterial} className="space-y-5">
+                <input name="productName" placeholder="Name (e.g., Mango Lot 7)" className="border border-gray-600 p-3 w-full rounded-lg focus:ring-indigo-500 focus:border-indigo-500 bg-gray-800 text-white" required />
+                <input name="source" placeholder="Source (e.g., Farm A)" className="border border-gray-600 p-3 w-full rounded-lg focus:ring-indigo-500 focus:border-indigo-500 bg-gray-800 text-white" required />
+                <input name="quality" placeholder="Quality (e.g., Grade A)" className="border border-gray-600 p-3 w-full rounded-lg focus:ring-indigo-500 focus:border-indigo-500 bg-gray-800 text-white" required />
+                <div className="flex gap-3">
+                  <input name="quantity" inputMode="decimal" placeholder="Quantity (e.g., 2.5)" className="border border-gray-600 p-3 flex-grow rounded-lg focus:ring-indigo-500 focus:border-indigo-500 bg-gray-800 text-white" required />
+                  <select name="unit" defaultValue="2" className="border border-gray-600 p-3 rounded-lg bg-gray-800 text-white focus:ring-indigo-500 focus:border-indigo-500" title="Unit">
+                    {UNITS.map(unit => <option key={unit.id} value={unit.id}>{unit.symbol}</option>)}
+                  </select>
                 </div>
-              </div>
-            )}
-          </section>
+                <label className="block text-sm text-gray-300">
+                  Pickup Time (your local time)
+                  <input type="datetime-local" name="pickupTime" max={nowDateTimeInputValue()} className="mt-2 border border-gray-600 p-3 w-full rounded-lg focus:ring-indigo-500 focus:border-indigo-500 bg-gray-800 text-white" required />
+                </label>
+                <button type="submit" className="bg-indigo-600 text-white px-6 py-3 rounded-lg hover:bg-indigo-700 w-full disabled:opacity-60 flex items-center justify-center gap-2 font-semibold" disabled={isAddingMaterial}>
+                  {isAddingMaterial ? <><Spinner /> Processing...</> : 'Add Raw Material'}
+                </button>
+              </form>
+              {addMaterialFeedback.text && (
+                <p className={`mt-4 text-base font-medium ${
+                  addMaterialFeedback.type === 'error' ? 'text-red-500' : 
+                  addMaterialFeedback.type === 'success' ? 'text-green-400' : 'text-yellow-400'
+                }`}>
+                  {addMaterialFeedback.text}
+                </p>
+              )}
+              {lastRawMaterialId && (
+                <div className="mt-6 p-5 bg-indigo-900 rounded-xl shadow-inner text-center">
+                  <p className="font-semibold text-indigo-300 mb-3">Last Raw Material ID: {lastRawMaterialId}</p>
+                  <div className="qrcode-container inline-block">
+                    <QRCode value={traceUrl(lastRawMaterialId)} size={140} />
+                  </div>
+                </div>
+              )}
+            </section>
+          )}
+
+          {canCreateProducts && (
+            <RawMaterialImport contract={contract} onImported={refreshRawMaterials} onSelectProduct={handleSelectTraceProduct} />
+          )}
+
+          {/* Produce From Inputs Section */}
+          {lifecycle.manufacturer && (
+            <section className="mb-10 p-6 bg-gray-900 border border-gray-700 rounded-xl shadow-lg max-w-lg mx-auto">
+              <h2 className="text-3xl font-semibold mb-2 text-yellow-400">2a. Produce From Inputs</h2>
+              <p className="mb-6 text-sm text-gray-400">Registers the finished product and starts its production batch in one step.</p>
+              <form onSubmit={handleCreateProductFromInputs} className="space-y-5">
+                <input name="productName" placeholder="Product Name (e.g., Mango Juice 1L)" className="border border-yellow-600 p-3 w-full rounded-lg bg-gray-800 text-yellow-300 focus:ring-yellow-500 focus:border-yellow-500" required />
+                <ProductionInputs rows={outputInputs} onChange={setOutputInputs} materials={availableRawMaterials} />
+                <label className="block text-sm text-yellow-300">
+                  Expected Output
+                  <span className="mt-2 flex gap-3">
+                    <input name="expectedOutput" inputMode="decimal" placeholder="e.g., 20" className="border border-yellow-600 p-3 flex-grow rounded-lg bg-gray-800 text-yellow-300 focus:ring-yellow-500 focus:border-yellow-500" required />
+                    <select name="unit" defaultValue="0" className="border border-yellow-600 p-3 rounded-lg bg-gray-800 text-yellow-300 focus:ring-yellow-500 focus:border-yellow-500" title="Unit of the product">
+                      {UNITS.map(unit => <option key={unit.id} value={unit.id}>{unit.symbol}</option>)}
+                    </select>
+                  </span>
+                </label>
+                <label className="block text-sm text-yellow-300">
+                  Production Start Time (your local time)
+                  <input type="datetime-local" name="startTime" max={nowDateTimeInputValue()} className="mt-2 border border-yellow-600 p-3 w-full rounded-lg bg-gray-800 text-yellow-300 focus:ring-yellow-500 focus:border-yellow-500" required />
+                </label>
+                <button type="submit" className="bg-yellow-500 text-gray-900 px-6 py-3 rounded-lg hover:bg-yellow-600 w-full disabled:opacity-60 flex items-center justify-center gap-2 font-semibold" disabled={isCreatingOutput}>
+                  {isCreatingOutput ? <><Spinner /> Processing...</> : 'Create Product & Start Production'}
+                </button>
+              </form>
+              {createOutputFeedback.text && (
+                <p className={`mt-4 text-base font-medium ${
+                  createOutputFeedback.type === 'error' ? 'text-red-500' :
+                  createOutputFeedback.type === 'success' ? 'text-green-400' : 'text-yellow-400'
+                }`}>
+                  {createOutputFeedback.text}
+                </p>
+              )}
+            </section>
+          )}
 
           {/* Start Production Section */}
-          <section className="mb-10 p-6 bg-gray-900 border border-gray-700 rounded-xl shadow-lg max-w-lg mx-auto">
-            <h2 className="text-3xl font-semibold mb-6 text-yellow-400">2. Start Production</h2>
-            <form onSubmit={handleStartProduction} className="space-y-5">
-              {rawMaterialInputs.map((input, index) => (
-                <div key={index} className="flex items-center gap-3">
-                  <select
-                    value={input.id}
-                    onChange={(e) => handleRawMaterialInputChange(index, 'id', e.target.value)}
-                    className="border border-yellow-600 p-3 rounded-lg flex-grow bg-gray-800 text-yellow-300 focus:ring-yellow-500 focus:border-yellow-500"
-                    required
-                  >
-                    <option value="">Select Raw Material</option>
-                    {availableRawMaterials.map((material) => (
-                      <option key={material.id.toString()} value={material.id.toString()}>
-                        {material.name} (ID: {material.id.toString()}, Available: {material.availableQuantity.toString()})
-                      </option>
-                    ))}
-                  </select>
-                  <input
-                    type="number"
-                    placeholder="Quantity"
-                    value={input.quantity}
-                    onChange={(e) => handleRawMaterialInputChange(index, 'quantity', e.target.value)}
-                    className="border border-yellow-600 p-3 rounded-lg w-24 bg-gray-800 text-yellow-300 focus:ring-yellow-500 focus:border-yellow-500"
-                    required
-                    min="1"
-                  />
-                  {rawMaterialInputs.length > 1 && (
-                    <button 
-                      type="button" 
-                      onClick={() => removeRawMaterialInput(index)} 
-                      className="p-2 text-red-500 hover:text-red-700"
-                      title="Remove Raw Material"
-                    >
-                      <TrashIcon className="h-5 w-5" />
-                    </button>
-                  )}
-                </div>
-              ))}
-              <button type="button" onClick={addRawMaterialInput} className="bg-yellow-600 text-yellow-900 px-4 py-2 rounded-lg hover:bg-yellow-700 text-sm font-semibold">Add Another Raw Material ID</button>
-              <input name="startTimeManual" placeholder="Production Start Time (e.g., 25/12/2023 14:00)" className="border border-yellow-600 p-3 w-full rounded-lg bg-gray-800 text-yellow-300 focus:ring-yellow-500 focus:border-yellow-500" required />
-              <button type="submit" className="bg-yellow-500 text-gray-900 px-6 py-3 rounded-lg hover:bg-yellow-600 w-full disabled:opacity-60 flex items-center justify-center gap-2 font-semibold" disabled={isStartingProduction}>
-                {isStartingProduction ? <><Spinner /> Processing...</> : 'Start Production'}
-              </button>
-            </form>
-            {startProductionFeedback.text && (
-              <p className={`mt-4 text-base font-medium ${
-                startProductionFeedback.type === 'error' ? 'text-red-500' : 
-                startProductionFeedback.type === 'success' ? 'text-green-400' : 'text-yellow-400'
-              }`}>
-                {startProductionFeedback.text}
-              </p>
-            )}
-            {lastBatchId && (
-              <div className="mt-6 p-5 bg-yellow-900 rounded-xl shadow-inner text-center">
-                <p className="font-semibold text-yellow-300 mb-3">Last Production Batch ID: {lastBatchId}</p>
-                <div className="qrcode-container inline-block">
-                  <QRCode value={lastBatchId} size={140} />
+          {lifecycle.manufacturer && (
+            <section className="mb-10 p-6 bg-gray-900 border border-gray-700 rounded-xl shadow-lg max-w-lg mx-auto">
+              <h2 className="text-3xl font-semibold mb-2 text-yellow-400">2b. Start Production</h2>
+              <p className="mb-6 text-sm text-gray-400">For a product already registered with "Input Raw Material".</p>
+              <form onSubmit={handleStartProduction} className="space-y-5">
+                <input name="productId" type="number" min="1" placeholder="Product ID to produce" className="border border-yellow-600 p-3 w-full rounded-lg bg-gray-800 text-yellow-300 focus:ring-yellow-500 focus:border-yellow-500" required />
+                <ProductionInputs rows={rawMaterialInputs} onChange={setRawMaterialInputs} materials={availableRawMaterials} />
+                <label className="block text-sm text-yellow-300">
+                  Expected Output (in the product's unit)
+                  <input name="expectedOutput" inputMode="decimal" placeholder="e.g., 20" className="mt-2 border border-yellow-600 p-3 w-full rounded-lg bg-gray-800 text-yellow-300 focus:ring-yellow-500 focus:border-yellow-500" required />
+                </label>
+                <label className="block text-sm text-yellow-300">
+                  Production Start Time (your local time)
+                  <input type="datetime-local" name="startTime" max={nowDateTimeInputValue()} className="mt-2 border border-yellow-600 p-3 w-full rounded-lg bg-gray-800 text-yellow-300 focus:ring-yellow-500 focus:border-yellow-500" required />
+                </label>
+                <button type="submit" className="bg-yellow-500 text-gray-900 px-6 py-3 rounded-lg hover:bg-yellow-600 w-full disabled:opacity-60 flex items-center justify-center gap-2 font-semibold" disabled={isStartingProduction}>
+                  {isStartingProduction ? <><Spinner /> Processing...</> : 'Start Production'}
+                </button>
+              </form>
+              {startProductionFeedback.text && (
+                <p className={`mt-4 text-base font-medium ${
+                  startProductionFeedback.type === 'error' ? 'text-red-500' : 
+                  startProductionFeedback.type === 'success' ? 'text-green-400' : 'text-yellow-400'
+                }`}>
+                  {startProductionFeedback.text}
+                </p>
+              )}
+              {lastBatchId && (
+                <div className="mt-6 p-5 bg-yellow-900 rounded-xl shadow-inner text-center">
+                  <p className="font-semibold text-yellow-300 mb-3">Last Production Batch ID: {lastBatchId}</p>
+                  <div className="qrcode-container inline-block">
+                    <QRCode value={traceUrl(lastProductId)} size={140} />
+                  </div>
                 </div>
-              </div>
-            )}
-          </section>
+              )}
+            </section>
+          )}
 
           {/* Package Product Section */}
-          <section className="mb-10 p-6 bg-gray-900 border border-gray-700 rounded-xl shadow-lg max-w-lg mx-auto">
-            <h2 className="text-3xl font-semibold mb-6 text-green-400">3. Package Product</h2>
-            <form onSubmit={handlePackageProduct} className="space-y-5">
-              <input name="halalCertHash" placeholder="Halal Certificate Hash (if any)" className="border border-green-600 p-3 w-full rounded-lg bg-gray-800 text-green-300 focus:ring-green-500 focus:border-green-500" />
-              <input name="packagingTimeManual" placeholder="Packaging Time (e.g., 25/12/2023 18:00)" className="border border-green-600 p-3 w-full rounded-lg bg-gray-800 text-green-300 focus:ring-green-500 focus:border-green-500" required />
-              <button type="submit" className="bg-green-600 text-gray-900 px-6 py-3 rounded-lg hover:bg-green-700 w-full disabled:opacity-60 flex items-center justify-center gap-2 font-semibold" disabled={!lastBatchId || isPackagingProduct}>
-                {isPackagingProduct ? <><Spinner /> Processing...</> : 'Confirm Packaging'}
-              </button>
-            </form>
-            {packageProductFeedback.text && (
-              <p className={`mt-4 text-base font-medium ${packageProductFeedback.type === 'error' ? 'text-red-500' : 'text-green-400'}`}>
-                {packageProductFeedback.text}
-              </p>
-            )}
-            {packagingConfirmed && lastBatchId && (
-              <div className="mt-6 p-5 bg-green-900 rounded-xl shadow-inner text-center">
-                <p className="font-semibold text-green-300 mb-3">Packaging confirmed for Batch ID: {lastBatchId}</p>
-                <div className="qrcode-container inline-block">
-                  <QRCode value={lastBatchId} size={140} />
+          {lifecycle.packager && (
+            <section className="mb-10 p-6 bg-gray-900 border border-gray-700 rounded-xl shadow-lg max-w-lg mx-auto">
+              <h2 className="text-3xl font-semibold mb-6 text-green-400">3. Package Product</h2>
+              <form onSubmit={handlePackageProduct} className="space-y-5">
+                <label className="block text-sm text-green-300">
+                  Halal Certificate (PDF or image, if any)
+                  <input type="file" name="halalCertFile" accept="application/pdf,image/*" className="mt-2 border border-green-600 p-3 w-full rounded-lg bg-gray-800 text-green-300 focus:ring-green-500 focus:border-green-500" />
+                </label>
+                <label className="block text-sm text-green-300">
+                  BPOM Certificate (PDF or image, if any)
+                  <input type="file" name="bpomCertFile" accept="application/pdf,image/*" className="mt-2 border border-green-600 p-3 w-full rounded-lg bg-gray-800 text-green-300 focus:ring-green-500 focus:border-green-500" />
+                </label>
+                <label className="block text-sm text-green-300">
+                  Actual Output (in the product's unit)
+                  <input name="actualOutput" inputMode="decimal" placeholder="e.g., 17.5" className="mt-2 border border-green-600 p-3 w-full rounded-lg bg-gray-800 text-green-300 focus:ring-green-500 focus:border-green-500" required />
+                </label>
+                <label className="block text-sm text-green-300">
+                  Waste (if any)
+                  <span className="mt-2 flex gap-3">
+                    <input name="wasteQuantity" inputMode="decimal" placeholder="e.g., 2.25" className="border border-green-600 p-3 flex-grow rounded-lg bg-gray-800 text-green-300 focus:ring-green-500 focus:border-green-500" />
+                    <select name="wasteUnit" defaultValue="2" className="border border-green-600 p-3 rounded-lg bg-gray-800 text-green-300 focus:ring-green-500 focus:border-green-500" title="Waste unit">
+                      {UNITS.map(unit => <option key={unit.id} value={unit.id}>{unit.symbol}</option>)}
+                    </select>
+                  </span>
+                </label>
+                <label className="block text-sm text-green-300">
+                  Packaging Time (your local time)
+                  <input type="datetime-local" name="packagingTime" max={nowDateTimeInputValue()} className="mt-2 border border-green-600 p-3 w-full rounded-lg bg-gray-800 text-green-300 focus:ring-green-500 focus:border-green-500" required />
+                </label>
+                <button type="submit" className="bg-green-600 text-gray-900 px-6 py-3 rounded-lg hover:bg-green-700 w-full disabled:opacity-60 flex items-center justify-center gap-2 font-semibold" disabled={!lastBatchId || isPackagingProduct}>
+                  {isPackagingProduct ? <><Spinner /> Processing...</> : 'Confirm Packaging'}
+                </button>
+              </form>
+              {packageProductFeedback.text && (
+                <p className={`mt-4 text-base font-medium ${packageProductFeedback.type === 'error' ? 'text-red-500' : 'text-green-400'}`}>
+                  {packageProductFeedback.text}
+                </p>
+              )}
+              {packagingConfirmed && lastBatchId && (
+                <div className="mt-6 p-5 bg-green-900 rounded-xl shadow-inner text-center">
+                  <p className="font-semibold text-green-300 mb-3">Packaging confirmed for Batch ID: {lastBatchId}</p>
+                  <div className="qrcode-container inline-block">
+                    <QRCode value={traceUrl(lastProductId)} size={140} />
+                  </div>
                 </div>
-              </div>
-            )}
-          </section>
+              )}
+            </section>
+          )}
 
           {/* Get Full Trace Section */}
-          <section className="mb-10 p-6 bg-gray-900 border border-gray-700 rounded-xl shadow-lg max-w-lg mx-auto">
+          <section id="product-trace" className="mb-10 p-6 bg-gray-900 border border-gray-700 rounded-xl shadow-lg max-w-lg mx-auto">
             <h2 className="text-3xl font-semibold mb-6 text-indigo-400">4. Get Full Product Trace</h2>
             <form onSubmit={handleGetFullTrace} className="space-y-5">
               <input
@@ -462,7 +829,12 @@ function App() {
             )}
               {fullTraceData && (
                 <div className="mt-6 p-6 bg-indigo-900 rounded-xl shadow-inner text-indigo-300">
-                  <h3 className="text-xl font-semibold mb-4">Trace Details for Product ID: {traceProductIdInput}</h3>
+                  <h3 className="text-xl font-semibold mb-4">Trace Details for Product ID: {fullTraceData.productId}</h3>
+                  <p className="mb-4 text-sm"><a href={traceUrl(fullTraceData.productId)} target="_blank" rel="noreferrer">Open public trace page</a></p>
+                  <div className="mb-4 text-sm">
+                    <strong>Stage:</strong> <StageBadge stage={fullTraceData.productStage} />
+                    <StageHistory reasons={fullTraceData.stageReasons} />
+                  </div>
                   <div className="overflow-x-auto">
                     <table className="min-w-full table-auto border-collapse border border-indigo-600 text-left">
                       <thead className="bg-indigo-800">
@@ -479,19 +851,98 @@ function App() {
                             <td className="border border-indigo-600 px-3 py-2 text-sm">{id}</td>
                             <td className="border border-indigo-600 px-3 py-2 text-sm">{fullTraceData.consumedProductNames[idx]}</td>
                             <td className="border border-indigo-600 px-3 py-2 text-sm">{fullTraceData.consumedProductSources[idx]}</td>
-                            <td className="border border-indigo-600 px-3 py-2 text-sm">{fullTraceData.consumedQuantitiesUsed[idx]}</td>
+                            <td className="border border-indigo-600 px-3 py-2 text-sm">{formatQuantity(fullTraceData.consumedQuantitiesUsed[idx], fullTraceData.consumedProductUnits[idx])}</td>
                           </tr>
                         ))}
                       </tbody>
                     </table>
                   </div>
-                  <p className="mt-4 text-sm"><strong>Production Start Time:</strong> {fullTraceData.batchStartTime} (Manual: {fullTraceData.batchStartTimeManual || 'N/A'})</p>
-                  <p className="text-sm"><strong>Packaging Time:</strong> {fullTraceData.batchPackagingTime} (Manual: {fullTraceData.batchPackagingTimeManual || 'N/A'})</p>
-                  <p className="text-sm"><strong>Halal Certificate Hash:</strong> {fullTraceData.batchHalalCertHash || 'N/A'}</p>
-                  <p className="text-sm"><strong>BPOM Certificate Hash:</strong> {fullTraceData.batchBpomCertHash || 'N/A'}</p>
+                  <p className="mt-4 text-sm"><strong>Pickup Time:</strong> <DeclaredTimeField declared={fullTraceData.productPickupTime} blockTimestamp={fullTraceData.productCreatedAt} /></p>
+                  <p className="text-sm"><strong>Production Start Time:</strong> <DeclaredTimeField declared={fullTraceData.batchDeclaredStartTime} blockTimestamp={fullTraceData.batchStartTimestamp} /></p>
+                  <p className="text-sm"><strong>Packaging Time:</strong> <DeclaredTimeField declared={fullTraceData.batchDeclaredPackagingTime} blockTimestamp={fullTraceData.batchPackagingTimestamp} /></p>
+                  {fullTraceData.batchId !== '0' && (
+                    <p className="text-sm"><strong>Output:</strong> {describeBatchOutput(fullTraceData)}</p>
+                  )}
+                  <p className="text-sm"><strong>Halal Certificate:</strong> <CertificateStatus digest={fullTraceData.batchHalalCertHash} uri={fullTraceData.batchHalalCertUri} />{' '}
+                    <AttestationNote certificates={fullTraceData.certificates} certType={CERT_TYPE_HALAL} digest={fullTraceData.batchHalalCertHash} /></p>
+                  <p className="text-sm"><strong>BPOM Certificate:</strong> <CertificateStatus digest={fullTraceData.batchBpomCertHash} uri={fullTraceData.batchBpomCertUri} />{' '}
+                    <AttestationNote certificates={fullTraceData.certificates} certType={CERT_TYPE_BPOM} digest={fullTraceData.batchBpomCertHash} /></p>
+                  {fullTraceData.certificates && fullTraceData.batchId !== '0' && (
+                    <div className="mt-4 text-sm">
+                      <strong>Issuer-Signed Certificates:</strong>
+                      <CertificateList certificates={fullTraceData.certificates} />
+                    </div>
+                  )}
+                  {fullTraceData.productDistribution && (
+                    <div className="mt-4 text-sm">
+                      <p><strong>Distribution:</strong></p>
+                      {fullTraceData.productDistribution.carrier && <p>Carrier: {fullTraceData.productDistribution.carrier}</p>}
+                      {fullTraceData.productDistribution.destination && <p>Destination: {fullTraceData.productDistribution.destination}</p>}
+                      {fullTraceData.productDistribution.dispatchTime && <p>Dispatched: {formatDeclaredTime(fullTraceData.productDistribution.dispatchTime)}</p>}
+                      {fullTraceData.productDistribution.vehicleNumber && <p>Vehicle No.: {fullTraceData.productDistribution.vehicleNumber}</p>}
+                      {fullTraceData.productDistribution.sealNumber && <p>Seal No.: {fullTraceData.productDistribution.sealNumber}</p>}
+                      {fullTraceData.productDistribution.notes && <p>{fullTraceData.productDistribution.notes}</p>}
+                    </div>
+                  )}
+                  {fullTraceData.inspections && (
+                    <div className="mt-4 text-sm">
+                      <strong>Inspections:</strong>
+                      <InspectionTimeline inspections={fullTraceData.inspections} />
+                    </div>
+                  )}
+                  <CustodyChain history={fullTraceData.custodyHistory} />
+                  {isResolvingProvenance && <p className="mt-4 text-sm"><Spinner /> Resolving full provenance...</p>}
+                  {provenanceGraph && <ProvenanceTree graph={provenanceGraph} onSelectProduct={handleSelectTraceProduct} />}
                 </div>
               )}
           </section>
+
+          <WhereUsedPanel contract={contract} fromBlock={deployBlock} onSelectProduct={handleSelectTraceProduct} />
+
+          <YieldReport contract={contract} fromBlock={deployBlock} onSelectProduct={handleSelectTraceProduct} />
+
+          {/* Distribute Product Section */}
+          {lifecycle.distributor && (
+            <section className="mb-10 p-6 bg-gray-900 border border-gray-700 rounded-xl shadow-lg max-w-lg mx-auto">
+              <h2 className="text-3xl font-semibold mb-6 text-sky-400">5. Distribute Product</h2>
+              <form onSubmit={handleDistributeProduct} className="space-y-5">
+                <select name="productId" className="border border-sky-600 p-3 w-full rounded-lg bg-gray-800 text-sky-300 focus:ring-sky-500 focus:border-sky-500" required defaultValue="">
+                  <option value="">Select Packaged Product</option>
+                  {packagedProducts.map((product) => (
+                    <option key={product.id} value={product.id}>
+                      {product.name} (ID: {product.id})
+                    </option>
+                  ))}
+                </select>
+                <input name="carrier" placeholder="Carrier (e.g., JNE Cargo)" className="border border-sky-600 p-3 w-full rounded-lg bg-gray-800 text-sky-300 focus:ring-sky-500 focus:border-sky-500" required />
+                <input name="destination" placeholder="Destination (e.g., Warehouse Z, Surabaya)" className="border border-sky-600 p-3 w-full rounded-lg bg-gray-800 text-sky-300 focus:ring-sky-500 focus:border-sky-500" required />
+                <input name="dispatchTime" type="datetime-local" max={nowDateTimeInputValue()} className="border border-sky-600 p-3 w-full rounded-lg bg-gray-800 text-sky-300 focus:ring-sky-500 focus:border-sky-500" required />
+                <input name="vehicleNumber" placeholder="Vehicle Number (e.g., B 1234 XYZ)" className="border border-sky-600 p-3 w-full rounded-lg bg-gray-800 text-sky-300 focus:ring-sky-500 focus:border-sky-500" />
+                <input name="sealNumber" placeholder="Seal Number (if any)" className="border border-sky-600 p-3 w-full rounded-lg bg-gray-800 text-sky-300 focus:ring-sky-500 focus:border-sky-500" />
+                <button type="submit" className="bg-sky-600 text-gray-900 px-6 py-3 rounded-lg hover:bg-sky-700 w-full disabled:opacity-60 flex items-center justify-center gap-2 font-semibold" disabled={packagedProducts.length === 0 || isDistributingProduct}>
+                  {isDistributingProduct ? <><Spinner /> Processing...</> : 'Confirm Distribution'}
+                </button>
+              </form>
+              {distributeProductFeedback.text && (
+                <p className={`mt-4 text-base font-medium ${
+                  distributeProductFeedback.type === 'error' ? 'text-red-500' :
+                  distributeProductFeedback.type === 'success' ? 'text-green-400' : 'text-yellow-400'
+                }`}>
+                  {distributeProductFeedback.text}
+                </p>
+              )}
+              {lastDistribution && (
+                <div className="mt-6 p-5 bg-sky-900 rounded-xl shadow-inner text-center">
+                  <p className="font-semibold text-sky-300 mb-2">ProductStageChanged for Product ID: {lastDistribution.productId}</p>
+                  <p className="text-sm text-sky-200">{lastDistribution.oldStage} → {lastDistribution.newStage} at {lastDistribution.timestamp}</p>
+                  <p className="text-xs text-sky-200 break-all mb-3">By {lastDistribution.changedBy} (tx {lastDistribution.txHash})</p>
+                  <div className="qrcode-container inline-block">
+                    <QRCode value={traceUrl(lastDistribution.productId)} size={140} />
+                  </div>
+                </div>
+              )}
+            </section>
+          )}
         </>
       )}
     </div>
@@ -0,0 +1,38 @@
+import CertificateStatus from './CertificateStatus.jsx';
+import { CERT_STATE, CERT_TYPE_NAMES } from './certificates.js';
+
+const STATE_BADGES = {
+  [CERT_STATE.VALID]: { label: 'Valid', className: 'bg-green-800 text-green-200' },
+  [CERT_STATE.REVOKED]: { label: 'Revoked', className: 'bg-red-800 text-red-100' },
+  [CERT_STATE.EXPIRED]: { label: 'Expired', className: 'bg-yellow-800 text-yellow-200' },
+};
+
+const formatDate = (seconds) => new Date(seconds * 1000).toLocaleDateString();
+
+// Issuer-signed certificates from fetchCertificates: who issued each, when, and whether it still holds
+function CertificateList({ certificates }) {
+  if (certificates.length === 0) return <p className="mt-2 text-sm opacity-70">No issuer-signed certificates attached.</p>;
+  return (
+    <ul className="mt-2 space-y-3 text-sm">
+      {certificates.map(certificate => {
+        const badge = STATE_BADGES[certificate.state];
+        return (
+          <li key={certificate.id} className="p-3 bg-gray-800 rounded-lg">
+            <span className={`inline-block px-2 py-0.5 rounded text-xs font-semibold ${badge.className}`}>{badge.label}</span>{' '}
+            <strong>{CERT_TYPE_NAMES[certificate.certType]}</strong> certificate #{certificate.id}
+            <span className="block text-xs opacity-70 break-all">Issued by {certificate.issuerName || 'an unknown issuer'} ({certificate.issuer})</span>
+            <span className="block text-xs opacity-70">
+              Issued {formatDate(certificate.issuedAt)}, {certificate.expiresAt === 0 ? 'no expiry' : `expires ${formatDate(certificate.expiresAt)}`}
+            </span>
+            {certificate.revoked && (
+              <span className="block text-xs text-red-300">Revoked {formatDate(certificate.revokedAt)}{certificate.revocationReason && `: ${certificate.revocationReason}`}</span>
+            )}
+            <span className="block mt-1"><CertificateStatus digest={certificate.digest} uri={certificate.uri} /></span>
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
+export default CertificateList;
@@ -0,0 +1,195 @@
+import { useEffect, useState } from 'react';
+import Spinner from './Spinner.jsx';
+import { uploadCertificate } from './certificateStore.js';
+import { CERT_TYPE_NAMES, decodeSignedAttestation, signAttestation } from './certificates.js';
+import { errorMessage } from './errors.js';
+import { findEvent, write } from '../../sdk/index.js';
+
+const inputClass = 'border border-fuchsia-600 p-3 rounded-lg bg-gray-800 text-fuchsia-200 focus:ring-fuchsia-500 focus:border-fuchsia-500';
+const buttonClass = 'bg-fuchsia-600 text-white px-6 py-3 rounded-lg hover:bg-fuchsia-700 w-full disabled:opacity-60 flex items-center justify-center gap-2 font-semibold';
+
+// "2025-05-01" -> unix seconds at local midnight
+const dateToSeconds = (date) => Math.floor(new Date(`${date}T00:00`).getTime() / 1000);
+const todayInputValue = () => new Date(Date.now() - new Date().getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+
+// Registered issuers sign attestations for a batch and revoke their certificates here. Anyone can
+// attach a signed attestation they were handed, since the issuer's signature is what counts.
+function CertificatePanel({ certificateRegistry, account }) {
+  const [issuer, setIssuer] = useState(null); // { name, certType } while the account is an active issuer
+  const [signBatchId, setSignBatchId] = useState('');
+  const [issuedDate, setIssuedDate] = useState(todayInputValue());
+  const [expiryDate, setExpiryDate] = useState('');
+  const [signedAttestation, setSignedAttestation] = useState('');
+  const [attachInput, setAttachInput] = useState('');
+  const [revokeId, setRevokeId] = useState('');
+  const [revokeReason, setRevokeReason] = useState('');
+  const [pendingAction, setPendingAction] = useState(null); // 'sign' | 'attach' | 'revoke'
+  const [feedback, setFeedback] = useState({ text: '', type: '' });
+
+  useEffect(() => {
+    let cancelled = false;
+    certificateRegistry.issuers(account)
+      .then((registered) => {
+        if (!cancelled) setIssuer(registered.active ? { name: registered.name, certType: Number(registered.certType) } : null);
+      })
+      .catch((error) => console.warn("Failed to look up certificate issuer:", error));
+    return () => { cancelled = true; };
+  }, [certificateRegistry, account]);
+
+  const handleSign = async (e) => {
+    e.preventDefault();
+    setFeedback({ text: '', type: '' });
+    setSignedAttestation('');
+    const batchId = parseInt(signBatchId);
+    if (isNaN(batchId) || batchId <= 0) return setFeedback({ text: "Please enter a valid Batch ID.", type: 'error' });
+    const certificateFile = e.target.elements.certificateFile.files[0];
+    if (!certificateFile) return setFeedback({ text: "Please choose the certificate document.", type: 'error' });
+    // A certificate issued today is dated now, since the registry refuses issue times in the future
+    const issuedAt = Math.min(dateToSeconds(issuedDate), Math.floor(Date.now() / 1000));
+    const expiresAt = expiryDate ? dateToSeconds(expiryDate) : 0;
+    if (expiresAt !== 0 && expiresAt <= issuedAt) return setFeedback({ text: "The expiry date must be after the issue date.", type: 'error' });
+
+    setPendingAction('sign');
+    try {
+      setFeedback({ text: "Uploading certificate document...", type: 'info' });
+      const { digest, uri } = await uploadCertificate(certificateFile);
+      setFeedback({ text: "Waiting for your signature...", type: 'info' });
+      const signed = await signAttestation(certificateRegistry.runner, certificateRegistry,
+        { batchId, certType: issuer.certType, digest, uri, issuedAt, expiresAt });
+      setSignedAttestation(signed);
+      setFeedback({ text: `Attestation signed for batch ${batchId}. Send it to the packager, or attach it yourself.`, type: 'success' });
+      e.target.reset();
+    } catch (error) {
+      console.error("Failed to sign attestation:", error);
+      setFeedback({ text: `Failed to sign attestation: ${errorMessage(error, certificateRegistry)}`, type: 'error' });
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  const attach = async (text) => {
+    setFeedback({ text: '', type: '' });
+    let signed;
+    try {
+      const { chainId } = await certificateRegistry.runner.provider.getNetwork();
+      signed = decodeSignedAttestation(text, chainId, await certificateRegistry.getAddress());
+    } catch (error) {
+      return setFeedback({ text: error.message, type: 'error' });
+    }
+
+    setPendingAction('attach');
+    try {
+      const tx = await write(certificateRegistry, 'attachCertificate', signed.attestation, signed.signature);
+      const attached = await findEvent(certificateRegistry, tx, 'CertificateAttached');
+      setFeedback({ text: `${CERT_TYPE_NAMES[signed.attestation.certType]} certificate #${attached.args.certificateId} attached to batch ${signed.attestation.batchId}.`, type: 'success' });
+      setAttachInput('');
+      setSignedAttestation('');
+    } catch (error) {
+      console.error("Failed to attach certificate:", error);
+      setFeedback({ text: `Failed to attach certificate: ${errorMessage(error, certificateRegistry)}`, type: 'error' });
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  const handleRevoke = async (e) => {
+    e.preventDefault();
+    setFeedback({ text: '', type: '' });
+    const certificateId = parseInt(revokeId);
+    if (isNaN(certificateId) || certificateId <= 0) return setFeedback({ text: "Please enter a valid Certificate ID.", type: 'error' });
+    if (!revokeReason.trim()) return setFeedback({ text: "Please give a reason for the revocation.", type: 'error' });
+
+    setPendingAction('revoke');
+    try {
+      const tx = await write(certificateRegistry, 'revokeCertificate', certificateId, revokeReason.trim());
+      await tx.wait();
+      setFeedback({ text: `Certificate #${certificateId} revoked.`, type: 'success' });
+      setRevokeId('');
+      setRevokeReason('');
+    } catch (error) {
+      console.error("Failed to revoke certificate:", error);
+      setFeedback({ text: `Failed to revoke certificate: ${errorMessage(error, certificateRegistry)}`, type: 'error' });
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  return (
+    <section className="mb-10 p-6 bg-gray-900 border border-gray-700 rounded-xl shadow-lg max-w-lg mx-auto">
+      <h2 className="text-3xl font-semibold mb-6 text-fuchsia-400">Certificates</h2>
+
+      {issuer && (
+        <>
+          <form onSubmit={handleSign} className="space-y-4">
+            <h3 className="text-lg font-semibold text-fuchsia-300">Sign {CERT_TYPE_NAMES[issuer.certType]} Certificate</h3>
+            <p className="text-sm text-gray-400">Signing as {issuer.name}.</p>
+            <input type="number" placeholder="Batch ID" value={signBatchId} onChange={(e) => setSignBatchId(e.target.value)} className={`${inputClass} w-full`} required />
+            <label className="block text-fuchsia-200">
+              Certificate Document
+              <input type="file" name="certificateFile" accept="application/pdf,image/*" className={`mt-2 w-full ${inputClass}`} required />
+            </label>
+            <div className="flex gap-3">
+              <label className="flex-1 text-fuchsia-200 text-sm">
+                Issued
+                <input type="date" value={issuedDate} max={todayInputValue()} onChange={(e) => setIssuedDate(e.target.value)} className={`mt-1 w-full ${inputClass}`} required />
+              </label>
+              <label className="flex-1 text-fuchsia-200 text-sm">
+                Expires (optional)
+                <input type="date" value={expiryDate} onChange={(e) => setExpiryDate(e.target.value)} className={`mt-1 w-full ${inputClass}`} />
+              </label>
+            </div>
+            <button type="submit" className={buttonClass} disabled={pendingAction !== null}>
+              {pendingAction === 'sign' ? <><Spinner /> Signing...</> : 'Sign Attestation'}
+            </button>
+          </form>
+          {signedAttestation && (
+            <div className="mt-4 space-y-2">
+              <textarea readOnly value={signedAttestation} className={`${inputClass} w-full font-mono text-xs`} rows={8} />
+              <div className="flex gap-3">
+                <button type="button" onClick={() => navigator.clipboard.writeText(signedAttestation)} className="bg-gray-700 text-white px-4 py-2 rounded-lg hover:bg-gray-600 text-sm font-semibold">Copy</button>
+                <button type="button" onClick={() => attach(signedAttestation)} className="bg-fuchsia-700 text-fuchsia-100 px-4 py-2 rounded-lg hover:bg-fuchsia-800 text-sm font-semibold disabled:opacity-60" disabled={pendingAction !== null}>Attach Now</button>
+              </div>
+            </div>
+          )}
+        </>
+      )}
+
+      <form onSubmit={(e) => { e.preventDefault(); attach(attachInput); }} className={`space-y-4 ${issuer ? 'mt-8' : ''}`}>
+        <h3 className="text-lg font-semibold text-fuchsia-300">Attach Signed Certificate</h3>
+        <textarea
+          placeholder="Paste the signed attestation JSON from the issuer"
+          value={attachInput}
+          onChange={(e) => setAttachInput(e.target.value)}
+          className={`${inputClass} w-full font-mono text-xs`}
+          rows={5}
+          required
+        />
+        <button type="submit" className={buttonClass} disabled={pendingAction !== null}>
+          {pendingAction === 'attach' ? <><Spinner /> Attaching...</> : 'Attach Certificate'}
+        </button>
+      </form>
+
+      {issuer && (
+        <form onSubmit={handleRevoke} className="space-y-4 mt-8">
+          <h3 className="text-lg font-semibold text-fuchsia-300">Revoke Certificate</h3>
+          <input type="number" placeholder="Certificate ID" value={revokeId} onChange={(e) => setRevokeId(e.target.value)} className={`${inputClass} w-full`} required />
+          <input placeholder="Reason (e.g., Supplier audit failed)" value={revokeReason} onChange={(e) => setRevokeReason(e.target.value)} className={`${inputClass} w-full`} required />
+          <button type="submit" className="bg-red-600 text-white px-6 py-3 rounded-lg hover:bg-red-700 w-full disabled:opacity-60 flex items-center justify-center gap-2 font-semibold" disabled={pendingAction !== null}>
+            {pendingAction === 'revoke' ? <><Spinner /> Revoking...</> : 'Revoke Certificate'}
+          </button>
+        </form>
+      )}
+
+      {feedback.text && (
+        <p className={`mt-4 text-base font-medium break-all ${
+          feedback.type === 'error' ? 'text-red-500' :
+          feedback.type === 'success' ? 'text-green-400' : 'text-yellow-400'
+        }`}>
+          {feedback.text}
+        </p>
+      )}
+    </section>
+  );
+}
+
+export default CertificatePanel;
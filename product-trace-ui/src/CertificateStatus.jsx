@@ -0,0 +1,47 @@
+import { useEffect, useState } from 'react';
+import Spinner from './Spinner.jsx';
+import { CERT_STATUS, certificateUrl, verifyCertificate } from './certificateStore.js';
+
+const BADGES = {
+  [CERT_STATUS.VERIFIED]: { label: 'Verified', className: 'bg-green-800 text-green-200' },
+  [CERT_STATUS.MISMATCH]: { label: 'Digest mismatch', className: 'bg-red-800 text-red-200' },
+  [CERT_STATUS.UNAVAILABLE]: { label: 'Document unavailable', className: 'bg-yellow-800 text-yellow-200' },
+};
+
+// On-chain certificate digest, plus a link to the stored document and whether it still matches
+function CertificateStatus({ digest, uri }) {
+  const [result, setResult] = useState(null); // { uri, expectedDigest, status }
+
+  useEffect(() => {
+    if (!uri) return;
+    let cancelled = false;
+    verifyCertificate(uri, digest).then((verification) => {
+      if (!cancelled) setResult({ uri, expectedDigest: digest, status: verification.status });
+    });
+    return () => { cancelled = true; };
+  }, [uri, digest]);
+
+  if (!digest) return <span>Not provided</span>;
+
+  // A result for a previous product stays in state until the new check finishes
+  const isCurrent = result && result.uri === uri && result.expectedDigest === digest;
+  const badge = isCurrent && BADGES[result.status];
+
+  return (
+    <span className="inline-flex flex-col gap-1">
+      <span className="font-mono break-all">{digest}</span>
+      {uri && (
+        <span className="flex flex-wrap items-center gap-2 font-sans">
+          {isCurrent ? (
+            <span className={`text-xs font-semibold px-2 py-0.5 rounded ${badge.className}`}>{badge.label}</span>
+          ) : (
+            <span className="text-xs text-gray-400"><Spinner /> Checking document...</span>
+          )}
+          <a href={certificateUrl(uri)} target="_blank" rel="noopener noreferrer" className="text-xs underline">View document</a>
+        </span>
+      )}
+    </span>
+  );
+}
+
+export default CertificateStatus;
@@ -0,0 +1,198 @@
+import { useEffect, useState } from 'react';
+import { ethers } from 'ethers';
+import Spinner from './Spinner.jsx';
+import CustodyChain from './CustodyChain.jsx';
+import CertificateStatus from './CertificateStatus.jsx';
+import CertificateList from './CertificateList.jsx';
+import { fetchCertificates } from './certificates.js';
+import DeclaredTimeField from './DeclaredTimeField.jsx';
+import { formatDeclaredTime } from './declaredTime.js';
+import StageBadge from './StageBadge.jsx';
+import StageHistory from './StageHistory.jsx';
+import { fetchStageReasons } from './stageChanges.js';
+import {
+  STAGE_QUALITY_HOLD, STAGE_REJECTED, STAGE_RECALLED, STAGE_DESTROYED,
+  hasReachedStep, normalizeCustodyHistory, normalizeTrace,
+} from './trace.js';
+import { getDeployment, networkLabel } from './deployments.js';
+import { getCustodyHistory, getTrace } from '../../sdk/index.js';
+
+// Shoppers scanning a QR code have no wallet, so this page reads through a plain JSON-RPC endpoint.
+const PUBLIC_RPC_URL = import.meta.env.VITE_PUBLIC_RPC_URL || 'http://127.0.0.1:8545';
+
+const TIMELINE_STAGES = [
+  { stage: 1, label: 'Raw materials sourced' },
+  { stage: 2, label: 'Production' },
+  { stage: 3, label: 'Packaged & certified' },
+  { stage: 4, label: 'Distributed' },
+];
+
+// Stages a shopper must be warned about, with what to tell them
+const STAGE_WARNINGS = {
+  [STAGE_QUALITY_HOLD]: 'This product is on hold pending a quality check.',
+  [STAGE_REJECTED]: 'This product failed its quality checks and should not be sold.',
+  [STAGE_RECALLED]: 'This product has been recalled. Do not consume it.',
+  [STAGE_DESTROYED]: 'This product has been destroyed and should not be on sale.',
+};
+
+// Times for each timeline step: the declared time and its block time where the step has one,
+// otherwise just when it was recorded
+const stageTime = (trace, stage) => {
+  switch (stage) {
+    case 1: return { declared: trace.productPickupTime, blockTimestamp: trace.productCreatedAt };
+    case 2: return trace.batchId !== '0' ? { declared: trace.batchDeclaredStartTime, blockTimestamp: trace.batchStartTimestamp } : null;
+    case 3: return { declared: trace.batchDeclaredPackagingTime, blockTimestamp: trace.batchPackagingTimestamp };
+    case 4: return trace.productStage === 4 ? { recorded: trace.productLastUpdateTimestamp } : null;
+    default: return null;
+  }
+};
+
+function ConsumerTracePage({ productId }) {
+  const [trace, setTrace] = useState(null);
+  const [status, setStatus] = useState({ loading: true, text: '', type: '' });
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      try {
+        const provider = new ethers.JsonRpcProvider(PUBLIC_RPC_URL);
+        const { chainId } = await provider.getNetwork();
+        const deployment = getDeployment(chainId);
+        if (!deployment) {
+          if (cancelled) return;
+          setStatus({ loading: false, text: `Tracing is not available on ${networkLabel(Number(chainId))}.`, type: 'error' });
+          return;
+        }
+        const contract = new ethers.Contract(deployment.address, deployment.abi, provider);
+        const [plainTrace, custodyHistory, stageReasons] = await Promise.all([
+          getTrace(contract, productId),
+          getCustodyHistory(contract, productId),
+          // A failed event scan (e.g. an RPC that limits log ranges) only loses the reasons
+          fetchStageReasons(contract, productId, deployment.deployBlock ?? 0).catch((error) => {
+            console.warn("Failed to load stage change reasons:", error);
+            return null;
+          }),
+        ]);
+        const normalized = normalizeTrace(plainTrace);
+        const certificates = deployment.certificateRegistry
+          ? await fetchCertificates(new ethers.Contract(deployment.certificateRegistry.address, deployment.certificateRegistry.abi, provider), normalized.batchId)
+          : [];
+        if (cancelled) return;
+        setTrace({ ...normalized, custodyHistory: normalizeCustodyHistory(custodyHistory), stageReasons, certificates });
+        setStatus({ loading: false, text: '', type: '' });
+      } catch (error) {
+        if (cancelled) return;
+        console.error("Failed to load public trace:", error);
+        setStatus({ loading: false, text: `We could not find a trace for product #${productId}.`, type: 'error' });
+      }
+    };
+    load();
+    return () => { cancelled = true; };
+  }, [productId]);
+
+  return (
+    <div className="p-4 max-w-2xl mx-auto">
+      <header className="mb-8 text-center">
+        <h1 className="text-3xl font-extrabold text-indigo-400 tracking-wide">Product Origin</h1>
+        <p className="mt-2 text-sm text-gray-400">Verified on the blockchain for product #{productId}</p>
+      </header>
+
+      {status.loading && <p className="text-center text-gray-300"><Spinner /> Loading trace...</p>}
+      {status.text && <p className={`text-center ${status.type === 'error' ? 'text-red-500' : 'text-gray-300'}`}>{status.text}</p>}
+
+      {trace && (
+        <>
+          <section className="mb-8 p-6 bg-gray-900 border border-gray-700 rounded-xl shadow-lg">
+            <h2 className="text-2xl font-semibold text-indigo-300">{trace.productName}</h2>
+            <p className="mt-1 text-sm text-gray-400">Current stage: <StageBadge stage={trace.productStage} /></p>
+            {STAGE_WARNINGS[trace.productStage] && (
+              <div className="mt-4 p-4 rounded-lg bg-red-950 border border-red-700 text-red-100">
+                <p className="font-semibold">{STAGE_WARNINGS[trace.productStage]}</p>
+                <StageHistory reasons={trace.stageReasons && trace.stageReasons.filter(entry => entry.stage === trace.productStage).slice(-1)} />
+              </div>
+            )}
+            <ol className="mt-6 space-y-4">
+              {TIMELINE_STAGES.map(({ stage, label }) => {
+                const reached = hasReachedStep(trace, stage);
+                const time = reached ? stageTime(trace, stage) : null;
+                return (
+                  <li key={stage} className="flex items-start gap-3">
+                    <span className={`mt-1 h-3 w-3 rounded-full flex-shrink-0 ${reached ? 'bg-green-400' : 'bg-gray-600'}`} />
+                    <div>
+                      <p className={reached ? 'text-white font-medium' : 'text-gray-500'}>{label}</p>
+                      {time?.declared && (
+                        <p className="text-xs text-gray-400"><DeclaredTimeField declared={time.declared} blockTimestamp={time.blockTimestamp} /></p>
+                      )}
+                      {time?.recorded && <p className="text-xs text-gray-400">{time.recorded}</p>}
+                    </div>
+                  </li>
+                );
+              })}
+            </ol>
+          </section>
+
+          {trace.consumedProductIds.length > 0 && (
+            <section className="mb-8 p-6 bg-gray-900 border border-gray-700 rounded-xl shadow-lg">
+              <h3 className="text-xl font-semibold mb-4 text-yellow-400">Ingredients</h3>
+              <ul className="space-y-2">
+                {trace.consumedProductIds.map((id, idx) => (
+                  <li key={id} className="flex justify-between gap-4 text-sm">
+                    <span className="text-white">{trace.consumedProductNames[idx]}</span>
+                    <span className="text-gray-400 text-right">from {trace.consumedProductSources[idx] || 'unknown source'}</span>
+                  </li>
+                ))}
+              </ul>
+            </section>
+          )}
+
+          {trace.consumedProductIds.length === 0 && trace.productSource && (
+            <section className="mb-8 p-6 bg-gray-900 border border-gray-700 rounded-xl shadow-lg">
+              <h3 className="text-xl font-semibold mb-2 text-yellow-400">Origin</h3>
+              <p className="text-sm text-white">{trace.productSource}</p>
+              {trace.productQuality && <p className="text-xs text-gray-400">Quality: {trace.productQuality}</p>}
+            </section>
+          )}
+
+          <section className="mb-8 p-6 bg-gray-900 border border-gray-700 rounded-xl shadow-lg">
+            <h3 className="text-xl font-semibold mb-4 text-green-400">Certificates</h3>
+            <dl className="space-y-3 text-sm">
+              <div>
+                <dt className="text-gray-400">Halal</dt>
+                <dd className="text-white"><CertificateStatus digest={trace.batchHalalCertHash} uri={trace.batchHalalCertUri} /></dd>
+              </div>
+              <div>
+                <dt className="text-gray-400">BPOM</dt>
+                <dd className="text-white"><CertificateStatus digest={trace.batchBpomCertHash} uri={trace.batchBpomCertUri} /></dd>
+              </div>
+            </dl>
+            {trace.certificates.length > 0 && (
+              <div className="mt-4 text-gray-300">
+                <p className="text-sm text-gray-400">Signed by the issuing authority</p>
+                <CertificateList certificates={trace.certificates} />
+              </div>
+            )}
+          </section>
+
+          {trace.custodyHistory.length > 1 && (
+            <section className="mb-8 p-6 bg-gray-900 border border-gray-700 rounded-xl shadow-lg text-gray-300">
+              <h3 className="text-xl font-semibold text-indigo-300">Handled By</h3>
+              <CustodyChain history={trace.custodyHistory} />
+            </section>
+          )}
+
+          {trace.productDistribution && (
+            <section className="mb-8 p-6 bg-gray-900 border border-gray-700 rounded-xl shadow-lg">
+              <h3 className="text-xl font-semibold mb-4 text-sky-400">Shipping</h3>
+              {trace.productDistribution.destination && <p className="text-sm text-white">Shipped to {trace.productDistribution.destination}</p>}
+              {trace.productDistribution.carrier && <p className="text-sm text-gray-400">Carrier: {trace.productDistribution.carrier}</p>}
+              {trace.productDistribution.dispatchTime && <p className="text-sm text-gray-400">Dispatched: {formatDeclaredTime(trace.productDistribution.dispatchTime)}</p>}
+              {trace.productDistribution.notes && <p className="text-sm text-gray-400">{trace.productDistribution.notes}</p>}
+            </section>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default ConsumerTracePage;
@@ -0,0 +1,27 @@
+// Ordered list of everyone who has held the product, from its creator to the current owner
+function CustodyChain({ history }) {
+  if (!history || history.length === 0) return null;
+
+  return (
+    <div className="mt-4 text-sm">
+      <p className="mb-2"><strong>Chain of Custody:</strong></p>
+      <ol className="space-y-2">
+        {history.map((record, index) => (
+          <li key={`${record.custodian}-${index}`} className="flex items-start gap-3">
+            <span className="mt-1 text-xs font-semibold px-2 py-0.5 rounded bg-indigo-700">{index + 1}</span>
+            <div>
+              <p className="font-mono text-xs break-all">{record.custodian}</p>
+              <p className="text-xs opacity-80">
+                {index === 0 ? 'Created' : 'Took custody'} {record.since}
+                {index === history.length - 1 && ' (current custodian)'}
+              </p>
+              {record.note && <p className="text-xs italic">{record.note}</p>}
+            </div>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
+
+export default CustodyChain;
@@ -0,0 +1,198 @@
+import { useCallback, useEffect, useState } from 'react';
+import { ethers } from 'ethers';
+import Spinner from './Spinner.jsx';
+import { resolveAddressInput } from './addresses.js';
+import { STAGE_NAMES } from './trace.js';
+import { errorMessage } from './errors.js';
+import { fetchProductsByOwner, write } from '../../sdk/index.js';
+
+// Pending transfers found through CustodyTransferProposed events, confirmed against pendingTransfers(id)
+// because a proposal may since have been replaced, cancelled or accepted.
+const loadPendingTransfers = async (contract, filter, fromBlock, isStillPending) => {
+  const events = await contract.queryFilter(filter, fromBlock);
+  const productIds = [...new Set(events.map(event => event.args.productId.toString()))];
+  const rows = await Promise.all(productIds.map(async (productId) => {
+    const [pending, product] = await Promise.all([contract.pendingTransfers(productId), contract.products(productId)]);
+    if (!isStillPending(pending, product)) return null;
+    return {
+      productId,
+      name: product.name,
+      stage: Number(product.stage),
+      from: product.productOwner,
+      to: pending.to,
+      note: pending.note,
+      proposedAt: new Date(Number(pending.proposedAt) * 1000).toLocaleString(),
+    };
+  }));
+  return rows.filter(Boolean);
+};
+
+function CustodyPanel({ contract, provider, account, fromBlock, onSelectProduct }) {
+  const [ownedProducts, setOwnedProducts] = useState([]);
+  const [incoming, setIncoming] = useState([]);
+  const [outgoing, setOutgoing] = useState([]);
+  const [acceptNotes, setAcceptNotes] = useState({});
+  const [isLoading, setIsLoading] = useState(false);
+  const [pendingAction, setPendingAction] = useState(null); // { type: 'propose' | 'accept' | 'cancel', productId }
+  const [feedback, setFeedback] = useState({ text: '', type: '' });
+
+  const loadTransfers = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const sameAddress = (a, b) => a.toLowerCase() === b.toLowerCase();
+      const [owned, incomingRows, outgoingRows] = await Promise.all([
+        fetchProductsByOwner(contract, account),
+        loadPendingTransfers(contract, contract.filters.CustodyTransferProposed(null, null, account), fromBlock,
+          (pending) => sameAddress(pending.to, account)),
+        loadPendingTransfers(contract, contract.filters.CustodyTransferProposed(null, account), fromBlock,
+          (pending, product) => pending.to !== ethers.ZeroAddress && sameAddress(product.productOwner, account)),
+      ]);
+      setOwnedProducts(owned.map(product => ({ id: product.id.toString(), name: product.name, stage: Number(product.stage) })));
+      setIncoming(incomingRows);
+      setOutgoing(outgoingRows);
+    } catch (error) {
+      console.error("Failed to load custody transfers:", error);
+      setFeedback({ text: `Failed to load custody transfers: ${errorMessage(error, contract)}`, type: 'error' });
+    } finally {
+      setIsLoading(false);
+    }
+  }, [contract, account, fromBlock]);
+
+  useEffect(() => {
+    loadTransfers();
+  }, [loadTransfers]);
+
+  const runAction = async (action, send, successText) => {
+    setFeedback({ text: '', type: '' });
+    setPendingAction(action);
+    try {
+      const tx = await send();
+      await tx.wait();
+      setFeedback({ text: successText, type: 'success' });
+      await loadTransfers();
+      return true;
+    } catch (error) {
+      console.error(`Custody ${action.type} failed:`, error);
+      setFeedback({ text: `Failed to ${action.type} transfer: ${errorMessage(error, contract)}`, type: 'error' });
+      return false;
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  const handleProposeTransfer = async (e) => {
+    e.preventDefault();
+    const form = e.target;
+    const productId = form.productId.value;
+    let recipient;
+    try {
+      recipient = await resolveAddressInput(provider, form.recipient.value);
+    } catch (error) {
+      return setFeedback({ text: error.message, type: 'error' });
+    }
+    if (recipient.toLowerCase() === account.toLowerCase()) {
+      return setFeedback({ text: "You already hold this product.", type: 'warn' });
+    }
+
+    const sent = await runAction(
+      { type: 'propose', productId },
+      () => write(contract, 'proposeCustodyTransfer', productId, recipient, form.note.value.trim()),
+      `Transfer of product #${productId} proposed to ${recipient}. It takes effect once they accept.`
+    );
+    if (sent) form.reset();
+  };
+
+  const handleAcceptTransfer = (productId) => runAction(
+    { type: 'accept', productId },
+    () => write(contract, 'acceptCustodyTransfer', productId, (acceptNotes[productId] || '').trim()),
+    `You are now the custodian of product #${productId}.`
+  );
+
+  const handleCancelTransfer = (productId) => runAction(
+    { type: 'cancel', productId },
+    () => write(contract, 'cancelCustodyTransfer', productId),
+    `Transfer of product #${productId} cancelled.`
+  );
+
+  const isBusy = pendingAction !== null;
+
+  return (
+    <section className="mb-10 p-6 bg-gray-900 border border-gray-700 rounded-xl shadow-lg max-w-lg mx-auto">
+      <h2 className="text-3xl font-semibold mb-6 text-orange-400">Custody Transfers</h2>
+
+      <h3 className="text-xl font-semibold mb-3 text-orange-300">Incoming Transfers</h3>
+      {isLoading && <p className="text-sm text-gray-400"><Spinner /> Loading transfers...</p>}
+      {!isLoading && incoming.length === 0 && <p className="text-sm text-gray-400">No products are waiting for you to accept.</p>}
+      <ul className="space-y-3">
+        {incoming.map((transfer) => (
+          <li key={transfer.productId} className="p-3 bg-gray-800 rounded-lg text-sm text-orange-100">
+            <button type="button" onClick={() => onSelectProduct?.(transfer.productId)} className="font-semibold hover:underline">
+              #{transfer.productId} {transfer.name}
+            </button>
+            <span className="ml-2 text-xs text-gray-400">{STAGE_NAMES[transfer.stage]}</span>
+            <p className="text-xs text-gray-400">From <span className="font-mono break-all">{transfer.from}</span> on {transfer.proposedAt}</p>
+            {transfer.note && <p className="mt-1 text-xs italic">"{transfer.note}"</p>}
+            <input
+              placeholder="Receipt note (optional)"
+              value={acceptNotes[transfer.productId] || ''}
+              onChange={(e) => setAcceptNotes(prev => ({ ...prev, [transfer.productId]: e.target.value }))}
+              className="mt-2 border border-orange-600 p-2 w-full rounded-lg bg-gray-900 text-orange-200 text-xs"
+            />
+            <div className="mt-2 flex gap-2">
+              <button type="button" onClick={() => handleAcceptTransfer(transfer.productId)} className="bg-orange-600 text-white px-4 py-2 rounded-lg hover:bg-orange-700 text-xs font-semibold disabled:opacity-60" disabled={isBusy}>
+                {pendingAction?.type === 'accept' && pendingAction.productId === transfer.productId ? <Spinner /> : 'Accept'}
+              </button>
+              <button type="button" onClick={() => handleCancelTransfer(transfer.productId)} className="bg-gray-700 text-white px-4 py-2 rounded-lg hover:bg-gray-600 text-xs font-semibold disabled:opacity-60" disabled={isBusy}>
+                {pendingAction?.type === 'cancel' && pendingAction.productId === transfer.productId ? <Spinner /> : 'Decline'}
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      <h3 className="text-xl font-semibold mt-8 mb-3 text-orange-300">Hand Over Custody</h3>
+      <form onSubmit={handleProposeTransfer} className="space-y-4">
+        <select name="productId" className="border border-orange-600 p-3 w-full rounded-lg bg-gray-800 text-orange-200" required defaultValue="">
+          <option value="">Select one of your products</option>
+          {ownedProducts.map((product) => (
+            <option key={product.id} value={product.id}>
+              {product.name} (ID: {product.id}, {STAGE_NAMES[product.stage]})
+            </option>
+          ))}
+        </select>
+        <input name="recipient" placeholder="Recipient address (0x...) or ENS name" className="border border-orange-600 p-3 w-full rounded-lg bg-gray-800 text-orange-200" required />
+        <input name="note" placeholder="Note (optional, e.g., truck, seal or delivery reference)" className="border border-orange-600 p-3 w-full rounded-lg bg-gray-800 text-orange-200" />
+        <button type="submit" className="bg-orange-600 text-white px-6 py-3 rounded-lg hover:bg-orange-700 w-full disabled:opacity-60 flex items-center justify-center gap-2 font-semibold" disabled={isBusy}>
+          {pendingAction?.type === 'propose' ? <><Spinner /> Processing...</> : 'Propose Transfer'}
+        </button>
+      </form>
+
+      {outgoing.length > 0 && (
+        <>
+          <h3 className="text-lg font-semibold mt-6 mb-2 text-orange-300">Awaiting Acceptance</h3>
+          <ul className="space-y-2 text-sm text-orange-100">
+            {outgoing.map((transfer) => (
+              <li key={transfer.productId} className="flex items-center justify-between gap-3 p-2 bg-gray-800 rounded-lg">
+                <span>#{transfer.productId} {transfer.name} to <span className="font-mono text-xs break-all">{transfer.to}</span></span>
+                <button type="button" onClick={() => handleCancelTransfer(transfer.productId)} className="text-xs text-red-500 hover:text-red-700 disabled:opacity-60" disabled={isBusy}>
+                  {pendingAction?.type === 'cancel' && pendingAction.productId === transfer.productId ? <Spinner /> : 'Cancel'}
+                </button>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      {feedback.text && (
+        <p className={`mt-4 text-base font-medium break-all ${
+          feedback.type === 'error' ? 'text-red-500' :
+          feedback.type === 'success' ? 'text-green-400' : 'text-yellow-400'
+        }`}>
+          {feedback.text}
+        </p>
+      )}
+    </section>
+  );
+}
+
+export default CustodyPanel;
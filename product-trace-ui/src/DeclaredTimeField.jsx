@@ -0,0 +1,19 @@
+import { describeDrift, formatDeclaredTime } from './declaredTime.js';
+
+// A step's declared time next to the block time it was recorded at, with a drift warning
+function DeclaredTimeField({ declared, blockTimestamp }) {
+  const declaredText = formatDeclaredTime(declared);
+  const drift = describeDrift(declared, blockTimestamp);
+
+  return (
+    <span className="inline-flex flex-col">
+      <span>{declaredText || 'Not declared'}</span>
+      {blockTimestamp > 0 && (
+        <span className="text-xs opacity-80">Recorded on-chain {new Date(blockTimestamp * 1000).toLocaleString()}</span>
+      )}
+      {drift && <span className="text-xs text-yellow-400">⚠ {drift}</span>}
+    </span>
+  );
+}
+
+export default DeclaredTimeField;
@@ -0,0 +1,169 @@
+import { useState } from 'react';
+import { TrashIcon } from '@heroicons/react/24/outline';
+import Spinner from './Spinner.jsx';
+import { uploadCertificate } from './certificateStore.js';
+import { COMMON_PARAMETERS, SUBJECT_BATCH, SUBJECT_PRODUCT, collectMeasurements, emptyMeasurementRow } from './inspections.js';
+import { errorMessage } from './errors.js';
+import { write } from '../../sdk/index.js';
+
+const inputClass = 'border border-cyan-600 p-3 rounded-lg bg-gray-800 text-cyan-200 focus:ring-cyan-500 focus:border-cyan-500';
+
+// "Add inspection" form for auditors: appends an inspection record to a product or batch in any stage.
+// The report document is uploaded like a certificate, and only its digest and URI go on-chain.
+function InspectionPanel({ inspectionLog, onSelectProduct }) {
+  const [subject, setSubject] = useState(String(SUBJECT_PRODUCT));
+  const [subjectId, setSubjectId] = useState('');
+  const [passed, setPassed] = useState('true');
+  const [measurementRows, setMeasurementRows] = useState([emptyMeasurementRow()]);
+  const [notes, setNotes] = useState('');
+  const [isRecording, setIsRecording] = useState(false);
+  const [feedback, setFeedback] = useState({ text: '', type: '' });
+  const [lastRecorded, setLastRecorded] = useState(null); // { subject, subjectId }
+
+  const updateRow = (index, field, value) => {
+    setMeasurementRows(measurementRows.map((row, i) => {
+      if (i !== index) return row;
+      const updated = { ...row, [field]: value };
+      // Picking a common parameter fills in its usual unit
+      const common = field === 'parameter' && COMMON_PARAMETERS.find(p => p.parameter === value);
+      if (common && !row.unit) updated.unit = common.unit;
+      return updated;
+    }));
+  };
+
+  const handleRecordInspection = async (e) => {
+    e.preventDefault();
+    setFeedback({ text: '', type: '' });
+    setLastRecorded(null);
+    const id = parseInt(subjectId);
+    if (isNaN(id) || id <= 0) return setFeedback({ text: `Please enter a valid ${subject === String(SUBJECT_BATCH) ? 'Batch' : 'Product'} ID.`, type: 'error' });
+
+    let measurements;
+    try {
+      measurements = collectMeasurements(measurementRows);
+    } catch (error) {
+      return setFeedback({ text: error.message, type: 'error' });
+    }
+
+    const reportFile = e.target.elements.reportFile.files[0];
+    setIsRecording(true);
+    try {
+      let report = { digest: '', uri: '' };
+      if (reportFile) {
+        setFeedback({ text: "Uploading inspection report...", type: 'info' });
+        report = await uploadCertificate(reportFile);
+      }
+      setFeedback({ text: "Recording inspection...", type: 'info' });
+      const tx = await write(inspectionLog, 'recordInspection', Number(subject), id, passed === 'true', measurements, report.digest, report.uri, notes.trim());
+      await tx.wait();
+      setFeedback({ text: `Inspection recorded for ${subject === String(SUBJECT_BATCH) ? 'batch' : 'product'} ${id}.`, type: 'success' });
+      setLastRecorded({ subject: Number(subject), subjectId: id });
+      setMeasurementRows([emptyMeasurementRow()]);
+      setNotes('');
+      e.target.reset();
+    } catch (error) {
+      console.error("Failed to record inspection:", error);
+      setFeedback({ text: `Failed to record inspection: ${errorMessage(error, inspectionLog)}`, type: 'error' });
+    } finally {
+      setIsRecording(false);
+    }
+  };
+
+  return (
+    <section className="mb-10 p-6 bg-gray-900 border border-gray-700 rounded-xl shadow-lg max-w-lg mx-auto">
+      <h2 className="text-3xl font-semibold mb-6 text-cyan-400">Add Inspection</h2>
+      <form onSubmit={handleRecordInspection} className="space-y-5">
+        <div className="flex gap-3">
+          <select value={subject} onChange={(e) => setSubject(e.target.value)} className={inputClass} title="Inspected">
+            <option value={SUBJECT_PRODUCT}>Product</option>
+            <option value={SUBJECT_BATCH}>Batch</option>
+          </select>
+          <input
+            type="number"
+            placeholder={subject === String(SUBJECT_BATCH) ? 'Batch ID' : 'Product ID'}
+            value={subjectId}
+            onChange={(e) => setSubjectId(e.target.value)}
+            className={`${inputClass} flex-grow`}
+            required
+          />
+        </div>
+        <div className="flex gap-6 text-cyan-200">
+          <label className="flex items-center gap-2">
+            <input type="radio" name="result" value="true" checked={passed === 'true'} onChange={(e) => setPassed(e.target.value)} /> Passed
+          </label>
+          <label className="flex items-center gap-2">
+            <input type="radio" name="result" value="false" checked={passed === 'false'} onChange={(e) => setPassed(e.target.value)} /> Failed
+          </label>
+        </div>
+        <datalist id="inspection-parameters">
+          {COMMON_PARAMETERS.map(({ parameter }) => <option key={parameter} value={parameter} />)}
+        </datalist>
+        {measurementRows.map((row, index) => (
+          <div key={index} className="flex items-center gap-3">
+            <input
+              list="inspection-parameters"
+              placeholder="Parameter (e.g., moisture)"
+              value={row.parameter}
+              onChange={(e) => updateRow(index, 'parameter', e.target.value)}
+              className={`${inputClass} flex-grow min-w-0`}
+            />
+            <input
+              inputMode="decimal"
+              placeholder="Value"
+              value={row.value}
+              onChange={(e) => updateRow(index, 'value', e.target.value)}
+              className={`${inputClass} w-24`}
+            />
+            <input
+              placeholder="Unit"
+              value={row.unit}
+              onChange={(e) => updateRow(index, 'unit', e.target.value)}
+              className={`${inputClass} w-20`}
+            />
+            {measurementRows.length > 1 && (
+              <button
+                type="button"
+                onClick={() => setMeasurementRows(measurementRows.filter((_, i) => i !== index))}
+                className="p-2 text-red-500 hover:text-red-700"
+                title="Remove Measurement"
+              >
+                <TrashIcon className="h-5 w-5" />
+              </button>
+            )}
+          </div>
+        ))}
+        <button type="button" onClick={() => setMeasurementRows([...measurementRows, emptyMeasurementRow()])} className="bg-cyan-700 text-cyan-100 px-4 py-2 rounded-lg hover:bg-cyan-800 text-sm font-semibold">Add Another Measurement</button>
+        <label className="block text-cyan-200">
+          Inspection Report (optional)
+          <input type="file" name="reportFile" accept="application/pdf,image/*" className={`mt-2 w-full ${inputClass}`} />
+        </label>
+        <textarea
+          placeholder="Notes (e.g., Sample S-14 taken from pallet 3)"
+          value={notes}
+          onChange={(e) => setNotes(e.target.value)}
+          className={`${inputClass} w-full`}
+          rows={2}
+        />
+        <button type="submit" className="bg-cyan-600 text-white px-6 py-3 rounded-lg hover:bg-cyan-700 w-full disabled:opacity-60 flex items-center justify-center gap-2 font-semibold" disabled={isRecording}>
+          {isRecording ? <><Spinner /> Recording...</> : 'Add Inspection'}
+        </button>
+      </form>
+
+      {feedback.text && (
+        <p className={`mt-4 text-base font-medium ${
+          feedback.type === 'error' ? 'text-red-500' :
+          feedback.type === 'success' ? 'text-green-400' : 'text-yellow-400'
+        }`}>
+          {feedback.text}
+        </p>
+      )}
+      {lastRecorded?.subject === SUBJECT_PRODUCT && (
+        <button type="button" onClick={() => onSelectProduct?.(String(lastRecorded.subjectId))} className="mt-2 text-sm text-cyan-300 hover:underline">
+          View product {lastRecorded.subjectId} trace
+        </button>
+      )}
+    </section>
+  );
+}
+
+export default InspectionPanel;
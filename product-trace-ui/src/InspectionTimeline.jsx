@@ -0,0 +1,31 @@
+import CertificateStatus from './CertificateStatus.jsx';
+import { SUBJECT_NAMES, formatMeasurement } from './inspections.js';
+
+// Inspections from fetchInspections, oldest first, each with its result, measurements and report
+function InspectionTimeline({ inspections }) {
+  if (inspections.length === 0) return <p className="mt-2 text-sm opacity-70">No inspections recorded.</p>;
+  return (
+    <ol className="mt-2 space-y-3 border-l border-indigo-600 pl-4 text-sm">
+      {inspections.map(inspection => (
+        <li key={inspection.id}>
+          <span className={`inline-block px-2 py-0.5 rounded text-xs font-semibold ${inspection.passed ? 'bg-green-800 text-green-200' : 'bg-red-800 text-red-100'}`}>
+            {inspection.passed ? 'Passed' : 'Failed'}
+          </span>{' '}
+          {SUBJECT_NAMES[inspection.subject]} #{inspection.subjectId}
+          <span className="block text-xs opacity-70">{new Date(inspection.timestamp * 1000).toLocaleString()} by {inspection.inspector}</span>
+          {inspection.measurements.length > 0 && (
+            <ul className="mt-1">
+              {inspection.measurements.map((measurement, idx) => (
+                <li key={idx}>{measurement.parameter}: {formatMeasurement(measurement.value, measurement.unit)}</li>
+              ))}
+            </ul>
+          )}
+          {inspection.notes && <p className="mt-1">{inspection.notes}</p>}
+          {inspection.reportHash && <p className="mt-1"><strong>Report:</strong> <CertificateStatus digest={inspection.reportHash} uri={inspection.reportUri} /></p>}
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+export default InspectionTimeline;
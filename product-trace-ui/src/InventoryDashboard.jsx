@@ -0,0 +1,222 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import Spinner from './Spinner.jsx';
+import StageBadge from './StageBadge.jsx';
+import { STAGE_NAMES } from './trace.js';
+import { fetchIndexedProducts, isIndexerEnabled } from './indexerClient.js';
+import { formatAmount, formatQuantity } from './quantities.js';
+import { fetchAllProducts } from '../../sdk/index.js';
+import { errorMessage } from './errors.js';
+
+const PAGE_SIZE = 10;
+// Raw material lots with less than this share of their initial quantity left are highlighted
+const LOW_STOCK_RATIO = 0.2;
+
+// Contract calls that are valid for a product in each stage, with the lifecycle role each one needs
+// (null for none). All of them except using a lot as input are product-owner only; the quality
+// hold, rejection and recall changes are listed in the Quality & Delivery panel.
+const STAGE_ACTIONS = {
+  1: [{ label: 'Use as input', role: 'manufacturer', ownerOnly: false }, { label: 'Start production', role: 'manufacturer', ownerOnly: true }],
+  2: [{ label: 'Package', role: 'packager', ownerOnly: true }],
+  3: [{ label: 'Distribute', role: 'distributor', ownerOnly: true }],
+  4: [{ label: 'Mark delivered', role: 'distributor', ownerOnly: true }],
+  5: [{ label: 'Release or reject', role: null, ownerOnly: true }],
+  6: [{ label: 'Destroy', role: null, ownerOnly: true }],
+  7: [{ label: 'Destroy', role: null, ownerOnly: true }],
+  8: [],
+  9: [],
+};
+
+const COLUMNS = [
+  { key: 'id', label: 'ID' },
+  { key: 'name', label: 'Name' },
+  { key: 'stage', label: 'Stage' },
+  { key: 'owner', label: 'Owner' },
+  { key: 'source', label: 'Source' },
+  { key: 'quality', label: 'Quality' },
+  { key: 'availableQuantity', label: 'Available / Initial' },
+  { key: 'updatedAt', label: 'Last Update' },
+];
+
+const fromContract = (product) => ({
+  id: Number(product.id),
+  name: product.name,
+  source: product.source,
+  quality: product.quality,
+  initialQuantity: BigInt(product.initialQuantity),
+  availableQuantity: BigInt(product.availableQuantity),
+  unit: Number(product.unit),
+  stage: Number(product.stage),
+  owner: product.productOwner,
+  updatedAt: Number(product.timestamp),
+});
+
+const fromIndexer = (product) => ({
+  id: product.id,
+  name: product.name,
+  source: product.source || '',
+  quality: product.quality || '',
+  initialQuantity: BigInt(product.initialQuantity ?? 0),
+  availableQuantity: BigInt(product.availableQuantity ?? 0),
+  unit: product.unit ?? 0,
+  stage: product.stage,
+  owner: product.owner,
+  updatedAt: product.updatedAt,
+});
+
+const isLowStock = (product) =>
+  product.stage === 1 && product.initialQuantity > 0n &&
+  Number(product.availableQuantity) / Number(product.initialQuantity) < LOW_STOCK_RATIO;
+
+const compareBy = (key) => (a, b) => {
+  const x = a[key];
+  const y = b[key];
+  if (typeof x === 'string') return x.localeCompare(y);
+  return x < y ? -1 : x > y ? 1 : 0;
+};
+
+function InventoryDashboard({ contract, account, lifecycle, onSelectProduct }) {
+  const [products, setProducts] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [feedback, setFeedback] = useState({ text: '', type: '' });
+  const [search, setSearch] = useState('');
+  const [stageFilter, setStageFilter] = useState('');
+  const [myProductsOnly, setMyProductsOnly] = useState(false);
+  const [sort, setSort] = useState({ key: 'id', direction: 'desc' });
+  const [page, setPage] = useState(0);
+
+  const loadProducts = useCallback(async () => {
+    setIsLoading(true);
+    setFeedback({ text: '', type: '' });
+    try {
+      const list = isIndexerEnabled()
+        ? (await fetchIndexedProducts()).map(fromIndexer)
+        : (await fetchAllProducts(contract)).map(fromContract);
+      setProducts(list);
+    } catch (error) {
+      console.error("Failed to load products:", error);
+      setFeedback({ text: `Failed to load products: ${errorMessage(error, contract)}`, type: 'error' });
+    } finally {
+      setIsLoading(false);
+    }
+  }, [contract]);
+
+  useEffect(() => {
+    loadProducts();
+  }, [loadProducts]);
+
+  const visibleProducts = useMemo(() => {
+    const term = search.trim().toLowerCase();
+    const filtered = products.filter(product =>
+      (!myProductsOnly || product.owner.toLowerCase() === account.toLowerCase()) &&
+      (stageFilter === '' || product.stage === Number(stageFilter)) &&
+      (!term || [String(product.id), product.name, product.source, product.quality].some(field => field.toLowerCase().includes(term)))
+    );
+    const sorted = [...filtered].sort(compareBy(sort.key));
+    return sort.direction === 'desc' ? sorted.reverse() : sorted;
+  }, [products, search, stageFilter, myProductsOnly, sort, account]);
+
+  const pageCount = Math.max(1, Math.ceil(visibleProducts.length / PAGE_SIZE));
+  const currentPage = Math.min(page, pageCount - 1);
+  const pageRows = visibleProducts.slice(currentPage * PAGE_SIZE, (currentPage + 1) * PAGE_SIZE);
+
+  const toggleSort = (key) => {
+    setSort(prev => ({ key, direction: prev.key === key && prev.direction === 'asc' ? 'desc' : 'asc' }));
+  };
+
+  const updateFilter = (setter) => (e) => {
+    setter(e.target.type === 'checkbox' ? e.target.checked : e.target.value);
+    setPage(0);
+  };
+
+  return (
+    <section className="mb-10 p-6 bg-gray-900 border border-gray-700 rounded-xl shadow-lg">
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="text-3xl font-semibold text-teal-400">Inventory</h2>
+        <button type="button" onClick={loadProducts} className="bg-gray-700 text-white px-4 py-2 rounded-lg hover:bg-gray-600 text-sm font-semibold disabled:opacity-60" disabled={isLoading}>
+          {isLoading ? <><Spinner /> Loading...</> : 'Refresh'}
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-3 mb-4 text-sm">
+        <input
+          placeholder="Search ID, name, source or quality"
+          value={search}
+          onChange={updateFilter(setSearch)}
+          className="border border-teal-700 p-2 rounded-lg bg-gray-800 text-teal-100 flex-grow"
+        />
+        <select value={stageFilter} onChange={updateFilter(setStageFilter)} className="border border-teal-700 p-2 rounded-lg bg-gray-800 text-teal-100">
+          <option value="">All stages</option>
+          {STAGE_NAMES.slice(1).map((name, i) => <option key={name} value={i + 1}>{name}</option>)}
+        </select>
+        <label className="flex items-center gap-2 text-teal-100">
+          <input type="checkbox" checked={myProductsOnly} onChange={updateFilter(setMyProductsOnly)} />
+          My products only
+        </label>
+      </div>
+
+      {feedback.text && <p className="mb-4 text-red-500">{feedback.text}</p>}
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full table-auto border-collapse border border-teal-800 text-left text-teal-100">
+          <thead className="bg-teal-950">
+            <tr>
+              {COLUMNS.map(({ key, label }) => (
+                <th key={key} className="border border-teal-800 px-3 py-2 text-sm font-medium">
+                  <button type="button" onClick={() => toggleSort(key)} className="hover:underline">
+                    {label}{sort.key === key ? (sort.direction === 'asc' ? ' ▲' : ' ▼') : ''}
+                  </button>
+                </th>
+              ))}
+              <th className="border border-teal-800 px-3 py-2 text-sm font-medium">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {pageRows.map((product) => {
+              const isMine = product.owner.toLowerCase() === account.toLowerCase();
+              const actions = (STAGE_ACTIONS[product.stage] || []).filter(action => (!action.role || lifecycle[action.role]) && (isMine || !action.ownerOnly));
+              return (
+                <tr key={product.id} className={isLowStock(product) ? 'bg-amber-950' : 'hover:bg-teal-950'}>
+                  <td className="border border-teal-800 px-3 py-2 text-sm">
+                    <a href="#product-trace" onClick={() => onSelectProduct?.(String(product.id))} className="hover:underline">#{product.id}</a>
+                  </td>
+                  <td className="border border-teal-800 px-3 py-2 text-sm">{product.name}</td>
+                  <td className="border border-teal-800 px-3 py-2 text-sm"><StageBadge stage={product.stage} /></td>
+                  <td className="border border-teal-800 px-3 py-2 text-xs font-mono break-all">{isMine ? 'You' : product.owner}</td>
+                  <td className="border border-teal-800 px-3 py-2 text-sm">{product.source}</td>
+                  <td className="border border-teal-800 px-3 py-2 text-sm">{product.quality}</td>
+                  <td className="border border-teal-800 px-3 py-2 text-sm">
+                    {formatAmount(product.availableQuantity)} / {formatQuantity(product.initialQuantity, product.unit)}
+                    {isLowStock(product) && <span className="block text-xs text-amber-400">Low stock</span>}
+                  </td>
+                  <td className="border border-teal-800 px-3 py-2 text-xs">{new Date(product.updatedAt * 1000).toLocaleString()}</td>
+                  <td className="border border-teal-800 px-3 py-2 text-xs">
+                    {actions.map(action => (
+                      <span key={action.label} className="inline-block mr-1 mb-1 px-2 py-0.5 rounded bg-teal-800">{action.label}</span>
+                    ))}
+                    {actions.length === 0 && <span className="text-gray-500">-</span>}
+                  </td>
+                </tr>
+              );
+            })}
+            {!isLoading && pageRows.length === 0 && (
+              <tr>
+                <td colSpan={COLUMNS.length + 1} className="px-3 py-4 text-center text-sm text-gray-400">No products match the current filters.</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex items-center justify-between mt-4 text-sm text-teal-100">
+        <span>{visibleProducts.length} product(s)</span>
+        <div className="flex items-center gap-3">
+          <button type="button" onClick={() => setPage(currentPage - 1)} disabled={currentPage === 0} className="px-3 py-1 rounded bg-gray-700 disabled:opacity-40">Prev</button>
+          <span>Page {currentPage + 1} of {pageCount}</span>
+          <button type="button" onClick={() => setPage(currentPage + 1)} disabled={currentPage >= pageCount - 1} className="px-3 py-1 rounded bg-gray-700 disabled:opacity-40">Next</button>
+        </div>
+      </div>
+    </section>
+  );
+}
+
+export default InventoryDashboard;
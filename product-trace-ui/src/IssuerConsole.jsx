@@ -0,0 +1,155 @@
+import { useCallback, useEffect, useState } from 'react';
+import Spinner from './Spinner.jsx';
+import { resolveAddressInput } from './addresses.js';
+import { CERT_TYPE_NAMES } from './certificates.js';
+import { errorMessage } from './errors.js';
+import { write } from '../../sdk/index.js';
+
+// Owner-only: registers the Halal authority, BPOM offices and labs whose signed certificates the
+// CertificateRegistry accepts, and removes them again. Removed issuers stay listed, greyed out.
+function IssuerConsole({ certificateRegistry, provider }) {
+  const [issuers, setIssuers] = useState([]); // [{ address, name, certType, active }]
+  const [addressInput, setAddressInput] = useState('');
+  const [nameInput, setNameInput] = useState('');
+  const [typeInput, setTypeInput] = useState('0');
+  const [isLoadingIssuers, setIsLoadingIssuers] = useState(false);
+  const [pendingAction, setPendingAction] = useState(null); // { type: 'register' | 'remove', address }
+  const [feedback, setFeedback] = useState({ text: '', type: '' });
+
+  const loadIssuers = useCallback(async () => {
+    setIsLoadingIssuers(true);
+    try {
+      const addresses = await certificateRegistry.getIssuers();
+      const entries = await Promise.all(addresses.map(address => certificateRegistry.issuers(address)));
+      setIssuers(addresses.map((address, i) => ({
+        address,
+        name: entries[i].name,
+        certType: Number(entries[i].certType),
+        active: entries[i].active,
+      })));
+    } catch (error) {
+      console.error("Failed to load certificate issuers:", error);
+      setFeedback({ text: `Failed to load certificate issuers: ${errorMessage(error, certificateRegistry)}`, type: 'error' });
+    } finally {
+      setIsLoadingIssuers(false);
+    }
+  }, [certificateRegistry]);
+
+  useEffect(() => {
+    loadIssuers();
+  }, [loadIssuers]);
+
+  const handleRegisterIssuer = async (e) => {
+    e.preventDefault();
+    setFeedback({ text: '', type: '' });
+
+    let address;
+    try {
+      address = await resolveAddressInput(provider, addressInput);
+    } catch (error) {
+      return setFeedback({ text: error.message, type: 'error' });
+    }
+    if (!nameInput.trim()) return setFeedback({ text: "Please enter the issuer's name.", type: 'error' });
+    if (issuers.some(issuer => issuer.address === address && issuer.active)) {
+      return setFeedback({ text: `${address} is already a registered issuer.`, type: 'warn' });
+    }
+
+    setPendingAction({ type: 'register', address });
+    try {
+      const tx = await write(certificateRegistry, 'registerIssuer', address, nameInput.trim(), Number(typeInput));
+      await tx.wait();
+      setFeedback({ text: `${nameInput.trim()} registered as ${CERT_TYPE_NAMES[Number(typeInput)]} issuer.`, type: 'success' });
+      setAddressInput('');
+      setNameInput('');
+      await loadIssuers();
+    } catch (error) {
+      console.error("Failed to register issuer:", error);
+      setFeedback({ text: `Failed to register issuer: ${errorMessage(error, certificateRegistry)}`, type: 'error' });
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  const handleRemoveIssuer = async (issuer) => {
+    setFeedback({ text: '', type: '' });
+    setPendingAction({ type: 'remove', address: issuer.address });
+    try {
+      const tx = await write(certificateRegistry, 'removeIssuer', issuer.address);
+      await tx.wait();
+      setFeedback({ text: `${issuer.name} can no longer issue certificates.`, type: 'success' });
+      await loadIssuers();
+    } catch (error) {
+      console.error("Failed to remove issuer:", error);
+      setFeedback({ text: `Failed to remove issuer: ${errorMessage(error, certificateRegistry)}`, type: 'error' });
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  return (
+    <section className="mb-10 p-6 bg-gray-900 border border-purple-700 rounded-xl shadow-lg max-w-lg mx-auto">
+      <h2 className="text-3xl font-semibold mb-2 text-purple-400">Owner Console: Certificate Issuers</h2>
+      <p className="mb-6 text-sm text-gray-400">Only certificates signed by a registered issuer of the matching type can be attached to a batch.</p>
+      <form onSubmit={handleRegisterIssuer} className="space-y-5">
+        <input
+          placeholder="Issuer address (0x...) or ENS name"
+          value={addressInput}
+          onChange={(e) => setAddressInput(e.target.value)}
+          className="border border-purple-600 p-3 w-full rounded-lg bg-gray-800 text-purple-300 focus:ring-purple-500 focus:border-purple-500"
+          required
+        />
+        <input
+          placeholder="Issuer name (e.g., BPOM Jakarta)"
+          value={nameInput}
+          onChange={(e) => setNameInput(e.target.value)}
+          className="border border-purple-600 p-3 w-full rounded-lg bg-gray-800 text-purple-300 focus:ring-purple-500 focus:border-purple-500"
+          required
+        />
+        <select value={typeInput} onChange={(e) => setTypeInput(e.target.value)} className="border border-purple-600 p-3 w-full rounded-lg bg-gray-800 text-purple-300 focus:ring-purple-500 focus:border-purple-500">
+          {CERT_TYPE_NAMES.map((label, id) => <option key={id} value={id}>{label}</option>)}
+        </select>
+        <button type="submit" className="bg-purple-600 text-white px-6 py-3 rounded-lg hover:bg-purple-700 w-full disabled:opacity-60 flex items-center justify-center gap-2 font-semibold" disabled={pendingAction !== null}>
+          {pendingAction?.type === 'register' ? <><Spinner /> Processing...</> : 'Register Issuer'}
+        </button>
+      </form>
+      {feedback.text && (
+        <p className={`mt-4 text-base font-medium break-all ${
+          feedback.type === 'error' ? 'text-red-500' :
+          feedback.type === 'success' ? 'text-green-400' : 'text-yellow-400'
+        }`}>
+          {feedback.text}
+        </p>
+      )}
+
+      <div className="mt-6">
+        <h3 className="text-xl font-semibold mb-3 text-purple-300">Issuers</h3>
+        {isLoadingIssuers && <p className="text-sm text-gray-400"><Spinner /> Loading issuers...</p>}
+        {!isLoadingIssuers && issuers.length === 0 && <p className="text-sm text-gray-400">No issuers registered yet.</p>}
+        <ul className="space-y-3">
+          {issuers.map(issuer => (
+            <li key={issuer.address} className={`p-3 bg-gray-800 rounded-lg flex items-center justify-between gap-3 ${issuer.active ? '' : 'opacity-50'}`}>
+              <div>
+                <p className="text-purple-200">{issuer.name} <span className="text-xs font-semibold px-2 py-0.5 rounded bg-purple-900">{CERT_TYPE_NAMES[issuer.certType]}</span></p>
+                <p className="font-mono text-xs break-all text-gray-400">{issuer.address}</p>
+              </div>
+              {issuer.active ? (
+                <button
+                  type="button"
+                  onClick={() => handleRemoveIssuer(issuer)}
+                  className="text-sm text-red-400 hover:text-red-600 disabled:opacity-60"
+                  disabled={pendingAction !== null}
+                >
+                  {pendingAction?.type === 'remove' && pendingAction.address === issuer.address ? <Spinner /> : 'Remove'}
+                </button>
+              ) : (
+                <span className="text-xs text-gray-400">Removed</span>
+              )}
+            </li>
+          ))}
+        </ul>
+      </div>
+    </section>
+  );
+}
+
+export default IssuerConsole;
@@ -0,0 +1,185 @@
+import { useCallback, useEffect, useState } from 'react';
+import Spinner from './Spinner.jsx';
+import { STAGE_RAW_MATERIAL } from './trace.js';
+import { formatQuantity, parseQuantity, unitSymbol } from './quantities.js';
+import { fetchProductsByOwner, mergeProducts, splitProduct } from '../../sdk/index.js';
+import { errorMessage } from './errors.js';
+
+const inputClass = 'border border-lime-600 p-3 rounded-lg bg-gray-800 text-lime-200 focus:ring-lime-500 focus:border-lime-500';
+
+// Splits one of the account's raw material lots into smaller lots, or merges several into one.
+// Only lots in the RawMaterial stage with quantity left can be split or merged.
+function LotPanel({ contract, account, onSelectProduct, onLotsChanged }) {
+  const [lots, setLots] = useState([]);
+  const [splitLotId, setSplitLotId] = useState('');
+  const [splitQuantities, setSplitQuantities] = useState('');
+  const [mergeLotIds, setMergeLotIds] = useState([]);
+  const [mergeName, setMergeName] = useState('');
+  const [pendingAction, setPendingAction] = useState(null); // 'split' | 'merge'
+  const [feedback, setFeedback] = useState({ text: '', type: '' });
+  const [createdIds, setCreatedIds] = useState([]);
+
+  const loadLots = useCallback(async () => {
+    try {
+      const owned = await fetchProductsByOwner(contract, account);
+      setLots(owned
+        .filter(product => Number(product.stage) === STAGE_RAW_MATERIAL && product.availableQuantity > 0n)
+        .map(product => ({
+          id: product.id.toString(),
+          name: product.name,
+          source: product.source,
+          unit: Number(product.unit),
+          availableQuantity: product.availableQuantity,
+        })));
+    } catch (error) {
+      console.error("Failed to load lots:", error);
+      setFeedback({ text: `Failed to load lots: ${errorMessage(error, contract)}`, type: 'error' });
+    }
+  }, [contract, account]);
+
+  useEffect(() => {
+    loadLots();
+  }, [loadLots]);
+
+  // `send` resolves to the IDs of the lots it created
+  const runAction = async (action, send, describe) => {
+    setFeedback({ text: '', type: '' });
+    setCreatedIds([]);
+    setPendingAction(action);
+    try {
+      const lotIds = (await send()).map(id => id.toString());
+      setCreatedIds(lotIds);
+      setFeedback({ text: describe(lotIds), type: 'success' });
+      await loadLots();
+      onLotsChanged?.();
+      return true;
+    } catch (error) {
+      console.error(`Lot ${action} failed:`, error);
+      setFeedback({ text: `Failed to ${action} lots: ${errorMessage(error, contract)}`, type: 'error' });
+      return false;
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  const handleSplit = async (e) => {
+    e.preventDefault();
+    const lot = lots.find(l => l.id === splitLotId);
+    if (!lot) return setFeedback({ text: "Please choose a lot to split.", type: 'error' });
+    let quantities;
+    try {
+      // Comma-separated quantities in the lot's unit, e.g. "250, 250, 100"
+      quantities = splitQuantities.split(',').filter(text => text.trim()).map(text => parseQuantity(text, lot.unit));
+    } catch (error) {
+      return setFeedback({ text: error.message, type: 'error' });
+    }
+    if (quantities.length === 0) return setFeedback({ text: "Please enter at least one quantity.", type: 'error' });
+    const total = quantities.reduce((sum, quantity) => sum + quantity, 0n);
+    if (total > lot.availableQuantity) {
+      return setFeedback({ text: `Lot ${lot.id} only has ${formatQuantity(lot.availableQuantity, lot.unit)} left.`, type: 'error' });
+    }
+
+    const done = await runAction('split', () => splitProduct(contract, lot.id, quantities),
+      (lotIds) => `Lot ${lot.id} split into new lot(s) ${lotIds.join(', ')}.`);
+    if (done) setSplitQuantities('');
+  };
+
+  const handleMerge = async (e) => {
+    e.preventDefault();
+    if (mergeLotIds.length < 2) return setFeedback({ text: "Please choose at least two lots to merge.", type: 'error' });
+    if (!mergeName.trim()) return setFeedback({ text: "Please enter a name for the merged lot.", type: 'error' });
+    const chosen = lots.filter(lot => mergeLotIds.includes(lot.id));
+    if (chosen.some(lot => lot.unit !== chosen[0].unit)) {
+      return setFeedback({ text: "Only lots counted in the same unit can be merged.", type: 'error' });
+    }
+
+    const done = await runAction('merge', async () => [await mergeProducts(contract, mergeLotIds, mergeName.trim())],
+      (lotIds) => `Lots ${mergeLotIds.join(', ')} merged into lot ${lotIds[0]}.`);
+    if (done) {
+      setMergeLotIds([]);
+      setMergeName('');
+    }
+  };
+
+  const toggleMergeLot = (lotId) => setMergeLotIds(mergeLotIds.includes(lotId)
+    ? mergeLotIds.filter(id => id !== lotId)
+    : [...mergeLotIds, lotId]);
+
+  const selectedSplitLot = lots.find(l => l.id === splitLotId);
+
+  return (
+    <section className="mb-10 p-6 bg-gray-900 border border-gray-700 rounded-xl shadow-lg max-w-lg mx-auto">
+      <h2 className="text-3xl font-semibold mb-6 text-lime-400">Split / Merge Lots</h2>
+      {lots.length === 0 ? (
+        <p className="text-sm text-gray-400">You hold no raw material lots with quantity left.</p>
+      ) : (
+        <>
+          <form onSubmit={handleSplit} className="space-y-4">
+            <h3 className="text-lg font-semibold text-lime-300">Split a Lot</h3>
+            <select value={splitLotId} onChange={(e) => setSplitLotId(e.target.value)} className={`${inputClass} w-full`} required>
+              <option value="">Choose a lot</option>
+              {lots.map(lot => (
+                <option key={lot.id} value={lot.id}>#{lot.id} {lot.name} ({formatQuantity(lot.availableQuantity, lot.unit)})</option>
+              ))}
+            </select>
+            <input
+              placeholder={`Quantities${selectedSplitLot ? ` in ${unitSymbol(selectedSplitLot.unit)}` : ''}, e.g. 250, 250, 100`}
+              value={splitQuantities}
+              onChange={(e) => setSplitQuantities(e.target.value)}
+              className={`${inputClass} w-full`}
+              required
+            />
+            <button type="submit" className="bg-lime-600 text-white px-6 py-3 rounded-lg hover:bg-lime-700 w-full disabled:opacity-60 flex items-center justify-center gap-2 font-semibold" disabled={pendingAction !== null}>
+              {pendingAction === 'split' ? <><Spinner /> Splitting...</> : 'Split Lot'}
+            </button>
+          </form>
+
+          <form onSubmit={handleMerge} className="space-y-4 mt-8">
+            <h3 className="text-lg font-semibold text-lime-300">Merge Lots</h3>
+            <p className="text-sm text-gray-400">Lots must share their unit, source and quality.</p>
+            <ul className="space-y-1 text-lime-200">
+              {lots.map(lot => (
+                <li key={lot.id}>
+                  <label className="flex items-center gap-2">
+                    <input type="checkbox" checked={mergeLotIds.includes(lot.id)} onChange={() => toggleMergeLot(lot.id)} />
+                    #{lot.id} {lot.name} from {lot.source} ({formatQuantity(lot.availableQuantity, lot.unit)})
+                  </label>
+                </li>
+              ))}
+            </ul>
+            <input
+              placeholder="Merged Lot Name (e.g., Cocoa Beans Lot 12)"
+              value={mergeName}
+              onChange={(e) => setMergeName(e.target.value)}
+              className={`${inputClass} w-full`}
+              required
+            />
+            <button type="submit" className="bg-lime-600 text-white px-6 py-3 rounded-lg hover:bg-lime-700 w-full disabled:opacity-60 flex items-center justify-center gap-2 font-semibold" disabled={pendingAction !== null}>
+              {pendingAction === 'merge' ? <><Spinner /> Merging...</> : 'Merge Lots'}
+            </button>
+          </form>
+        </>
+      )}
+
+      {feedback.text && (
+        <p className={`mt-4 text-base font-medium ${
+          feedback.type === 'error' ? 'text-red-500' :
+          feedback.type === 'success' ? 'text-green-400' : 'text-yellow-400'
+        }`}>
+          {feedback.text}
+        </p>
+      )}
+      {createdIds.length > 0 && (
+        <div className="mt-2 flex flex-wrap gap-3">
+          {createdIds.map(lotId => (
+            <button key={lotId} type="button" onClick={() => onSelectProduct?.(lotId)} className="text-sm text-lime-300 hover:underline">
+              View lot {lotId} trace
+            </button>
+          ))}
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default LotPanel;
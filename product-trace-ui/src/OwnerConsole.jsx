@@ -0,0 +1,189 @@
+import { useCallback, useEffect, useState } from 'react';
+import { ethers } from 'ethers';
+import Spinner from './Spinner.jsx';
+import { resolveAddressInput } from './addresses.js';
+import { fetchIndexedProducers, isIndexerEnabled } from './indexerClient.js';
+import { errorMessage } from './errors.js';
+import { write } from '../../sdk/index.js';
+
+function OwnerConsole({ contract, provider, fromBlock, onProducersChanged }) {
+  const [producers, setProducers] = useState([]);
+  const [addressInput, setAddressInput] = useState('');
+  const [expandedAddress, setExpandedAddress] = useState(null);
+  const [isLoadingProducers, setIsLoadingProducers] = useState(false);
+  const [pendingAction, setPendingAction] = useState(null); // { type: 'add' | 'remove', address }
+  const [feedback, setFeedback] = useState({ text: '', type: '' });
+
+  // Rebuild the producer set from ProducerAdded/ProducerRemoved (or the indexer) and confirm it against the producers mapping
+  const loadProducers = useCallback(async () => {
+    setIsLoadingProducers(true);
+    try {
+      let byAddress;
+      if (isIndexerEnabled()) {
+        byAddress = new Map((await fetchIndexedProducers()).map(({ address, history }) => [address, history]));
+      } else {
+        const [addedEvents, removedEvents] = await Promise.all([
+          contract.queryFilter(contract.filters.ProducerAdded(), fromBlock),
+          contract.queryFilter(contract.filters.ProducerRemoved(), fromBlock),
+        ]);
+        const entries = [
+          ...addedEvents.map(event => ({ event, action: 'added' })),
+          ...removedEvents.map(event => ({ event, action: 'removed' })),
+        ].sort((a, b) => a.event.blockNumber - b.event.blockNumber || a.event.index - b.event.index);
+
+        const blockTimestamps = new Map();
+        byAddress = new Map();
+        for (const { event, action } of entries) {
+          if (!blockTimestamps.has(event.blockNumber)) {
+            const block = await provider.getBlock(event.blockNumber);
+            blockTimestamps.set(event.blockNumber, block ? block.timestamp : null);
+          }
+          const address = ethers.getAddress(event.args.producerAddress);
+          if (!byAddress.has(address)) byAddress.set(address, []);
+          byAddress.get(address).push({
+            action,
+            blockNumber: event.blockNumber,
+            timestamp: blockTimestamps.get(event.blockNumber),
+            txHash: event.transactionHash,
+          });
+        }
+      }
+
+      const rows = await Promise.all(
+        [...byAddress.entries()].map(async ([address, history]) => ({
+          address,
+          history,
+          active: await contract.producers(address),
+        }))
+      );
+      rows.sort((a, b) => Number(b.active) - Number(a.active));
+      setProducers(rows);
+    } catch (error) {
+      console.error("Failed to load producers:", error);
+      setFeedback({ text: `Failed to load producers: ${errorMessage(error, contract)}`, type: 'error' });
+    } finally {
+      setIsLoadingProducers(false);
+    }
+  }, [contract, provider, fromBlock]);
+
+  useEffect(() => {
+    loadProducers();
+  }, [loadProducers]);
+
+  const handleAddProducer = async (e) => {
+    e.preventDefault();
+    setFeedback({ text: '', type: '' });
+
+    let address;
+    try {
+      address = await resolveAddressInput(provider, addressInput);
+    } catch (error) {
+      return setFeedback({ text: error.message, type: 'error' });
+    }
+    if (producers.some(p => p.address === address && p.active)) {
+      return setFeedback({ text: `${address} is already a producer.`, type: 'warn' });
+    }
+
+    setPendingAction({ type: 'add', address });
+    try {
+      const tx = await write(contract, 'addProducer', address);
+      await tx.wait();
+      setFeedback({ text: `Producer added: ${address}`, type: 'success' });
+      setAddressInput('');
+      await loadProducers();
+      onProducersChanged?.();
+    } catch (error) {
+      console.error("Failed to add producer:", error);
+      setFeedback({ text: `Failed to add producer: ${errorMessage(error, contract)}`, type: 'error' });
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  const handleRemoveProducer = async (address) => {
+    setFeedback({ text: '', type: '' });
+    setPendingAction({ type: 'remove', address });
+    try {
+      const tx = await write(contract, 'removeProducer', address);
+      await tx.wait();
+      setFeedback({ text: `Producer removed: ${address}`, type: 'success' });
+      await loadProducers();
+      onProducersChanged?.();
+    } catch (error) {
+      console.error("Failed to remove producer:", error);
+      setFeedback({ text: `Failed to remove producer: ${errorMessage(error, contract)}`, type: 'error' });
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  return (
+    <section className="mb-10 p-6 bg-gray-900 border border-purple-700 rounded-xl shadow-lg max-w-lg mx-auto">
+      <h2 className="text-3xl font-semibold mb-6 text-purple-400">Owner Console: Producers</h2>
+      <form onSubmit={handleAddProducer} className="space-y-5">
+        <input
+          placeholder="Producer address (0x...) or ENS name"
+          value={addressInput}
+          onChange={(e) => setAddressInput(e.target.value)}
+          className="border border-purple-600 p-3 w-full rounded-lg bg-gray-800 text-purple-300 focus:ring-purple-500 focus:border-purple-500"
+          required
+        />
+        <button type="submit" className="bg-purple-600 text-white px-6 py-3 rounded-lg hover:bg-purple-700 w-full disabled:opacity-60 flex items-center justify-center gap-2 font-semibold" disabled={pendingAction !== null}>
+          {pendingAction?.type === 'add' ? <><Spinner /> Processing...</> : 'Add Producer'}
+        </button>
+      </form>
+      {feedback.text && (
+        <p className={`mt-4 text-base font-medium break-all ${
+          feedback.type === 'error' ? 'text-red-500' :
+          feedback.type === 'success' ? 'text-green-400' : 'text-yellow-400'
+        }`}>
+          {feedback.text}
+        </p>
+      )}
+
+      <div className="mt-6">
+        <h3 className="text-xl font-semibold mb-3 text-purple-300">Producers</h3>
+        {isLoadingProducers && <p className="text-sm text-gray-400"><Spinner /> Loading producers...</p>}
+        {!isLoadingProducers && producers.length === 0 && <p className="text-sm text-gray-400">No producers found.</p>}
+        <ul className="space-y-3">
+          {producers.map(({ address, active, history }) => (
+            <li key={address} className="p-3 bg-gray-800 rounded-lg">
+              <div className="flex items-center justify-between gap-3">
+                <button type="button" onClick={() => setExpandedAddress(expandedAddress === address ? null : address)} className="font-mono text-xs text-left break-all text-purple-200 hover:underline">
+                  {address}
+                </button>
+                <span className={`text-xs font-semibold px-2 py-1 rounded ${active ? 'bg-green-800 text-green-300' : 'bg-gray-700 text-gray-400'}`}>
+                  {active ? 'Active' : 'Removed'}
+                </span>
+                {active && (
+                  <button
+                    type="button"
+                    onClick={() => handleRemoveProducer(address)}
+                    className="text-sm text-red-500 hover:text-red-700 disabled:opacity-60"
+                    disabled={pendingAction !== null}
+                  >
+                    {pendingAction?.type === 'remove' && pendingAction.address === address ? <Spinner /> : 'Remove'}
+                  </button>
+                )}
+              </div>
+              {expandedAddress === address && (
+                <ol className="mt-3 space-y-1 text-xs text-gray-300">
+                  {history.map((entry) => (
+                    <li key={`${entry.txHash}-${entry.action}`}>
+                      <span className={entry.action === 'added' ? 'text-green-400' : 'text-red-400'}>{entry.action === 'added' ? 'Added' : 'Removed'}</span>
+                      {' '}at block {entry.blockNumber}
+                      {entry.timestamp && <> ({new Date(entry.timestamp * 1000).toLocaleString()})</>}
+                      <span className="block font-mono break-all text-gray-500">tx {entry.txHash}</span>
+                    </li>
+                  ))}
+                </ol>
+              )}
+            </li>
+          ))}
+        </ul>
+      </div>
+    </section>
+  );
+}
+
+export default OwnerConsole;
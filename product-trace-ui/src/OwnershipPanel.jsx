@@ -0,0 +1,117 @@
+import { useCallback, useEffect, useState } from 'react';
+import { ethers } from 'ethers';
+import Spinner from './Spinner.jsx';
+import { resolveAddressInput } from './addresses.js';
+import { errorMessage } from './errors.js';
+import { write } from '../../sdk/index.js';
+
+// Two-step ownership transfer: the owner proposes a new owner, who must accept from their own wallet.
+function OwnershipPanel({ contract, provider, isOwner, isPendingOwner, onOwnershipChanged }) {
+  const [ownerAddress, setOwnerAddress] = useState('');
+  const [pendingOwner, setPendingOwner] = useState('');
+  const [addressInput, setAddressInput] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [feedback, setFeedback] = useState({ text: '', type: '' });
+
+  const loadOwnership = useCallback(async () => {
+    try {
+      const [currentOwner, pending] = await Promise.all([contract.owner(), contract.pendingOwner()]);
+      setOwnerAddress(currentOwner);
+      setPendingOwner(pending === ethers.ZeroAddress ? '' : pending);
+    } catch (error) {
+      console.error("Failed to load ownership:", error);
+    }
+  }, [contract]);
+
+  useEffect(() => {
+    loadOwnership();
+  }, [loadOwnership]);
+
+  const handleTransferOwnership = async (e) => {
+    e.preventDefault();
+    setFeedback({ text: '', type: '' });
+
+    let address;
+    try {
+      address = await resolveAddressInput(provider, addressInput);
+    } catch (error) {
+      return setFeedback({ text: error.message, type: 'error' });
+    }
+    if (address === ownerAddress) {
+      return setFeedback({ text: "That account is already the owner.", type: 'warn' });
+    }
+
+    setIsSubmitting(true);
+    try {
+      const tx = await write(contract, 'transferOwnership', address);
+      await tx.wait();
+      setFeedback({ text: `Transfer proposed. ${address} must accept it from their wallet.`, type: 'success' });
+      setAddressInput('');
+      await loadOwnership();
+    } catch (error) {
+      console.error("Failed to propose ownership transfer:", error);
+      setFeedback({ text: `Failed to propose ownership transfer: ${errorMessage(error, contract)}`, type: 'error' });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleAcceptOwnership = async () => {
+    setFeedback({ text: '', type: '' });
+    setIsSubmitting(true);
+    try {
+      const tx = await write(contract, 'acceptOwnership');
+      await tx.wait();
+      setFeedback({ text: "You are now the contract owner.", type: 'success' });
+      await loadOwnership();
+      onOwnershipChanged?.();
+    } catch (error) {
+      console.error("Failed to accept ownership:", error);
+      setFeedback({ text: `Failed to accept ownership: ${errorMessage(error, contract)}`, type: 'error' });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <section className="mb-10 p-6 bg-gray-900 border border-purple-700 rounded-xl shadow-lg max-w-lg mx-auto">
+      <h2 className="text-3xl font-semibold mb-6 text-purple-400">Contract Ownership</h2>
+      <p className="text-sm text-gray-300">Owner: <span className="font-mono text-xs break-all text-purple-200">{ownerAddress}</span></p>
+      {pendingOwner && (
+        <p className="mt-1 text-sm text-gray-300">Pending owner: <span className="font-mono text-xs break-all text-yellow-300">{pendingOwner}</span></p>
+      )}
+
+      {isPendingOwner && (
+        <button type="button" onClick={handleAcceptOwnership} className="mt-6 bg-purple-600 text-white px-6 py-3 rounded-lg hover:bg-purple-700 w-full disabled:opacity-60 flex items-center justify-center gap-2 font-semibold" disabled={isSubmitting}>
+          {isSubmitting ? <><Spinner /> Processing...</> : 'Accept Ownership'}
+        </button>
+      )}
+
+      {isOwner && (
+        <form onSubmit={handleTransferOwnership} className="mt-6 space-y-5">
+          <input
+            placeholder="New owner address (0x...) or ENS name"
+            value={addressInput}
+            onChange={(e) => setAddressInput(e.target.value)}
+            className="border border-purple-600 p-3 w-full rounded-lg bg-gray-800 text-purple-300 focus:ring-purple-500 focus:border-purple-500"
+            required
+          />
+          <button type="submit" className="bg-purple-600 text-white px-6 py-3 rounded-lg hover:bg-purple-700 w-full disabled:opacity-60 flex items-center justify-center gap-2 font-semibold" disabled={isSubmitting}>
+            {isSubmitting ? <><Spinner /> Processing...</> : pendingOwner ? 'Replace Pending Transfer' : 'Propose Ownership Transfer'}
+          </button>
+        </form>
+      )}
+
+      {feedback.text && (
+        <p className={`mt-4 text-base font-medium break-all ${
+          feedback.type === 'error' ? 'text-red-500' :
+          feedback.type === 'success' ? 'text-green-400' : 'text-yellow-400'
+        }`}>
+          {feedback.text}
+        </p>
+      )}
+    </section>
+  );
+}
+
+export default OwnershipPanel;
@@ -0,0 +1,69 @@
+import { TrashIcon } from '@heroicons/react/24/outline'; // For a nicer remove button
+import { compatibleUnits, formatQuantity } from './quantities.js';
+import { emptyInputRow } from './productionInputs.js';
+
+// Editable list of raw materials to consume, each with a quantity in a unit compatible with the material's.
+function ProductionInputs({ rows, onChange, materials }) {
+  const updateRow = (index, field, value) => {
+    const newRows = rows.map((row, i) => (i === index ? { ...row, [field]: value } : row));
+    if (field === 'id') {
+      // Quantities default to the material's own unit
+      const material = materials.find(m => m.id === value);
+      newRows[index].unit = material ? String(material.unit) : '';
+    }
+    onChange(newRows);
+  };
+
+  return (
+    <>
+      {rows.map((row, index) => (
+        <div key={index} className="flex items-center gap-3">
+          <select
+            value={row.id}
+            onChange={(e) => updateRow(index, 'id', e.target.value)}
+            className="border border-yellow-600 p-3 rounded-lg flex-grow bg-gray-800 text-yellow-300 focus:ring-yellow-500 focus:border-yellow-500"
+            required
+          >
+            <option value="">Select Raw Material</option>
+            {materials.map((material) => (
+              <option key={material.id.toString()} value={material.id.toString()}>
+                {material.name} (ID: {material.id.toString()}, Available: {formatQuantity(material.availableQuantity, material.unit)})
+              </option>
+            ))}
+          </select>
+          <input
+            inputMode="decimal"
+            placeholder="Quantity"
+            value={row.quantity}
+            onChange={(e) => updateRow(index, 'quantity', e.target.value)}
+            className="border border-yellow-600 p-3 rounded-lg w-24 bg-gray-800 text-yellow-300 focus:ring-yellow-500 focus:border-yellow-500"
+            required
+          />
+          <select
+            value={row.unit}
+            onChange={(e) => updateRow(index, 'unit', e.target.value)}
+            className="border border-yellow-600 p-3 rounded-lg bg-gray-800 text-yellow-300 focus:ring-yellow-500 focus:border-yellow-500"
+            title="Unit"
+            disabled={row.unit === ''}
+          >
+            {row.unit === '' && <option value="">Unit</option>}
+            {row.unit !== '' && compatibleUnits(row.unit).map(unit => <option key={unit.id} value={unit.id}>{unit.symbol}</option>)}
+          </select>
+          {rows.length > 1 && (
+            <button
+              type="button"
+              onClick={() => onChange(rows.filter((_, i) => i !== index))}
+              className="p-2 text-red-500 hover:text-red-700"
+              title="Remove Raw Material"
+            >
+              <TrashIcon className="h-5 w-5" />
+            </button>
+          )}
+        </div>
+      ))}
+      <button type="button" onClick={() => onChange([...rows, emptyInputRow()])} className="bg-yellow-600 text-yellow-900 px-4 py-2 rounded-lg hover:bg-yellow-700 text-sm font-semibold">Add Another Raw Material ID</button>
+    </>
+  );
+}
+
+export default ProductionInputs;
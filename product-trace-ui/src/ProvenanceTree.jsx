@@ -0,0 +1,74 @@
+import { useState } from 'react';
+import { STAGE_NAMES } from './trace.js';
+import { EDGE_MERGE, EDGE_SPLIT, countAncestors, inputsOf } from './traceResolver.js';
+import { formatQuantity } from './quantities.js';
+
+// Renders the provenance DAG from traceResolver as a collapsible tree. A product that feeds
+// several batches appears under each of them; the edge label shows how much each batch used, or
+// how much was split off or merged from a parent lot.
+const EDGE_LABELS = {
+  [EDGE_SPLIT]: 'split off',
+  [EDGE_MERGE]: 'merged in',
+};
+
+function ProvenanceNode({ graph, productId, edge, onSelectProduct }) {
+  const node = graph.nodes[productId];
+  const inputs = inputsOf(graph, productId);
+  const [expanded, setExpanded] = useState(!node || node.depth < 2);
+
+  if (edge?.cycle) {
+    return (
+      <li className="ml-4 text-xs text-red-400">
+        ↺ #{productId} (cycle detected, not expanded)
+      </li>
+    );
+  }
+
+  return (
+    <li className="ml-4">
+      <div className="flex flex-wrap items-center gap-2 py-1 text-sm">
+        {inputs.length > 0 ? (
+          <button type="button" onClick={() => setExpanded(!expanded)} className="w-5 text-indigo-300 hover:text-white" title={expanded ? 'Collapse' : 'Expand'}>
+            {expanded ? '▾' : '▸'}
+          </button>
+        ) : (
+          <span className="w-5 text-center text-indigo-500">•</span>
+        )}
+        {edge && (
+          <span className={`px-2 py-0.5 rounded text-xs ${EDGE_LABELS[edge.kind] ? 'bg-purple-800 text-purple-100' : 'bg-indigo-700 text-indigo-100'}`}>
+            {formatQuantity(edge.quantity, node?.unit)} {EDGE_LABELS[edge.kind] ?? 'used'}
+          </span>
+        )}
+        <button type="button" onClick={() => onSelectProduct?.(productId)} className="font-semibold text-indigo-100 hover:underline">
+          {node ? node.name : 'Loading...'} (#{productId})
+        </button>
+        {node && !node.missing && (
+          <span className="text-xs text-indigo-300">
+            {STAGE_NAMES[node.stage]}{node.source ? ` · ${node.source}` : ''}
+          </span>
+        )}
+        {node?.truncated && <span className="text-xs text-yellow-400">deeper history not loaded</span>}
+      </div>
+      {expanded && inputs.length > 0 && (
+        <ul className="border-l border-indigo-600">
+          {inputs.map((inputEdge, idx) => (
+            <ProvenanceNode key={`${inputEdge.from}-${idx}`} graph={graph} productId={inputEdge.from} edge={inputEdge} onSelectProduct={onSelectProduct} />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+}
+
+function ProvenanceTree({ graph, onSelectProduct }) {
+  return (
+    <div className="mt-6">
+      <h4 className="text-lg font-semibold mb-2">Full Provenance ({countAncestors(graph)} upstream products)</h4>
+      <ul className="-ml-4">
+        <ProvenanceNode graph={graph} productId={graph.rootId} onSelectProduct={onSelectProduct} />
+      </ul>
+    </div>
+  );
+}
+
+export default ProvenanceTree;
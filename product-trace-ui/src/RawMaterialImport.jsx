@@ -0,0 +1,194 @@
+import { useState } from 'react';
+import { QRCodeSVG as QRCode } from 'qrcode.react';
+import Spinner from './Spinner.jsx';
+import { formatDeclaredTime } from './declaredTime.js';
+import { formatQuantity } from './quantities.js';
+import { traceUrl } from './trace.js';
+import { IMPORT_BATCH_SIZE, importRawMaterials, importReportToCsv, readRawMaterialCsv } from '../../sdk/index.js';
+import { LOCALE, errorMessage } from './errors.js';
+
+const downloadFile = (filename, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Bulk intake of a day's supplier deliveries: reads a CSV (name, source, quality, quantity, unit,
+// pickupTime), previews every row with its problems, registers the valid rows through createProducts
+// and prints a QR label for each new lot.
+function RawMaterialImport({ contract, onImported, onSelectProduct }) {
+  const [fileName, setFileName] = useState('');
+  const [entries, setEntries] = useState([]);
+  const [report, setReport] = useState(null);
+  const [progress, setProgress] = useState(null); // { done, total } while importing
+  const [feedback, setFeedback] = useState({ text: '', type: '' });
+
+  const validEntries = entries.filter(entry => entry.product);
+  const invalidCount = entries.length - validEntries.length;
+  const created = report ? report.filter(entry => entry.productId !== undefined) : [];
+  const entryByLine = new Map(entries.map(entry => [entry.line, entry]));
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    setFeedback({ text: '', type: '' });
+    setReport(null);
+    setEntries([]);
+    setFileName(file?.name ?? '');
+    if (!file) return;
+    try {
+      const rows = readRawMaterialCsv(await file.text());
+      setEntries(rows);
+      if (rows.length === 0) setFeedback({ text: "The file has no rows.", type: 'error' });
+    } catch (error) {
+      setFeedback({ text: `Cannot read ${file.name}: ${error.message}`, type: 'error' });
+    }
+  };
+
+  const handleImport = async () => {
+    setFeedback({ text: '', type: '' });
+    setProgress({ done: 0, total: validEntries.length });
+    try {
+      const result = await importRawMaterials(contract, entries, {
+        locale: LOCALE,
+        onProgress: (done, total) => setProgress({ done, total }),
+      });
+      setReport(result);
+      const failed = result.filter(entry => entry.error).length;
+      setFeedback({
+        text: `${result.length - failed} raw material lot(s) registered` + (failed > 0 ? `, ${failed} row(s) not imported.` : '.'),
+        type: failed > 0 ? 'warn' : 'success',
+      });
+      onImported?.();
+    } catch (error) {
+      console.error("Failed to import raw materials:", error);
+      setFeedback({ text: `Failed to import raw materials: ${errorMessage(error, contract)}`, type: 'error' });
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  return (
+    <section className="mb-10 p-6 bg-gray-900 border border-gray-700 rounded-xl shadow-lg max-w-lg mx-auto">
+      <h2 className="text-3xl font-semibold mb-2 text-indigo-300">1b. Import Deliveries (CSV)</h2>
+      <p className="mb-6 text-sm text-gray-400">
+        Columns: name, source, quality, quantity, unit (pcs, g, kg, mL or L; defaults to pcs) and pickupTime with its UTC offset,
+        e.g. 2025-05-01T08:00+07:00. Rows are sent {IMPORT_BATCH_SIZE} per transaction.
+      </p>
+      <input
+        type="file"
+        accept=".csv,text/csv"
+        onChange={handleFileChange}
+        className="block w-full text-sm text-indigo-200 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-indigo-600 file:text-white hover:file:bg-indigo-700"
+      />
+
+      {entries.length > 0 && !report && (
+        <div className="mt-6">
+          <p className="mb-3 text-sm text-gray-300">
+            {fileName}: {validEntries.length} row(s) ready{invalidCount > 0 && <span className="text-red-400">, {invalidCount} with errors (skipped)</span>}
+          </p>
+          <div className="overflow-x-auto max-h-96">
+            <table className="min-w-full table-auto border-collapse border border-gray-700 text-left text-gray-200">
+              <thead className="bg-gray-800">
+                <tr>
+                  <th className="border border-gray-700 px-3 py-2 text-sm font-medium">Line</th>
+                  <th className="border border-gray-700 px-3 py-2 text-sm font-medium">Name</th>
+                  <th className="border border-gray-700 px-3 py-2 text-sm font-medium">Quantity</th>
+                  <th className="border border-gray-700 px-3 py-2 text-sm font-medium">Pickup</th>
+                  <th className="border border-gray-700 px-3 py-2 text-sm font-medium">Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map(entry => (
+                  <tr key={entry.line} className={entry.product ? '' : 'bg-red-950'}>
+                    <td className="border border-gray-700 px-3 py-2 text-sm">{entry.line}</td>
+                    <td className="border border-gray-700 px-3 py-2 text-sm">{entry.values.name || '-'}</td>
+                    <td className="border border-gray-700 px-3 py-2 text-sm">
+                      {entry.product ? formatQuantity(entry.product.initialQuantity, entry.product.unit) : `${entry.values.quantity} ${entry.values.unit}`.trim() || '-'}
+                    </td>
+                    <td className="border border-gray-700 px-3 py-2 text-xs">
+                      {entry.product ? formatDeclaredTime(entry.product.pickupTime) : entry.values.pickupTime || '-'}
+                    </td>
+                    <td className={`border border-gray-700 px-3 py-2 text-xs ${entry.product ? 'text-green-400' : 'text-red-400'}`}>
+                      {entry.product ? 'Ready' : entry.errors.join(' ')}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <button
+            type="button"
+            onClick={handleImport}
+            className="mt-4 bg-indigo-600 text-white px-6 py-3 rounded-lg hover:bg-indigo-700 w-full disabled:opacity-60 flex items-center justify-center gap-2 font-semibold"
+            disabled={progress !== null || validEntries.length === 0}
+          >
+            {progress ? <><Spinner /> Importing {progress.done}/{progress.total}...</> : `Import ${validEntries.length} Row(s)`}
+          </button>
+        </div>
+      )}
+
+      {feedback.text && (
+        <p className={`mt-4 text-base font-medium ${
+          feedback.type === 'error' ? 'text-red-500' :
+          feedback.type === 'success' ? 'text-green-400' : 'text-yellow-400'
+        }`}>
+          {feedback.text}
+        </p>
+      )}
+
+      {report && (
+        <div className="mt-6">
+          <div className="flex gap-3 mb-3">
+            <button type="button" onClick={() => downloadFile('raw-material-import.csv', importReportToCsv(report, traceUrl), 'text/csv')} className="bg-gray-700 text-white px-4 py-2 rounded-lg hover:bg-gray-600 text-sm font-semibold">Export Report</button>
+            {created.length > 0 && (
+              <button type="button" onClick={() => window.print()} className="bg-gray-700 text-white px-4 py-2 rounded-lg hover:bg-gray-600 text-sm font-semibold">Print QR Labels</button>
+            )}
+          </div>
+          <div className="overflow-x-auto">
+            <table className="min-w-full table-auto border-collapse border border-gray-700 text-left text-gray-200">
+              <thead className="bg-gray-800">
+                <tr>
+                  <th className="border border-gray-700 px-3 py-2 text-sm font-medium">Line</th>
+                  <th className="border border-gray-700 px-3 py-2 text-sm font-medium">Name</th>
+                  <th className="border border-gray-700 px-3 py-2 text-sm font-medium">Result</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.map(entry => (
+                  <tr key={entry.line}>
+                    <td className="border border-gray-700 px-3 py-2 text-sm">{entry.line}</td>
+                    <td className="border border-gray-700 px-3 py-2 text-sm">{entry.name}</td>
+                    <td className="border border-gray-700 px-3 py-2 text-sm">
+                      {entry.error
+                        ? <span className="text-red-400 text-xs">{entry.error}</span>
+                        : <button type="button" onClick={() => onSelectProduct?.(entry.productId.toString())} className="text-green-400 hover:underline">Product #{entry.productId.toString()}</button>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Only these labels are printed (see the print styles in index.css) */}
+          <div className="print-labels mt-6 grid grid-cols-2 gap-4">
+            {created.map(entry => {
+              const { product } = entryByLine.get(entry.line);
+              return (
+                <div key={entry.line} className="print-label qrcode-container">
+                  <QRCode value={traceUrl(entry.productId.toString())} size={120} />
+                  <p className="qrcode-label mt-2">#{entry.productId.toString()} {entry.name}</p>
+                  <p className="text-xs">{formatQuantity(product.initialQuantity, product.unit)}{product.source && ` from ${product.source}`}</p>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default RawMaterialImport;
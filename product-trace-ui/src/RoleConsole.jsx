@@ -0,0 +1,167 @@
+import { useCallback, useEffect, useState } from 'react';
+import { ethers } from 'ethers';
+import Spinner from './Spinner.jsx';
+import { resolveAddressInput } from './addresses.js';
+import { LIFECYCLE_ROLES } from './roles.js';
+import { errorMessage } from './errors.js';
+import { write } from '../../sdk/index.js';
+
+const roleLabel = (id) => LIFECYCLE_ROLES.find(role => role.id === id)?.label || `Role ${id}`;
+
+// Owner-only: grants and revokes the lifecycle roles. Producers already hold every role except
+// Auditor implicitly, so this list only shows explicit grants.
+function RoleConsole({ contract, provider, fromBlock, onRolesChanged }) {
+  const [grants, setGrants] = useState([]); // [{ address, roleIds: [] }]
+  const [addressInput, setAddressInput] = useState('');
+  const [roleInput, setRoleInput] = useState(String(LIFECYCLE_ROLES[0].id));
+  const [isLoadingGrants, setIsLoadingGrants] = useState(false);
+  const [pendingAction, setPendingAction] = useState(null); // { type: 'grant' | 'revoke', address, roleId }
+  const [feedback, setFeedback] = useState({ text: '', type: '' });
+
+  // Replays RoleGranted/RoleRevoked in order; the last event for an (account, role) pair wins
+  const loadGrants = useCallback(async () => {
+    setIsLoadingGrants(true);
+    try {
+      const [grantedEvents, revokedEvents] = await Promise.all([
+        contract.queryFilter(contract.filters.RoleGranted(), fromBlock),
+        contract.queryFilter(contract.filters.RoleRevoked(), fromBlock),
+      ]);
+      const entries = [
+        ...grantedEvents.map(event => ({ event, granted: true })),
+        ...revokedEvents.map(event => ({ event, granted: false })),
+      ].sort((a, b) => a.event.blockNumber - b.event.blockNumber || a.event.index - b.event.index);
+
+      const byAddress = new Map();
+      for (const { event, granted } of entries) {
+        const address = ethers.getAddress(event.args.account);
+        if (!byAddress.has(address)) byAddress.set(address, new Set());
+        const roleIds = byAddress.get(address);
+        if (granted) roleIds.add(Number(event.args.role));
+        else roleIds.delete(Number(event.args.role));
+      }
+      setGrants(
+        [...byAddress.entries()]
+          .filter(([, roleIds]) => roleIds.size > 0)
+          .map(([address, roleIds]) => ({ address, roleIds: [...roleIds].sort() }))
+      );
+    } catch (error) {
+      console.error("Failed to load role grants:", error);
+      setFeedback({ text: `Failed to load role grants: ${errorMessage(error, contract)}`, type: 'error' });
+    } finally {
+      setIsLoadingGrants(false);
+    }
+  }, [contract, fromBlock]);
+
+  useEffect(() => {
+    loadGrants();
+  }, [loadGrants]);
+
+  const handleGrantRole = async (e) => {
+    e.preventDefault();
+    setFeedback({ text: '', type: '' });
+
+    let address;
+    try {
+      address = await resolveAddressInput(provider, addressInput);
+    } catch (error) {
+      return setFeedback({ text: error.message, type: 'error' });
+    }
+    const roleId = Number(roleInput);
+    if (grants.some(grant => grant.address === address && grant.roleIds.includes(roleId))) {
+      return setFeedback({ text: `${address} already has the ${roleLabel(roleId)} role.`, type: 'warn' });
+    }
+
+    setPendingAction({ type: 'grant', address, roleId });
+    try {
+      const tx = await write(contract, 'grantRole', address, roleId);
+      await tx.wait();
+      setFeedback({ text: `${roleLabel(roleId)} role granted to ${address}`, type: 'success' });
+      setAddressInput('');
+      await loadGrants();
+      onRolesChanged?.();
+    } catch (error) {
+      console.error("Failed to grant role:", error);
+      setFeedback({ text: `Failed to grant role: ${errorMessage(error, contract)}`, type: 'error' });
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  const handleRevokeRole = async (address, roleId) => {
+    setFeedback({ text: '', type: '' });
+    setPendingAction({ type: 'revoke', address, roleId });
+    try {
+      const tx = await write(contract, 'revokeRole', address, roleId);
+      await tx.wait();
+      setFeedback({ text: `${roleLabel(roleId)} role revoked from ${address}`, type: 'success' });
+      await loadGrants();
+      onRolesChanged?.();
+    } catch (error) {
+      console.error("Failed to revoke role:", error);
+      setFeedback({ text: `Failed to revoke role: ${errorMessage(error, contract)}`, type: 'error' });
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  return (
+    <section className="mb-10 p-6 bg-gray-900 border border-purple-700 rounded-xl shadow-lg max-w-lg mx-auto">
+      <h2 className="text-3xl font-semibold mb-2 text-purple-400">Owner Console: Roles</h2>
+      <p className="mb-6 text-sm text-gray-400">Producers can already perform every step except auditing. Grant single roles to partners who should only handle one step.</p>
+      <form onSubmit={handleGrantRole} className="space-y-5">
+        <input
+          placeholder="Account address (0x...) or ENS name"
+          value={addressInput}
+          onChange={(e) => setAddressInput(e.target.value)}
+          className="border border-purple-600 p-3 w-full rounded-lg bg-gray-800 text-purple-300 focus:ring-purple-500 focus:border-purple-500"
+          required
+        />
+        <select value={roleInput} onChange={(e) => setRoleInput(e.target.value)} className="border border-purple-600 p-3 w-full rounded-lg bg-gray-800 text-purple-300 focus:ring-purple-500 focus:border-purple-500">
+          {LIFECYCLE_ROLES.map(({ id, label }) => <option key={id} value={id}>{label}</option>)}
+        </select>
+        <button type="submit" className="bg-purple-600 text-white px-6 py-3 rounded-lg hover:bg-purple-700 w-full disabled:opacity-60 flex items-center justify-center gap-2 font-semibold" disabled={pendingAction !== null}>
+          {pendingAction?.type === 'grant' ? <><Spinner /> Processing...</> : 'Grant Role'}
+        </button>
+      </form>
+      {feedback.text && (
+        <p className={`mt-4 text-base font-medium break-all ${
+          feedback.type === 'error' ? 'text-red-500' :
+          feedback.type === 'success' ? 'text-green-400' : 'text-yellow-400'
+        }`}>
+          {feedback.text}
+        </p>
+      )}
+
+      <div className="mt-6">
+        <h3 className="text-xl font-semibold mb-3 text-purple-300">Granted Roles</h3>
+        {isLoadingGrants && <p className="text-sm text-gray-400"><Spinner /> Loading roles...</p>}
+        {!isLoadingGrants && grants.length === 0 && <p className="text-sm text-gray-400">No roles granted yet.</p>}
+        <ul className="space-y-3">
+          {grants.map(({ address, roleIds }) => (
+            <li key={address} className="p-3 bg-gray-800 rounded-lg">
+              <p className="font-mono text-xs break-all text-purple-200">{address}</p>
+              <div className="mt-2 flex flex-wrap gap-2">
+                {roleIds.map(roleId => (
+                  <span key={roleId} className="flex items-center gap-2 text-xs font-semibold px-2 py-1 rounded bg-purple-900 text-purple-200">
+                    {roleLabel(roleId)}
+                    <button
+                      type="button"
+                      onClick={() => handleRevokeRole(address, roleId)}
+                      className="text-red-400 hover:text-red-600 disabled:opacity-60"
+                      disabled={pendingAction !== null}
+                      title={`Revoke ${roleLabel(roleId)}`}
+                    >
+                      {pendingAction?.type === 'revoke' && pendingAction.address === address && pendingAction.roleId === roleId ? <Spinner /> : '×'}
+                    </button>
+                  </span>
+                ))}
+              </div>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </section>
+  );
+}
+
+export default RoleConsole;
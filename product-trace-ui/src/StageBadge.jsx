@@ -0,0 +1,27 @@
+import {
+  STAGE_NAMES, STAGE_RAW_MATERIAL, STAGE_PRODUCTION, STAGE_PACKAGING, STAGE_DISTRIBUTION,
+  STAGE_QUALITY_HOLD, STAGE_REJECTED, STAGE_RECALLED, STAGE_DESTROYED, STAGE_DELIVERED,
+} from './trace.js';
+
+// Regular steps are calm colours; holds are amber and rejections, recalls and write-offs red
+const BADGE_CLASSES = {
+  [STAGE_RAW_MATERIAL]: 'bg-indigo-900 text-indigo-200',
+  [STAGE_PRODUCTION]: 'bg-yellow-900 text-yellow-200',
+  [STAGE_PACKAGING]: 'bg-green-900 text-green-200',
+  [STAGE_DISTRIBUTION]: 'bg-sky-900 text-sky-200',
+  [STAGE_DELIVERED]: 'bg-teal-800 text-teal-100',
+  [STAGE_QUALITY_HOLD]: 'bg-amber-600 text-amber-950',
+  [STAGE_REJECTED]: 'bg-red-800 text-red-100',
+  [STAGE_RECALLED]: 'bg-red-600 text-white',
+  [STAGE_DESTROYED]: 'bg-gray-600 text-gray-200 line-through',
+};
+
+function StageBadge({ stage }) {
+  return (
+    <span className={`inline-block px-2 py-0.5 rounded text-xs font-semibold ${BADGE_CLASSES[stage] ?? 'bg-gray-700 text-gray-200'}`}>
+      {STAGE_NAMES[stage] ?? `Stage ${stage}`}
+    </span>
+  );
+}
+
+export default StageBadge;
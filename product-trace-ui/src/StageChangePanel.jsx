@@ -0,0 +1,142 @@
+import { useState } from 'react';
+import Spinner from './Spinner.jsx';
+import StageBadge from './StageBadge.jsx';
+import StageHistory from './StageHistory.jsx';
+import { availableStageChanges, fetchStageReasons } from './stageChanges.js';
+import { errorMessage } from './errors.js';
+import { write } from '../../sdk/index.js';
+
+// Quality hold, rejection, recall, destruction and delivery for a product the account holds.
+// Every change is sent with a reason, which the trace shows afterwards.
+function StageChangePanel({ contract, account, lifecycle, onSelectProduct }) {
+  const [productIdInput, setProductIdInput] = useState('');
+  const [product, setProduct] = useState(null); // { id, name, stage, stageBeforeHold, isMine, reasons }
+  const [reason, setReason] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [pendingStage, setPendingStage] = useState(null);
+  const [feedback, setFeedback] = useState({ text: '', type: '' });
+
+  const loadProduct = async (productId) => {
+    const [details, stageBeforeHold, reasons] = await Promise.all([
+      contract.products(productId),
+      contract.stageBeforeHold(productId),
+      fetchStageReasons(contract, productId),
+    ]);
+    if (details.id === 0n) throw new Error(`Product ${productId} does not exist.`);
+    setProduct({
+      id: details.id.toString(),
+      name: details.name,
+      stage: Number(details.stage),
+      stageBeforeHold: Number(stageBeforeHold),
+      isMine: details.productOwner.toLowerCase() === account.toLowerCase(),
+      reasons,
+    });
+  };
+
+  const handleLoad = async (e) => {
+    e.preventDefault();
+    setFeedback({ text: '', type: '' });
+    const productId = parseInt(productIdInput);
+    if (isNaN(productId) || productId <= 0) return setFeedback({ text: "Please enter a valid Product ID.", type: 'error' });
+
+    setProduct(null);
+    setIsLoading(true);
+    try {
+      await loadProduct(productId);
+    } catch (error) {
+      console.error("Failed to load product:", error);
+      setFeedback({ text: `Failed to load product: ${errorMessage(error, contract)}`, type: 'error' });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleChangeStage = async (change) => {
+    setFeedback({ text: '', type: '' });
+    if (!reason.trim()) return setFeedback({ text: "Please give a reason for the change.", type: 'error' });
+
+    setPendingStage(change.stage);
+    try {
+      const tx = await write(contract, 'changeProductStage', product.id, change.stage, reason.trim());
+      await tx.wait();
+      setFeedback({ text: `${change.label}: done for product ${product.id}.`, type: 'success' });
+      setReason('');
+      await loadProduct(product.id);
+    } catch (error) {
+      console.error("Failed to change product stage:", error);
+      setFeedback({ text: `Failed to change the stage: ${errorMessage(error, contract)}`, type: 'error' });
+    } finally {
+      setPendingStage(null);
+    }
+  };
+
+  const changes = product ? availableStageChanges(product.stage, product.stageBeforeHold) : [];
+
+  return (
+    <section className="mb-10 p-6 bg-gray-900 border border-gray-700 rounded-xl shadow-lg max-w-lg mx-auto">
+      <h2 className="text-3xl font-semibold mb-6 text-amber-400">Quality &amp; Delivery</h2>
+      <form onSubmit={handleLoad} className="flex gap-3">
+        <input
+          type="number"
+          placeholder="Product ID"
+          value={productIdInput}
+          onChange={(e) => setProductIdInput(e.target.value)}
+          className="border border-amber-600 p-3 flex-grow rounded-lg bg-gray-800 text-amber-200 focus:ring-amber-500 focus:border-amber-500"
+          required
+        />
+        <button type="submit" className="bg-amber-500 text-gray-900 px-6 py-3 rounded-lg hover:bg-amber-600 disabled:opacity-60 flex items-center gap-2 font-semibold" disabled={isLoading}>
+          {isLoading ? <><Spinner /> Loading...</> : 'Load'}
+        </button>
+      </form>
+
+      {product && (
+        <div className="mt-6 space-y-4">
+          <p className="text-amber-100">
+            <button type="button" onClick={() => onSelectProduct?.(product.id)} className="hover:underline">#{product.id} {product.name}</button>{' '}
+            <StageBadge stage={product.stage} />
+          </p>
+          {!product.isMine && <p className="text-sm text-gray-400">Only the current holder of this product can change its stage.</p>}
+          {product.isMine && changes.length === 0 && <p className="text-sm text-gray-400">No further changes are possible from this stage here.</p>}
+          {product.isMine && changes.length > 0 && (
+            <>
+              <textarea
+                placeholder="Reason (e.g., Lab result L-221 above aflatoxin limit)"
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                className="border border-amber-600 p-3 w-full rounded-lg bg-gray-800 text-amber-200 focus:ring-amber-500 focus:border-amber-500"
+                rows={2}
+              />
+              <div className="flex flex-wrap gap-2">
+                {changes.map(change => (
+                  <button
+                    key={change.stage}
+                    type="button"
+                    onClick={() => handleChangeStage(change)}
+                    className="bg-gray-700 text-amber-100 px-4 py-2 rounded-lg hover:bg-gray-600 text-sm font-semibold disabled:opacity-40 flex items-center gap-2"
+                    disabled={pendingStage !== null || (change.role && !lifecycle[change.role])}
+                    title={change.role && !lifecycle[change.role] ? `Needs the ${change.role} role` : undefined}
+                  >
+                    {pendingStage === change.stage && <Spinner />}
+                    {change.label}
+                  </button>
+                ))}
+              </div>
+            </>
+          )}
+          <div className="text-gray-300"><StageHistory reasons={product.reasons} /></div>
+        </div>
+      )}
+
+      {feedback.text && (
+        <p className={`mt-4 text-base font-medium ${
+          feedback.type === 'error' ? 'text-red-500' :
+          feedback.type === 'success' ? 'text-green-400' : 'text-yellow-400'
+        }`}>
+          {feedback.text}
+        </p>
+      )}
+    </section>
+  );
+}
+
+export default StageChangePanel;
@@ -0,0 +1,20 @@
+import StageBadge from './StageBadge.jsx';
+
+// Reasoned stage changes (holds, recalls, deliveries...) from fetchStageReasons, oldest first. null
+// when they could not be read; the rest of the trace is shown without them.
+function StageHistory({ reasons }) {
+  if (!reasons) return <p className="mt-2 text-xs opacity-70">The reasons for stage changes could not be loaded.</p>;
+  if (reasons.length === 0) return null;
+  return (
+    <ul className="mt-2 space-y-1 text-sm">
+      {reasons.map((entry, idx) => (
+        <li key={idx}>
+          <StageBadge stage={entry.stage} /> {entry.reason}
+          <span className="block text-xs opacity-70">{new Date(entry.timestamp * 1000).toLocaleString()} by {entry.changedBy}</span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+export default StageHistory;
@@ -0,0 +1,110 @@
+import { useState } from 'react';
+import Spinner from './Spinner.jsx';
+import { buildRecallReport, recallReportToCsv, recallReportToJson } from './whereUsed.js';
+import { errorMessage } from './errors.js';
+
+const downloadFile = (filename, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// "Where used" recall view: every downstream product that consumed the given product.
+function WhereUsedPanel({ contract, fromBlock, onSelectProduct }) {
+  const [productIdInput, setProductIdInput] = useState('');
+  const [report, setReport] = useState(null);
+  const [isBuildingReport, setIsBuildingReport] = useState(false);
+  const [feedback, setFeedback] = useState({ text: '', type: '' });
+
+  const handleBuildReport = async (e) => {
+    e.preventDefault();
+    setFeedback({ text: '', type: '' });
+    const productId = parseInt(productIdInput);
+    if (isNaN(productId) || productId <= 0) return setFeedback({ text: "Please enter a valid Product ID.", type: 'error' });
+
+    setReport(null);
+    setIsBuildingReport(true);
+    try {
+      const result = await buildRecallReport(contract, productId, { fromBlock });
+      setReport(result);
+      setFeedback({
+        text: result.affected.length === 0
+          ? `Product ID ${productId} has not been used in any batch, split or merge.`
+          : `${result.affected.length} product(s) consumed Product ID ${productId}.`,
+        type: result.affected.length === 0 ? 'success' : 'warn',
+      });
+    } catch (error) {
+      console.error("Failed to build recall report:", error);
+      setFeedback({ text: `Failed to build recall report: ${errorMessage(error, contract)}`, type: 'error' });
+    } finally {
+      setIsBuildingReport(false);
+    }
+  };
+
+  return (
+    <section className="mb-10 p-6 bg-gray-900 border border-gray-700 rounded-xl shadow-lg max-w-lg mx-auto">
+      <h2 className="text-3xl font-semibold mb-6 text-red-400">Where Used (Recall)</h2>
+      <form onSubmit={handleBuildReport} className="space-y-5">
+        <input
+          type="number"
+          placeholder="Suspect Product / Raw Material ID"
+          value={productIdInput}
+          onChange={(e) => setProductIdInput(e.target.value)}
+          className="border border-red-600 p-3 w-full rounded-lg bg-gray-800 text-red-200 focus:ring-red-500 focus:border-red-500"
+          required
+        />
+        <button type="submit" className="bg-red-600 text-white px-6 py-3 rounded-lg hover:bg-red-700 w-full disabled:opacity-60 flex items-center justify-center gap-2 font-semibold" disabled={isBuildingReport}>
+          {isBuildingReport ? <><Spinner /> Indexing batches...</> : 'Find Affected Products'}
+        </button>
+      </form>
+      {feedback.text && (
+        <p className={`mt-4 text-base font-medium ${
+          feedback.type === 'error' ? 'text-red-500' :
+          feedback.type === 'success' ? 'text-green-400' : 'text-yellow-400'
+        }`}>
+          {feedback.text}
+        </p>
+      )}
+      {report && report.affected.length > 0 && (
+        <div className="mt-6">
+          <div className="flex gap-3 mb-3">
+            <button type="button" onClick={() => downloadFile(`recall-${report.sourceProductId}.csv`, recallReportToCsv(report), 'text/csv')} className="bg-gray-700 text-white px-4 py-2 rounded-lg hover:bg-gray-600 text-sm font-semibold">Export CSV</button>
+            <button type="button" onClick={() => downloadFile(`recall-${report.sourceProductId}.json`, recallReportToJson(report), 'application/json')} className="bg-gray-700 text-white px-4 py-2 rounded-lg hover:bg-gray-600 text-sm font-semibold">Export JSON</button>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="min-w-full table-auto border-collapse border border-red-800 text-left text-red-100">
+              <thead className="bg-red-950">
+                <tr>
+                  <th className="border border-red-800 px-3 py-2 text-sm font-medium">ID</th>
+                  <th className="border border-red-800 px-3 py-2 text-sm font-medium">Name</th>
+                  <th className="border border-red-800 px-3 py-2 text-sm font-medium">Stage</th>
+                  <th className="border border-red-800 px-3 py-2 text-sm font-medium">Owner</th>
+                  <th className="border border-red-800 px-3 py-2 text-sm font-medium">Distribution</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.affected.map((row) => (
+                  <tr key={row.productId} className="hover:bg-red-950">
+                    <td className="border border-red-800 px-3 py-2 text-sm">
+                      <button type="button" onClick={() => onSelectProduct?.(row.productId)} className="hover:underline">#{row.productId}</button>
+                      {row.depth > 1 && <span className="block text-xs text-red-300">indirect (level {row.depth})</span>}
+                    </td>
+                    <td className="border border-red-800 px-3 py-2 text-sm">{row.name}</td>
+                    <td className="border border-red-800 px-3 py-2 text-sm">{row.stageName}</td>
+                    <td className="border border-red-800 px-3 py-2 text-xs font-mono break-all">{row.owner}</td>
+                    <td className="border border-red-800 px-3 py-2 text-xs break-all">{row.distributionDetails || '-'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default WhereUsedPanel;
@@ -0,0 +1,107 @@
+import { Fragment, useState } from 'react';
+import Spinner from './Spinner.jsx';
+import { formatQuantity } from './quantities.js';
+import { buildYieldReport, formatYield, lossBasisPoints } from './yieldReport.js';
+import { errorMessage } from './errors.js';
+
+const formatWaste = (waste) => waste.length === 0 ? '-' : waste.map(w => formatQuantity(w.quantity, w.unit)).join(', ');
+
+// Yield of every packaged batch, per product: expected vs. actual output, loss and waste.
+function YieldReport({ contract, fromBlock, onSelectProduct }) {
+  const [report, setReport] = useState(null);
+  const [expandedProduct, setExpandedProduct] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [feedback, setFeedback] = useState({ text: '', type: '' });
+
+  const handleLoadReport = async () => {
+    setFeedback({ text: '', type: '' });
+    setIsLoading(true);
+    try {
+      const result = await buildYieldReport(contract, { fromBlock });
+      setReport(result);
+      setExpandedProduct(null);
+      if (result.length === 0) setFeedback({ text: "No batch has been packaged yet.", type: 'success' });
+    } catch (error) {
+      console.error("Failed to build yield report:", error);
+      setFeedback({ text: `Failed to build yield report: ${errorMessage(error, contract)}`, type: 'error' });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <section className="mb-10 p-6 bg-gray-900 border border-gray-700 rounded-xl shadow-lg max-w-lg mx-auto">
+      <h2 className="text-3xl font-semibold mb-6 text-emerald-400">Production Yield</h2>
+      <button type="button" onClick={handleLoadReport} className="bg-emerald-600 text-white px-6 py-3 rounded-lg hover:bg-emerald-700 w-full disabled:opacity-60 flex items-center justify-center gap-2 font-semibold" disabled={!contract || isLoading}>
+        {isLoading ? <><Spinner /> Reading packaged batches...</> : report ? 'Refresh Yield Report' : 'Load Yield Report'}
+      </button>
+      {feedback.text && (
+        <p className={`mt-4 text-base font-medium ${feedback.type === 'error' ? 'text-red-500' : 'text-green-400'}`}>
+          {feedback.text}
+        </p>
+      )}
+      {report && report.length > 0 && (
+        <div className="mt-6 overflow-x-auto">
+          <table className="min-w-full table-auto border-collapse border border-emerald-800 text-left text-emerald-100">
+            <thead className="bg-emerald-950">
+              <tr>
+                <th className="border border-emerald-800 px-3 py-2 text-sm font-medium">Product</th>
+                <th className="border border-emerald-800 px-3 py-2 text-sm font-medium">Batches</th>
+                <th className="border border-emerald-800 px-3 py-2 text-sm font-medium">Actual / Expected</th>
+                <th className="border border-emerald-800 px-3 py-2 text-sm font-medium">Yield</th>
+                <th className="border border-emerald-800 px-3 py-2 text-sm font-medium">Loss</th>
+                <th className="border border-emerald-800 px-3 py-2 text-sm font-medium">Waste</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.map(product => {
+                const key = `${product.name}-${product.unit}`;
+                const expanded = expandedProduct === key;
+                return (
+                  <Fragment key={key}>
+                    <tr className="hover:bg-emerald-950">
+                      <td className="border border-emerald-800 px-3 py-2 text-sm">
+                        <button type="button" onClick={() => setExpandedProduct(expanded ? null : key)} className="hover:underline" title={expanded ? 'Hide batches' : 'Show batches'}>
+                          {expanded ? '▾' : '▸'} {product.name}
+                        </button>
+                      </td>
+                      <td className="border border-emerald-800 px-3 py-2 text-sm">{product.batches.length}</td>
+                      <td className="border border-emerald-800 px-3 py-2 text-sm">
+                        {formatQuantity(product.actualOutputQuantity, product.unit)} / {formatQuantity(product.expectedOutputQuantity, product.unit)}
+                      </td>
+                      <td className="border border-emerald-800 px-3 py-2 text-sm">
+                        {formatYield(product.yieldBasisPoints)}
+                        {product.batches.length > 1 && (
+                          <span className="block text-xs text-emerald-300">{formatYield(product.minYieldBasisPoints)} – {formatYield(product.maxYieldBasisPoints)}</span>
+                        )}
+                      </td>
+                      <td className="border border-emerald-800 px-3 py-2 text-sm">{formatYield(lossBasisPoints(product.yieldBasisPoints))}</td>
+                      <td className="border border-emerald-800 px-3 py-2 text-sm">{formatWaste(product.waste)}</td>
+                    </tr>
+                    {expanded && product.batches.map(batch => (
+                      <tr key={batch.batchId} className="bg-emerald-950 text-xs">
+                        <td className="border border-emerald-800 px-3 py-2">
+                          <button type="button" onClick={() => onSelectProduct?.(batch.productId)} className="hover:underline">Product #{batch.productId}</button>
+                          <span className="block text-emerald-300">Batch #{batch.batchId}, {new Date(batch.packagedAt * 1000).toLocaleDateString()}</span>
+                        </td>
+                        <td className="border border-emerald-800 px-3 py-2" />
+                        <td className="border border-emerald-800 px-3 py-2">
+                          {formatQuantity(batch.actualOutputQuantity, product.unit)} / {formatQuantity(batch.expectedOutputQuantity, product.unit)}
+                        </td>
+                        <td className="border border-emerald-800 px-3 py-2">{formatYield(batch.yieldBasisPoints)}</td>
+                        <td className="border border-emerald-800 px-3 py-2">{formatYield(lossBasisPoints(batch.yieldBasisPoints))}</td>
+                        <td className="border border-emerald-800 px-3 py-2">{batch.wasteQuantity > 0n ? formatQuantity(batch.wasteQuantity, batch.wasteUnit) : '-'}</td>
+                      </tr>
+                    ))}
+                  </Fragment>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default YieldReport;
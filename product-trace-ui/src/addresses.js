@@ -0,0 +1,25 @@
+import { ethers } from 'ethers';
+
+// Accepts a checksummed/lowercase hex address or an ENS name and returns the checksummed address.
+export const resolveAddressInput = async (provider, input) => {
+  const value = input.trim();
+  if (!value) throw new Error("Please enter an address or ENS name.");
+
+  if (/^0x[0-9a-fA-F]{40}$/.test(value)) {
+    if (!ethers.isAddress(value)) throw new Error("Address checksum is invalid. Check for typos in the mixed-case letters.");
+    return ethers.getAddress(value);
+  }
+
+  if (value.includes('.')) {
+    let resolved = null;
+    try {
+      resolved = await provider.resolveName(value);
+    } catch (e) {
+      console.warn("ENS lookup failed:", e);
+    }
+    if (!resolved) throw new Error(`Could not resolve ENS name "${value}" on this network.`);
+    return ethers.getAddress(resolved);
+  }
+
+  throw new Error("Not a valid address or ENS name.");
+};
@@ -0,0 +1,71 @@
+import { ethers } from 'ethers';
+
+// Certificate documents are kept off-chain in a content-addressed store; only their keccak256 digest
+// and URI are written to the contract. The store that receives uploads is pluggable:
+//   VITE_CERT_STORE      'local' (scripts/certstore, the default) or 'ipfs'
+//   VITE_CERT_STORE_URL  base URL of the local store, or of an IPFS node's HTTP API for 'ipfs'
+//   VITE_IPFS_GATEWAY    gateway used to read ipfs:// URIs back (default https://ipfs.io)
+const STORE_KIND = import.meta.env.VITE_CERT_STORE || 'local';
+const STORE_URL = (import.meta.env.VITE_CERT_STORE_URL || (STORE_KIND === 'ipfs' ? 'http://127.0.0.1:5001' : 'http://localhost:8788')).replace(/\/$/, '');
+const IPFS_GATEWAY = (import.meta.env.VITE_IPFS_GATEWAY || 'https://ipfs.io').replace(/\/$/, '');
+
+export const CERT_STATUS = {
+  VERIFIED: 'verified',
+  MISMATCH: 'mismatch',
+  UNAVAILABLE: 'unavailable',
+  NO_DOCUMENT: 'no-document',
+};
+
+const digestBytes = (buffer) => ethers.keccak256(new Uint8Array(buffer));
+
+const checkResponse = (response, action) => {
+  if (!response.ok) throw new Error(`Certificate ${action} failed with status ${response.status}`);
+  return response;
+};
+
+// Each store takes a File and resolves to the URI it can be downloaded from
+const STORES = {
+  local: {
+    put: async (file) => {
+      const response = await fetch(`${STORE_URL}/files`, {
+        method: 'POST',
+        headers: { 'Content-Type': file.type || 'application/octet-stream', 'X-File-Name': encodeURIComponent(file.name) },
+        body: file,
+      });
+      return (await checkResponse(response, 'upload').json()).uri;
+    },
+  },
+  ipfs: {
+    put: async (file) => {
+      const body = new FormData();
+      body.append('file', file, file.name);
+      const response = await fetch(`${STORE_URL}/api/v0/add?cid-version=1&pin=true`, { method: 'POST', body });
+      return `ipfs://${(await checkResponse(response, 'upload').json()).Hash}`;
+    },
+  },
+};
+
+// ipfs:// URIs are read through the gateway; anything else is fetched as-is
+export const certificateUrl = (uri) => (uri.startsWith('ipfs://') ? `${IPFS_GATEWAY}/ipfs/${uri.slice('ipfs://'.length)}` : uri);
+
+// Hashes the file in the browser before uploading it, so the digest never depends on the store
+export const uploadCertificate = async (file) => {
+  const store = STORES[STORE_KIND];
+  if (!store) throw new Error(`Unknown certificate store "${STORE_KIND}". Use "local" or "ipfs".`);
+  const digest = digestBytes(await file.arrayBuffer());
+  const uri = await store.put(file);
+  return { digest, uri };
+};
+
+// Downloads the document again and compares its digest with the one recorded on-chain
+export const verifyCertificate = async (uri, expectedDigest) => {
+  if (!uri) return { status: CERT_STATUS.NO_DOCUMENT };
+  try {
+    const response = checkResponse(await fetch(certificateUrl(uri)), 'download');
+    const digest = digestBytes(await response.arrayBuffer());
+    return { status: digest === expectedDigest.toLowerCase() ? CERT_STATUS.VERIFIED : CERT_STATUS.MISMATCH, digest };
+  } catch (error) {
+    console.error(`Failed to download certificate ${uri}:`, error);
+    return { status: CERT_STATUS.UNAVAILABLE };
+  }
+};
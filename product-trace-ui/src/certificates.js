@@ -0,0 +1,120 @@
+// Issuer-signed certificates kept by the CertificateRegistry contract next to ProductTrace. An issuer
+// signs an attestation as EIP-712 typed data; the signed attestation travels as JSON to whoever
+// attaches it to the batch. Plain ES module with no browser dependencies.
+
+import { ethers } from 'ethers';
+import { CERTIFICATE_TYPE_NAMES, CertificateType } from '../../sdk/index.js';
+
+export const CERT_TYPE_HALAL = CertificateType.Halal;
+export const CERT_TYPE_BPOM = CertificateType.Bpom;
+export const CERT_TYPE_LAB = CertificateType.Lab;
+export const CERT_TYPE_NAMES = CERTIFICATE_TYPE_NAMES;
+
+// Must match CertificateRegistry.ATTESTATION_TYPEHASH and domainSeparator()
+export const ATTESTATION_TYPES = {
+  Attestation: [
+    { name: 'batchId', type: 'uint256' },
+    { name: 'certType', type: 'uint8' },
+    { name: 'digest', type: 'bytes32' },
+    { name: 'uri', type: 'string' },
+    { name: 'issuedAt', type: 'uint64' },
+    { name: 'expiresAt', type: 'uint64' },
+  ],
+};
+
+export const attestationDomain = (chainId, registryAddress) => ({
+  name: 'CertificateRegistry',
+  version: '1',
+  chainId: Number(chainId),
+  verifyingContract: registryAddress,
+});
+
+export const CERT_STATE = {
+  VALID: 'valid',
+  REVOKED: 'revoked',
+  EXPIRED: 'expired',
+};
+
+// Revocation wins over expiry; expiresAt 0 never expires
+export const certificateState = (certificate, nowSeconds = Math.floor(Date.now() / 1000)) => {
+  if (certificate.revoked) return CERT_STATE.REVOKED;
+  if (certificate.expiresAt !== 0 && certificate.expiresAt <= nowSeconds) return CERT_STATE.EXPIRED;
+  return CERT_STATE.VALID;
+};
+
+// Signs an attestation with the issuer's wallet. Returns the JSON to hand to the packager.
+export const signAttestation = async (signer, registry, attestation) => {
+  const { chainId } = await signer.provider.getNetwork();
+  const domain = attestationDomain(chainId, await registry.getAddress());
+  const signature = await signer.signTypedData(domain, ATTESTATION_TYPES, attestation);
+  return encodeSignedAttestation({ attestation, signature, chainId: Number(chainId), registry: domain.verifyingContract });
+};
+
+export const encodeSignedAttestation = ({ attestation, signature, chainId, registry }) => JSON.stringify({
+  chainId,
+  registry,
+  attestation: {
+    batchId: attestation.batchId.toString(),
+    certType: Number(attestation.certType),
+    digest: attestation.digest,
+    uri: attestation.uri,
+    issuedAt: Number(attestation.issuedAt),
+    expiresAt: Number(attestation.expiresAt),
+  },
+  signature,
+}, null, 2);
+
+// Parses pasted JSON from encodeSignedAttestation. Throws an Error with a message for the form,
+// including when it was signed for another chain or registry.
+export const decodeSignedAttestation = (text, chainId, registryAddress) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error('The signed attestation is not valid JSON.');
+  }
+  const { attestation, signature } = parsed ?? {};
+  if (!attestation || typeof signature !== 'string' || !ethers.isHexString(signature, 65)) {
+    throw new Error('The signed attestation is missing its attestation or signature.');
+  }
+  if (Number(parsed.chainId) !== Number(chainId) || String(parsed.registry).toLowerCase() !== registryAddress.toLowerCase()) {
+    throw new Error('This attestation was signed for another network or certificate registry.');
+  }
+  return { attestation, signature };
+};
+
+const normalizeCertificate = (certificate) => ({
+  id: certificate.id.toString(),
+  batchId: certificate.batchId.toString(),
+  certType: Number(certificate.certType),
+  issuer: certificate.issuer,
+  digest: certificate.digest,
+  uri: certificate.uri,
+  issuedAt: Number(certificate.issuedAt),
+  expiresAt: Number(certificate.expiresAt),
+  attachedBy: certificate.attachedBy,
+  attachedAt: Number(certificate.attachedAt),
+  revoked: certificate.revoked,
+  revokedAt: Number(certificate.revokedAt),
+  revocationReason: certificate.revocationReason,
+});
+
+// Certificates attached to a batch, oldest first, each with its issuer's registered name and state
+export const fetchCertificates = async (registry, batchId) => {
+  if (!batchId || batchId === '0') return [];
+  const certificates = (await registry.getCertificates(batchId)).map(normalizeCertificate);
+  const issuerAddresses = [...new Set(certificates.map(certificate => certificate.issuer))];
+  const issuers = await Promise.all(issuerAddresses.map(address => registry.issuers(address)));
+  const names = new Map(issuerAddresses.map((address, i) => [address, issuers[i].name]));
+  return certificates.map(certificate => ({
+    ...certificate,
+    issuerName: names.get(certificate.issuer),
+    state: certificateState(certificate),
+  }));
+};
+
+// Whether a digest self-declared in packageProduct is backed by a valid attested certificate of that type
+export const isDigestAttested = (certificates, certType, digest) => Boolean(digest) && certificates.some(certificate =>
+  certificate.certType === certType &&
+  certificate.state === CERT_STATE.VALID &&
+  certificate.digest.toLowerCase() === digest.toLowerCase());
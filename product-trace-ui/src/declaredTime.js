@@ -0,0 +1,65 @@
+// Times entered by users are stored on-chain as ProductTrace.DeclaredTime: unix seconds plus the
+// UTC offset (in minutes) of the place where the step happened.
+
+// Mirrors ProductTrace.MAX_CLOCK_SKEW
+const MAX_CLOCK_SKEW_SECONDS = 5 * 60;
+
+// A step recorded on-chain more than this long after its declared time is flagged in the trace
+export const DRIFT_WARNING_SECONDS = 24 * 60 * 60;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const formatOffset = (minutes) => `UTC${minutes < 0 ? '-' : '+'}${pad(Math.floor(Math.abs(minutes) / 60))}:${pad(Math.abs(minutes) % 60)}`;
+
+// Value of an <input type="datetime-local"> ("2025-05-14T10:21"), read in the browser's timezone
+export const fromDateTimeInput = (value) => {
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) return null;
+  return { timestamp: Math.floor(date.getTime() / 1000), utcOffsetMinutes: -date.getTimezoneOffset() };
+};
+
+// Current local time in datetime-local format, used as the inputs' max
+export const nowDateTimeInputValue = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}T${pad(now.getHours())}:${pad(now.getMinutes())}`;
+};
+
+export const normalizeDeclaredTime = (raw) => ({
+  timestamp: Number(raw.timestamp),
+  utcOffsetMinutes: Number(raw.utcOffsetMinutes),
+});
+
+// "14/05/2025 10:21 (UTC+07:00)": shown in the timezone it was declared in, not the viewer's
+export const formatDeclaredTime = (declared) => {
+  if (!declared || !declared.timestamp) return null;
+  const local = new Date((declared.timestamp + declared.utcOffsetMinutes * 60) * 1000);
+  return `${pad(local.getUTCDate())}/${pad(local.getUTCMonth() + 1)}/${local.getUTCFullYear()} ` +
+    `${pad(local.getUTCHours())}:${pad(local.getUTCMinutes())} (${formatOffset(declared.utcOffsetMinutes)})`;
+};
+
+// Same checks as ProductTrace._checkDeclaredTime, so the form can explain a rejection before sending.
+// `earliest` is the previous step: { time: DeclaredTime, label }.
+export const validateDeclaredTime = (declared, earliest = null) => {
+  if (!declared) return "Please pick a date and time.";
+  if (declared.timestamp > Date.now() / 1000 + MAX_CLOCK_SKEW_SECONDS) return "The time cannot be in the future.";
+  if (earliest && declared.timestamp < earliest.time.timestamp) {
+    return `The time cannot be before the ${earliest.label} (${formatDeclaredTime(earliest.time)}).`;
+  }
+  return null;
+};
+
+const formatDuration = (seconds) => {
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  return days > 0 ? `${days}d ${hours}h` : `${hours}h`;
+};
+
+// Warning when the declared time and the block time of the same step are far apart, otherwise null
+export const describeDrift = (declared, blockTimestamp) => {
+  if (!declared || !declared.timestamp || !blockTimestamp) return null;
+  const drift = blockTimestamp - declared.timestamp;
+  if (Math.abs(drift) < DRIFT_WARNING_SECONDS) return null;
+  return drift > 0
+    ? `Recorded on-chain ${formatDuration(drift)} after the declared time`
+    : `Declared ${formatDuration(-drift)} after it was recorded on-chain`;
+};
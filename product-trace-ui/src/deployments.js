@@ -0,0 +1,34 @@
+import registry from '../deployments.json';
+
+// Written by scripts/deploy.js: { [chainId]: { network, address, abi, abiHash, deployBlock, deployer, gitCommit, deployedAt,
+//   inspectionLog: { address, abi, abiHash }, certificateRegistry: { address, abi, abiHash } } }
+const NETWORK_LABELS = {
+  1: 'Ethereum Mainnet',
+  11155111: 'Sepolia',
+  31337: 'Hardhat (localhost)',
+};
+
+export const networkLabel = (chainId) => NETWORK_LABELS[chainId] || registry[chainId]?.network || `Chain ${chainId}`;
+
+export const supportedChainIds = () => Object.keys(registry).map(Number);
+
+export const getDeployment = (chainId) => {
+  const deployment = registry[String(chainId)];
+  return deployment ? { chainId: Number(chainId), ...deployment } : null;
+};
+
+// Asks the wallet to switch networks. A chain the wallet has never seen (error 4902) has to be added
+// by the user, since the registry does not record RPC endpoints.
+export const requestNetworkSwitch = async (chainId) => {
+  try {
+    await window.ethereum.request({
+      method: 'wallet_switchEthereumChain',
+      params: [{ chainId: `0x${Number(chainId).toString(16)}` }],
+    });
+  } catch (error) {
+    if (error.code === 4902) {
+      throw new Error(`${networkLabel(chainId)} is not configured in your wallet. Add it in MetaMask first, then try again.`);
+    }
+    throw error;
+  }
+};
@@ -0,0 +1,8 @@
+// Error messages for the forms' feedback lines. Reverts are decoded against the contracts' ABIs and
+// explained in VITE_LOCALE ('en' by default, or 'id').
+import { describeError } from '../../sdk/index.js';
+
+export const LOCALE = import.meta.env.VITE_LOCALE || 'en';
+
+// `contracts`: the ones that may have reverted (null entries, e.g. a missing companion, are skipped)
+export const errorMessage = (error, ...contracts) => describeError(error, contracts.filter(Boolean), LOCALE);
@@ -0,0 +1,29 @@
+// Optional client for the local ProductTrace indexer (scripts/indexer). When VITE_INDEXER_URL is
+// set the dApp reads lists from it instead of scanning event logs from block 0 on every load.
+const INDEXER_URL = import.meta.env.VITE_INDEXER_URL;
+
+export const isIndexerEnabled = () => Boolean(INDEXER_URL);
+
+const getJson = async (path) => {
+  const response = await fetch(`${INDEXER_URL}${path}`);
+  if (!response.ok) throw new Error(`Indexer request ${path} failed with status ${response.status}`);
+  return response.json();
+};
+
+// Pages through /products until every match has been read
+export const fetchIndexedProducts = async ({ owner, stage } = {}) => {
+  const query = new URLSearchParams({ limit: '500' });
+  if (owner) query.set('owner', owner);
+  if (stage !== undefined) query.set('stage', String(stage));
+
+  const items = [];
+  for (let offset = 0; ; offset += 500) {
+    query.set('offset', String(offset));
+    const page = await getJson(`/products?${query}`);
+    items.push(...page.items);
+    if (items.length >= page.total || page.items.length === 0) return items;
+  }
+};
+
+// [{ address, active, history: [{ action, blockNumber, timestamp, txHash }] }]
+export const fetchIndexedProducers = () => getJson('/producers');
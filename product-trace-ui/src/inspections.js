@@ -0,0 +1,82 @@
+// Quality inspection records kept by the InspectionLog contract next to ProductTrace. Inspections are
+// about a product (lot) or a production batch and are only ever appended.
+
+import { InspectionSubject } from '../../sdk/index.js';
+
+export const SUBJECT_PRODUCT = InspectionSubject.Product;
+export const SUBJECT_BATCH = InspectionSubject.Batch;
+export const SUBJECT_NAMES = ['Product', 'Batch'];
+
+// Mirrors InspectionLog.MEASUREMENT_DECIMALS
+export const MEASUREMENT_DECIMALS = 3;
+const SCALE = 10n ** BigInt(MEASUREMENT_DECIMALS);
+
+// Parameters offered in the form; any other name can be typed in
+export const COMMON_PARAMETERS = [
+  { parameter: 'moisture', unit: '%' },
+  { parameter: 'temperature', unit: '°C' },
+  { parameter: 'microbial count', unit: 'CFU/g' },
+  { parameter: 'pH', unit: '' },
+];
+
+export const emptyMeasurementRow = () => ({ parameter: '', value: '', unit: '' });
+
+// "-18.5" -> -18500n. Unlike quantities, measurements may be zero or negative.
+export const parseMeasurementValue = (text) => {
+  const value = String(text ?? '').trim();
+  const match = /^(-?)(\d+)(?:\.(\d+))?$/.exec(value);
+  if (!match) {
+    throw new Error(`"${value}" is not a valid number.`);
+  }
+  const [, sign, whole, fraction = ''] = match;
+  if (fraction.length > MEASUREMENT_DECIMALS) {
+    throw new Error(`Measurements can have at most ${MEASUREMENT_DECIMALS} decimals.`);
+  }
+  const raw = BigInt(whole) * SCALE + BigInt(fraction.padEnd(MEASUREMENT_DECIMALS, '0'));
+  return sign ? -raw : raw;
+};
+
+// -18500n with "°C" -> "-18.5 °C"
+export const formatMeasurement = (raw, unit) => {
+  const value = BigInt(raw);
+  const magnitude = value < 0n ? -value : value;
+  const fraction = (magnitude % SCALE).toString().padStart(MEASUREMENT_DECIMALS, '0').replace(/0+$/, '');
+  const number = `${value < 0n ? '-' : ''}${magnitude / SCALE}${fraction ? `.${fraction}` : ''}`;
+  return `${number} ${unit}`.trim();
+};
+
+// Rows -> the recordInspection measurements argument. Rows without a parameter name are skipped;
+// throws an Error with a message for the form.
+export const collectMeasurements = (rows) => rows
+  .filter(row => row.parameter.trim())
+  .map(row => {
+    try {
+      return { parameter: row.parameter.trim(), value: parseMeasurementValue(row.value), unit: row.unit.trim() };
+    } catch (error) {
+      throw new Error(`${row.parameter.trim()}: ${error.message}`);
+    }
+  });
+
+const normalizeInspection = (inspection) => ({
+  id: inspection.id.toString(),
+  subject: Number(inspection.subject),
+  subjectId: inspection.subjectId.toString(),
+  inspector: inspection.inspector,
+  passed: inspection.passed,
+  measurements: inspection.measurements.map(({ parameter, value, unit }) => ({ parameter, value: value.toString(), unit })),
+  reportHash: inspection.reportHash,
+  reportUri: inspection.reportUri,
+  notes: inspection.notes,
+  timestamp: Number(inspection.timestamp),
+});
+
+// Inspections of a product and, when it has one, of its production batch, oldest first
+export const fetchInspections = async (inspectionLog, productId, batchId) => {
+  const [productInspections, batchInspections] = await Promise.all([
+    inspectionLog.getInspections(SUBJECT_PRODUCT, productId),
+    batchId && batchId !== '0' ? inspectionLog.getInspections(SUBJECT_BATCH, batchId) : [],
+  ]);
+  return [...productInspections, ...batchInspections]
+    .map(normalizeInspection)
+    .sort((a, b) => Number(a.id) - Number(b.id));
+};
@@ -2,10 +2,15 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App.jsx' // Crucial: Ensure this points to App.jsx
+import ConsumerTracePage from './ConsumerTracePage.jsx'
+import { matchTraceRoute } from './trace.js'
 import './index.css'     // If you have global styles like Tailwind setup
 
+// /trace/:productId is the public, wallet-less page the QR codes link to; everything else is the producer dApp
+const traceProductId = matchTraceRoute(window.location.pathname)
+
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <App />
+    {traceProductId ? <ConsumerTracePage productId={traceProductId} /> : <App />}
   </React.StrictMode>,
 )
@@ -0,0 +1,41 @@
+// Raw material rows shared by the production forms: [{ id, quantity, unit }], where unit is the
+// unit the quantity was typed in and defaults to the material's own unit.
+import { UNITS, convertQuantity, formatQuantity, parseQuantity } from './quantities.js';
+
+export const emptyInputRow = () => ({ id: '', quantity: '', unit: '' });
+
+// Rows -> the startProduction / createProductFromInputs arguments. Checks what the contract would
+// reject for the materials listed in `materials`; throws an Error with a message for the form.
+export const collectProductionInputs = (rows, materials) => {
+  const rawMaterialIds = [];
+  const quantitiesUsed = [];
+  const unitsUsed = [];
+  for (const row of rows) {
+    const id = parseInt(row.id);
+    if (isNaN(id) || id <= 0) continue;
+    const material = materials.find(m => m.id === row.id);
+    const unit = Number(row.unit);
+    let quantity;
+    try {
+      quantity = parseQuantity(row.quantity, unit);
+    } catch (error) {
+      throw new Error(`Raw material #${id}: ${error.message}`);
+    }
+    if (material) {
+      const converted = convertQuantity(quantity, unit, material.unit);
+      if (converted === null) {
+        throw new Error(`Raw material #${id}: ${formatQuantity(quantity, unit)} cannot be recorded in ${UNITS[material.unit].label.toLowerCase()}.`);
+      }
+      if (converted > BigInt(material.availableQuantity)) {
+        throw new Error(`Raw material #${id}: only ${formatQuantity(material.availableQuantity, material.unit)} available.`);
+      }
+    }
+    rawMaterialIds.push(id);
+    quantitiesUsed.push(quantity);
+    unitsUsed.push(unit);
+  }
+  if (rawMaterialIds.length === 0) {
+    throw new Error("Please enter at least one valid Raw Material ID and quantity.");
+  }
+  return { rawMaterialIds, quantitiesUsed, unitsUsed };
+};
@@ -0,0 +1,37 @@
+// Quantities are stored on-chain as fixed-point integers in the product's ProductTrace.Unit.
+// Every form parses, and every table formats, through these helpers so "2.5 kg" means the same everywhere.
+
+import { QUANTITY_DECIMALS, formatAmount, parseQuantity } from '../../sdk/index.js';
+
+export { QUANTITY_DECIMALS, formatAmount, parseQuantity };
+
+// Mirrors the ProductTrace.Unit enum order. Units of the same dimension convert into each other in startProduction.
+export const UNITS = [
+  { id: 0, symbol: 'pcs', label: 'Pieces', dimension: 'count' },
+  { id: 1, symbol: 'g', label: 'Grams', dimension: 'mass' },
+  { id: 2, symbol: 'kg', label: 'Kilograms', dimension: 'mass' },
+  { id: 3, symbol: 'mL', label: 'Millilitres', dimension: 'volume' },
+  { id: 4, symbol: 'L', label: 'Litres', dimension: 'volume' },
+];
+
+export const unitSymbol = (unit) => UNITS[Number(unit)]?.symbol ?? '';
+
+// Units a quantity of a product counted in `unit` can be entered in
+export const compatibleUnits = (unit) => {
+  const dimension = UNITS[Number(unit)]?.dimension;
+  return UNITS.filter(u => u.dimension === dimension);
+};
+
+// 2500n with kg -> "2.5 kg"
+export const formatQuantity = (raw, unit) => `${formatAmount(raw)} ${unitSymbol(unit)}`.trim();
+
+// Same conversion as ProductTrace._convertQuantity; null where the contract would revert
+export const convertQuantity = (raw, from, to) => {
+  const value = BigInt(raw);
+  const [fromUnit, toUnit] = [UNITS[Number(from)], UNITS[Number(to)]];
+  if (!fromUnit || !toUnit || fromUnit.dimension !== toUnit.dimension) return null;
+  if (fromUnit.id === toUnit.id) return value;
+  // Within a dimension the larger unit (kg, L) comes after the smaller one (g, mL)
+  if (fromUnit.id > toUnit.id) return value * 1000n;
+  return value % 1000n === 0n ? value / 1000n : null;
+};
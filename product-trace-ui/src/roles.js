@@ -0,0 +1,64 @@
+// Role model for the connected account, resolved from the on-chain owner(), pendingOwner(),
+// producers(address) and hasRole(address, role) getters.
+export const ROLES = {
+  OWNER: 'owner',
+  PRODUCER: 'producer',
+  OPERATOR: 'operator',
+  VIEWER: 'viewer',
+};
+
+// Mirrors the ProductTrace.Role enum (0 is Role.None)
+export const LIFECYCLE_ROLES = [
+  { id: 1, key: 'supplier', label: 'Supplier' },
+  { id: 2, key: 'manufacturer', label: 'Manufacturer' },
+  { id: 3, key: 'packager', label: 'Packager' },
+  { id: 4, key: 'distributor', label: 'Distributor' },
+  { id: 5, key: 'auditor', label: 'Auditor' },
+];
+
+const NO_LIFECYCLE_ROLES = Object.fromEntries(LIFECYCLE_ROLES.map(({ key }) => [key, false]));
+
+export const VIEWER_ROLES = {
+  role: ROLES.VIEWER,
+  isOwner: false,
+  isPendingOwner: false,
+  isProducer: false,
+  lifecycle: NO_LIFECYCLE_ROLES,
+};
+
+export const ROLE_LABELS = {
+  [ROLES.OWNER]: 'Owner',
+  [ROLES.PRODUCER]: 'Producer',
+  [ROLES.OPERATOR]: 'Operator',
+  [ROLES.VIEWER]: 'Viewer (read-only)',
+};
+
+// "Owner", "Producer" or the granted lifecycle roles, e.g. "Supplier, Packager"
+export const describeRoles = (roles) => {
+  if (roles.role !== ROLES.OPERATOR) return ROLE_LABELS[roles.role];
+  return LIFECYCLE_ROLES.filter(({ key }) => roles.lifecycle[key]).map(({ label }) => label).join(', ');
+};
+
+// The owner is usually also a producer, but can be removed as one; the flags are kept separate
+// so the owner console and each lifecycle form are gated independently.
+export const resolveRoles = async (contract, account) => {
+  if (!contract || !account) return VIEWER_ROLES;
+
+  const [ownerAddress, pendingOwner, isProducer, ...granted] = await Promise.all([
+    contract.owner(),
+    contract.pendingOwner(),
+    contract.producers(account),
+    ...LIFECYCLE_ROLES.map(({ id }) => contract.hasRole(account, id)),
+  ]);
+  const isOwner = ownerAddress.toLowerCase() === account.toLowerCase();
+  const lifecycle = Object.fromEntries(LIFECYCLE_ROLES.map(({ key }, i) => [key, granted[i]]));
+  const hasLifecycleRole = granted.some(Boolean);
+
+  return {
+    role: isOwner ? ROLES.OWNER : isProducer ? ROLES.PRODUCER : hasLifecycleRole ? ROLES.OPERATOR : ROLES.VIEWER,
+    isOwner,
+    isPendingOwner: pendingOwner.toLowerCase() === account.toLowerCase(),
+    isProducer,
+    lifecycle,
+  };
+};
@@ -0,0 +1,53 @@
+// Quality hold, rejection, recall, destruction and delivery: the stage changes made with
+// ProductTrace.changeProductStage, each of which records a reason.
+import {
+  STAGE_NAMES, STAGE_RAW_MATERIAL, STAGE_PRODUCTION, STAGE_PACKAGING, STAGE_DISTRIBUTION,
+  STAGE_QUALITY_HOLD, STAGE_REJECTED, STAGE_RECALLED, STAGE_DESTROYED, STAGE_DELIVERED,
+} from './trace.js';
+
+// The part of ProductTrace's allowedStageTransitions that changeProductStage can take. The regular
+// steps have forms of their own, and releasing a hold is added by availableStageChanges.
+const EXCEPTION_TRANSITIONS = {
+  [STAGE_RAW_MATERIAL]: [STAGE_QUALITY_HOLD, STAGE_REJECTED, STAGE_RECALLED, STAGE_DESTROYED],
+  [STAGE_PRODUCTION]: [STAGE_QUALITY_HOLD, STAGE_REJECTED, STAGE_DESTROYED],
+  [STAGE_PACKAGING]: [STAGE_QUALITY_HOLD, STAGE_REJECTED, STAGE_RECALLED, STAGE_DESTROYED],
+  [STAGE_DISTRIBUTION]: [STAGE_DELIVERED, STAGE_QUALITY_HOLD, STAGE_RECALLED],
+  [STAGE_DELIVERED]: [STAGE_RECALLED],
+  [STAGE_QUALITY_HOLD]: [STAGE_REJECTED, STAGE_RECALLED, STAGE_DESTROYED],
+  [STAGE_REJECTED]: [STAGE_DESTROYED],
+  [STAGE_RECALLED]: [STAGE_DESTROYED],
+};
+
+const ACTION_LABELS = {
+  [STAGE_QUALITY_HOLD]: 'Place on quality hold',
+  [STAGE_REJECTED]: 'Reject',
+  [STAGE_RECALLED]: 'Recall',
+  [STAGE_DESTROYED]: 'Destroy',
+  [STAGE_DELIVERED]: 'Mark delivered / sold',
+};
+
+// [{ stage, label, role }] open to the holder of a product in `stage`. role is the lifecycle role the
+// change needs (only delivery needs one); stageBeforeHold is where releasing a hold returns the product.
+export const availableStageChanges = (stage, stageBeforeHold) => {
+  const changes = (EXCEPTION_TRANSITIONS[stage] || []).map(to => ({
+    stage: to,
+    label: ACTION_LABELS[to],
+    role: to === STAGE_DELIVERED ? 'distributor' : null,
+  }));
+  if (stage === STAGE_QUALITY_HOLD) {
+    changes.unshift({ stage: stageBeforeHold, label: `Release to ${STAGE_NAMES[stageBeforeHold]}`, role: null });
+  }
+  return changes;
+};
+
+// Every reasoned stage change of a product, oldest first: [{ stage, reason, changedBy, timestamp }].
+// fromBlock is the deployment's block, so the scan does not start at genesis.
+export const fetchStageReasons = async (contract, productId, fromBlock = 0) => {
+  const events = await contract.queryFilter(contract.filters.ProductStageReason(productId), fromBlock);
+  return events.map(event => ({
+    stage: Number(event.args.newStage),
+    reason: event.args.reason,
+    changedBy: event.args.changedBy,
+    timestamp: Number(event.args.timestamp),
+  }));
+};
@@ -0,0 +1,56 @@
+// Helpers shared by the producer dApp and the public consumer trace page.
+import { Stage, STAGE_NAMES, parseDistributionDetails } from '../../sdk/index.js';
+
+export { STAGE_NAMES };
+export const STAGE_RAW_MATERIAL = Stage.RawMaterial;
+export const STAGE_PRODUCTION = Stage.Production;
+export const STAGE_PACKAGING = Stage.Packaging;
+export const STAGE_DISTRIBUTION = Stage.Distribution;
+export const STAGE_QUALITY_HOLD = Stage.QualityHold;
+export const STAGE_REJECTED = Stage.Rejected;
+export const STAGE_RECALLED = Stage.Recalled;
+export const STAGE_DESTROYED = Stage.Destroyed;
+export const STAGE_DELIVERED = Stage.Delivered;
+
+// Whether a product went through a regular step (RawMaterial to Distribution). Past Distribution the
+// stage number no longer tells, since a held or recalled product may never have been packaged, so
+// this reads what the trace recorded.
+export const hasReachedStep = (trace, stage) => {
+  switch (stage) {
+    case STAGE_RAW_MATERIAL: return true;
+    case STAGE_PRODUCTION: return trace.batchId !== '0';
+    case STAGE_PACKAGING: return trace.batchPackagingTimestamp > 0;
+    case STAGE_DISTRIBUTION: return trace.productStage === STAGE_DISTRIBUTION || trace.productStage === STAGE_DELIVERED || Boolean(trace.productDistributionDetails);
+    default: return false;
+  }
+};
+
+// Public URL of the consumer trace page; this is what the printed QR codes encode.
+export const traceUrl = (productId) => `${window.location.origin}/trace/${productId}`;
+
+// Matches /trace/:productId and returns the ID, or null for any other path.
+export const matchTraceRoute = (pathname) => {
+  const match = /^\/trace\/(\d+)\/?$/.exec(pathname);
+  return match ? match[1] : null;
+};
+
+const formatTimestamp = (seconds) => new Date(Number(seconds) * 1000).toLocaleString();
+
+// Adds display values to a plain trace from the SDK's getTrace. The block times become
+// locale strings; the raw ones are kept as *Timestamp for comparing with the declared times.
+export const normalizeTrace = (trace) => ({
+  ...trace,
+  productLastUpdateTimestamp: formatTimestamp(trace.productLastUpdateTimestamp),
+  batchStartTime: formatTimestamp(trace.batchStartTime),
+  batchPackagingTime: trace.batchPackagingTime > 0 ? formatTimestamp(trace.batchPackagingTime) : 'Not packaged yet',
+  batchStartTimestamp: trace.batchStartTime,
+  batchPackagingTimestamp: trace.batchPackagingTime,
+  productDistribution: parseDistributionDetails(trace.productDistributionDetails),
+});
+
+// Custody records from the SDK's getCustodyHistory, with `since` as a locale string
+export const normalizeCustodyHistory = (records) => records.map(record => ({
+  custodian: record.custodian,
+  since: formatTimestamp(record.since),
+  note: record.note,
+}));
@@ -0,0 +1,107 @@
+// Client-side provenance resolver.
+//
+// getFullTrace only returns the direct inputs of a product's current batch. This module walks
+// products -> currentBatchId -> getBatchRawMaterialIds/getBatchQuantitiesUsed recursively, along
+// with the LotSplit/LotMerged events a lot was derived through, and returns the whole ancestry as
+// a directed acyclic graph:
+//
+//   {
+//     rootId: '7',
+//     nodes: { '7': { id, name, source, unit, stage, owner, batchId, batchStartTime, depth, truncated } },
+//     edges: [{ from: '3', to: '7', kind: 'input', batchId: '2', quantity: '40000', cycle: false }],
+//   }
+//
+// Edges point from an input to the product it was consumed into (kind 'input'), or from a lot to
+// the lot split off it ('split') or merged from it ('merge', batchId null). Their quantity is in the
+// input's unit, which split and merged lots share with their parents.
+
+export const DEFAULT_MAX_DEPTH = 12;
+
+export const EDGE_INPUT = 'input';
+export const EDGE_SPLIT = 'split';
+export const EDGE_MERGE = 'merge';
+
+// The lots a product was split off or merged from: [{ from, kind, quantity }]. Events are read from
+// fromBlock, the deployment's block, rather than from genesis for every node.
+const fetchLotParents = async (contract, productId, fromBlock) => {
+  const [splits, merges] = await Promise.all([
+    contract.queryFilter(contract.filters.LotSplit(null, productId), fromBlock),
+    contract.queryFilter(contract.filters.LotMerged(null, productId), fromBlock),
+  ]);
+  return [
+    ...splits.map(event => ({ from: event.args.parentId.toString(), kind: EDGE_SPLIT, quantity: event.args.quantity.toString() })),
+    ...merges.map(event => ({ from: event.args.parentId.toString(), kind: EDGE_MERGE, quantity: event.args.quantity.toString() })),
+  ];
+};
+
+export const resolveProvenance = async (contract, rootProductId, { maxDepth = DEFAULT_MAX_DEPTH, fromBlock = 0 } = {}) => {
+  const rootId = rootProductId.toString();
+  const nodes = {};
+  const edges = [];
+  // Shared inputs are fetched once, by whichever branch reaches them first. Other branches
+  // only add an edge and never wait on that fetch, so a malformed cycle cannot deadlock.
+  const visited = new Set();
+
+  const visit = async (productId, depth, path) => {
+    if (visited.has(productId)) return;
+    visited.add(productId);
+
+    const product = await contract.products(productId);
+    if (product.id === 0n) {
+      nodes[productId] = { id: productId, name: 'Unknown product', missing: true, depth, truncated: false };
+      return;
+    }
+
+    const batchId = product.currentBatchId.toString();
+    const node = {
+      id: productId,
+      name: product.name,
+      source: product.source,
+      unit: Number(product.unit),
+      stage: Number(product.stage),
+      owner: product.productOwner,
+      batchId,
+      batchStartTime: null,
+      depth,
+      truncated: false,
+    };
+    nodes[productId] = node;
+
+    // A lot split off or merged from others may also have been produced into something later
+    const lotParents = await fetchLotParents(contract, productId, fromBlock);
+    if (batchId === '0' && lotParents.length === 0) return;
+
+    if (depth >= maxDepth) {
+      node.truncated = true;
+      return;
+    }
+
+    const parents = lotParents.map(parent => ({ ...parent, batchId: null }));
+    if (batchId !== '0') {
+      const [batch, inputIds, quantities] = await Promise.all([
+        contract.batches(batchId),
+        contract.getBatchRawMaterialIds(batchId),
+        contract.getBatchQuantitiesUsed(batchId),
+      ]);
+      node.batchStartTime = Number(batch.startTime);
+      inputIds.forEach((inputId, i) => parents.push({ from: inputId.toString(), kind: EDGE_INPUT, batchId, quantity: quantities[i].toString() }));
+    }
+
+    const nextPath = new Set(path).add(productId);
+    await Promise.all(parents.map(parent => {
+      const cycle = nextPath.has(parent.from);
+      edges.push({ ...parent, to: productId, cycle });
+      return cycle ? null : visit(parent.from, depth + 1, nextPath);
+    }));
+  };
+
+  await visit(rootId, 0, new Set());
+  return { rootId, nodes, edges };
+};
+
+// Inputs and parent lots of a product in the resolved graph: lots it was split off or merged from
+// first, then its batch inputs in the order they were recorded on-chain.
+export const inputsOf = (graph, productId) => graph.edges.filter(edge => edge.to === productId);
+
+// Number of distinct ancestors (excluding the root itself).
+export const countAncestors = (graph) => Object.keys(graph.nodes).length - 1;
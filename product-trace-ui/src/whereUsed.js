@@ -0,0 +1,132 @@
+// Forward trace ("where used") for recall impact analysis.
+//
+// The opposite of getFullTrace: starting from one product (typically a suspect supplier lot),
+// find every product that consumed it, directly or through intermediate products. The index is
+// built from BatchCreated events, whose consumedProductIds/quantitiesUsed describe each batch's
+// inputs, and from LotSplit/LotMerged events, since a lot split off or merged from a suspect lot
+// carries the same material. Plain ES module with no browser dependencies so the Hardhat where-used task can
+// import it too.
+
+import { STAGE_NAMES } from './trace.js';
+import { formatAmount, unitSymbol } from './quantities.js';
+
+// consumedProductId -> [{ productId, kind, batchId, quantity, createdBy, blockNumber, txHash }]
+// kind is 'input' for batch inputs and 'split'/'merge' for lot lineage, which has no batchId.
+export const indexConsumption = async (contract, { fromBlock = 0, toBlock = 'latest' } = {}) => {
+  const [batches, splits, merges] = await Promise.all([
+    contract.queryFilter(contract.filters.BatchCreated(), fromBlock, toBlock),
+    contract.queryFilter(contract.filters.LotSplit(), fromBlock, toBlock),
+    contract.queryFilter(contract.filters.LotMerged(), fromBlock, toBlock),
+  ]);
+  const index = new Map();
+  const add = (consumedId, use, event) => {
+    const key = consumedId.toString();
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push({ ...use, blockNumber: event.blockNumber, txHash: event.transactionHash });
+  };
+  for (const event of batches) {
+    const { batchId, productId, createdBy, consumedProductIds, quantitiesUsed } = event.args;
+    consumedProductIds.forEach((consumedId, i) => add(consumedId, {
+      productId: productId.toString(),
+      kind: 'input',
+      batchId: batchId.toString(),
+      quantity: quantitiesUsed[i].toString(),
+      createdBy,
+    }, event));
+  }
+  for (const [kind, events] of [['split', splits], ['merge', merges]]) {
+    for (const event of events) {
+      const { parentId, lotId, quantity } = event.args;
+      add(parentId, {
+        productId: lotId.toString(),
+        kind,
+        batchId: null,
+        quantity: quantity.toString(),
+        createdBy: kind === 'split' ? event.args.splitBy : event.args.mergedBy,
+      }, event);
+    }
+  }
+  return index;
+};
+
+// Breadth-first walk downstream from sourceProductId. Each affected product is listed once, at
+// the shortest depth it was reached, with every batch through which it took in affected material.
+export const findWhereUsed = (index, sourceProductId) => {
+  const sourceId = sourceProductId.toString();
+  const affected = new Map();
+  const queue = [{ id: sourceId, depth: 0 }];
+  const seen = new Set([sourceId]);
+
+  while (queue.length > 0) {
+    const { id, depth } = queue.shift();
+    for (const use of index.get(id) || []) {
+      if (!affected.has(use.productId)) {
+        affected.set(use.productId, { productId: use.productId, depth: depth + 1, consumedVia: [] });
+      }
+      affected.get(use.productId).consumedVia.push({ inputProductId: id, kind: use.kind, batchId: use.batchId, quantity: use.quantity, txHash: use.txHash });
+      if (!seen.has(use.productId)) {
+        seen.add(use.productId);
+        queue.push({ id: use.productId, depth: depth + 1 });
+      }
+    }
+  }
+  return [...affected.values()];
+};
+
+// Full recall report: affected products enriched with their current owner, stage and distribution details.
+export const buildRecallReport = async (contract, sourceProductId, options = {}) => {
+  const index = await indexConsumption(contract, options);
+  const affected = findWhereUsed(index, sourceProductId);
+
+  const source = await contract.products(sourceProductId);
+  const products = await Promise.all(affected.map(entry => contract.products(entry.productId)));
+  // Every input along the way is either the source or an affected product, and its quantities are in its unit
+  const units = new Map([[sourceProductId.toString(), Number(source.unit)]]);
+  affected.forEach((entry, i) => units.set(entry.productId, Number(products[i].unit)));
+
+  const rows = affected.map((entry, i) => {
+    const product = products[i];
+    const stage = Number(product.stage);
+    return {
+      ...entry,
+      consumedVia: entry.consumedVia.map(via => ({ ...via, unit: unitSymbol(units.get(via.inputProductId)) })),
+      name: product.name,
+      owner: product.productOwner,
+      stage,
+      stageName: STAGE_NAMES[stage],
+      availableQuantity: product.availableQuantity.toString(),
+      unit: unitSymbol(product.unit),
+      distributionDetails: product.distributionDetails,
+    };
+  });
+  rows.sort((a, b) => a.depth - b.depth || Number(a.productId) - Number(b.productId));
+
+  return {
+    sourceProductId: sourceProductId.toString(),
+    sourceProductName: source.name,
+    generatedAt: new Date().toISOString(),
+    affected: rows,
+  };
+};
+
+const CSV_COLUMNS = ['productId', 'name', 'depth', 'owner', 'stageName', 'availableQuantity', 'distributionDetails', 'consumedVia'];
+
+const csvCell = (value) => {
+  const text = String(value ?? '');
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Quantities are written for people reading the sheet, e.g. "2.5 kg"
+const csvQuantity = (raw, symbol) => `${formatAmount(raw)} ${symbol}`.trim();
+
+export const recallReportToCsv = (report) => {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const row of report.affected) {
+    const via = row.consumedVia.map(v => `#${v.inputProductId} x${csvQuantity(v.quantity, v.unit)} (${v.batchId ? `batch ${v.batchId}` : v.kind})`).join('; ');
+    const cells = { ...row, availableQuantity: csvQuantity(row.availableQuantity, row.unit), consumedVia: via };
+    lines.push(CSV_COLUMNS.map(col => csvCell(cells[col])).join(','));
+  }
+  return lines.join('\n') + '\n';
+};
+
+export const recallReportToJson = (report) => JSON.stringify(report, null, 2);
@@ -0,0 +1,64 @@
+// Production yield: the actual output of a batch as a share of the output expected when it
+// started, in basis points as ProductTrace reports it. The report is built from
+// BatchOutputRecorded events, one per packaged batch.
+
+import { formatAmount } from './quantities.js';
+
+// Mirrors ProductTrace.YIELD_BASIS_POINTS (100%)
+export const YIELD_BASIS_POINTS = 10000;
+
+// 8750 -> "87.5%"
+export const formatYield = (basisPoints) => `${formatAmount(BigInt(basisPoints) * 10n)}%`;
+
+// What fell short of the plan; zero when the batch met or beat it
+export const lossBasisPoints = (yieldBasisPoints) => Math.max(YIELD_BASIS_POINTS - Number(yieldBasisPoints), 0);
+
+const summarize = ({ name, unit, batches }) => {
+  const expected = batches.reduce((sum, batch) => sum + batch.expectedOutputQuantity, 0n);
+  const actual = batches.reduce((sum, batch) => sum + batch.actualOutputQuantity, 0n);
+  const yields = batches.map(batch => batch.yieldBasisPoints);
+  // Waste can be reported in any unit, so it is totalled per unit
+  const waste = new Map();
+  for (const batch of batches) {
+    if (batch.wasteQuantity > 0n) waste.set(batch.wasteUnit, (waste.get(batch.wasteUnit) ?? 0n) + batch.wasteQuantity);
+  }
+  return {
+    name,
+    unit,
+    batches: batches.sort((a, b) => Number(a.batchId) - Number(b.batchId)),
+    expectedOutputQuantity: expected,
+    actualOutputQuantity: actual,
+    yieldBasisPoints: expected > 0n ? Number(actual * BigInt(YIELD_BASIS_POINTS) / expected) : 0,
+    minYieldBasisPoints: Math.min(...yields),
+    maxYieldBasisPoints: Math.max(...yields),
+    waste: [...waste].map(([wasteUnit, quantity]) => ({ unit: wasteUnit, quantity })),
+  };
+};
+
+// Every production run registers its own product, so batches are grouped by product name and unit:
+// [{ name, unit, batches, expectedOutputQuantity, actualOutputQuantity, yieldBasisPoints, min/maxYieldBasisPoints, waste }]
+export const buildYieldReport = async (contract, { fromBlock = 0, toBlock = 'latest' } = {}) => {
+  const events = await contract.queryFilter(contract.filters.BatchOutputRecorded(), fromBlock, toBlock);
+  const productIds = [...new Set(events.map(event => event.args.productId.toString()))];
+  const products = new Map(await Promise.all(productIds.map(async id => [id, await contract.products(id)])));
+
+  const groups = new Map();
+  for (const event of events) {
+    const { batchId, productId, expectedOutputQuantity, actualOutputQuantity, yieldBasisPoints, wasteQuantity, wasteUnit, timestamp } = event.args;
+    const product = products.get(productId.toString());
+    const unit = Number(product.unit);
+    const key = `${product.name}\u0000${unit}`;
+    if (!groups.has(key)) groups.set(key, { name: product.name, unit, batches: [] });
+    groups.get(key).batches.push({
+      batchId: batchId.toString(),
+      productId: productId.toString(),
+      expectedOutputQuantity,
+      actualOutputQuantity,
+      yieldBasisPoints: Number(yieldBasisPoints),
+      wasteQuantity,
+      wasteUnit: Number(wasteUnit),
+      packagedAt: Number(timestamp),
+    });
+  }
+  return [...groups.values()].map(summarize).sort((a, b) => a.name.localeCompare(b.name));
+};
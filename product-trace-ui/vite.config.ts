@@ -6,5 +6,11 @@ export default defineConfig({
   plugins: [react()],
   optimizeDeps: {
     include: ['qrcode.react']
+  },
+  // The ProductTrace SDK lives next to this package (../sdk), shared with the scripts and tests
+  server: {
+    fs: {
+      allow: ['..']
+    }
   }
 })
@@ -0,0 +1,22 @@
+// Local stand-in for the certificate document store. Files are kept on disk under their keccak256
+// digest; point the dApp at it with VITE_CERT_STORE=local and VITE_CERT_STORE_URL.
+//
+//   node scripts/certstore/index.js
+//
+// Configuration (environment variables):
+//   CERTSTORE_DIR         where files are written (default scripts/certstore/data)
+//   CERTSTORE_PORT        HTTP port (default 8788)
+//   CERTSTORE_PUBLIC_URL  base URL written into the returned URIs (default http://localhost:<port>)
+const path = require("path");
+const { createServer } = require("./server");
+
+const port = Number(process.env.CERTSTORE_PORT || 8788);
+const dataDir = process.env.CERTSTORE_DIR || path.join(__dirname, "data");
+const publicUrl = (process.env.CERTSTORE_PUBLIC_URL || `http://localhost:${port}`).replace(/\/$/, "");
+
+const server = createServer({ dataDir, publicUrl });
+server.listen(port, () => console.log(`✅ Certificate store listening on ${publicUrl}, files in ${dataDir}`));
+
+const shutdown = () => server.close();
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
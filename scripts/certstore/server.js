@@ -0,0 +1,89 @@
+const fs = require("fs");
+const path = require("path");
+const http = require("http");
+const { ethers } = require("ethers");
+
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+const DIGEST_PATTERN = /^\/files\/(0x[0-9a-f]{64})$/;
+// Certificates and inspection reports are PDFs or scans. Anything the browser could run (HTML, SVG)
+// is refused, since stored files are served from this origin to any page.
+const ALLOWED_CONTENT_TYPES = ["application/pdf", "image/png", "image/jpeg", "image/gif", "image/webp"];
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST",
+  "Access-Control-Allow-Headers": "Content-Type, X-File-Name",
+};
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { "Content-Type": "application/json", ...CORS_HEADERS });
+  res.end(JSON.stringify(body));
+};
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_FILE_SIZE) {
+        reject(Object.assign(new Error(`File exceeds ${MAX_FILE_SIZE} bytes`), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+
+// Content-addressed file store for certificate documents: every file is saved under the keccak256
+// digest of its bytes, so the URI it is served from can never point at different content.
+//
+//   POST /files           raw PDF or image body (Content-Type and optional X-File-Name are kept) -> { digest, uri, size }
+//   GET  /files/<digest>  the stored bytes
+const createServer = ({ dataDir, publicUrl }) =>
+  http.createServer(async (req, res) => {
+    if (req.method === "OPTIONS") {
+      res.writeHead(204, CORS_HEADERS);
+      return res.end();
+    }
+    if (req.method !== "GET" && req.method !== "POST") return sendJson(res, 405, { error: "Method not allowed" });
+
+    const { pathname } = new URL(req.url, "http://localhost");
+    try {
+      if (req.method === "POST" && pathname === "/files") {
+        const contentType = (req.headers["content-type"] || "").split(";")[0].trim().toLowerCase();
+        if (!ALLOWED_CONTENT_TYPES.includes(contentType)) {
+          return sendJson(res, 415, { error: `Unsupported file type "${contentType}", expected a PDF or an image` });
+        }
+        const body = await readBody(req);
+        if (body.length === 0) return sendJson(res, 400, { error: "Empty file" });
+
+        const digest = ethers.keccak256(body);
+        fs.mkdirSync(dataDir, { recursive: true });
+        fs.writeFileSync(path.join(dataDir, digest), body);
+        fs.writeFileSync(path.join(dataDir, `${digest}.json`), JSON.stringify({
+          contentType,
+          name: req.headers["x-file-name"] ? decodeURIComponent(req.headers["x-file-name"]) : "",
+          size: body.length,
+        }));
+        return sendJson(res, 201, { digest, uri: `${publicUrl}/files/${digest}`, size: body.length });
+      }
+
+      const match = req.method === "GET" && DIGEST_PATTERN.exec(pathname);
+      if (match) {
+        const filePath = path.join(dataDir, match[1]);
+        if (!fs.existsSync(filePath)) return sendJson(res, 404, { error: "Not found" });
+        const meta = JSON.parse(fs.readFileSync(`${filePath}.json`, "utf8"));
+        res.writeHead(200, { "Content-Type": meta.contentType, "Content-Length": meta.size, "X-Content-Type-Options": "nosniff", ...CORS_HEADERS });
+        return res.end(fs.readFileSync(filePath));
+      }
+
+      return sendJson(res, 404, { error: "Not found" });
+    } catch (error) {
+      return sendJson(res, error.status || 500, { error: error.message });
+    }
+  });
+
+module.exports = { createServer, MAX_FILE_SIZE };
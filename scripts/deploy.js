@@ -1,25 +1,44 @@
 const hre = require("hardhat");
-const fs = require("fs");
-const path = require("path");
+const { recordDeployment, REGISTRY_PATH } = require("./deployments");
+const { getProductTraceFactory } = require("./productTraceFactory");
 
 async function main() {
-  const ProductTrace = await hre.ethers.getContractFactory("ProductTrace");
+  const [deployer] = await hre.ethers.getSigners();
+  const ProductTrace = await getProductTraceFactory(hre.ethers, deployer);
   const productTrace = await ProductTrace.deploy();
   await productTrace.waitForDeployment();
 
   const address = await productTrace.getAddress();
+  const receipt = await productTrace.deploymentTransaction().wait();
+  const { chainId } = await hre.ethers.provider.getNetwork();
   console.log("✅ ProductTrace deployed to:", address);
 
-  // Simpan ABI dan alamat ke file untuk pengecekan atau frontend
-  const data = {
-    address: address,
-    abi: ProductTrace.interface.format("json"),
-  };
-  // Menentukan path ke direktori product-trace-ui
-  const uiDir = path.join(__dirname, "..", "product-trace-ui");
-  // Memastikan direktori ada, jika tidak maka buat
-  if (!fs.existsSync(uiDir)){ fs.mkdirSync(uiDir, { recursive: true }); }
-  fs.writeFileSync(path.join(uiDir, "deployed.json"), JSON.stringify(data, null, 2));
+  // Catatan inspeksi mutu disimpan di kontrak terpisah yang memakai peran Auditor dari ProductTrace
+  const InspectionLog = await hre.ethers.getContractFactory("InspectionLog", deployer);
+  const inspectionLog = await InspectionLog.deploy(address);
+  await inspectionLog.waitForDeployment();
+  const inspectionLogAddress = await inspectionLog.getAddress();
+  console.log("✅ InspectionLog deployed to:", inspectionLogAddress);
+
+  // Registry penerbit sertifikat (Halal, BPOM, lab); pemilik ProductTrace yang mendaftarkan penerbit
+  const CertificateRegistry = await hre.ethers.getContractFactory("CertificateRegistry", deployer);
+  const certificateRegistry = await CertificateRegistry.deploy(address);
+  await certificateRegistry.waitForDeployment();
+  const certificateRegistryAddress = await certificateRegistry.getAddress();
+  console.log("✅ CertificateRegistry deployed to:", certificateRegistryAddress);
+
+  // Catat deployment ke registry per chainId agar frontend dan script memilih alamat sesuai jaringan
+  const entry = recordDeployment({
+    chainId,
+    network: hre.network.name,
+    address,
+    deployBlock: receipt.blockNumber,
+    deployer: deployer.address,
+    abi: ProductTrace.interface.format(),
+    inspectionLog: { address: inspectionLogAddress, abi: InspectionLog.interface.format() },
+    certificateRegistry: { address: certificateRegistryAddress, abi: CertificateRegistry.interface.format() },
+  });
+  console.log(`📒 Recorded chain ${chainId} (${entry.network}) in ${REGISTRY_PATH}, ABI hash ${entry.abiHash}`);
 }
 main().catch((error) => {
   console.error(error);
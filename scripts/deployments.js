@@ -0,0 +1,72 @@
+const fs = require("fs");
+const path = require("path");
+const { execSync } = require("child_process");
+const { ethers } = require("ethers");
+
+// One ProductTrace deployment per chain, keyed by chainId. The dApp bundles this file and picks
+// the entry matching the wallet's network, so local, testnet and production deployments coexist.
+const REGISTRY_PATH = path.join(__dirname, "..", "product-trace-ui", "deployments.json");
+
+// Stable fingerprint of the contract interface (same for JSON and human-readable ABIs), so a stale ABI
+// is easy to spot across networks
+const abiHash = (abi) => ethers.id(JSON.stringify(new ethers.Interface(abi).format()));
+
+const readRegistry = (registryPath = REGISTRY_PATH) =>
+  fs.existsSync(registryPath) ? JSON.parse(fs.readFileSync(registryPath, "utf8")) : {};
+
+const writeRegistry = (registry, registryPath = REGISTRY_PATH) => {
+  fs.mkdirSync(path.dirname(registryPath), { recursive: true });
+  fs.writeFileSync(registryPath, JSON.stringify(registry, null, 2) + "\n");
+};
+
+// Commit the deployed code was built from; null outside a git checkout
+const currentGitCommit = () => {
+  try {
+    return execSync("git rev-parse HEAD", { stdio: ["ignore", "pipe", "ignore"] }).toString().trim();
+  } catch {
+    return null;
+  }
+};
+
+// Replaces the entry for the deployment's chain and leaves every other network untouched
+const recordDeployment = (deployment, registryPath = REGISTRY_PATH) => {
+  const registry = readRegistry(registryPath);
+  const entry = {
+    network: deployment.network,
+    address: deployment.address,
+    deployBlock: deployment.deployBlock,
+    deployer: deployment.deployer,
+    gitCommit: deployment.gitCommit === undefined ? currentGitCommit() : deployment.gitCommit,
+    deployedAt: deployment.deployedAt || new Date().toISOString(),
+    abiHash: abiHash(deployment.abi),
+    abi: deployment.abi,
+  };
+  // Companion contracts deployed alongside ProductTrace
+  for (const companion of ["inspectionLog", "certificateRegistry"]) {
+    if (deployment[companion]) {
+      entry[companion] = {
+        address: deployment[companion].address,
+        abiHash: abiHash(deployment[companion].abi),
+        abi: deployment[companion].abi,
+      };
+    }
+  }
+  registry[String(deployment.chainId)] = entry;
+  writeRegistry(registry, registryPath);
+  return entry;
+};
+
+const getDeployment = (chainId, registryPath = REGISTRY_PATH) => readRegistry(registryPath)[String(chainId)] || null;
+
+// Deployment for the chain a provider is connected to; throws with the known chains if there is none
+const resolveDeployment = async (provider, registryPath = REGISTRY_PATH) => {
+  const { chainId } = await provider.getNetwork();
+  const deployment = getDeployment(chainId, registryPath);
+  if (!deployment) {
+    const known = Object.keys(readRegistry(registryPath)).join(", ") || "none";
+    throw new Error(`No ProductTrace deployment recorded for chain ${chainId} (known chains: ${known}). Run scripts/deploy.js on this network first.`);
+  }
+  return { chainId: Number(chainId), ...deployment };
+};
+
+module.exports = { REGISTRY_PATH, abiHash, readRegistry, recordDeployment, getDeployment, resolveDeployment };
@@ -0,0 +1,150 @@
+const fs = require("fs");
+const path = require("path");
+const initSqlJs = require("sql.js");
+
+// Raw events are the source of truth; the products/batches/producers tables are projections
+// that can always be rebuilt by replaying the events table (which is what a reorg rollback does).
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS checkpoints (
+    block_number INTEGER PRIMARY KEY,
+    block_hash TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS events (
+    block_number INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    block_timestamp INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    product_id INTEGER,
+    batch_id INTEGER,
+    args TEXT NOT NULL,
+    PRIMARY KEY (tx_hash, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS events_block ON events (block_number, log_index);
+  CREATE INDEX IF NOT EXISTS events_product ON events (product_id);
+  CREATE TABLE IF NOT EXISTS products (
+    id INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    source TEXT,
+    quality TEXT,
+    initial_quantity TEXT,
+    available_quantity TEXT,
+    unit INTEGER,
+    pickup_time INTEGER,
+    pickup_utc_offset_minutes INTEGER,
+    stage INTEGER NOT NULL,
+    owner TEXT NOT NULL,
+    current_batch_id INTEGER NOT NULL DEFAULT 0,
+    distribution_details TEXT NOT NULL DEFAULT '',
+    created_block INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS products_owner ON products (owner);
+  CREATE INDEX IF NOT EXISTS products_stage ON products (stage);
+  CREATE TABLE IF NOT EXISTS batches (
+    id INTEGER PRIMARY KEY,
+    product_id INTEGER NOT NULL,
+    created_by TEXT NOT NULL,
+    consumed_product_ids TEXT NOT NULL,
+    quantities_used TEXT NOT NULL,
+    start_time INTEGER NOT NULL,
+    packaged_by TEXT,
+    halal_cert_hash TEXT,
+    halal_cert_uri TEXT,
+    bpom_cert_hash TEXT,
+    bpom_cert_uri TEXT,
+    packaging_time INTEGER,
+    expected_output_quantity TEXT,
+    actual_output_quantity TEXT,
+    yield_basis_points INTEGER,
+    waste_quantity TEXT,
+    waste_unit INTEGER
+  );
+  CREATE TABLE IF NOT EXISTS producers (
+    address TEXT PRIMARY KEY,
+    active INTEGER NOT NULL
+  );
+`;
+
+const PROJECTION_TABLES = ["products", "batches", "producers"];
+
+class IndexerDatabase {
+  constructor(db, filePath) {
+    this.db = db;
+    this.filePath = filePath;
+  }
+
+  // filePath of null keeps the database in memory only (used by the tests)
+  static async open(filePath) {
+    const SQL = await initSqlJs();
+    const existing = filePath && fs.existsSync(filePath) ? fs.readFileSync(filePath) : undefined;
+    const db = new SQL.Database(existing);
+    db.exec(SCHEMA);
+    return new IndexerDatabase(db, filePath);
+  }
+
+  // sql.js keeps everything in memory; write the whole file atomically after each committed step
+  save() {
+    if (!this.filePath) return;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, Buffer.from(this.db.export()));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  close() {
+    this.db.close();
+  }
+
+  transaction(fn) {
+    this.db.exec("BEGIN");
+    try {
+      const result = fn();
+      this.db.exec("COMMIT");
+      return result;
+    } catch (error) {
+      this.db.exec("ROLLBACK");
+      throw error;
+    }
+  }
+
+  run(sql, params = []) {
+    this.db.run(sql, params);
+  }
+
+  all(sql, params = []) {
+    const stmt = this.db.prepare(sql);
+    try {
+      stmt.bind(params);
+      const rows = [];
+      while (stmt.step()) rows.push(stmt.getAsObject());
+      return rows;
+    } finally {
+      stmt.free();
+    }
+  }
+
+  get(sql, params = []) {
+    return this.all(sql, params)[0];
+  }
+
+  getMeta(key) {
+    const row = this.get("SELECT value FROM meta WHERE key = ?", [key]);
+    return row ? row.value : undefined;
+  }
+
+  setMeta(key, value) {
+    this.run("INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value", [key, String(value)]);
+  }
+
+  clearProjections() {
+    for (const table of PROJECTION_TABLES) this.run(`DELETE FROM ${table}`);
+  }
+}
+
+module.exports = { IndexerDatabase };
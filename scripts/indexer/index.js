@@ -0,0 +1,57 @@
+// Standalone ProductTrace indexer: follows the contract's events into SQLite and serves them over HTTP.
+//
+//   node scripts/indexer/index.js
+//
+// Configuration (environment variables):
+//   INDEXER_RPC_URL        JSON-RPC endpoint (default http://127.0.0.1:8545)
+//   INDEXER_CONTRACT       ProductTrace address (default: the deployment registry entry for the RPC's chain)
+//   INDEXER_DB             SQLite file (default scripts/indexer/data/indexer.sqlite)
+//   INDEXER_PORT           HTTP port (default 8787)
+//   INDEXER_START_BLOCK    first block to index (default: the recorded deploy block)
+//   INDEXER_CONFIRMATIONS  blocks to stay behind the head (default 0; raise it on public chains)
+//   INDEXER_POLL_MS        polling interval (default 4000)
+const path = require("path");
+const { ethers } = require("ethers");
+const { IndexerDatabase } = require("./db");
+const { ProductTraceIndexer } = require("./indexer");
+const { createServer } = require("./server");
+const { resolveDeployment } = require("../deployments");
+
+async function main() {
+  const rpcUrl = process.env.INDEXER_RPC_URL || "http://127.0.0.1:8545";
+  const dbPath = process.env.INDEXER_DB || path.join(__dirname, "data", "indexer.sqlite");
+  const port = Number(process.env.INDEXER_PORT || 8787);
+
+  const provider = new ethers.JsonRpcProvider(rpcUrl);
+  const deployment = await resolveDeployment(provider);
+  const address = process.env.INDEXER_CONTRACT || deployment.address;
+  const contract = new ethers.Contract(address, deployment.abi, provider);
+  const db = await IndexerDatabase.open(dbPath);
+
+  const indexer = new ProductTraceIndexer({
+    provider,
+    contract,
+    db,
+    startBlock: Number(process.env.INDEXER_START_BLOCK || deployment.deployBlock || 0),
+    confirmations: Number(process.env.INDEXER_CONFIRMATIONS || 0),
+  });
+  await indexer.init();
+  console.log(`🔎 Indexing ProductTrace ${address} via ${rpcUrl} into ${dbPath}`);
+  indexer.start(Number(process.env.INDEXER_POLL_MS || 4000));
+
+  const server = createServer(indexer);
+  server.listen(port, () => console.log(`✅ Indexer API listening on http://localhost:${port}`));
+
+  const shutdown = () => {
+    indexer.stop();
+    server.close();
+    db.close();
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,232 @@
+const { INDEXED_EVENTS, applyEvent } = require("./projections");
+
+const STAGE_DISTRIBUTION = 4;
+
+// The SDK is an ES module; loaded once, on the first synced range
+let sdk;
+const loadSdk = async () => (sdk ??= await import("../../sdk/index.js"));
+
+class ReorgDetectedError extends Error {}
+
+/**
+ * Follows ProductTrace events into an IndexerDatabase.
+ *
+ * Reorg safety: after every synced range the hash of its last block is stored as a checkpoint.
+ * Before each sync the newest checkpoints are compared with the chain; on a mismatch the indexer
+ * rolls back to the newest checkpoint that still matches, deletes the orphaned events and rebuilds
+ * the projections by replaying the remaining ones.
+ */
+class ProductTraceIndexer {
+  constructor({ provider, contract, db, startBlock = 0, confirmations = 0, batchSize = 2000, checkpointDepth = 256, logger = console }) {
+    this.provider = provider;
+    this.contract = contract;
+    this.db = db;
+    this.startBlock = startBlock;
+    this.confirmations = confirmations;
+    this.batchSize = batchSize;
+    this.checkpointDepth = checkpointDepth;
+    this.logger = logger;
+    this.timer = null;
+    this.topics = INDEXED_EVENTS.map(name => contract.interface.getEvent(name).topicHash);
+  }
+
+  // Refuses to reuse a database that was built for another chain or contract
+  async init() {
+    this.address = await this.contract.getAddress();
+    const { chainId } = await this.provider.getNetwork();
+    const storedAddress = this.db.getMeta("contract_address");
+    const storedChainId = this.db.getMeta("chain_id");
+    if (storedAddress && (storedAddress.toLowerCase() !== this.address.toLowerCase() || storedChainId !== chainId.toString())) {
+      throw new Error(`Database was built for ${storedAddress} on chain ${storedChainId}; use a separate database file for ${this.address} on chain ${chainId}`);
+    }
+    this.db.transaction(() => {
+      this.db.setMeta("contract_address", this.address);
+      this.db.setMeta("chain_id", chainId.toString());
+    });
+    this.db.save();
+  }
+
+  lastIndexedBlock() {
+    const value = this.db.getMeta("last_block");
+    return value === undefined ? this.startBlock - 1 : Number(value);
+  }
+
+  status() {
+    const checkpoint = this.db.get("SELECT block_number, block_hash FROM checkpoints ORDER BY block_number DESC LIMIT 1");
+    return {
+      chainId: this.db.getMeta("chain_id"),
+      contractAddress: this.db.getMeta("contract_address"),
+      lastIndexedBlock: this.lastIndexedBlock(),
+      lastCheckpoint: checkpoint ? { blockNumber: checkpoint.block_number, blockHash: checkpoint.block_hash } : null,
+    };
+  }
+
+  // Indexes everything up to head - confirmations. Returns the number of events stored.
+  async syncOnce() {
+    await this.detectReorg();
+    const target = (await this.provider.getBlockNumber()) - this.confirmations;
+    let stored = 0;
+    let from = this.lastIndexedBlock() + 1;
+    while (from <= target) {
+      const to = Math.min(from + this.batchSize - 1, target);
+      try {
+        stored += await this.indexRange(from, to);
+      } catch (error) {
+        if (!(error instanceof ReorgDetectedError)) throw error;
+        this.logger.warn(`Chain changed while indexing blocks ${from}-${to}, re-checking checkpoints`);
+        await this.detectReorg();
+      }
+      from = this.lastIndexedBlock() + 1;
+    }
+    return stored;
+  }
+
+  async detectReorg() {
+    const checkpoints = this.db.all(
+      "SELECT block_number, block_hash FROM checkpoints ORDER BY block_number DESC"
+    );
+    if (checkpoints.length === 0) return;
+
+    for (const [i, checkpoint] of checkpoints.entries()) {
+      const block = await this.provider.getBlock(checkpoint.block_number);
+      if (block && block.hash === checkpoint.block_hash) {
+        if (i > 0) this.rollback(checkpoint.block_number);
+        return;
+      }
+    }
+    // Reorg is deeper than every checkpoint kept: start over
+    this.rollback(this.startBlock - 1);
+  }
+
+  rollback(blockNumber) {
+    this.logger.warn(`Reorg detected: rolling back to block ${blockNumber}`);
+    this.db.transaction(() => {
+      this.db.run("DELETE FROM events WHERE block_number > ?", [blockNumber]);
+      this.db.run("DELETE FROM checkpoints WHERE block_number > ?", [blockNumber]);
+      this.db.setMeta("last_block", blockNumber);
+      this.db.clearProjections();
+      for (const row of this.db.all("SELECT * FROM events ORDER BY block_number, log_index")) {
+        applyEvent(this.db, this.rowToEvent(row));
+      }
+    });
+    this.db.save();
+  }
+
+  async indexRange(from, to) {
+    const toBlock = await this.provider.getBlock(to);
+    const logs = await this.provider.getLogs({ address: this.address, fromBlock: from, toBlock: to, topics: [this.topics] });
+
+    const blocks = new Map([[to, toBlock]]);
+    for (const log of logs) {
+      if (!blocks.has(log.blockNumber)) blocks.set(log.blockNumber, await this.provider.getBlock(log.blockNumber));
+      if (blocks.get(log.blockNumber)?.hash !== log.blockHash) throw new ReorgDetectedError();
+    }
+
+    const { eventArgs } = await loadSdk();
+    const events = [];
+    for (const log of logs) {
+      const parsed = this.contract.interface.parseLog(log);
+      const args = eventArgs(parsed);
+      events.push({
+        name: parsed.name,
+        args,
+        extra: await this.readExtra(parsed.name, args, log.blockNumber),
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        blockTimestamp: blocks.get(log.blockNumber).timestamp,
+        txHash: log.transactionHash,
+        logIndex: log.index,
+      });
+    }
+
+    const latest = await this.provider.getBlock(to);
+    if (!latest || latest.hash !== toBlock.hash) throw new ReorgDetectedError();
+
+    this.db.transaction(() => {
+      for (const event of events) {
+        this.db.run(
+          `INSERT OR IGNORE INTO events (block_number, block_hash, block_timestamp, tx_hash, log_index, name, product_id, batch_id, args)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            event.blockNumber,
+            event.blockHash,
+            event.blockTimestamp,
+            event.txHash,
+            event.logIndex,
+            event.name,
+            event.args.productId !== undefined ? Number(event.args.productId) : null,
+            event.args.batchId !== undefined ? Number(event.args.batchId) : null,
+            JSON.stringify({ args: event.args, extra: event.extra }),
+          ]
+        );
+        applyEvent(this.db, event);
+      }
+      this.db.run("INSERT OR REPLACE INTO checkpoints (block_number, block_hash) VALUES (?, ?)", [to, toBlock.hash]);
+      this.db.run("DELETE FROM checkpoints WHERE block_number < ?", [to - this.checkpointDepth]);
+      this.db.setMeta("last_block", to);
+    });
+    this.db.save();
+
+    if (events.length > 0) this.logger.log(`Indexed ${events.length} event(s) in blocks ${from}-${to}`);
+    return events.length;
+  }
+
+  // Events do not carry every product field. Immutable ones are read once, at the event's block,
+  // and stored with the event so a replay never needs the RPC.
+  async readExtra(name, args, blockNumber) {
+    if (name === "ProductCreated") {
+      const product = await this.contract.products(args.productId, { blockTag: blockNumber });
+      return {
+        source: product.source,
+        quality: product.quality,
+        initialQuantity: product.initialQuantity.toString(),
+        unit: Number(product.unit),
+        pickupTime: Number(product.pickupTime.timestamp),
+        pickupUtcOffsetMinutes: Number(product.pickupTime.utcOffsetMinutes),
+      };
+    }
+    if (name === "BatchCreated") {
+      const batch = await this.contract.batches(args.batchId, { blockTag: blockNumber });
+      return { expectedOutputQuantity: batch.expectedOutputQuantity.toString() };
+    }
+    if (name === "ProductStageChanged" && Number(args.newStage) === STAGE_DISTRIBUTION) {
+      const product = await this.contract.products(args.productId, { blockTag: blockNumber });
+      return { distributionDetails: product.distributionDetails };
+    }
+    return {};
+  }
+
+  rowToEvent(row) {
+    const { args, extra } = JSON.parse(row.args);
+    return {
+      name: row.name,
+      args,
+      extra,
+      blockNumber: row.block_number,
+      blockHash: row.block_hash,
+      blockTimestamp: row.block_timestamp,
+      txHash: row.tx_hash,
+      logIndex: row.log_index,
+    };
+  }
+
+  // Polls until stop() is called. Errors are logged and retried on the next tick.
+  start(pollIntervalMs = 4000) {
+    const tick = async () => {
+      try {
+        await this.syncOnce();
+      } catch (error) {
+        this.logger.error("Indexer sync failed:", error.message || error);
+      }
+      if (this.timer !== null) this.timer = setTimeout(tick, pollIntervalMs);
+    };
+    this.timer = setTimeout(tick, 0);
+  }
+
+  stop() {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = { ProductTraceIndexer };
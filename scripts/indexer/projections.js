@@ -0,0 +1,99 @@
+// Applies one stored ProductTrace event to the products/batches/producers projection tables.
+// Must stay deterministic: a reorg rollback clears the projections and replays every stored event.
+
+const STAGE_DISTRIBUTION = 4;
+
+const handlers = {
+  ProducerAdded(db, { args }) {
+    db.run("INSERT INTO producers (address, active) VALUES (?, 1) ON CONFLICT(address) DO UPDATE SET active = 1", [args.producerAddress]);
+  },
+
+  ProducerRemoved(db, { args }) {
+    db.run("INSERT INTO producers (address, active) VALUES (?, 0) ON CONFLICT(address) DO UPDATE SET active = 0", [args.producerAddress]);
+  },
+
+  ProductCreated(db, { args, extra, blockNumber }) {
+    db.run(
+      `INSERT OR REPLACE INTO products
+        (id, name, source, quality, initial_quantity, available_quantity, unit, pickup_time, pickup_utc_offset_minutes, stage, owner, current_batch_id, distribution_details, created_block, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0, '', ?, ?)`,
+      [
+        Number(args.productId),
+        args.name,
+        extra.source ?? null,
+        extra.quality ?? null,
+        extra.initialQuantity ?? null,
+        extra.initialQuantity ?? null,
+        extra.unit ?? null,
+        extra.pickupTime ?? null,
+        extra.pickupUtcOffsetMinutes ?? null,
+        Number(args.initialStage),
+        args.productOwner,
+        blockNumber,
+        Number(args.timestamp),
+      ]
+    );
+  },
+
+  ProductStageChanged(db, { args, extra }) {
+    db.run("UPDATE products SET stage = ?, updated_at = ? WHERE id = ?", [Number(args.newStage), Number(args.timestamp), Number(args.productId)]);
+    if (Number(args.newStage) === STAGE_DISTRIBUTION && extra.distributionDetails !== undefined) {
+      db.run("UPDATE products SET distribution_details = ? WHERE id = ?", [extra.distributionDetails, Number(args.productId)]);
+    }
+  },
+
+  ProductQuantityUpdated(db, { args }) {
+    db.run("UPDATE products SET available_quantity = ?, updated_at = ? WHERE id = ?", [args.newAvailableQuantity, Number(args.timestamp), Number(args.productId)]);
+  },
+
+  CustodyTransferAccepted(db, { args }) {
+    db.run("UPDATE products SET owner = ?, updated_at = ? WHERE id = ?", [args.to, Number(args.timestamp), Number(args.productId)]);
+  },
+
+  BatchCreated(db, { args, extra }) {
+    db.run(
+      `INSERT OR REPLACE INTO batches (id, product_id, created_by, consumed_product_ids, quantities_used, start_time, expected_output_quantity)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        Number(args.batchId),
+        Number(args.productId),
+        args.createdBy,
+        JSON.stringify(args.consumedProductIds),
+        JSON.stringify(args.quantitiesUsed),
+        Number(args.timestamp),
+        extra.expectedOutputQuantity ?? null,
+      ]
+    );
+    db.run("UPDATE products SET current_batch_id = ? WHERE id = ?", [Number(args.batchId), Number(args.productId)]);
+  },
+
+  BatchPackaged(db, { args }) {
+    db.run(
+      "UPDATE batches SET packaged_by = ?, halal_cert_hash = ?, halal_cert_uri = ?, bpom_cert_hash = ?, bpom_cert_uri = ?, packaging_time = ? WHERE id = ?",
+      [args.packagedBy, args.halalCertHash, args.halalCertUri, args.bpomCertHash, args.bpomCertUri, Number(args.timestamp), Number(args.batchId)]
+    );
+  },
+
+  // The actual output becomes the product's registered quantity; the available quantity follows
+  // from the ProductQuantityUpdated emitted with it
+  BatchOutputRecorded(db, { args }) {
+    db.run(
+      "UPDATE batches SET expected_output_quantity = ?, actual_output_quantity = ?, yield_basis_points = ?, waste_quantity = ?, waste_unit = ? WHERE id = ?",
+      [args.expectedOutputQuantity, args.actualOutputQuantity, Number(args.yieldBasisPoints), args.wasteQuantity, Number(args.wasteUnit), Number(args.batchId)]
+    );
+    db.run(
+      "UPDATE products SET initial_quantity = ? WHERE id = ?",
+      [args.actualOutputQuantity, Number(args.productId)]
+    );
+  },
+};
+
+// Event names the indexer subscribes to
+const INDEXED_EVENTS = Object.keys(handlers);
+
+const applyEvent = (db, event) => {
+  const handler = handlers[event.name];
+  if (handler) handler(db, event);
+};
+
+module.exports = { INDEXED_EVENTS, applyEvent };
@@ -0,0 +1,165 @@
+const http = require("http");
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+const productFromRow = (row) => ({
+  id: row.id,
+  name: row.name,
+  source: row.source,
+  quality: row.quality,
+  initialQuantity: row.initial_quantity,
+  availableQuantity: row.available_quantity,
+  unit: row.unit,
+  pickupTime: row.pickup_time,
+  pickupUtcOffsetMinutes: row.pickup_utc_offset_minutes,
+  stage: row.stage,
+  owner: row.owner,
+  currentBatchId: row.current_batch_id,
+  distributionDetails: row.distribution_details,
+  createdBlock: row.created_block,
+  updatedAt: row.updated_at,
+});
+
+const batchFromRow = (row) => ({
+  id: row.id,
+  productId: row.product_id,
+  createdBy: row.created_by,
+  consumedProductIds: JSON.parse(row.consumed_product_ids),
+  quantitiesUsed: JSON.parse(row.quantities_used),
+  startTime: row.start_time,
+  packagedBy: row.packaged_by,
+  halalCertHash: row.halal_cert_hash,
+  halalCertUri: row.halal_cert_uri,
+  bpomCertHash: row.bpom_cert_hash,
+  bpomCertUri: row.bpom_cert_uri,
+  packagingTime: row.packaging_time,
+  expectedOutputQuantity: row.expected_output_quantity,
+  actualOutputQuantity: row.actual_output_quantity,
+  yieldBasisPoints: row.yield_basis_points,
+  wasteQuantity: row.waste_quantity,
+  wasteUnit: row.waste_unit,
+});
+
+const eventFromRow = (row) => {
+  const { args } = JSON.parse(row.args);
+  return {
+    name: row.name,
+    args,
+    blockNumber: row.block_number,
+    blockTimestamp: row.block_timestamp,
+    txHash: row.tx_hash,
+    logIndex: row.log_index,
+  };
+};
+
+const pageParams = (query) => {
+  const limit = Math.min(Math.max(parseInt(query.get("limit")) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const offset = Math.max(parseInt(query.get("offset")) || 0, 0);
+  return { limit, offset };
+};
+
+const routes = [
+  ["/status", (indexer) => indexer.status()],
+
+  // ?owner=0x..&stage=1&offset=0&limit=50
+  ["/products", (indexer, query) => {
+    const where = [];
+    const params = [];
+    if (query.has("owner")) {
+      where.push("lower(owner) = lower(?)");
+      params.push(query.get("owner"));
+    }
+    if (query.has("stage")) {
+      where.push("stage = ?");
+      params.push(Number(query.get("stage")));
+    }
+    const clause = where.length ? `WHERE ${where.join(" AND ")}` : "";
+    const { limit, offset } = pageParams(query);
+    const total = indexer.db.get(`SELECT COUNT(*) AS total FROM products ${clause}`, params).total;
+    const rows = indexer.db.all(`SELECT * FROM products ${clause} ORDER BY id LIMIT ? OFFSET ?`, [...params, limit, offset]);
+    return { total, offset, limit, items: rows.map(productFromRow) };
+  }],
+
+  [/^\/products\/(\d+)$/, (indexer, query, [, id]) => {
+    const row = indexer.db.get("SELECT * FROM products WHERE id = ?", [Number(id)]);
+    return row ? productFromRow(row) : null;
+  }],
+
+  [/^\/products\/(\d+)\/events$/, (indexer, query, [, id]) =>
+    indexer.db.all("SELECT * FROM events WHERE product_id = ? ORDER BY block_number, log_index", [Number(id)]).map(eventFromRow)],
+
+  [/^\/batches\/(\d+)$/, (indexer, query, [, id]) => {
+    const row = indexer.db.get("SELECT * FROM batches WHERE id = ?", [Number(id)]);
+    return row ? batchFromRow(row) : null;
+  }],
+
+  // Current producer set plus the add/remove history of every address that was ever a producer
+  ["/producers", (indexer) => {
+    const history = new Map();
+    const rows = indexer.db.all("SELECT * FROM events WHERE name IN ('ProducerAdded', 'ProducerRemoved') ORDER BY block_number, log_index");
+    for (const row of rows) {
+      const event = eventFromRow(row);
+      const address = event.args.producerAddress;
+      if (!history.has(address)) history.set(address, []);
+      history.get(address).push({
+        action: event.name === "ProducerAdded" ? "added" : "removed",
+        blockNumber: event.blockNumber,
+        timestamp: event.blockTimestamp,
+        txHash: event.txHash,
+      });
+    }
+    return indexer.db.all("SELECT * FROM producers ORDER BY active DESC, address").map(row => ({
+      address: row.address,
+      active: row.active === 1,
+      history: history.get(row.address) || [],
+    }));
+  }],
+
+  // ?name=BatchCreated&fromBlock=0&offset=0&limit=50
+  ["/events", (indexer, query) => {
+    const where = ["block_number >= ?"];
+    const params = [Number(query.get("fromBlock")) || 0];
+    if (query.has("name")) {
+      where.push("name = ?");
+      params.push(query.get("name"));
+    }
+    const { limit, offset } = pageParams(query);
+    return indexer.db
+      .all(`SELECT * FROM events WHERE ${where.join(" AND ")} ORDER BY block_number, log_index LIMIT ? OFFSET ?`, [...params, limit, offset])
+      .map(eventFromRow);
+  }],
+];
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+  });
+  res.end(JSON.stringify(body));
+};
+
+// Read-only JSON API over the indexed data, meant for the dApp on the same machine
+const createServer = (indexer) =>
+  http.createServer((req, res) => {
+    if (req.method === "OPTIONS") {
+      res.writeHead(204, { "Access-Control-Allow-Origin": "*", "Access-Control-Allow-Methods": "GET" });
+      return res.end();
+    }
+    if (req.method !== "GET") return sendJson(res, 405, { error: "Method not allowed" });
+
+    const url = new URL(req.url, "http://localhost");
+    for (const [pattern, handler] of routes) {
+      const match = typeof pattern === "string" ? (url.pathname === pattern ? [url.pathname] : null) : pattern.exec(url.pathname);
+      if (!match) continue;
+      try {
+        const body = handler(indexer, url.searchParams, match);
+        return body === null ? sendJson(res, 404, { error: "Not found" }) : sendJson(res, 200, body);
+      } catch (error) {
+        return sendJson(res, 500, { error: error.message });
+      }
+    }
+    return sendJson(res, 404, { error: "Not found" });
+  });
+
+module.exports = { createServer };
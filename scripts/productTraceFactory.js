@@ -0,0 +1,21 @@
+// ProductTrace delegates part of its work to external libraries, whose public functions run in
+// ProductTrace's storage through delegatecall. That keeps the libraries' code out of ProductTrace and
+// the contract under the 24 KB size limit. Each library is deployed on its own and its address linked
+// into ProductTrace's bytecode, so deployments, tests and scripts all go through this factory instead
+// of getContractFactory.
+// Features with state of their own, like InspectionLog and CertificateRegistry, are separate
+// contracts (see scripts/deploy.js).
+const LINKED_LIBRARIES = ["ProductionInputs", "ProductLots", "ProductCustody", "ProductStages"];
+
+async function getProductTraceFactory(ethers, signer) {
+  const libraries = {};
+  for (const name of LINKED_LIBRARIES) {
+    const Library = await ethers.getContractFactory(name, signer);
+    const library = await Library.deploy();
+    await library.waitForDeployment();
+    libraries[name] = await library.getAddress();
+  }
+  return ethers.getContractFactory("ProductTrace", { signer, libraries });
+}
+
+module.exports = { LINKED_LIBRARIES, getProductTraceFactory };
@@ -0,0 +1,71 @@
+// Minimal RFC 4180 reader for bulk input files: comma-separated, fields optionally double-quoted
+// ("" escapes a quote, quoted fields may span lines), first row is the header.
+
+// Records with the line each one starts on (1-based), counted in the source text so blank lines and
+// quoted fields spanning lines do not shift the numbers
+const parseRecords = (text) => {
+  const records = [];
+  let cells = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n' || (char === '\r' && text[i + 1] !== '\n')) line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      cells.push(field);
+      records.push({ line: recordLine, cells });
+      cells = [];
+      field = '';
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) throw new Error('CSV ends inside a quoted field.');
+  if (field !== '' || cells.length > 0) {
+    cells.push(field);
+    records.push({ line: recordLine, cells });
+  }
+  return records;
+};
+
+// Data rows as { line, values }: `values` keyed by the trimmed header names, `line` the row's
+// first line in the file (the header's is usually 1). Blank lines are skipped; missing trailing
+// cells are ''.
+export const parseCsv = (text) => {
+  const records = parseRecords(String(text).replace(/^\uFEFF/, ''))
+    .filter(record => record.cells.some(cell => cell.trim() !== ''));
+  if (records.length === 0) return [];
+  const header = records[0].cells.map(name => name.trim());
+  return records.slice(1).map(record => ({
+    line: record.line,
+    values: Object.fromEntries(header.map((name, i) => [name, (record.cells[i] ?? '').trim()])),
+  }));
+};
+
+const csvCell = (value) => {
+  const text = String(value ?? '');
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Objects -> CSV text with a header row of `columns`, quoting cells only where needed
+export const toCsv = (rows, columns) =>
+  [columns.join(','), ...rows.map(row => columns.map(column => csvCell(row[column])).join(','))].join('\n') + '\n';
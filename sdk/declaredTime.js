@@ -0,0 +1,26 @@
+// ProductTrace.DeclaredTime values ({ timestamp, utcOffsetMinutes }) from text, for scripts and
+// bulk imports. The offset is part of the record, so it must be spelled out rather than guessed.
+
+const ISO_WITH_OFFSET = /^(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2}(?::\d{2})?)(Z|([+-])(\d{2}):?(\d{2}))$/;
+
+// "2025-05-01T08:00+07:00" -> { timestamp: 1746061200, utcOffsetMinutes: 420 }
+export const parseDeclaredTime = (text) => {
+  const value = String(text ?? '').trim();
+  const match = ISO_WITH_OFFSET.exec(value);
+  if (!match) {
+    throw new Error(`"${value}" is not a time with a UTC offset, e.g. 2025-05-01T08:00+07:00.`);
+  }
+  const [, date, time, zone, sign, hours, minutes] = match;
+  const utcOffsetMinutes = zone === 'Z' ? 0 : (sign === '-' ? -1 : 1) * (Number(hours) * 60 + Number(minutes));
+  const millis = Date.parse(`${date}T${time}${zone === 'Z' ? 'Z' : `${sign}${hours}:${minutes}`}`);
+  if (Number.isNaN(millis)) {
+    throw new Error(`"${value}" is not a valid date.`);
+  }
+  return { timestamp: Math.floor(millis / 1000), utcOffsetMinutes };
+};
+
+// Now, in the local timezone of the machine running the script
+export const nowDeclaredTime = () => {
+  const now = new Date();
+  return { timestamp: Math.floor(now.getTime() / 1000), utcOffsetMinutes: -now.getTimezoneOffset() };
+};
@@ -0,0 +1,52 @@
+// Mirrors of the ProductTrace enums. Values are the uint8 the contract takes and returns.
+
+export const Stage = Object.freeze({
+  NotStarted: 0,
+  RawMaterial: 1,
+  Production: 2,
+  Packaging: 3,
+  Distribution: 4,
+  QualityHold: 5,
+  Rejected: 6,
+  Recalled: 7,
+  Destroyed: 8,
+  Delivered: 9,
+});
+
+export const Role = Object.freeze({
+  None: 0,
+  Supplier: 1,
+  Manufacturer: 2,
+  Packager: 3,
+  Distributor: 4,
+  Auditor: 5,
+});
+
+export const Unit = Object.freeze({
+  Piece: 0,
+  Gram: 1,
+  Kilogram: 2,
+  Millilitre: 3,
+  Litre: 4,
+});
+
+// CertificateRegistry.CertificateType
+export const CertificateType = Object.freeze({
+  Halal: 0,
+  Bpom: 1,
+  Lab: 2,
+});
+
+// InspectionLog.Subject
+export const InspectionSubject = Object.freeze({
+  Product: 0,
+  Batch: 1,
+});
+
+// Index -> name, e.g. STAGE_NAMES[Stage.Packaging] === 'Packaging'
+export const STAGE_NAMES = Object.freeze(Object.keys(Stage));
+export const ROLE_NAMES = Object.freeze(Object.keys(Role));
+export const UNIT_NAMES = Object.freeze(Object.keys(Unit));
+export const CERTIFICATE_TYPE_NAMES = Object.freeze(['Halal', 'BPOM', 'Lab']);
+
+export const stageName = (stage) => STAGE_NAMES[Number(stage)] ?? `Stage ${stage}`;
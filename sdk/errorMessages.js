@@ -0,0 +1,133 @@
+// Messages for the custom errors of ProductTrace, InspectionLog and CertificateRegistry, per locale.
+// Each entry gets the decoded error arguments (by name) and the formatters of describeError.
+
+const en = {
+  userRejected: 'The transaction was rejected in the wallet.',
+  unknownError: 'Unknown error',
+  unknownRevert: (name) => `The contract rejected the call (${name}).`,
+  errors: {
+    ProductTrace__NotOwner: () => 'Only the contract owner can do this.',
+    ProductTrace__NotAuthorizedProducer: () => 'Your account is not an authorized producer.',
+    ProductTrace__ZeroAddressNotAllowed: () => 'The zero address cannot be used here.',
+    ProductTrace__ArrayLengthMismatch: () => 'Every input needs exactly one quantity and unit.',
+    ProductTrace__ZeroQuantityNotAllowed: () => 'Quantities must be greater than zero.',
+    ProductTrace__NotPendingOwner: () => 'Only the proposed new owner can accept ownership.',
+    ProductTrace__MissingRole: ({ account, role }, f) => `${account} does not hold the ${f.role(role)} role needed for this step.`,
+    ProductTrace__InvalidRole: () => 'That role cannot be granted or revoked.',
+    ProductTrace__ProductNotFound: () => 'That product does not exist.',
+    ProductTrace__NotProductOwner: () => 'You do not hold this product.',
+    ProductTrace__InvalidProductStage: ({ productId, currentStage, requiredStage }, f) =>
+      `Product #${productId} is in ${f.stage(currentStage)}, but this step needs it in ${f.stage(requiredStage)}.`,
+    ProductTrace__InsufficientProductQuantity: ({ productId, requested, available }, f) =>
+      `Product #${productId} only has ${f.amount(available)} left, you asked for ${f.amount(requested)}.`,
+    ProductTrace__ProductAlreadyUsedAsInput: () => 'This product has already been used as an input.',
+    ProductTrace__InvalidDeclaredTime: () => 'Please enter a valid date, time and UTC offset.',
+    ProductTrace__DeclaredTimeInFuture: ({ declaredTime }, f) => `The time entered (${f.time(declaredTime)}) is in the future.`,
+    ProductTrace__DeclaredTimeOutOfOrder: ({ declaredTime, earliestAllowed }, f) =>
+      `The time entered (${f.time(declaredTime)}) is before the previous step (${f.time(earliestAllowed)}).`,
+    ProductTrace__IncompatibleUnits: ({ productId, productUnit, givenUnit }, f) =>
+      `Product #${productId} is counted in ${f.unit(productUnit)} and cannot be measured in ${f.unit(givenUnit)}.`,
+    ProductTrace__InexactUnitConversion: ({ productId, quantity, fromUnit, toUnit }, f) =>
+      `${f.amount(quantity)} ${f.unit(fromUnit)} of product #${productId} does not convert exactly into ${f.unit(toUnit)}.`,
+    ProductTrace__MissingReason: () => 'Please give a reason.',
+    ProductTrace__InvalidLotCount: () => 'Split into at least one new lot, or merge at least two lots.',
+    ProductTrace__LotsNotMergeable: ({ productId }) => `Lot #${productId} differs in source or quality from the first lot, so they cannot be merged.`,
+    ProductTrace__InvalidCustodian: () => 'You cannot transfer custody to yourself.',
+    ProductTrace__NoPendingTransfer: ({ productId }) => `Product #${productId} has no pending custody transfer.`,
+    ProductTrace__NotTransferRecipient: () => 'Only the recipient can accept this custody transfer.',
+    ProductTrace__BatchNotFound: () => 'That batch does not exist.',
+    ProductTrace__BatchNotStarted: () => 'This batch has not started production.',
+    ProductTrace__BatchAlreadyPackaged: () => 'This batch has already been packaged.',
+    ProductTrace__MissingCertificateDigest: () => 'A certificate document needs its digest.',
+    ProductTrace__NoInputsForProduction: () => 'Add at least one raw material input.',
+
+    InspectionLog__ZeroAddressNotAllowed: () => 'The zero address cannot be used here.',
+    InspectionLog__MissingRole: ({ account, role }, f) => `${account} does not hold the ${f.role(role)} role needed for this step.`,
+    InspectionLog__SubjectNotFound: ({ subject, subjectId }, f) => `${f.subject(subject)} #${subjectId} does not exist.`,
+    InspectionLog__InspectionNotFound: () => 'That inspection does not exist.',
+    InspectionLog__MissingReportDigest: () => 'Please attach the inspection report.',
+
+    CertificateRegistry__ZeroAddressNotAllowed: () => 'The zero address cannot be used here.',
+    CertificateRegistry__NotOwner: () => 'Only the contract owner can do this.',
+    CertificateRegistry__IssuerAlreadyRegistered: ({ issuer }) => `${issuer} is already a registered issuer.`,
+    CertificateRegistry__IssuerNotRegistered: ({ issuer }) => `${issuer} is not a registered issuer.`,
+    CertificateRegistry__IssuerNotAllowed: ({ issuer, certType }, f) => `${issuer} is not registered to issue ${f.certType(certType)} certificates.`,
+    CertificateRegistry__BatchNotFound: ({ batchId }) => `Batch #${batchId} does not exist.`,
+    CertificateRegistry__MissingDigest: () => 'The certificate has no document digest.',
+    CertificateRegistry__InvalidValidity: () => 'The certificate is dated in the future, or expires before it was issued.',
+    CertificateRegistry__AttestationExpired: ({ expiresAt }, f) => `The certificate expired on ${f.time(expiresAt)}.`,
+    CertificateRegistry__InvalidSignature: () => 'The signature on this attestation is not valid.',
+    CertificateRegistry__AttestationAlreadyUsed: () => 'This attestation has already been attached.',
+    CertificateRegistry__CertificateNotFound: () => 'That certificate does not exist.',
+    CertificateRegistry__NotIssuer: () => 'Only the issuer of a certificate can revoke it.',
+    CertificateRegistry__AlreadyRevoked: ({ certificateId }) => `Certificate #${certificateId} has already been revoked.`,
+  },
+};
+
+const id = {
+  userRejected: 'Transaksi ditolak di dompet.',
+  unknownError: 'Kesalahan tidak diketahui',
+  unknownRevert: (name) => `Kontrak menolak panggilan ini (${name}).`,
+  errors: {
+    ProductTrace__NotOwner: () => 'Hanya pemilik kontrak yang dapat melakukan ini.',
+    ProductTrace__NotAuthorizedProducer: () => 'Akun Anda bukan produsen terdaftar.',
+    ProductTrace__ZeroAddressNotAllowed: () => 'Alamat nol tidak dapat digunakan di sini.',
+    ProductTrace__ArrayLengthMismatch: () => 'Setiap bahan harus memiliki tepat satu jumlah dan satuan.',
+    ProductTrace__ZeroQuantityNotAllowed: () => 'Jumlah harus lebih dari nol.',
+    ProductTrace__NotPendingOwner: () => 'Hanya calon pemilik baru yang dapat menerima kepemilikan.',
+    ProductTrace__MissingRole: ({ account, role }, f) => `${account} tidak memiliki peran ${f.role(role)} yang diperlukan untuk langkah ini.`,
+    ProductTrace__InvalidRole: () => 'Peran tersebut tidak dapat diberikan atau dicabut.',
+    ProductTrace__ProductNotFound: () => 'Produk tersebut tidak ada.',
+    ProductTrace__NotProductOwner: () => 'Anda tidak memegang produk ini.',
+    ProductTrace__InvalidProductStage: ({ productId, currentStage, requiredStage }, f) =>
+      `Produk #${productId} berada di tahap ${f.stage(currentStage)}, sedangkan langkah ini memerlukan tahap ${f.stage(requiredStage)}.`,
+    ProductTrace__InsufficientProductQuantity: ({ productId, requested, available }, f) =>
+      `Produk #${productId} hanya tersisa ${f.amount(available)}, Anda meminta ${f.amount(requested)}.`,
+    ProductTrace__ProductAlreadyUsedAsInput: () => 'Produk ini sudah digunakan sebagai bahan.',
+    ProductTrace__InvalidDeclaredTime: () => 'Masukkan tanggal, waktu dan zona waktu UTC yang valid.',
+    ProductTrace__DeclaredTimeInFuture: ({ declaredTime }, f) => `Waktu yang dimasukkan (${f.time(declaredTime)}) berada di masa depan.`,
+    ProductTrace__DeclaredTimeOutOfOrder: ({ declaredTime, earliestAllowed }, f) =>
+      `Waktu yang dimasukkan (${f.time(declaredTime)}) lebih awal dari langkah sebelumnya (${f.time(earliestAllowed)}).`,
+    ProductTrace__IncompatibleUnits: ({ productId, productUnit, givenUnit }, f) =>
+      `Produk #${productId} dihitung dalam ${f.unit(productUnit)} dan tidak dapat diukur dalam ${f.unit(givenUnit)}.`,
+    ProductTrace__InexactUnitConversion: ({ productId, quantity, fromUnit, toUnit }, f) =>
+      `${f.amount(quantity)} ${f.unit(fromUnit)} dari produk #${productId} tidak dapat dikonversi tepat ke ${f.unit(toUnit)}.`,
+    ProductTrace__MissingReason: () => 'Harap berikan alasan.',
+    ProductTrace__InvalidLotCount: () => 'Pecah menjadi setidaknya satu lot baru, atau gabungkan setidaknya dua lot.',
+    ProductTrace__LotsNotMergeable: ({ productId }) => `Lot #${productId} berbeda sumber atau kualitas dari lot pertama, sehingga tidak dapat digabungkan.`,
+    ProductTrace__InvalidCustodian: () => 'Anda tidak dapat mengalihkan penguasaan kepada diri sendiri.',
+    ProductTrace__NoPendingTransfer: ({ productId }) => `Produk #${productId} tidak memiliki pengalihan penguasaan yang tertunda.`,
+    ProductTrace__NotTransferRecipient: () => 'Hanya penerima yang dapat menerima pengalihan penguasaan ini.',
+    ProductTrace__BatchNotFound: () => 'Batch tersebut tidak ada.',
+    ProductTrace__BatchNotStarted: () => 'Produksi batch ini belum dimulai.',
+    ProductTrace__BatchAlreadyPackaged: () => 'Batch ini sudah dikemas.',
+    ProductTrace__MissingCertificateDigest: () => 'Dokumen sertifikat memerlukan digest-nya.',
+    ProductTrace__NoInputsForProduction: () => 'Tambahkan setidaknya satu bahan baku.',
+
+    InspectionLog__ZeroAddressNotAllowed: () => 'Alamat nol tidak dapat digunakan di sini.',
+    InspectionLog__MissingRole: ({ account, role }, f) => `${account} tidak memiliki peran ${f.role(role)} yang diperlukan untuk langkah ini.`,
+    InspectionLog__SubjectNotFound: ({ subject, subjectId }, f) => `${f.subject(subject)} #${subjectId} tidak ada.`,
+    InspectionLog__InspectionNotFound: () => 'Inspeksi tersebut tidak ada.',
+    InspectionLog__MissingReportDigest: () => 'Harap lampirkan laporan inspeksi.',
+
+    CertificateRegistry__ZeroAddressNotAllowed: () => 'Alamat nol tidak dapat digunakan di sini.',
+    CertificateRegistry__NotOwner: () => 'Hanya pemilik kontrak yang dapat melakukan ini.',
+    CertificateRegistry__IssuerAlreadyRegistered: ({ issuer }) => `${issuer} sudah terdaftar sebagai penerbit.`,
+    CertificateRegistry__IssuerNotRegistered: ({ issuer }) => `${issuer} bukan penerbit terdaftar.`,
+    CertificateRegistry__IssuerNotAllowed: ({ issuer, certType }, f) => `${issuer} tidak terdaftar untuk menerbitkan sertifikat ${f.certType(certType)}.`,
+    CertificateRegistry__BatchNotFound: ({ batchId }) => `Batch #${batchId} tidak ada.`,
+    CertificateRegistry__MissingDigest: () => 'Sertifikat tidak memiliki digest dokumen.',
+    CertificateRegistry__InvalidValidity: () => 'Sertifikat bertanggal di masa depan, atau kedaluwarsa sebelum diterbitkan.',
+    CertificateRegistry__AttestationExpired: ({ expiresAt }, f) => `Sertifikat telah kedaluwarsa pada ${f.time(expiresAt)}.`,
+    CertificateRegistry__InvalidSignature: () => 'Tanda tangan pada atestasi ini tidak valid.',
+    CertificateRegistry__AttestationAlreadyUsed: () => 'Atestasi ini sudah dilampirkan.',
+    CertificateRegistry__CertificateNotFound: () => 'Sertifikat tersebut tidak ada.',
+    CertificateRegistry__NotIssuer: () => 'Hanya penerbit sertifikat yang dapat mencabutnya.',
+    CertificateRegistry__AlreadyRevoked: ({ certificateId }) => `Sertifikat #${certificateId} sudah dicabut.`,
+  },
+};
+
+// BCP 47 tag used for dates in each locale
+export const LOCALE_TAGS = Object.freeze({ en: 'en-US', id: 'id-ID' });
+
+export const ERROR_MESSAGES = Object.freeze({ en, id });
@@ -0,0 +1,72 @@
+// Decodes reverts of ProductTrace and its companion contracts into readable, localized messages,
+// and pre-flights writes with staticCall so a revert surfaces before the wallet asks to sign.
+import { CERTIFICATE_TYPE_NAMES, ROLE_NAMES, stageName } from './enums.js';
+import { ERROR_MESSAGES, LOCALE_TAGS } from './errorMessages.js';
+import { UNIT_SYMBOLS, formatAmount } from './quantities.js';
+
+const SUBJECT_LABELS = { en: ['Product', 'Batch'], id: ['Produk', 'Batch'] };
+
+const formattersFor = (locale) => ({
+  amount: formatAmount,
+  stage: stageName,
+  role: (role) => ROLE_NAMES[Number(role)] ?? `Role ${role}`,
+  unit: (unit) => UNIT_SYMBOLS[Number(unit)] ?? `unit ${unit}`,
+  certType: (certType) => CERTIFICATE_TYPE_NAMES[Number(certType)] ?? `type ${certType}`,
+  subject: (subject) => SUBJECT_LABELS[locale][Number(subject)] ?? `#${subject}`,
+  time: (seconds) => new Date(Number(seconds) * 1000).toLocaleString(LOCALE_TAGS[locale]),
+});
+
+// Wallets and providers nest the revert data differently (ethers puts it on `data`, MetaMask under
+// `error.data.data` or `info.error.data`), so look through the usual wrappers for a selector-sized hex string.
+const WRAPPER_KEYS = ['data', 'error', 'info', 'cause'];
+const findRevertData = (value, depth = 0) => {
+  if (typeof value === 'string') return /^0x[0-9a-fA-F]{8}/.test(value) ? value : null;
+  if (!value || typeof value !== 'object' || depth > 5) return null;
+  for (const key of WRAPPER_KEYS) {
+    const found = findRevertData(value[key], depth + 1);
+    if (found) return found;
+  }
+  return null;
+};
+
+// { name, args } of the first contract whose ABI declares the custom error, or null when the error
+// carries no revert data (rejected in the wallet, network failure) or none of the ABIs know it
+export const decodeError = (error, contracts) => {
+  const data = findRevertData(error);
+  if (!data) return null;
+  for (const contract of contracts) {
+    try {
+      const parsed = contract.interface.parseError(data);
+      if (parsed) return { name: parsed.name, args: parsed.args };
+    } catch {
+      // Not one of this contract's errors
+    }
+  }
+  return null;
+};
+
+const isUserRejection = (error) =>
+  error?.code === 'ACTION_REJECTED' || error?.code === 4001 || error?.info?.error?.code === 4001;
+
+// Message for a form's feedback line. `contracts` are the ones whose errors may explain the revert;
+// unknown locales fall back to English.
+export const describeError = (error, contracts = [], locale = 'en') => {
+  const resolvedLocale = ERROR_MESSAGES[locale] ? locale : 'en';
+  const messages = ERROR_MESSAGES[resolvedLocale];
+  if (isUserRejection(error)) return messages.userRejected;
+  const decoded = decodeError(error, contracts);
+  if (decoded) {
+    const describe = messages.errors[decoded.name];
+    return describe ? describe(decoded.args, formattersFor(resolvedLocale)) : messages.unknownRevert(decoded.name);
+  }
+  return error?.reason || error?.shortMessage || error?.message || messages.unknownError;
+};
+
+// Simulates the write from the connected account and returns its result; throws the revert otherwise
+export const preflight = (contract, method, ...args) => contract[method].staticCall(...args);
+
+// Pre-flights the write, then sends it. Returns the transaction response.
+export const write = async (contract, method, ...args) => {
+  await preflight(contract, method, ...args);
+  return contract[method](...args);
+};
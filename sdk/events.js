@@ -0,0 +1,45 @@
+// Event helpers for ethers v6 receipts. ethers v6 receipts carry raw logs only (no v5 `events`),
+// so every caller needs the same parse-and-filter step; it lives here.
+
+// Accepts a ContractTransactionResponse (waited for) or a TransactionReceipt
+const toReceipt = async (txOrReceipt) =>
+  typeof txOrReceipt?.wait === 'function' ? txOrReceipt.wait() : txOrReceipt;
+
+// Parsed events the contract emitted in the transaction, in log order. Logs of other contracts
+// (e.g. a token transfer in the same transaction) and unknown topics are skipped.
+export const parseLogs = async (contract, txOrReceipt) => {
+  const receipt = await toReceipt(txOrReceipt);
+  const address = (await contract.getAddress()).toLowerCase();
+  const events = [];
+  for (const log of receipt?.logs ?? []) {
+    if (log.address.toLowerCase() !== address) continue;
+    try {
+      const parsed = contract.interface.parseLog(log);
+      if (parsed) events.push(parsed);
+    } catch {
+      // Topic not in this ABI
+    }
+  }
+  return events;
+};
+
+export const findEvents = async (contract, txOrReceipt, name) =>
+  (await parseLogs(contract, txOrReceipt)).filter(event => event.name === name);
+
+// First `name` event of the transaction; throws when it emitted none
+export const findEvent = async (contract, txOrReceipt, name) => {
+  const [event] = await findEvents(contract, txOrReceipt, name);
+  if (!event) throw new Error(`Transaction did not emit ${name}`);
+  return event;
+};
+
+// JSON-safe value: uints become decimal strings, arrays are copied element-wise
+export const toPlain = (value) => {
+  if (typeof value === 'bigint') return value.toString();
+  if (Array.isArray(value)) return Array.from(value, toPlain);
+  return value;
+};
+
+// Parsed event -> { [parameterName]: plain value }
+export const eventArgs = (event) =>
+  Object.fromEntries(event.fragment.inputs.map((input, i) => [input.name, toPlain(event.args[i])]));
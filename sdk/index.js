@@ -0,0 +1,20 @@
+// ProductTrace SDK: ethers v6 helpers shared by the dApp, the deployment scripts, the hardhat
+// tasks and the tests. Every function takes an ethers v6 Contract (connected to a signer for
+// writes) as its first argument; the SDK itself does not import ethers.
+export {
+  Stage, Role, Unit, CertificateType, InspectionSubject,
+  STAGE_NAMES, ROLE_NAMES, UNIT_NAMES, CERTIFICATE_TYPE_NAMES, stageName,
+} from './enums.js';
+export { QUANTITY_DECIMALS, UNIT_SYMBOLS, parseUnit, parseQuantity, formatAmount } from './quantities.js';
+export { parseDeclaredTime, nowDeclaredTime } from './declaredTime.js';
+export { parseCsv, toCsv } from './csv.js';
+export { IMPORT_BATCH_SIZE, RAW_MATERIAL_COLUMNS, readRawMaterialCsv, importRawMaterials, importReportToCsv } from './rawMaterialImport.js';
+export { parseLogs, findEvents, findEvent, toPlain, eventArgs } from './events.js';
+export {
+  createProduct, createProducts, startProduction, createProductFromInputs, packageProduct, distributeProduct,
+  splitProduct, mergeProducts,
+} from './productTrace.js';
+export { toPlainTrace, getTrace, getCustodyHistory, encodeDistributionDetails, parseDistributionDetails } from './trace.js';
+export { fetchAllProducts, fetchProductsByOwner, fetchProductsByStage, fetchAllBatches } from './productQueries.js';
+export { decodeError, describeError, preflight, write } from './errors.js';
+export { ERROR_MESSAGES } from './errorMessages.js';
@@ -0,0 +1,24 @@
+// Reads the contract's paginated listing getters page by page. Every call is capped at
+// MAX_PAGE_SIZE entries on-chain, so a list stays readable however many products exist.
+const PAGE_SIZE = 100;
+
+const readAllPages = async (fetchPage) => {
+  const items = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const page = await fetchPage(offset, PAGE_SIZE);
+    items.push(...page);
+    if (page.length < PAGE_SIZE) return items;
+  }
+};
+
+export const fetchAllProducts = (contract) =>
+  readAllPages((offset, limit) => contract.getProducts(offset, limit));
+
+export const fetchProductsByOwner = (contract, owner) =>
+  readAllPages((offset, limit) => contract.getProductsByOwner(owner, offset, limit));
+
+export const fetchProductsByStage = (contract, stage) =>
+  readAllPages((offset, limit) => contract.getProductsByStage(stage, offset, limit));
+
+export const fetchAllBatches = (contract) =>
+  readAllPages((offset, limit) => contract.getBatches(offset, limit));
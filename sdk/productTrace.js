@@ -0,0 +1,55 @@
+// Typed wrappers around the ProductTrace write functions. Arguments mirror the contract's, with
+// the contract instance first; each call is pre-flighted (see write), waits for the receipt and
+// returns what the transaction created instead of leaving the caller to dig it out of the logs.
+import { write } from './errors.js';
+import { findEvent, findEvents } from './events.js';
+
+// Returns the new product ID (bigint)
+export const createProduct = async (contract, name, source, quality, initialQuantity, unit, pickupTime) => {
+  const tx = await write(contract, 'createProduct', name, source, quality, initialQuantity, unit, pickupTime);
+  return (await findEvent(contract, tx, 'ProductCreated')).args.productId;
+};
+
+// Returns the new batch ID (bigint)
+export const startProduction = async (contract, productId, consumedProductIds, quantitiesUsed, unitsUsed, expectedOutputQuantity, startTime) => {
+  const tx = await write(contract, 'startProduction', productId, consumedProductIds, quantitiesUsed, unitsUsed, expectedOutputQuantity, startTime);
+  return (await findEvent(contract, tx, 'BatchCreated')).args.batchId;
+};
+
+// Returns { productId, batchId } of the output product and its batch
+export const createProductFromInputs = async (contract, name, unit, consumedProductIds, quantitiesUsed, unitsUsed, expectedOutputQuantity, startTime) => {
+  const tx = await write(contract, 'createProductFromInputs', name, unit, consumedProductIds, quantitiesUsed, unitsUsed, expectedOutputQuantity, startTime);
+  const { batchId, productId } = (await findEvent(contract, tx, 'BatchCreated')).args;
+  return { productId, batchId };
+};
+
+// Returns the receipt
+export const packageProduct = async (contract, productId, halalCertHash, halalCertUri, bpomCertHash, bpomCertUri, actualOutputQuantity, wasteQuantity, wasteUnit, packagingTime) => {
+  const tx = await write(contract, 'packageProduct', productId, halalCertHash, halalCertUri, bpomCertHash, bpomCertUri, actualOutputQuantity, wasteQuantity, wasteUnit, packagingTime);
+  return tx.wait();
+};
+
+// Returns the receipt
+export const distributeProduct = async (contract, productId, distributionDetails) => {
+  const tx = await write(contract, 'distributeProduct', productId, distributionDetails);
+  return tx.wait();
+};
+
+// Returns the new lot IDs (bigint[]), in the order of `quantities`
+export const splitProduct = async (contract, productId, quantities) => {
+  const tx = await write(contract, 'splitProduct', productId, quantities);
+  return (await findEvents(contract, tx, 'LotSplit')).map(event => event.args.lotId);
+};
+
+// Returns the merged lot's ID (bigint)
+export const mergeProducts = async (contract, productIds, name) => {
+  const tx = await write(contract, 'mergeProducts', productIds, name);
+  return (await findEvent(contract, tx, 'LotMerged')).args.lotId;
+};
+
+// `products` are createProduct's arguments as objects ({ name, source, quality, initialQuantity,
+// unit, pickupTime }). Returns the new product IDs (bigint[]) in the same order.
+export const createProducts = async (contract, products) => {
+  const tx = await write(contract, 'createProducts', products);
+  return (await findEvents(contract, tx, 'ProductCreated')).map(event => event.args.productId);
+};
@@ -0,0 +1,48 @@
+// Quantities are fixed-point integers in the product's Unit (see ProductTrace.QUANTITY_DECIMALS)
+import { UNIT_NAMES, Unit } from './enums.js';
+
+// Mirrors ProductTrace.QUANTITY_DECIMALS
+export const QUANTITY_DECIMALS = 3;
+const SCALE = 10n ** BigInt(QUANTITY_DECIMALS);
+
+// Indexed by Unit
+export const UNIT_SYMBOLS = Object.freeze(['pcs', 'g', 'kg', 'mL', 'L']);
+
+// "kg", "Kilogram" or "2" -> Unit.Kilogram. Throws for anything else.
+export const parseUnit = (text) => {
+  const value = String(text ?? '').trim();
+  if (/^\d+$/.test(value) && Number(value) < UNIT_SYMBOLS.length) return Number(value);
+  const index = UNIT_SYMBOLS.findIndex(symbol => symbol.toLowerCase() === value.toLowerCase());
+  if (index !== -1) return index;
+  const named = UNIT_NAMES.findIndex(name => name.toLowerCase() === value.toLowerCase());
+  if (named !== -1) return named;
+  throw new Error(`"${value}" is not a unit; use one of ${UNIT_SYMBOLS.join(', ')}.`);
+};
+
+// "2.5" with kg -> 2500n. Throws an Error with a message fit for a form's feedback line.
+export const parseQuantity = (text, unit) => {
+  const value = String(text ?? '').trim();
+  const match = /^(\d+)(?:\.(\d+))?$/.exec(value);
+  if (!match) {
+    throw new Error(`"${value}" is not a valid quantity.`);
+  }
+  const [, whole, fraction = ''] = match;
+  if (fraction.length > QUANTITY_DECIMALS) {
+    throw new Error(`Quantities can have at most ${QUANTITY_DECIMALS} decimals.`);
+  }
+  if (Number(unit) === Unit.Piece && /[1-9]/.test(fraction)) {
+    throw new Error('Pieces must be a whole number.');
+  }
+  const raw = BigInt(whole) * SCALE + BigInt(fraction.padEnd(QUANTITY_DECIMALS, '0'));
+  if (raw === 0n) {
+    throw new Error('Quantity must be greater than zero.');
+  }
+  return raw;
+};
+
+// 2500n -> "2.5"
+export const formatAmount = (raw) => {
+  const value = BigInt(raw ?? 0);
+  const fraction = (value % SCALE).toString().padStart(QUANTITY_DECIMALS, '0').replace(/0+$/, '');
+  return fraction ? `${value / SCALE}.${fraction}` : `${value / SCALE}`;
+};
@@ -0,0 +1,120 @@
+// Bulk intake of raw material deliveries from a CSV file (name, source, quality, quantity, unit,
+// pickup time), shared by the dApp's import screen and the product:import task. Rows are validated
+// before anything is sent, then registered through createProducts in batches.
+import { parseCsv, toCsv } from './csv.js';
+import { parseDeclaredTime } from './declaredTime.js';
+import { describeError, preflight } from './errors.js';
+import { createProducts } from './productTrace.js';
+import { parseQuantity, parseUnit } from './quantities.js';
+
+// Mirrors ProductTrace.MAX_CLOCK_SKEW
+const MAX_CLOCK_SKEW_SECONDS = 5 * 60;
+
+// Rows per createProducts transaction; keeps each one well inside the block gas limit
+export const IMPORT_BATCH_SIZE = 50;
+
+export const RAW_MATERIAL_COLUMNS = Object.freeze(['name', 'source', 'quality', 'quantity', 'unit', 'pickupTime']);
+const REQUIRED_COLUMNS = ['name', 'quantity', 'pickupTime'];
+
+// "Pickup Time", "pickup_time" and "pickupTime" all name the same column
+const columnKey = (header) => header.toLowerCase().replace(/[^a-z]/g, '');
+
+// Reads a delivery CSV into one entry per data row: { line, values, product, errors }. `product`
+// holds createProduct's arguments when the row is valid and is null otherwise; `line` is the line
+// the row starts on in the file, as an editor numbers it. The unit column is optional and defaults
+// to pieces. Throws when a required column is missing altogether.
+export const readRawMaterialCsv = (text, { now = Math.floor(Date.now() / 1000) } = {}) => {
+  const records = parseCsv(text);
+  const headers = Object.keys(records[0]?.values ?? {});
+  const columns = Object.fromEntries(RAW_MATERIAL_COLUMNS.map(column => [
+    column,
+    headers.find(header => columnKey(header) === columnKey(column)),
+  ]));
+  const missing = REQUIRED_COLUMNS.filter(column => records.length > 0 && !columns[column]);
+  if (missing.length > 0) {
+    throw new Error(`The CSV has no ${missing.join(', ')} column.`);
+  }
+
+  return records.map((record) => {
+    const values = Object.fromEntries(RAW_MATERIAL_COLUMNS.map(column => [column, columns[column] ? record.values[columns[column]] : '']));
+    const errors = [];
+    const attempt = (parse) => {
+      try {
+        return parse();
+      } catch (error) {
+        errors.push(error.message);
+        return null;
+      }
+    };
+
+    if (!values.name) errors.push('Missing name.');
+    const unit = attempt(() => parseUnit(values.unit || 'pcs'));
+    let initialQuantity = null;
+    if (!values.quantity) errors.push('Missing quantity.');
+    else if (unit !== null) initialQuantity = attempt(() => parseQuantity(values.quantity, unit));
+    let pickupTime = null;
+    if (!values.pickupTime) errors.push('Missing pickup time.');
+    else pickupTime = attempt(() => parseDeclaredTime(values.pickupTime));
+    if (pickupTime && pickupTime.timestamp > now + MAX_CLOCK_SKEW_SECONDS) errors.push('The pickup time cannot be in the future.');
+
+    const product = errors.length > 0 ? null : {
+      name: values.name,
+      source: values.source,
+      quality: values.quality,
+      initialQuantity,
+      unit,
+      pickupTime,
+    };
+    return { line: record.line, values, product, errors };
+  });
+};
+
+// Registers the valid entries of readRawMaterialCsv, `batchSize` rows per createProducts
+// transaction; invalid entries are skipped and reported with their validation errors. A batch that
+// would revert is not sent as is: each of its rows is pre-flighted on its own, the rows at fault are
+// reported and the others sent. Returns one report entry per row, { line, name, productId } or
+// { line, name, error }, in file order.
+export const importRawMaterials = async (contract, entries, { batchSize = IMPORT_BATCH_SIZE, locale = 'en', onProgress } = {}) => {
+  const report = entries
+    .filter(entry => !entry.product)
+    .map(entry => ({ line: entry.line, name: entry.values.name, error: entry.errors.join(' ') }));
+  const fail = (entry, error) => report.push({ line: entry.line, name: entry.product.name, error: describeError(error, [contract], locale) });
+
+  const valid = entries.filter(entry => entry.product);
+  for (let start = 0; start < valid.length; start += batchSize) {
+    const batch = valid.slice(start, start + batchSize);
+    let sendable = batch;
+    try {
+      await preflight(contract, 'createProducts', batch.map(entry => entry.product));
+    } catch {
+      sendable = [];
+      for (const entry of batch) {
+        const { name, source, quality, initialQuantity, unit, pickupTime } = entry.product;
+        try {
+          await preflight(contract, 'createProduct', name, source, quality, initialQuantity, unit, pickupTime);
+          sendable.push(entry);
+        } catch (error) {
+          fail(entry, error);
+        }
+      }
+    }
+
+    if (sendable.length > 0) {
+      try {
+        const productIds = await createProducts(contract, sendable.map(entry => entry.product));
+        sendable.forEach((entry, i) => report.push({ line: entry.line, name: entry.product.name, productId: productIds[i] }));
+      } catch (error) {
+        sendable.forEach(entry => fail(entry, error));
+      }
+    }
+    onProgress?.(Math.min(start + batchSize, valid.length), valid.length);
+  }
+  return report.sort((a, b) => a.line - b.line);
+};
+
+// Report of importRawMaterials as CSV. `traceUrl(productId)` adds each created product's public
+// trace page, the address its QR label encodes.
+export const importReportToCsv = (report, traceUrl) => toCsv(
+  report.map(entry => ({ ...entry, traceUrl: entry.productId !== undefined && traceUrl ? traceUrl(entry.productId) : '' })),
+  ['line', 'name', 'productId', 'traceUrl', 'error'],
+);
@@ -0,0 +1,71 @@
+// Read helpers returning plain JS objects instead of ethers Results: IDs and quantities as decimal
+// strings (they are uint256 and may exceed Number.MAX_SAFE_INTEGER), enums and timestamps as numbers.
+import { stageName } from './enums.js';
+
+const toDeclaredTime = (raw) => ({
+  timestamp: Number(raw.timestamp),
+  utcOffsetMinutes: Number(raw.utcOffsetMinutes),
+});
+
+// FullTraceDetails tuple -> plain object with the same field names, plus productStageName.
+// Block times stay unix seconds; batchStartTime and batchPackagingTime are 0 when not reached.
+export const toPlainTrace = (details) => ({
+  productId: details.productId.toString(),
+  productName: details.productName,
+  productSource: details.productSource,
+  productQuality: details.productQuality,
+  productInitialQuantity: details.productInitialQuantity.toString(),
+  productAvailableQuantity: details.productAvailableQuantity.toString(),
+  productUnit: Number(details.productUnit),
+  productPickupTime: toDeclaredTime(details.productPickupTime),
+  productStage: Number(details.productStage),
+  productStageName: stageName(details.productStage),
+  productLastUpdateTimestamp: Number(details.productLastUpdateTimestamp),
+  productCreatedAt: Number(details.productCreatedAt),
+  productOwner: details.productOwner,
+  productDistributionDetails: details.productDistributionDetails,
+  batchId: details.batchId.toString(),
+  consumedProductIds: details.consumedProductIds.map(id => id.toString()),
+  consumedProductNames: [...details.consumedProductNames],
+  consumedProductSources: [...details.consumedProductSources],
+  consumedQuantitiesUsed: details.consumedQuantitiesUsed.map(quantity => quantity.toString()),
+  consumedProductUnits: details.consumedProductUnits.map(unit => Number(unit)),
+  batchStartTime: Number(details.batchStartTime),
+  batchPackagingTime: Number(details.batchPackagingTime),
+  batchHalalCertHash: details.batchHalalCertHash,
+  batchBpomCertHash: details.batchBpomCertHash,
+  batchHalalCertUri: details.batchHalalCertUri,
+  batchBpomCertUri: details.batchBpomCertUri,
+  batchDeclaredStartTime: toDeclaredTime(details.batchDeclaredStartTime),
+  batchDeclaredPackagingTime: toDeclaredTime(details.batchDeclaredPackagingTime),
+  // Output quantities are in the product's unit; the yield is in basis points (10000 = 100%)
+  batchExpectedOutputQuantity: details.batchExpectedOutputQuantity.toString(),
+  batchActualOutputQuantity: details.batchActualOutputQuantity.toString(),
+  batchYieldBasisPoints: Number(details.batchYieldBasisPoints),
+  batchWasteQuantity: details.batchWasteQuantity.toString(),
+  batchWasteUnit: Number(details.batchWasteUnit),
+});
+
+export const getTrace = async (contract, productId) => toPlainTrace(await contract.getFullTrace(productId));
+
+// CustodyRecord[] -> [{ custodian, since, note }], creator first
+export const getCustodyHistory = async (contract, productId) =>
+  (await contract.getCustodyHistory(productId)).map(record => ({
+    custodian: record.custodian,
+    since: Number(record.since),
+    note: record.note,
+  }));
+
+// Distribution details are stored on-chain as a single string, so the structured
+// shipment fields are serialized to JSON. Older products may hold free text instead.
+export const encodeDistributionDetails = (details) => JSON.stringify(details);
+
+export const parseDistributionDetails = (raw) => {
+  if (!raw) return null;
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === 'object' ? parsed : { notes: raw };
+  } catch {
+    return { notes: raw };
+  }
+};
@@ -0,0 +1,101 @@
+const fs = require("fs");
+const path = require("path");
+const { resolveDeployment } = require("../scripts/deployments");
+
+// Helpers shared by the producer:* and product:* tasks. The contract logic lives in the SDK
+// (ES module), so the tasks load it with a dynamic import.
+const SDK_MODULE = path.join(__dirname, "..", "sdk", "index.js");
+const loadSdk = () => import(SDK_MODULE);
+
+// Options every lifecycle task takes. `withSigner` adds --from for tasks that send transactions.
+const addCommonParams = (definition, { withSigner = false } = {}) => {
+  definition
+    .addOptionalParam("address", "ProductTrace address (defaults to the deployment registry entry for --network)")
+    .addFlag("json", "Print the result as JSON");
+  if (withSigner) {
+    definition.addOptionalParam("from", "Account to send from (defaults to the first configured account)");
+  }
+  return definition;
+};
+
+// ProductTrace at --address, or the one recorded for the network in deployments.json, connected to
+// --from. `fromBlock` is the deploy block when known, so event scans can skip older history.
+const connectProductTrace = async (hre, { address, from }) => {
+  const deployment = address ? null : await resolveDeployment(hre.ethers.provider);
+  const signer = from ? await hre.ethers.getSigner(from) : (await hre.ethers.getSigners())[0];
+  const contract = await hre.ethers.getContractAt("ProductTrace", address || deployment.address, signer);
+  return { contract, fromBlock: deployment?.deployBlock ?? 0 };
+};
+
+// Rows of a bulk input file as { line, values }: a JSON array of objects (`line` is the position in
+// the array, from 1), or a CSV file whose header names the columns (`line` is the row's line in the file)
+const readRows = async (file) => {
+  const text = fs.readFileSync(file, "utf8");
+  if (path.extname(file).toLowerCase() === ".json") {
+    const parsed = JSON.parse(text);
+    return (Array.isArray(parsed) ? parsed : [parsed]).map((values, index) => ({ line: index + 1, values }));
+  }
+  const { parseCsv } = await loadSdk();
+  return parseCsv(text);
+};
+
+const required = (row, name) => {
+  const value = row[name];
+  if (value === undefined || value === null || String(value).trim() === "") {
+    throw new Error(`Missing ${name}`);
+  }
+  return String(value).trim();
+};
+
+const toJson = (value) => JSON.stringify(value, (key, v) => (typeof v === "bigint" ? v.toString() : v), 2);
+
+// Runs `action` once with the task's own arguments, or once per row of --file. Rows are sent one
+// after another; a failing row is reported (with the decoded revert) and the rest still run.
+// Returns the single result, or the per-row report for a file (also attached to the error when rows fail).
+const runRows = async (args, contract, action, describeResult) => {
+  const { describeError } = await loadSdk();
+  if (!args.file) {
+    let result;
+    try {
+      result = await action(args);
+    } catch (error) {
+      throw new Error(describeError(error, [contract]));
+    }
+    if (args.json) console.log(toJson(result));
+    else console.log(describeResult(result));
+    return result;
+  }
+
+  const rows = await readRows(args.file);
+  const report = [];
+  for (const { line, values } of rows) {
+    try {
+      report.push({ row: line, ok: true, ...(await action(values)) });
+    } catch (error) {
+      report.push({ row: line, ok: false, error: describeError(error, [contract]) });
+    }
+  }
+
+  if (args.json) {
+    console.log(toJson(report));
+  } else {
+    for (const entry of report) {
+      console.log(`Row ${entry.row}: ${entry.ok ? describeResult(entry) : `failed: ${entry.error}`}`);
+    }
+  }
+  const failed = report.filter(entry => !entry.ok).length;
+  if (failed > 0) {
+    const error = new Error(`${failed} of ${report.length} rows failed`);
+    error.report = report;
+    throw error;
+  }
+  return report;
+};
+
+// Prints `rows` as a table, or as JSON with --json
+const printTable = (json, rows) => {
+  if (json) console.log(toJson(rows));
+  else console.table(rows);
+};
+
+module.exports = { loadSdk, addCommonParams, connectProductTrace, readRows, required, runRows, printTable, toJson };
@@ -0,0 +1,45 @@
+const { task } = require("hardhat/config");
+const { addCommonParams, connectProductTrace, loadSdk, printTable, required, runRows } = require("./cli");
+
+// producer:add and producer:remove take one --account or a --file with an "account" column
+const producerChange = (name, method, description, verb) =>
+  addCommonParams(
+    task(name, description)
+      .addOptionalParam("account", "Producer address")
+      .addOptionalParam("file", "CSV or JSON file with an \"account\" column, one producer per row"),
+    { withSigner: true }
+  ).setAction(async (args, hre) => {
+    const { write } = await loadSdk();
+    const { contract } = await connectProductTrace(hre, args);
+    return runRows(args, contract, async (row) => {
+      const account = hre.ethers.getAddress(required(row, "account"));
+      const receipt = await (await write(contract, method, account)).wait();
+      return { account, txHash: receipt.hash };
+    }, (result) => `${result.account} ${verb}`);
+  });
+
+producerChange("producer:add", "addProducer", "Allows an account to create products (owner only)", "added as producer");
+producerChange("producer:remove", "removeProducer", "Revokes an account's producer permission (owner only)", "removed as producer");
+
+task("producer:list", "Lists the current producers, rebuilt from ProducerAdded/ProducerRemoved events")
+  .addOptionalParam("address", "ProductTrace address (defaults to the deployment registry entry for --network)")
+  .addOptionalParam("fromBlock", "First block to read events from (defaults to the recorded deploy block)")
+  .addFlag("all", "Also list accounts whose producer permission was removed")
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async (args, hre) => {
+    const { contract, fromBlock } = await connectProductTrace(hre, args);
+    const startBlock = args.fromBlock === undefined ? fromBlock : Number(args.fromBlock);
+    const [added, removed] = await Promise.all([
+      contract.queryFilter(contract.filters.ProducerAdded(), startBlock),
+      contract.queryFilter(contract.filters.ProducerRemoved(), startBlock),
+    ]);
+    const candidates = [...new Set([...added, ...removed].map(event => event.args.producerAddress))];
+    // The events only name candidates; the producers mapping is the source of truth
+    const producers = await Promise.all(candidates.map(async (account) => ({
+      account,
+      active: await contract.producers(account),
+    })));
+    const listed = args.all ? producers : producers.filter(producer => producer.active);
+    printTable(args.json, listed);
+    return listed;
+  });
@@ -0,0 +1,273 @@
+const { task } = require("hardhat/config");
+const fs = require("fs");
+const { addCommonParams, connectProductTrace, loadSdk, printTable, required, runRows, toJson } = require("./cli");
+
+const TIME_HELP = "ISO 8601 time with UTC offset, e.g. 2025-05-01T08:00+07:00 (defaults to now, required in --file rows)";
+const FILE_HELP = (columns) => `CSV or JSON file with one entry per row (columns: ${columns})`;
+
+// Only a single entry defaults to now. A --file row without the time fails, so a missing column
+// does not stamp every row with the time of the run.
+const declaredTime = (sdk, args, row, name) => {
+  if (args.file) return sdk.parseDeclaredTime(required(row, name));
+  return row[name] ? sdk.parseDeclaredTime(row[name]) : sdk.nowDeclaredTime();
+};
+
+// "3:2.5:kg,4:10" -> product 3 (2.5 kg) and product 4 (10 in its own unit). ";" also separates
+// inputs, which keeps a CSV cell unquoted.
+const parseInputs = async (sdk, contract, text) => {
+  const entries = text.split(/[,;]/).map(entry => entry.trim()).filter(Boolean);
+  if (entries.length === 0) throw new Error("Missing inputs");
+  const ids = [];
+  const quantities = [];
+  const units = [];
+  for (const entry of entries) {
+    const [id, quantity, unitText] = entry.split(":").map(part => part.trim());
+    if (!id || !quantity) throw new Error(`"${entry}" is not an input; use id:quantity or id:quantity:unit`);
+    const unit = unitText ? sdk.parseUnit(unitText) : Number((await contract.products(id)).unit);
+    ids.push(BigInt(id));
+    quantities.push(sdk.parseQuantity(quantity, unit));
+    units.push(unit);
+  }
+  return { ids, quantities, units };
+};
+
+const parseStage = (sdk, text) => {
+  const value = String(text).trim();
+  if (/^\d+$/.test(value) && Number(value) < sdk.STAGE_NAMES.length) return Number(value);
+  const stage = sdk.STAGE_NAMES.findIndex(name => name.toLowerCase() === value.toLowerCase());
+  if (stage === -1) throw new Error(`"${value}" is not a stage; use one of ${sdk.STAGE_NAMES.join(", ")}`);
+  return stage;
+};
+
+addCommonParams(
+  task("product:create", "Registers a raw material lot, or a product to be made in production:start")
+    .addOptionalParam("name", "Product name")
+    .addOptionalParam("source", "Where the material comes from")
+    .addOptionalParam("quality", "Quality grade")
+    .addOptionalParam("quantity", "Initial quantity in --unit, e.g. 2.5")
+    .addOptionalParam("unit", "pcs, g, kg, mL or L (defaults to pcs)")
+    .addOptionalParam("pickupTime", TIME_HELP)
+    .addOptionalParam("file", FILE_HELP("name, source, quality, quantity, unit, pickupTime")),
+  { withSigner: true }
+).setAction(async (args, hre) => {
+  const sdk = await loadSdk();
+  const { contract } = await connectProductTrace(hre, args);
+  return runRows(args, contract, async (row) => {
+    const unit = sdk.parseUnit(row.unit || "pcs");
+    const productId = await sdk.createProduct(
+      contract,
+      required(row, "name"),
+      row.source ?? "",
+      row.quality ?? "",
+      sdk.parseQuantity(required(row, "quantity"), unit),
+      unit,
+      declaredTime(sdk, args, row, "pickupTime")
+    );
+    return { productId };
+  }, (result) => `Product #${result.productId} created`);
+});
+
+addCommonParams(
+  task("product:import", "Registers a CSV of raw material deliveries in createProducts batches, with a per-row report")
+    .addParam("file", "CSV with the columns name, source, quality, quantity, unit (optional, defaults to pcs) and pickupTime")
+    .addOptionalParam("batchSize", "Rows per createProducts transaction")
+    .addOptionalParam("out", "Write the report as CSV to this file")
+    .addOptionalParam("traceBaseUrl", "Public dApp URL; adds each product's trace page (the QR label address) to the report")
+    .addFlag("dryRun", "Only validate the rows and show the preview")
+    .addFlag("skipInvalid", "Import the valid rows even if some rows are invalid"),
+  { withSigner: true }
+).setAction(async (args, hre) => {
+  const sdk = await loadSdk();
+  const entries = sdk.readRawMaterialCsv(fs.readFileSync(args.file, "utf8"));
+  const invalid = entries.filter(entry => !entry.product);
+  const preview = entries.map(entry => ({
+    line: entry.line,
+    name: entry.values.name,
+    quantity: entry.product ? `${sdk.formatAmount(entry.product.initialQuantity)} ${sdk.UNIT_SYMBOLS[entry.product.unit]}` : entry.values.quantity,
+    pickupTime: entry.values.pickupTime,
+    errors: entry.errors.join(" "),
+  }));
+  if (args.dryRun || (invalid.length > 0 && !args.skipInvalid)) {
+    printTable(args.json, preview);
+    if (invalid.length > 0 && !args.dryRun) {
+      throw new Error(`${invalid.length} of ${entries.length} rows are invalid; fix them or pass --skip-invalid`);
+    }
+    return preview;
+  }
+
+  const { contract } = await connectProductTrace(hre, args);
+  const traceUrl = args.traceBaseUrl ? (productId) => `${args.traceBaseUrl.replace(/\/$/, "")}/trace/${productId}` : undefined;
+  const report = await sdk.importRawMaterials(contract, entries, {
+    batchSize: args.batchSize ? Number(args.batchSize) : sdk.IMPORT_BATCH_SIZE,
+    onProgress: (done, total) => {
+      if (!args.json) console.log(`Sent ${done}/${total} rows`);
+    },
+  });
+  if (args.out) {
+    fs.writeFileSync(args.out, sdk.importReportToCsv(report, traceUrl));
+  }
+  printTable(args.json, report.map(entry => ({ ...entry, ...(traceUrl && entry.productId !== undefined && { traceUrl: traceUrl(entry.productId) }) })));
+
+  const failed = report.filter(entry => entry.error).length;
+  if (failed > 0) {
+    const error = new Error(`${failed} of ${report.length} rows were not imported`);
+    error.report = report;
+    throw error;
+  }
+  return report;
+});
+
+addCommonParams(
+  task("production:start", "Starts a production batch for a product, consuming raw materials")
+    .addOptionalParam("product", "ID of the product being produced")
+    .addOptionalParam("inputs", "Consumed products as id:quantity[:unit], comma separated, e.g. 3:2.5:kg,4:10 (unit defaults to the input's own)")
+    .addOptionalParam("expectedOutput", "Expected output in the product's unit")
+    .addOptionalParam("startTime", TIME_HELP)
+    .addOptionalParam("file", FILE_HELP("product, inputs (id:quantity[:unit], separated by ;), expectedOutput, startTime")),
+  { withSigner: true }
+).setAction(async (args, hre) => {
+  const sdk = await loadSdk();
+  const { contract } = await connectProductTrace(hre, args);
+  return runRows(args, contract, async (row) => {
+    const productId = BigInt(required(row, "product"));
+    const { ids, quantities, units } = await parseInputs(sdk, contract, required(row, "inputs"));
+    const product = await contract.products(productId);
+    const batchId = await sdk.startProduction(
+      contract,
+      productId,
+      ids,
+      quantities,
+      units,
+      sdk.parseQuantity(required(row, "expectedOutput"), product.unit),
+      declaredTime(sdk, args, row, "startTime")
+    );
+    return { productId, batchId };
+  }, (result) => `Batch #${result.batchId} started for product #${result.productId}`);
+});
+
+addCommonParams(
+  task("product:package", "Packages a product in production, recording its actual output and certificates")
+    .addOptionalParam("product", "Product ID")
+    .addOptionalParam("actualOutput", "Actual output in the product's unit")
+    .addOptionalParam("waste", "Waste quantity (defaults to 0)")
+    .addOptionalParam("wasteUnit", "Unit of --waste (defaults to the product's unit)")
+    .addOptionalParam("halalHash", "Digest of the halal certificate document")
+    .addOptionalParam("halalUri", "Where the halal certificate document is stored")
+    .addOptionalParam("bpomHash", "Digest of the BPOM certificate document")
+    .addOptionalParam("bpomUri", "Where the BPOM certificate document is stored")
+    .addOptionalParam("packagingTime", TIME_HELP)
+    .addOptionalParam("file", FILE_HELP("product, actualOutput, waste, wasteUnit, halalHash, halalUri, bpomHash, bpomUri, packagingTime")),
+  { withSigner: true }
+).setAction(async (args, hre) => {
+  const sdk = await loadSdk();
+  const { contract } = await connectProductTrace(hre, args);
+  return runRows(args, contract, async (row) => {
+    const productId = BigInt(required(row, "product"));
+    const product = await contract.products(productId);
+    const wasteUnit = row.wasteUnit ? sdk.parseUnit(row.wasteUnit) : Number(product.unit);
+    const waste = row.waste && Number(row.waste) !== 0 ? sdk.parseQuantity(row.waste, wasteUnit) : 0n;
+    const receipt = await sdk.packageProduct(
+      contract,
+      productId,
+      row.halalHash ?? "",
+      row.halalUri ?? "",
+      row.bpomHash ?? "",
+      row.bpomUri ?? "",
+      sdk.parseQuantity(required(row, "actualOutput"), product.unit),
+      waste,
+      wasteUnit,
+      declaredTime(sdk, args, row, "packagingTime")
+    );
+    return { productId, txHash: receipt.hash };
+  }, (result) => `Product #${result.productId} packaged`);
+});
+
+addCommonParams(
+  task("product:distribute", "Moves a packaged product into distribution with its shipment details")
+    .addOptionalParam("product", "Product ID")
+    .addOptionalParam("carrier", "Carrier name")
+    .addOptionalParam("destination", "Destination")
+    .addOptionalParam("dispatchTime", TIME_HELP)
+    .addOptionalParam("vehicle", "Vehicle number")
+    .addOptionalParam("seal", "Seal number")
+    .addOptionalParam("details", "Free-text distribution details, used instead of the fields above")
+    .addOptionalParam("file", FILE_HELP("product, carrier, destination, dispatchTime, vehicle, seal or details")),
+  { withSigner: true }
+).setAction(async (args, hre) => {
+  const sdk = await loadSdk();
+  const { contract } = await connectProductTrace(hre, args);
+  return runRows(args, contract, async (row) => {
+    const productId = BigInt(required(row, "product"));
+    const details = row.details || sdk.encodeDistributionDetails({
+      carrier: required(row, "carrier"),
+      destination: required(row, "destination"),
+      dispatchTime: declaredTime(sdk, args, row, "dispatchTime"),
+      vehicleNumber: row.vehicle ?? "",
+      sealNumber: row.seal ?? "",
+    });
+    const receipt = await sdk.distributeProduct(contract, productId, details);
+    return { productId, txHash: receipt.hash };
+  }, (result) => `Product #${result.productId} is now in distribution`);
+});
+
+addCommonParams(
+  task("product:trace", "Shows a product's full trace and custody history")
+    .addParam("id", "Product ID")
+).setAction(async (args, hre) => {
+  const sdk = await loadSdk();
+  const { contract } = await connectProductTrace(hre, args);
+  const trace = await sdk.getTrace(contract, args.id);
+  const custody = await sdk.getCustodyHistory(contract, args.id);
+  if (args.json) {
+    console.log(toJson({ trace, custody }));
+  } else {
+    const amount = (raw, unit) => `${sdk.formatAmount(raw)} ${sdk.UNIT_SYMBOLS[unit]}`;
+    console.log(`Product #${trace.productId} (${trace.productName}): ${trace.productStageName}`);
+    console.table({
+      owner: trace.productOwner,
+      source: trace.productSource,
+      quality: trace.productQuality,
+      available: amount(trace.productAvailableQuantity, trace.productUnit),
+      batch: trace.batchId === "0" ? "-" : trace.batchId,
+      inputs: trace.consumedProductIds
+        .map((id, i) => `#${id} ${trace.consumedProductNames[i]} (${amount(trace.consumedQuantitiesUsed[i], trace.consumedProductUnits[i])})`)
+        .join(", ") || "-",
+      halalCertHash: trace.batchHalalCertHash || "-",
+      bpomCertHash: trace.batchBpomCertHash || "-",
+      distribution: trace.productDistributionDetails || "-",
+    });
+    console.log("Custody history");
+    console.table(custody.map(record => ({ ...record, since: new Date(record.since * 1000).toISOString() })));
+  }
+  return { trace, custody };
+});
+
+addCommonParams(
+  task("product:list", "Lists products, optionally only those of one owner or in one stage")
+    .addOptionalParam("owner", "Only products owned by this address")
+    .addOptionalParam("stage", "Only products in this stage (name or number, e.g. RawMaterial)")
+).setAction(async (args, hre) => {
+  const sdk = await loadSdk();
+  const { contract } = await connectProductTrace(hre, args);
+  let products;
+  if (args.owner) {
+    products = await sdk.fetchProductsByOwner(contract, hre.ethers.getAddress(args.owner));
+    if (args.stage !== undefined) {
+      const stage = parseStage(sdk, args.stage);
+      products = products.filter(product => Number(product.stage) === stage);
+    }
+  } else if (args.stage !== undefined) {
+    products = await sdk.fetchProductsByStage(contract, parseStage(sdk, args.stage));
+  } else {
+    products = await sdk.fetchAllProducts(contract);
+  }
+  const rows = products.map(product => ({
+    id: product.id.toString(),
+    name: product.name,
+    stage: sdk.stageName(product.stage),
+    owner: product.productOwner,
+    available: `${sdk.formatAmount(product.availableQuantity)} ${sdk.UNIT_SYMBOLS[Number(product.unit)]}`,
+  }));
+  printTable(args.json, rows);
+  return rows;
+});
@@ -0,0 +1,51 @@
+const { task } = require("hardhat/config");
+const fs = require("fs");
+const path = require("path");
+const { resolveDeployment } = require("../scripts/deployments");
+
+// The recall logic lives in the UI package (ES module) so the dApp and this task share it
+const WHERE_USED_MODULE = path.join(__dirname, "..", "product-trace-ui", "src", "whereUsed.js");
+
+task("where-used", "Lists every product that consumed a given product, directly or transitively (recall report)")
+  .addParam("id", "Product ID of the suspect material")
+  .addOptionalParam("address", "ProductTrace address (defaults to the deployment registry entry for --network)")
+  .addOptionalParam("format", "Output format: table, json or csv", "table")
+  .addOptionalParam("out", "Write the report to this file instead of stdout")
+  .addOptionalParam("fromBlock", "First block to index BatchCreated, LotSplit and LotMerged events from (defaults to the recorded deploy block)")
+  .setAction(async ({ id, address, format, out, fromBlock }, hre) => {
+    const { buildRecallReport, recallReportToCsv, recallReportToJson } = await import(WHERE_USED_MODULE);
+
+    const deployment = address ? null : await resolveDeployment(hre.ethers.provider);
+    const productTrace = await hre.ethers.getContractAt("ProductTrace", address || deployment.address);
+    const startBlock = fromBlock === undefined ? deployment?.deployBlock ?? 0 : Number(fromBlock);
+    const report = await buildRecallReport(productTrace, id, { fromBlock: startBlock });
+
+    let output;
+    if (format === "json") {
+      output = recallReportToJson(report);
+    } else if (format === "csv") {
+      output = recallReportToCsv(report);
+    } else if (format === "table") {
+      console.log(`Recall report for product #${report.sourceProductId} (${report.sourceProductName}): ${report.affected.length} affected product(s)`);
+      console.table(report.affected.map(row => ({
+        id: row.productId,
+        name: row.name,
+        depth: row.depth,
+        owner: row.owner,
+        stage: row.stageName,
+        distribution: row.distributionDetails,
+      })));
+    } else {
+      throw new Error(`Unknown format "${format}", expected table, json or csv`);
+    }
+
+    if (output !== undefined) {
+      if (out) {
+        fs.writeFileSync(out, output);
+        console.log(`Recall report written to ${out}`);
+      } else {
+        console.log(output);
+      }
+    }
+    return report;
+  });
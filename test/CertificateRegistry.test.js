@@ -0,0 +1,232 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { getProductTraceFactory } = require("../scripts/productTraceFactory");
+
+describe("CertificateRegistry Contract", function () {
+    let productTrace;
+    let registry;
+    let owner;
+    let producer1;
+    let halalAuthority;
+    let bpomOffice;
+    let outsider;
+    let batchId;
+    let attestation;
+
+    const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+    const CERT_TYPES = { HALAL: 0, BPOM: 1, LAB: 2 };
+    const KILOGRAM = 2; // ProductTrace.Unit.Kilogram
+    const PIECE = 0;
+    const PICKUP_TIME = { timestamp: 1746061200, utcOffsetMinutes: 420 };
+    const START_TIME = { timestamp: 1746147600, utcOffsetMinutes: 420 };
+    const CERT_DIGEST = ethers.keccak256(ethers.toUtf8Bytes("halal certificate MUI-0042"));
+    const CERT_URI = "ipfs://bafyhalal";
+    const ONE_YEAR = 365 * 24 * 60 * 60;
+    const ATTESTATION_TYPES = {
+        Attestation: [
+            { name: "batchId", type: "uint256" },
+            { name: "certType", type: "uint8" },
+            { name: "digest", type: "bytes32" },
+            { name: "uri", type: "string" },
+            { name: "issuedAt", type: "uint64" },
+            { name: "expiresAt", type: "uint64" },
+        ],
+    };
+    const createdId = async (tx) => (await findEvent(productTrace, tx, "ProductCreated")).args.productId;
+
+    const sign = async (issuer, value) => {
+        const { chainId } = await ethers.provider.getNetwork();
+        const domain = { name: "CertificateRegistry", version: "1", chainId, verifyingContract: await registry.getAddress() };
+        return issuer.signTypedData(domain, ATTESTATION_TYPES, value);
+    };
+
+    // The SDK is an ES module, so it is imported rather than required
+    let findEvent;
+    before(async function () {
+        ({ findEvent } = await import("../sdk/index.js"));
+    });
+
+    beforeEach(async function () {
+        [owner, producer1, halalAuthority, bpomOffice, outsider] = await ethers.getSigners();
+        const ProductTrace = await getProductTraceFactory(ethers);
+        productTrace = await ProductTrace.deploy();
+        await productTrace.waitForDeployment();
+        const CertificateRegistry = await ethers.getContractFactory("CertificateRegistry");
+        registry = await CertificateRegistry.deploy(await productTrace.getAddress());
+        await registry.waitForDeployment();
+
+        await productTrace.connect(owner).addProducer(producer1.address);
+        await registry.connect(owner).registerIssuer(halalAuthority.address, "MUI Halal Authority", CERT_TYPES.HALAL);
+        await registry.connect(owner).registerIssuer(bpomOffice.address, "BPOM Jakarta", CERT_TYPES.BPOM);
+
+        const lotId = await createdId(await productTrace.connect(producer1).createProduct("Cocoa Beans", "Farm C", "A", 5000, KILOGRAM, PICKUP_TIME));
+        const productId = await createdId(await productTrace.connect(producer1).createProductFromInputs("Chocolate", PIECE, [lotId], [1000], [KILOGRAM], 1000, START_TIME));
+        batchId = (await productTrace.products(productId)).currentBatchId;
+
+        const now = await time.latest();
+        attestation = { batchId, certType: CERT_TYPES.HALAL, digest: CERT_DIGEST, uri: CERT_URI, issuedAt: now - 60, expiresAt: now + ONE_YEAR };
+    });
+
+    it("Should be bound to the ProductTrace deployment it was created for", async function () {
+        expect(await registry.productTrace()).to.equal(await productTrace.getAddress());
+        const CertificateRegistry = await ethers.getContractFactory("CertificateRegistry");
+        await expect(CertificateRegistry.deploy(ZERO_ADDRESS)).to.be.revertedWithCustomError(registry, "CertificateRegistry__ZeroAddressNotAllowed");
+    });
+
+    describe("Issuer Management", function () {
+        it("Should let the ProductTrace owner register and remove issuers", async function () {
+            const issuer = await registry.issuers(halalAuthority.address);
+            expect(issuer.name).to.equal("MUI Halal Authority");
+            expect(issuer.certType).to.equal(CERT_TYPES.HALAL);
+            expect(issuer.active).to.equal(true);
+            expect(await registry.getIssuers()).to.deep.equal([halalAuthority.address, bpomOffice.address]);
+
+            await expect(registry.connect(owner).removeIssuer(halalAuthority.address))
+                .to.emit(registry, "IssuerRemoved")
+                .withArgs(halalAuthority.address, owner.address, anyValue);
+            expect((await registry.issuers(halalAuthority.address)).active).to.equal(false);
+
+            // Registering again does not list the address twice
+            await expect(registry.connect(owner).registerIssuer(halalAuthority.address, "MUI Halal Authority", CERT_TYPES.HALAL))
+                .to.emit(registry, "IssuerRegistered");
+            expect(await registry.getIssuers()).to.have.length(2);
+        });
+
+        it("Should revert issuer changes from anyone but the ProductTrace owner", async function () {
+            await expect(registry.connect(producer1).registerIssuer(outsider.address, "Lab X", CERT_TYPES.LAB))
+                .to.be.revertedWithCustomError(registry, "CertificateRegistry__NotOwner");
+            await expect(registry.connect(halalAuthority).removeIssuer(halalAuthority.address))
+                .to.be.revertedWithCustomError(registry, "CertificateRegistry__NotOwner");
+        });
+
+        it("Should revert registering an active issuer or removing an unknown one", async function () {
+            await expect(registry.connect(owner).registerIssuer(halalAuthority.address, "Again", CERT_TYPES.HALAL))
+                .to.be.revertedWithCustomError(registry, "CertificateRegistry__IssuerAlreadyRegistered")
+                .withArgs(halalAuthority.address);
+            await expect(registry.connect(owner).removeIssuer(outsider.address))
+                .to.be.revertedWithCustomError(registry, "CertificateRegistry__IssuerNotRegistered")
+                .withArgs(outsider.address);
+            await expect(registry.connect(owner).registerIssuer(ZERO_ADDRESS, "Nobody", CERT_TYPES.LAB))
+                .to.be.revertedWithCustomError(registry, "CertificateRegistry__ZeroAddressNotAllowed");
+        });
+    });
+
+    describe("Attestations", function () {
+        it("Should attach a certificate signed by its issuer, submitted by anyone, and emit CertificateAttached", async function () {
+            const signature = await sign(halalAuthority, attestation);
+            await expect(registry.connect(producer1).attachCertificate(attestation, signature))
+                .to.emit(registry, "CertificateAttached")
+                .withArgs(1, batchId, halalAuthority.address, CERT_TYPES.HALAL, CERT_DIGEST, CERT_URI, attestation.issuedAt, attestation.expiresAt, producer1.address, anyValue);
+
+            const [certificate] = await registry.getCertificates(batchId);
+            expect(certificate.id).to.equal(1);
+            expect(certificate.issuer).to.equal(halalAuthority.address);
+            expect(certificate.digest).to.equal(CERT_DIGEST);
+            expect(certificate.uri).to.equal(CERT_URI);
+            expect(certificate.attachedBy).to.equal(producer1.address);
+            expect(certificate.revoked).to.equal(false);
+            expect(await registry.isCertificateValid(1)).to.equal(true);
+            expect(await registry.certificateCount()).to.equal(1);
+        });
+
+        it("Should match the EIP-712 digest computed off-chain", async function () {
+            const { chainId } = await ethers.provider.getNetwork();
+            const domain = { name: "CertificateRegistry", version: "1", chainId, verifyingContract: await registry.getAddress() };
+            expect(await registry.hashAttestation(attestation)).to.equal(ethers.TypedDataEncoder.hash(domain, ATTESTATION_TYPES, attestation));
+        });
+
+        it("Should revert a signature from an unregistered, removed or wrong-type issuer", async function () {
+            await expect(registry.attachCertificate(attestation, await sign(outsider, attestation)))
+                .to.be.revertedWithCustomError(registry, "CertificateRegistry__IssuerNotRegistered")
+                .withArgs(outsider.address);
+            await expect(registry.attachCertificate(attestation, await sign(bpomOffice, attestation)))
+                .to.be.revertedWithCustomError(registry, "CertificateRegistry__IssuerNotAllowed")
+                .withArgs(bpomOffice.address, CERT_TYPES.HALAL);
+
+            await registry.connect(owner).removeIssuer(halalAuthority.address);
+            await expect(registry.attachCertificate(attestation, await sign(halalAuthority, attestation)))
+                .to.be.revertedWithCustomError(registry, "CertificateRegistry__IssuerNotRegistered");
+        });
+
+        it("Should revert when the attestation was changed after signing or the signature is malformed", async function () {
+            const signature = await sign(halalAuthority, attestation);
+            // The recovered signer of a tampered attestation is some unregistered address
+            await expect(registry.attachCertificate({ ...attestation, uri: "ipfs://forged" }, signature))
+                .to.be.revertedWithCustomError(registry, "CertificateRegistry__IssuerNotRegistered");
+            await expect(registry.attachCertificate(attestation, signature.slice(0, -2)))
+                .to.be.revertedWithCustomError(registry, "CertificateRegistry__InvalidSignature");
+        });
+
+        it("Should only accept each signed attestation once", async function () {
+            const signature = await sign(halalAuthority, attestation);
+            await registry.attachCertificate(attestation, signature);
+            await expect(registry.attachCertificate(attestation, signature))
+                .to.be.revertedWithCustomError(registry, "CertificateRegistry__AttestationAlreadyUsed");
+        });
+
+        it("Should revert for unknown batches, missing digests and invalid validity periods", async function () {
+            const attach = (value) => sign(halalAuthority, value).then(signature => registry.attachCertificate(value, signature));
+            await expect(attach({ ...attestation, batchId: batchId + 1n }))
+                .to.be.revertedWithCustomError(registry, "CertificateRegistry__BatchNotFound")
+                .withArgs(batchId + 1n);
+            await expect(attach({ ...attestation, digest: ethers.ZeroHash }))
+                .to.be.revertedWithCustomError(registry, "CertificateRegistry__MissingDigest");
+            await expect(attach({ ...attestation, expiresAt: attestation.issuedAt }))
+                .to.be.revertedWithCustomError(registry, "CertificateRegistry__InvalidValidity");
+            await expect(attach({ ...attestation, issuedAt: attestation.issuedAt + ONE_YEAR }))
+                .to.be.revertedWithCustomError(registry, "CertificateRegistry__InvalidValidity");
+        });
+
+        it("Should refuse expired attestations and report attached certificates as invalid once they expire", async function () {
+            const expired = { ...attestation, issuedAt: attestation.issuedAt - 2 * ONE_YEAR, expiresAt: attestation.issuedAt - ONE_YEAR };
+            await expect(registry.attachCertificate(expired, await sign(halalAuthority, expired)))
+                .to.be.revertedWithCustomError(registry, "CertificateRegistry__AttestationExpired")
+                .withArgs(expired.expiresAt);
+
+            await registry.attachCertificate(attestation, await sign(halalAuthority, attestation));
+            await time.increaseTo(attestation.expiresAt);
+            expect(await registry.isCertificateValid(1)).to.equal(false);
+
+            // No expiry
+            const permanent = { ...attestation, certType: CERT_TYPES.BPOM, expiresAt: 0 };
+            await registry.attachCertificate(permanent, await sign(bpomOffice, permanent));
+            expect(await registry.isCertificateValid(2)).to.equal(true);
+        });
+    });
+
+    describe("Revocation", function () {
+        beforeEach(async function () {
+            await registry.attachCertificate(attestation, await sign(halalAuthority, attestation));
+        });
+
+        it("Should let the issuer revoke its certificate with a reason", async function () {
+            await expect(registry.connect(halalAuthority).revokeCertificate(1, "Supplier audit failed"))
+                .to.emit(registry, "CertificateRevoked")
+                .withArgs(1, halalAuthority.address, "Supplier audit failed", anyValue);
+
+            const certificate = await registry.getCertificate(1);
+            expect(certificate.revoked).to.equal(true);
+            expect(certificate.revokedAt).to.be.gt(0);
+            expect(certificate.revocationReason).to.equal("Supplier audit failed");
+            expect(await registry.isCertificateValid(1)).to.equal(false);
+        });
+
+        it("Should still let a removed issuer revoke what it issued", async function () {
+            await registry.connect(owner).removeIssuer(halalAuthority.address);
+            await expect(registry.connect(halalAuthority).revokeCertificate(1, "Withdrawn")).to.emit(registry, "CertificateRevoked");
+        });
+
+        it("Should revert revocation by anyone else, of unknown certificates, or twice", async function () {
+            await expect(registry.connect(owner).revokeCertificate(1, "No"))
+                .to.be.revertedWithCustomError(registry, "CertificateRegistry__NotIssuer");
+            await expect(registry.connect(halalAuthority).revokeCertificate(2, "No"))
+                .to.be.revertedWithCustomError(registry, "CertificateRegistry__CertificateNotFound");
+            await registry.connect(halalAuthority).revokeCertificate(1, "Withdrawn");
+            await expect(registry.connect(halalAuthority).revokeCertificate(1, "Again"))
+                .to.be.revertedWithCustomError(registry, "CertificateRegistry__AlreadyRevoked")
+                .withArgs(1);
+        });
+    });
+});
@@ -0,0 +1,140 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { getProductTraceFactory } = require("../scripts/productTraceFactory");
+
+describe("InspectionLog Contract", function () {
+    let productTrace;
+    let inspectionLog;
+    let owner;
+    let producer1;
+    let auditor;
+    let outsider;
+    let lotId, productId, batchId;
+
+    const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+    const SUBJECTS = { PRODUCT: 0, BATCH: 1 };
+    const AUDITOR = 5; // ProductTrace.Role.Auditor
+    const RAW_MATERIAL = 1; // ProductTrace.Stage.RawMaterial
+    const QUALITY_HOLD = 5;
+    const KILOGRAM = 2; // ProductTrace.Unit.Kilogram
+    const PIECE = 0;
+    const PICKUP_TIME = { timestamp: 1746061200, utcOffsetMinutes: 420 };
+    const START_TIME = { timestamp: 1746147600, utcOffsetMinutes: 420 };
+    // Measurement values carry MEASUREMENT_DECIMALS (3) decimals
+    const MEASUREMENTS = [
+        { parameter: "moisture", value: 12500, unit: "%" },
+        { parameter: "temperature", value: -18000, unit: "°C" },
+        { parameter: "microbial count", value: 1200000, unit: "CFU/g" },
+    ];
+    const REPORT_HASH = ethers.keccak256(ethers.toUtf8Bytes("lab report L-221"));
+    const REPORT_URI = "ipfs://bafyreport";
+    const createdId = async (tx) => (await findEvent(productTrace, tx, "ProductCreated")).args.productId;
+    const asObjects = (measurements) => measurements.map(({ parameter, value, unit }) => ({ parameter, value: Number(value), unit }));
+
+    // The SDK is an ES module, so it is imported rather than required
+    let findEvent;
+    before(async function () {
+        ({ findEvent } = await import("../sdk/index.js"));
+    });
+
+    beforeEach(async function () {
+        [owner, producer1, auditor, outsider] = await ethers.getSigners();
+        const ProductTrace = await getProductTraceFactory(ethers);
+        productTrace = await ProductTrace.deploy();
+        await productTrace.waitForDeployment();
+        const InspectionLog = await ethers.getContractFactory("InspectionLog");
+        inspectionLog = await InspectionLog.deploy(await productTrace.getAddress());
+        await inspectionLog.waitForDeployment();
+
+        await productTrace.connect(owner).addProducer(producer1.address);
+        await productTrace.connect(owner).grantRole(auditor.address, AUDITOR);
+
+        lotId = await createdId(await productTrace.connect(producer1).createProduct("Cocoa Beans", "Farm C", "A", 5000, KILOGRAM, PICKUP_TIME));
+        productId = await createdId(await productTrace.connect(producer1).createProductFromInputs("Chocolate", PIECE, [lotId], [1000], [KILOGRAM], 1000, START_TIME));
+        batchId = (await productTrace.products(productId)).currentBatchId;
+    });
+
+    it("Should be bound to the ProductTrace deployment it was created for", async function () {
+        expect(await inspectionLog.productTrace()).to.equal(await productTrace.getAddress());
+        expect(await inspectionLog.MEASUREMENT_DECIMALS()).to.equal(3);
+        const InspectionLog = await ethers.getContractFactory("InspectionLog");
+        await expect(InspectionLog.deploy(ZERO_ADDRESS)).to.be.revertedWithCustomError(inspectionLog, "InspectionLog__ZeroAddressNotAllowed");
+    });
+
+    it("Should record an inspection of a product with its measurements and report, and emit InspectionRecorded", async function () {
+        await expect(inspectionLog.connect(auditor).recordInspection(SUBJECTS.PRODUCT, lotId, false, MEASUREMENTS, REPORT_HASH, REPORT_URI, "Moisture above 12%"))
+            .to.emit(inspectionLog, "InspectionRecorded")
+            .withArgs(1, SUBJECTS.PRODUCT, lotId, auditor.address, false, anyValue, REPORT_HASH, REPORT_URI, "Moisture above 12%", anyValue);
+
+        const inspection = await inspectionLog.getInspection(1);
+        expect(inspection.id).to.equal(1);
+        expect(inspection.subject).to.equal(SUBJECTS.PRODUCT);
+        expect(inspection.subjectId).to.equal(lotId);
+        expect(inspection.inspector).to.equal(auditor.address);
+        expect(inspection.passed).to.equal(false);
+        expect(asObjects(inspection.measurements)).to.deep.equal(MEASUREMENTS);
+        expect(inspection.reportHash).to.equal(REPORT_HASH);
+        expect(inspection.reportUri).to.equal(REPORT_URI);
+        expect(inspection.notes).to.equal("Moisture above 12%");
+        expect(inspection.timestamp).to.be.gt(0);
+        expect(await inspectionLog.inspectionCount()).to.equal(1);
+    });
+
+    it("Should keep separate, append-only lists per product and per batch, oldest first", async function () {
+        await inspectionLog.connect(auditor).recordInspection(SUBJECTS.PRODUCT, lotId, true, [], "", "", "Intake check");
+        await inspectionLog.connect(auditor).recordInspection(SUBJECTS.BATCH, batchId, true, MEASUREMENTS.slice(0, 1), "", "", "");
+        await inspectionLog.connect(auditor).recordInspection(SUBJECTS.PRODUCT, lotId, false, MEASUREMENTS, REPORT_HASH, "", "Retest");
+
+        const lotInspections = await inspectionLog.getInspections(SUBJECTS.PRODUCT, lotId);
+        expect(lotInspections.map(inspection => inspection.id)).to.deep.equal([1n, 3n]);
+        expect(lotInspections.map(inspection => inspection.notes)).to.deep.equal(["Intake check", "Retest"]);
+        expect(await inspectionLog.getInspectionCount(SUBJECTS.PRODUCT, lotId)).to.equal(2);
+
+        // Batch ids and product ids are separate namespaces
+        const batchInspections = await inspectionLog.getInspections(SUBJECTS.BATCH, batchId);
+        expect(batchInspections.map(inspection => inspection.id)).to.deep.equal([2n]);
+        expect(asObjects(batchInspections[0].measurements)).to.deep.equal(MEASUREMENTS.slice(0, 1));
+        expect(await inspectionLog.getInspections(SUBJECTS.PRODUCT, productId)).to.deep.equal([]);
+    });
+
+    it("Should accept inspections at any stage, including quality hold", async function () {
+        await productTrace.connect(producer1).changeProductStage(productId, QUALITY_HOLD, "Awaiting lab result");
+        await expect(inspectionLog.connect(auditor).recordInspection(SUBJECTS.PRODUCT, productId, false, MEASUREMENTS, "", "", ""))
+            .to.emit(inspectionLog, "InspectionRecorded");
+        // Recording an inspection does not touch the product itself
+        expect((await productTrace.products(productId)).stage).to.equal(QUALITY_HOLD);
+        expect((await productTrace.products(lotId)).stage).to.equal(RAW_MATERIAL);
+    });
+
+    it("Should only let accounts holding the Auditor role on ProductTrace record inspections", async function () {
+        // Producers hold every lifecycle role except Auditor
+        await expect(inspectionLog.connect(producer1).recordInspection(SUBJECTS.PRODUCT, lotId, true, [], "", "", ""))
+            .to.be.revertedWithCustomError(inspectionLog, "InspectionLog__MissingRole")
+            .withArgs(producer1.address, AUDITOR);
+        await expect(inspectionLog.connect(outsider).recordInspection(SUBJECTS.PRODUCT, lotId, true, [], "", "", ""))
+            .to.be.revertedWithCustomError(inspectionLog, "InspectionLog__MissingRole");
+
+        await productTrace.connect(owner).revokeRole(auditor.address, AUDITOR);
+        await expect(inspectionLog.connect(auditor).recordInspection(SUBJECTS.PRODUCT, lotId, true, [], "", "", ""))
+            .to.be.revertedWithCustomError(inspectionLog, "InspectionLog__MissingRole");
+    });
+
+    it("Should revert for unknown products and batches", async function () {
+        await expect(inspectionLog.connect(auditor).recordInspection(SUBJECTS.PRODUCT, 0, true, [], "", "", ""))
+            .to.be.revertedWithCustomError(inspectionLog, "InspectionLog__SubjectNotFound")
+            .withArgs(SUBJECTS.PRODUCT, 0);
+        await expect(inspectionLog.connect(auditor).recordInspection(SUBJECTS.PRODUCT, productId + 1n, true, [], "", "", ""))
+            .to.be.revertedWithCustomError(inspectionLog, "InspectionLog__SubjectNotFound")
+            .withArgs(SUBJECTS.PRODUCT, productId + 1n);
+        await expect(inspectionLog.connect(auditor).recordInspection(SUBJECTS.BATCH, batchId + 1n, true, [], "", "", ""))
+            .to.be.revertedWithCustomError(inspectionLog, "InspectionLog__SubjectNotFound")
+            .withArgs(SUBJECTS.BATCH, batchId + 1n);
+        await expect(inspectionLog.getInspection(1)).to.be.revertedWithCustomError(inspectionLog, "InspectionLog__InspectionNotFound");
+    });
+
+    it("Should revert when a report URI is given without its digest", async function () {
+        await expect(inspectionLog.connect(auditor).recordInspection(SUBJECTS.PRODUCT, lotId, true, [], "", REPORT_URI, ""))
+            .to.be.revertedWithCustomError(inspectionLog, "InspectionLog__MissingReportDigest");
+    });
+});
@@ -1,5 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { getProductTraceFactory } = require("../scripts/productTraceFactory");
 
 describe("ProductTrace Contract", function () {
     let ProductTrace;
@@ -19,7 +21,42 @@ describe("ProductTrace Contract", function () {
         PRODUCTION: 2,
         PACKAGING: 3,
         DISTRIBUTION: 4,
+        QUALITY_HOLD: 5,
+        REJECTED: 6,
+        RECALLED: 7,
+        DESTROYED: 8,
+        DELIVERED: 9,
     };
+    // Declared times are unix seconds plus a UTC offset; these are in the past and in lifecycle order
+    const declaredTime = (isoString, utcOffsetMinutes = 420) => ({ timestamp: Math.floor(Date.parse(isoString) / 1000), utcOffsetMinutes });
+    const PICKUP_TIME = declaredTime("2025-05-01T08:00:00+07:00");
+    const START_TIME = declaredTime("2025-05-02T08:00:00+07:00");
+    const PACKAGING_TIME = declaredTime("2025-05-02T16:00:00+07:00");
+    const ROLES = {
+        NONE: 0,
+        SUPPLIER: 1,
+        MANUFACTURER: 2,
+        PACKAGER: 3,
+        DISTRIBUTOR: 4,
+        AUDITOR: 5,
+    };
+    // Mirrors ProductTrace.Unit; quantities carry QUANTITY_DECIMALS (3) decimals
+    const UNITS = {
+        PIECE: 0,
+        GRAM: 1,
+        KILOGRAM: 2,
+        MILLILITRE: 3,
+        LITRE: 4,
+    };
+    // Planned and packaged output of a batch (1 and 0.95 units), a 95% yield
+    const EXPECTED_OUTPUT = 1000;
+    const ACTUAL_OUTPUT = 950;
+
+    // The SDK is an ES module, so it is imported rather than required
+    let findEvent;
+    before(async function () {
+        ({ findEvent } = await import("../sdk/index.js"));
+    });
 
     beforeEach(async function () {
         [owner, addr1, addr2, addr3] = await ethers.getSigners();
@@ -27,7 +64,7 @@ describe("ProductTrace Contract", function () {
         producer2 = addr2;
         nonProducer = addr3;
 
-        ProductTrace = await ethers.getContractFactory("ProductTrace");
+        ProductTrace = await getProductTraceFactory(ethers);
         productTrace = await ProductTrace.deploy();
         await productTrace.waitForDeployment();
 
@@ -51,17 +88,134 @@ describe("Deployment & Constructor", function () {
             const receipt = await deployTx.deploymentTransaction().wait();
 
             // Find the ProducerAdded event in the transaction receipt
-            const event = receipt.logs.find(log => {
-                try {
-                    const parsedLog = deployTx.interface.parseLog(log);
-                    return parsedLog && parsedLog.name === "ProducerAdded";
-                } catch (e) {
-                    return false;
-                }
-            });
-            expect(event).to.not.be.undefined;
-            const parsedLog = deployTx.interface.parseLog(event);
-            expect(parsedLog.args.producerAddress).to.equal(owner.address);
+            const event = await findEvent(deployTx, receipt, "ProducerAdded");
+            expect(event.args.producerAddress).to.equal(owner.address);
+        });
+    });
+
+describe("Ownership Transfer", function () {
+        it("Should only hand over ownership once the new owner accepts", async function () {
+            await expect(productTrace.connect(owner).transferOwnership(addr1.address))
+                .to.emit(productTrace, "OwnershipTransferStarted")
+                .withArgs(owner.address, addr1.address);
+            expect(await productTrace.owner()).to.equal(owner.address);
+            expect(await productTrace.pendingOwner()).to.equal(addr1.address);
+
+            await expect(productTrace.connect(addr1).acceptOwnership())
+                .to.emit(productTrace, "OwnershipTransferred")
+                .withArgs(owner.address, addr1.address);
+            expect(await productTrace.owner()).to.equal(addr1.address);
+            expect(await productTrace.pendingOwner()).to.equal(ZERO_ADDRESS);
+
+            await expect(productTrace.connect(addr1).addProducer(addr2.address)).to.emit(productTrace, "ProducerAdded");
+            await expect(productTrace.connect(owner).addProducer(addr3.address))
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__NotOwner");
+        });
+
+        it("Should revert if anyone but the pending owner accepts", async function () {
+            await productTrace.connect(owner).transferOwnership(addr1.address);
+            await expect(productTrace.connect(addr2).acceptOwnership())
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__NotPendingOwner");
+            await expect(productTrace.connect(owner).acceptOwnership())
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__NotPendingOwner");
+        });
+
+        it("Should let the owner replace the pending owner", async function () {
+            await productTrace.connect(owner).transferOwnership(addr1.address);
+            await productTrace.connect(owner).transferOwnership(addr2.address);
+            await expect(productTrace.connect(addr1).acceptOwnership())
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__NotPendingOwner");
+            await productTrace.connect(addr2).acceptOwnership();
+            expect(await productTrace.owner()).to.equal(addr2.address);
+        });
+
+        it("Should revert if a non-owner starts a transfer or the new owner is the zero address", async function () {
+            await expect(productTrace.connect(addr1).transferOwnership(addr1.address))
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__NotOwner");
+            await expect(productTrace.connect(owner).transferOwnership(ZERO_ADDRESS))
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__ZeroAddressNotAllowed");
+        });
+    });
+
+describe("Lifecycle Roles", function () {
+        const createdId = async (tx) => (await findEvent(productTrace, tx, "ProductCreated")).args.productId;
+
+        it("Should give producers every lifecycle role except Auditor", async function () {
+            for (const role of [ROLES.SUPPLIER, ROLES.MANUFACTURER, ROLES.PACKAGER, ROLES.DISTRIBUTOR]) {
+                expect(await productTrace.hasRole(producer1.address, role)).to.be.true;
+            }
+            expect(await productTrace.hasRole(producer1.address, ROLES.AUDITOR)).to.be.false;
+            expect(await productTrace.hasRole(nonProducer.address, ROLES.SUPPLIER)).to.be.false;
+        });
+
+        it("Owner should grant and revoke roles with events", async function () {
+            await expect(productTrace.connect(owner).grantRole(nonProducer.address, ROLES.AUDITOR))
+                .to.emit(productTrace, "RoleGranted")
+                .withArgs(nonProducer.address, ROLES.AUDITOR, owner.address);
+            expect(await productTrace.hasRole(nonProducer.address, ROLES.AUDITOR)).to.be.true;
+
+            await expect(productTrace.connect(owner).revokeRole(nonProducer.address, ROLES.AUDITOR))
+                .to.emit(productTrace, "RoleRevoked")
+                .withArgs(nonProducer.address, ROLES.AUDITOR, owner.address);
+            expect(await productTrace.hasRole(nonProducer.address, ROLES.AUDITOR)).to.be.false;
+        });
+
+        it("Should revert invalid role management", async function () {
+            await expect(productTrace.connect(producer1).grantRole(nonProducer.address, ROLES.SUPPLIER))
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__NotOwner");
+            await expect(productTrace.connect(owner).grantRole(ZERO_ADDRESS, ROLES.SUPPLIER))
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__ZeroAddressNotAllowed");
+            await expect(productTrace.connect(owner).grantRole(nonProducer.address, ROLES.NONE))
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__InvalidRole");
+            await expect(productTrace.connect(owner).revokeRole(nonProducer.address, ROLES.PACKAGER))
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__MissingRole")
+                .withArgs(nonProducer.address, ROLES.PACKAGER);
+        });
+
+        it("Should gate each lifecycle step on its role", async function () {
+            const supplier = addr2;
+            const operator = addr3;
+            await productTrace.connect(owner).grantRole(supplier.address, ROLES.SUPPLIER);
+            const lotId = await createdId(await productTrace.connect(supplier).createProduct("Cocoa Lot", "Farm", "A", 50, UNITS.PIECE, PICKUP_TIME));
+
+            // A manufacturer may register the output product but not package it without the Packager role
+            await productTrace.connect(owner).grantRole(operator.address, ROLES.MANUFACTURER);
+            const outputId = await createdId(await productTrace.connect(operator).createProduct("Chocolate", "Plant", "-", 1, UNITS.PIECE, PICKUP_TIME));
+            await productTrace.connect(supplier).proposeCustodyTransfer(lotId, operator.address, "");
+            await productTrace.connect(operator).acceptCustodyTransfer(lotId, "");
+            await productTrace.connect(operator).startProduction(outputId, [lotId], [10], [UNITS.PIECE], EXPECTED_OUTPUT, START_TIME);
+            await expect(productTrace.connect(operator).packageProduct(outputId, "H", "", "B", "", ACTUAL_OUTPUT, 0, UNITS.PIECE, PACKAGING_TIME))
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__MissingRole")
+                .withArgs(operator.address, ROLES.PACKAGER);
+
+            await productTrace.connect(owner).grantRole(operator.address, ROLES.PACKAGER);
+            await productTrace.connect(operator).packageProduct(outputId, "H", "", "B", "", ACTUAL_OUTPUT, 0, UNITS.PIECE, PACKAGING_TIME);
+            await expect(productTrace.connect(operator).distributeProduct(outputId, "Truck"))
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__MissingRole")
+                .withArgs(operator.address, ROLES.DISTRIBUTOR);
+
+            await productTrace.connect(owner).grantRole(operator.address, ROLES.DISTRIBUTOR);
+            await productTrace.connect(operator).distributeProduct(outputId, "Truck");
+            expect((await productTrace.products(outputId)).stage).to.equal(STAGES.DISTRIBUTION);
+        });
+
+        it("Should stop a supplier without the Manufacturer role from starting production", async function () {
+            const supplier = addr2;
+            await productTrace.connect(owner).grantRole(supplier.address, ROLES.SUPPLIER);
+            const lotId = await createdId(await productTrace.connect(supplier).createProduct("Milk Lot", "Farm", "A", 50, UNITS.PIECE, PICKUP_TIME));
+            const otherLotId = await createdId(await productTrace.connect(supplier).createProduct("Sugar Lot", "Farm", "A", 50, UNITS.PIECE, PICKUP_TIME));
+
+            await expect(productTrace.connect(supplier).startProduction(lotId, [otherLotId], [5], [UNITS.PIECE], EXPECTED_OUTPUT, START_TIME))
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__MissingRole")
+                .withArgs(supplier.address, ROLES.MANUFACTURER);
+        });
+
+        it("Should drop implied roles when a producer is removed but keep explicit grants", async function () {
+            await productTrace.connect(owner).grantRole(producer1.address, ROLES.PACKAGER);
+            await productTrace.connect(owner).removeProducer(producer1.address);
+
+            expect(await productTrace.hasRole(producer1.address, ROLES.SUPPLIER)).to.be.false;
+            expect(await productTrace.hasRole(producer1.address, ROLES.PACKAGER)).to.be.true;
         });
     });
 
@@ -87,16 +241,8 @@ describe("Producer Management", function () {
             it("Adding an existing producer should not fail and still emit event", async function () {
                 expect(await productTrace.producers(producer1.address)).to.be.true;
                 const tx = await productTrace.connect(owner).addProducer(producer1.address);
-                const receipt = await tx.wait();
-                const event = receipt.logs.find(log => {
-                    try {
-                        const parsedLog = productTrace.interface.parseLog(log);
-                        return parsedLog && parsedLog.name === "ProducerAdded" && parsedLog.args.producerAddress === producer1.address;
-                    } catch (e) {
-                        return false;
-                    }
-                });
-                expect(event).to.not.be.undefined;
+                const event = await findEvent(productTrace, tx, "ProducerAdded");
+                expect(event.args.producerAddress).to.equal(producer1.address);
                 expect(await productTrace.producers(producer1.address)).to.be.true;
             });
         });
@@ -134,14 +280,15 @@ describe("Producer Management", function () {
         describe("onlyProducer Modifier", function () {
             it("Should allow access for registered producers", async function () {
                 // Test with a function that uses onlyProducer, e.g., createProduct
-                await expect(productTrace.connect(producer1).createProduct("Product A", "Source A", "High", 100, "01/01/2024"))
+                await expect(productTrace.connect(producer1).createProduct("Product A", "Source A", "High", 100, UNITS.PIECE, declaredTime("2024-01-01T08:00:00+07:00")))
                     .to.not.be.reverted;
             });
 
             it("Should revert for non-producers", async function () {
                 // inputRawMaterial function does not exist, replace with createProduct to test revert
-                await expect(productTrace.connect(nonProducer).createProduct("Product B", "Source B", "Low", 50, "02/01/2024"))
-                    .to.be.revertedWithCustomError(productTrace, "ProductTrace__NotAuthorizedProducer");
+                await expect(productTrace.connect(nonProducer).createProduct("Product B", "Source B", "Low", 50, UNITS.PIECE, declaredTime("2024-01-02T08:00:00+07:00")))
+                    .to.be.revertedWithCustomError(productTrace, "ProductTrace__MissingRole")
+                    .withArgs(nonProducer.address, ROLES.SUPPLIER);
             });
         });
     });
@@ -153,15 +300,11 @@ describe("Producer Management", function () {
                 const source = "Farm X";
                 const quality = "Premium";
                 const initialQuantity = 150;
-                const pickupTime = "10/05/2024";
+                const pickupTime = declaredTime("2024-05-10T08:00:00+07:00");
 
-                const tx = await productTrace.connect(producer1).createProduct(name, source, quality, initialQuantity, pickupTime);
+                const tx = await productTrace.connect(producer1).createProduct(name, source, quality, initialQuantity, UNITS.PIECE, pickupTime);
                 const receipt = await tx.wait();
-                const event = receipt.logs.find(log => {
-                    try { return productTrace.interface.parseLog(log)?.name === "ProductCreated"; } catch (e) { return false; }
-                });
-                expect(event).to.not.be.undefined;
-                const { productId, productOwner, initialStage } = productTrace.interface.parseLog(event).args;
+                const { productId, productOwner, initialStage } = (await findEvent(productTrace, receipt, "ProductCreated")).args;
 
                 expect(productId).to.equal(1); // Assuming this is the first product
                 expect(await productTrace.productCount()).to.equal(1);
@@ -173,7 +316,10 @@ describe("Producer Management", function () {
                 expect(product.quality).to.equal(quality);
                 expect(product.initialQuantity).to.equal(initialQuantity);
                 expect(product.availableQuantity).to.equal(initialQuantity);
-                expect(product.pickupTimeManual).to.equal(pickupTime);
+                expect(product.unit).to.equal(UNITS.PIECE);
+                expect(product.pickupTime.timestamp).to.equal(pickupTime.timestamp);
+                expect(product.pickupTime.utcOffsetMinutes).to.equal(pickupTime.utcOffsetMinutes);
+                expect(product.createdAt).to.equal((await ethers.provider.getBlock(receipt.blockNumber)).timestamp);
                 expect(product.stage).to.equal(STAGES.RAW_MATERIAL);
                 expect(product.productOwner).to.equal(producer1.address);
                 expect(product.timestamp).to.be.above(0);
@@ -186,13 +332,52 @@ describe("Producer Management", function () {
             });
 
             it("Should revert if a non-producer tries to create a product", async function () {
-                await expect(productTrace.connect(nonProducer).createProduct("Illegal Apples", "Source C", "Medium", 200, "11/05/2024"))
-                    .to.be.revertedWithCustomError(productTrace, "ProductTrace__NotAuthorizedProducer");
+                await expect(productTrace.connect(nonProducer).createProduct("Illegal Apples", "Source C", "Medium", 200, UNITS.PIECE, declaredTime("2024-05-11T08:00:00+07:00")))
+                    .to.be.revertedWithCustomError(productTrace, "ProductTrace__MissingRole")
+                    .withArgs(nonProducer.address, ROLES.SUPPLIER);
             });
 
             it("Should revert if initial quantity is zero", async function () {
-                await expect(productTrace.connect(producer1).createProduct("Zero Qty Product", "Source D", "Low", 0, "12/05/2024"))
+                await expect(productTrace.connect(producer1).createProduct("Zero Qty Product", "Source D", "Low", 0, UNITS.PIECE, declaredTime("2024-05-12T08:00:00+07:00")))
+                    .to.be.revertedWithCustomError(productTrace, "ProductTrace__ZeroQuantityNotAllowed");
+            });
+        });
+
+        describe("createProducts() - Bulk raw material intake", function () {
+            const delivery = (name, initialQuantity, unit = UNITS.KILOGRAM) => ({
+                name, source: "Farm X", quality: "A", initialQuantity, unit, pickupTime: PICKUP_TIME,
+            });
+
+            it("Should register every row as a raw material lot and return the IDs in row order", async function () {
+                const rows = [delivery("Cocoa Lot 1", 100000), delivery("Sugar Lot 1", 20000, UNITS.GRAM), delivery("Crates", 40, UNITS.PIECE)];
+                expect(await productTrace.connect(producer1).createProducts.staticCall(rows)).to.deep.equal([1n, 2n, 3n]);
+
+                const tx = await productTrace.connect(producer1).createProducts(rows);
+                for (const [i, row] of rows.entries()) {
+                    await expect(tx).to.emit(productTrace, "ProductCreated").withArgs(i + 1, row.name, producer1.address, STAGES.RAW_MATERIAL, anyValue);
+                }
+                expect(await productTrace.productCount()).to.equal(3);
+                const sugar = await productTrace.products(2);
+                expect(sugar.unit).to.equal(UNITS.GRAM);
+                expect(sugar.availableQuantity).to.equal(20000);
+                expect(sugar.pickupTime.timestamp).to.equal(PICKUP_TIME.timestamp);
+                expect(await productTrace.getProductCountByOwner(producer1.address)).to.equal(3);
+                expect(await productTrace.getProductCountByStage(STAGES.RAW_MATERIAL)).to.equal(3);
+            });
+
+            it("Should revert the whole batch if any row is invalid", async function () {
+                await expect(productTrace.connect(producer1).createProducts([delivery("Cocoa Lot 1", 100000), delivery("Cocoa Lot 2", 0)]))
                     .to.be.revertedWithCustomError(productTrace, "ProductTrace__ZeroQuantityNotAllowed");
+                const future = { ...delivery("Cocoa Lot 3", 10), pickupTime: declaredTime("2099-01-01T08:00:00+07:00") };
+                await expect(productTrace.connect(producer1).createProducts([future]))
+                    .to.be.revertedWithCustomError(productTrace, "ProductTrace__DeclaredTimeInFuture");
+                expect(await productTrace.productCount()).to.equal(0);
+            });
+
+            it("Should only allow suppliers and manufacturers", async function () {
+                await expect(productTrace.connect(nonProducer).createProducts([delivery("Cocoa Lot 1", 100000)]))
+                    .to.be.revertedWithCustomError(productTrace, "ProductTrace__MissingRole")
+                    .withArgs(nonProducer.address, ROLES.SUPPLIER);
             });
         });
 
@@ -202,30 +387,28 @@ describe("Producer Management", function () {
 
             beforeEach(async function () {
                 // Producer1 creates products to be used
-                let tx = await productTrace.connect(producer1).createProduct("Main Product", "Factory A", "Standard", 1, "01/06/2024"); // Qty 1, as it's the item being processed
+                let tx = await productTrace.connect(producer1).createProduct("Main Product", "Factory A", "Standard", 1, UNITS.PIECE, declaredTime("2024-06-01T08:00:00+07:00")); // Qty 1, as it's the item being processed
                 let receipt = await tx.wait();
-                productToProcessId = receipt.logs.find(log => productTrace.interface.parseLog(log)?.name === "ProductCreated").args.productId;
+                productToProcessId = (await findEvent(productTrace, receipt, "ProductCreated")).args.productId;
 
-                tx = await productTrace.connect(producer1).createProduct("Ingredient X", "Supplier X", "Grade A", 100, "01/06/2024");
+                tx = await productTrace.connect(producer1).createProduct("Ingredient X", "Supplier X", "Grade A", 100, UNITS.PIECE, declaredTime("2024-06-01T08:00:00+07:00"));
                 receipt = await tx.wait();
-                consumableProduct1Id = receipt.logs.find(log => productTrace.interface.parseLog(log)?.name === "ProductCreated").args.productId;
+                consumableProduct1Id = (await findEvent(productTrace, receipt, "ProductCreated")).args.productId;
 
-                tx = await productTrace.connect(producer1).createProduct("Ingredient Y", "Supplier Y", "Grade B", 200, "02/06/2024");
+                tx = await productTrace.connect(producer1).createProduct("Ingredient Y", "Supplier Y", "Grade B", 200, UNITS.PIECE, declaredTime("2024-06-02T08:00:00+07:00"));
                 receipt = await tx.wait();
-                consumableProduct2Id = receipt.logs.find(log => productTrace.interface.parseLog(log)?.name === "ProductCreated").args.productId;
+                consumableProduct2Id = (await findEvent(productTrace, receipt, "ProductCreated")).args.productId;
             });
 
             it("Product owner should be able to start production", async function () {
                 const consumedProductIds = [consumableProduct1Id, consumableProduct2Id];
                 const quantitiesUsed = [50, 75];
-                const startTimeManual = "09:00, 03/06/2024";
+                const unitsUsed = [UNITS.PIECE, UNITS.PIECE];
+                const startTime = declaredTime("2024-06-03T09:00:00+07:00");
 
-                const tx = await productTrace.connect(producer1).startProduction(productToProcessId, consumedProductIds, quantitiesUsed, startTimeManual);
+                const tx = await productTrace.connect(producer1).startProduction(productToProcessId, consumedProductIds, quantitiesUsed, unitsUsed, EXPECTED_OUTPUT, startTime);
                 const receipt = await tx.wait();
-
-                const batchCreatedEvent = receipt.logs.find(log => productTrace.interface.parseLog(log)?.name === "BatchCreated");
-                expect(batchCreatedEvent).to.not.be.undefined;
-                const { batchId, productId: eventProductId, createdBy, consumedProductIds: eventConsumedIds, quantitiesUsed: eventQuantities } = productTrace.interface.parseLog(batchCreatedEvent).args;
+                const { batchId, productId: eventProductId, createdBy, consumedProductIds: eventConsumedIds, quantitiesUsed: eventQuantities } = (await findEvent(productTrace, receipt, "BatchCreated")).args;
 
                 expect(batchId).to.equal(1);
                 expect(await productTrace.batchCount()).to.equal(1);
@@ -241,7 +424,7 @@ describe("Producer Management", function () {
                 const quantitiesUsedArr = await productTrace.getBatchQuantitiesUsed(batchId);
                 expect(rawMaterialIds).to.deep.equal(consumedProductIds.map(id => BigInt(id)));
                 expect(quantitiesUsedArr).to.deep.equal(quantitiesUsed.map(q => BigInt(q)));
-                expect(batch.startTimeManual).to.equal(startTimeManual);
+                expect(batch.declaredStartTime.timestamp).to.equal(startTime.timestamp);
 
                 const consumable1After = await productTrace.products(consumableProduct1Id);
                 expect(consumable1After.availableQuantity).to.equal(100 - 50);
@@ -263,89 +446,145 @@ describe("Producer Management", function () {
             });
 
             it("Should revert if caller is not the product owner", async function () {
-                await expect(productTrace.connect(producer2).startProduction(productToProcessId, [consumableProduct1Id], [10], "10:00"))
+                await expect(productTrace.connect(producer2).startProduction(productToProcessId, [consumableProduct1Id], [10], [UNITS.PIECE], EXPECTED_OUTPUT, START_TIME))
                     .to.be.revertedWithCustomError(productTrace, "ProductTrace__NotProductOwner");
             });
 
             it("Should revert if product to process is not in RawMaterial stage", async function () {
                 // Start production once
-                await productTrace.connect(producer1).startProduction(productToProcessId, [consumableProduct1Id], [10], "10:00");
+                await productTrace.connect(producer1).startProduction(productToProcessId, [consumableProduct1Id], [10], [UNITS.PIECE], EXPECTED_OUTPUT, START_TIME);
                 // Try to start again
-                await expect(productTrace.connect(producer1).startProduction(productToProcessId, [consumableProduct2Id], [10], "10:05"))
+                await expect(productTrace.connect(producer1).startProduction(productToProcessId, [consumableProduct2Id], [10], [UNITS.PIECE], EXPECTED_OUTPUT, START_TIME))
                     .to.be.revertedWithCustomError(productTrace, "ProductTrace__InvalidProductStage")
                     .withArgs(productToProcessId, STAGES.PRODUCTION, STAGES.RAW_MATERIAL);
             });
 
             it("Should revert if a consumed product does not exist", async function () {
-                await expect(productTrace.connect(producer1).startProduction(productToProcessId, [999], [10], "10:00"))
+                await expect(productTrace.connect(producer1).startProduction(productToProcessId, [999], [10], [UNITS.PIECE], EXPECTED_OUTPUT, START_TIME))
                     .to.be.revertedWithCustomError(productTrace, "ProductTrace__ProductNotFound");
             });
 
             it("Should revert if a consumed product is not in RawMaterial stage", async function () {
                 // Create another product and put it in production
-                let tx = await productTrace.connect(producer1).createProduct("Another Main", "Factory B", "Standard", 1, "01/06/2024");
+                let tx = await productTrace.connect(producer1).createProduct("Another Main", "Factory B", "Standard", 1, UNITS.PIECE, declaredTime("2024-06-01T08:00:00+07:00"));
                 let receipt = await tx.wait();
-                const anotherMainId = receipt.logs.find(log => productTrace.interface.parseLog(log)?.name === "ProductCreated").args.productId;
+                const anotherMainId = (await findEvent(productTrace, receipt, "ProductCreated")).args.productId;
 
-                tx = await productTrace.connect(producer1).createProduct("Consumable for Another", "Supplier Z", "Grade C", 50, "01/06/2024");
+                tx = await productTrace.connect(producer1).createProduct("Consumable for Another", "Supplier Z", "Grade C", 50, UNITS.PIECE, declaredTime("2024-06-01T08:00:00+07:00"));
                 receipt = await tx.wait();
-                const consumableForAnotherId = receipt.logs.find(log => productTrace.interface.parseLog(log)?.name === "ProductCreated").args.productId;
+                const consumableForAnotherId = (await findEvent(productTrace, receipt, "ProductCreated")).args.productId;
 
-                await productTrace.connect(producer1).startProduction(anotherMainId, [consumableForAnotherId], [5], "11:00"); // anotherMainId is now in Production
+                await productTrace.connect(producer1).startProduction(anotherMainId, [consumableForAnotherId], [5], [UNITS.PIECE], EXPECTED_OUTPUT, START_TIME); // anotherMainId is now in Production
 
                 // Try to use 'anotherMainId' (which is in Production) as a consumable for 'productToProcessId'
-                await expect(productTrace.connect(producer1).startProduction(productToProcessId, [anotherMainId], [1], "10:00"))
+                await expect(productTrace.connect(producer1).startProduction(productToProcessId, [anotherMainId], [1], [UNITS.PIECE], EXPECTED_OUTPUT, START_TIME))
                     .to.be.revertedWithCustomError(productTrace, "ProductTrace__InvalidProductStage")
                     .withArgs(anotherMainId, STAGES.PRODUCTION, STAGES.RAW_MATERIAL);
             });
 
             it("Should revert if insufficient quantity of a consumed product", async function () {
-                await expect(productTrace.connect(producer1).startProduction(productToProcessId, [consumableProduct1Id], [1000], "10:00")) // consumableProduct1Id has 100
+                await expect(productTrace.connect(producer1).startProduction(productToProcessId, [consumableProduct1Id], [1000], [UNITS.PIECE], EXPECTED_OUTPUT, START_TIME)) // consumableProduct1Id has 100
                     .to.be.revertedWithCustomError(productTrace, "ProductTrace__InsufficientProductQuantity")
                     .withArgs(consumableProduct1Id, 1000, 100);
             });
 
             it("Should revert if consumedProductIds and quantitiesUsed array lengths mismatch", async function () {
-                await expect(productTrace.connect(producer1).startProduction(productToProcessId, [consumableProduct1Id], [10, 20], "10:00"))
+                await expect(productTrace.connect(producer1).startProduction(productToProcessId, [consumableProduct1Id], [10, 20], [UNITS.PIECE, UNITS.PIECE], EXPECTED_OUTPUT, START_TIME))
                     .to.be.revertedWithCustomError(productTrace, "ProductTrace__ArrayLengthMismatch");
             });
 
             it("Should revert if no inputs for production are provided", async function () {
-                await expect(productTrace.connect(producer1).startProduction(productToProcessId, [], [], "10:00"))
+                await expect(productTrace.connect(producer1).startProduction(productToProcessId, [], [], [], EXPECTED_OUTPUT, START_TIME))
                     .to.be.revertedWithCustomError(productTrace, "ProductTrace__NoInputsForProduction");
             });
 
             it("Should revert if zero quantity is specified for a consumed product", async function () {
-                await expect(productTrace.connect(producer1).startProduction(productToProcessId, [consumableProduct1Id], [0], "10:00"))
+                await expect(productTrace.connect(producer1).startProduction(productToProcessId, [consumableProduct1Id], [0], [UNITS.PIECE], EXPECTED_OUTPUT, START_TIME))
                     .to.be.revertedWithCustomError(productTrace, "ProductTrace__ZeroQuantityNotAllowed");
             });
         });
 
+        describe("createProductFromInputs() - Steps 1 and 2 for finished goods", function () {
+            const createdId = async (tx) => (await findEvent(productTrace, tx, "ProductCreated")).args.productId;
+            let lotId;
+
+            beforeEach(async function () {
+                lotId = await createdId(await productTrace.connect(producer1).createProduct("Cocoa Lot", "Farm C", "A", 10000, UNITS.KILOGRAM, PICKUP_TIME));
+            });
+
+            it("Should mint the output directly in Production with its own batch", async function () {
+                const tx = await productTrace.connect(producer1).createProductFromInputs("Dark Chocolate", UNITS.PIECE, [lotId], [2500], [UNITS.KILOGRAM], 50000, START_TIME);
+                const outputId = await createdId(tx);
+
+                await expect(tx).to.emit(productTrace, "ProductCreated").withArgs(outputId, "Dark Chocolate", producer1.address, STAGES.PRODUCTION, anyValue);
+                await expect(tx).to.emit(productTrace, "BatchCreated").withArgs(1, outputId, producer1.address, [lotId], [2500], anyValue);
+                await expect(tx).to.emit(productTrace, "ProductQuantityUpdated").withArgs(lotId, 2500, 7500, anyValue);
+                await expect(tx).to.not.emit(productTrace, "ProductStageChanged");
+
+                const product = await productTrace.products(outputId);
+                expect(product.stage).to.equal(STAGES.PRODUCTION);
+                expect(product.currentBatchId).to.equal(1);
+                expect(product.unit).to.equal(UNITS.PIECE);
+                expect(product.initialQuantity).to.equal(0);
+                expect(product.pickupTime.timestamp).to.equal(0);
+                expect(await productTrace.getProductCountByStage(STAGES.PRODUCTION)).to.equal(1);
+                expect((await productTrace.batches(1)).expectedOutputQuantity).to.equal(50000);
+            });
+
+            it("Should take its quantity from the actual output at packaging", async function () {
+                const outputId = await createdId(await productTrace.connect(producer1).createProductFromInputs("Dark Chocolate", UNITS.PIECE, [lotId], [2500], [UNITS.KILOGRAM], 50000, START_TIME));
+                await productTrace.connect(producer1).packageProduct(outputId, "", "", "", "", 48000, 0, UNITS.PIECE, PACKAGING_TIME);
+
+                const product = await productTrace.products(outputId);
+                expect(product.stage).to.equal(STAGES.PACKAGING);
+                expect(product.availableQuantity).to.equal(48000);
+            });
+
+            it("Should only allow manufacturers", async function () {
+                await expect(productTrace.connect(nonProducer).createProductFromInputs("Dark Chocolate", UNITS.PIECE, [lotId], [2500], [UNITS.KILOGRAM], 50000, START_TIME))
+                    .to.be.revertedWithCustomError(productTrace, "ProductTrace__MissingRole")
+                    .withArgs(nonProducer.address, ROLES.MANUFACTURER);
+            });
+
+            it("Should check inputs and times like startProduction", async function () {
+                await expect(productTrace.connect(owner).createProductFromInputs("Dark Chocolate", UNITS.PIECE, [lotId], [2500], [UNITS.KILOGRAM], 50000, START_TIME))
+                    .to.be.revertedWithCustomError(productTrace, "ProductTrace__NotProductOwner");
+                await expect(productTrace.connect(producer1).createProductFromInputs("Dark Chocolate", UNITS.PIECE, [], [], [], 50000, START_TIME))
+                    .to.be.revertedWithCustomError(productTrace, "ProductTrace__NoInputsForProduction");
+                const beforePickup = declaredTime("2025-04-30T08:00:00+07:00");
+                await expect(productTrace.connect(producer1).createProductFromInputs("Dark Chocolate", UNITS.PIECE, [lotId], [2500], [UNITS.KILOGRAM], 50000, beforePickup))
+                    .to.be.revertedWithCustomError(productTrace, "ProductTrace__DeclaredTimeOutOfOrder")
+                    .withArgs(beforePickup.timestamp, PICKUP_TIME.timestamp);
+            });
+        });
+
         describe("packageProduct() - Step 3: Package Product", function () {
             let productToPackageId;
             let batchIdForPackaging;
 
             beforeEach(async function () {
                 // Create a product
-                let tx = await productTrace.connect(producer1).createProduct("Juice Batch 1", "Mixing Tank", "Standard", 1, "01/07/2024");
+                let tx = await productTrace.connect(producer1).createProduct("Juice Batch 1", "Mixing Tank", "Standard", 1, UNITS.PIECE, declaredTime("2024-07-01T08:00:00+07:00"));
                 const receipt = await tx.wait();
-                productToPackageId = receipt.logs.find(log => productTrace.interface.parseLog(log)?.name === "ProductCreated").args.productId;
+                productToPackageId = (await findEvent(productTrace, receipt, "ProductCreated")).args.productId;
 
                 // Create a consumable product
-                tx = await productTrace.connect(producer1).createProduct("Fruit Concentrate", "Supplier Z", "High", 50, "01/07/2024");
-                const consumableId = (await tx.wait()).logs.find(log => productTrace.interface.parseLog(log)?.name === "ProductCreated").args.productId;
+                tx = await productTrace.connect(producer1).createProduct("Fruit Concentrate", "Supplier Z", "High", 50, UNITS.PIECE, declaredTime("2024-07-01T08:00:00+07:00"));
+                const consumableId = (await findEvent(productTrace, tx, "ProductCreated")).args.productId;
 
                 // Start production for productToPackageId
-                tx = await productTrace.connect(producer1).startProduction(productToPackageId, [consumableId], [20], "09:00, 03/07/2024");
-                batchIdForPackaging = (await tx.wait()).logs.find(log => productTrace.interface.parseLog(log)?.name === "BatchCreated").args.batchId;
+                tx = await productTrace.connect(producer1).startProduction(productToPackageId, [consumableId], [20], [UNITS.PIECE], EXPECTED_OUTPUT, declaredTime("2024-07-03T09:00:00+07:00"));
+                batchIdForPackaging = (await findEvent(productTrace, tx, "BatchCreated")).args.batchId;
             });
 
             it("Product owner should be able to package a product in Production stage", async function () {
-                const halalCertHash = "0x123abc";
-                const bpomCertHash = "0x456def";
-                const packagingTimeManual = "17:00, 03/06/2024";
+                const halalCertHash = ethers.keccak256(ethers.toUtf8Bytes("halal certificate"));
+                const halalCertUri = `http://localhost:8788/files/${halalCertHash}`;
+                const bpomCertHash = ethers.keccak256(ethers.toUtf8Bytes("bpom certificate"));
+                const bpomCertUri = "ipfs://bafybeibpomcert";
+                const packagingTime = declaredTime("2024-07-03T17:00:00+07:00");
 
-                const tx = await productTrace.connect(producer1).packageProduct(productToPackageId, halalCertHash, bpomCertHash, packagingTimeManual);
+                const tx = await productTrace.connect(producer1).packageProduct(productToPackageId, halalCertHash, halalCertUri, bpomCertHash, bpomCertUri, ACTUAL_OUTPUT, 0, UNITS.PIECE, packagingTime);
                 const receipt = await tx.wait();
 
                 const productPackaged = await productTrace.products(productToPackageId);
@@ -356,34 +595,43 @@ describe("Producer Management", function () {
                 expect(batch.packagingTime).to.be.above(0);
                 expect(batch.halalCertHash).to.equal(halalCertHash);
                 expect(batch.bpomCertHash).to.equal(bpomCertHash);
-                expect(batch.packagingTimeManual).to.equal(packagingTimeManual);
+                expect(batch.halalCertUri).to.equal(halalCertUri);
+                expect(batch.bpomCertUri).to.equal(bpomCertUri);
+                expect(batch.declaredPackagingTime.timestamp).to.equal(packagingTime.timestamp);
 
                 await expect(tx)
                     .to.emit(productTrace, "BatchPackaged")
-                    .withArgs(batchIdForPackaging, productToPackageId, producer1.address, halalCertHash, bpomCertHash, (await ethers.provider.getBlock(receipt.blockNumber)).timestamp);
+                    .withArgs(batchIdForPackaging, productToPackageId, producer1.address, halalCertHash, halalCertUri, bpomCertHash, bpomCertUri, (await ethers.provider.getBlock(receipt.blockNumber)).timestamp);
                 await expect(tx)
                     .to.emit(productTrace, "ProductStageChanged")
                     .withArgs(productToPackageId, STAGES.PRODUCTION, STAGES.PACKAGING, producer1.address, (await ethers.provider.getBlock(receipt.blockNumber)).timestamp);
             });
 
             it("Should revert if caller is not the product owner", async function () {
-                await expect(productTrace.connect(producer2).packageProduct(productToPackageId, "0xdef", "0xabc", "18:00"))
+                await expect(productTrace.connect(producer2).packageProduct(productToPackageId, "0xdef", "", "0xabc", "", ACTUAL_OUTPUT, 0, UNITS.PIECE, PACKAGING_TIME))
                     .to.be.revertedWithCustomError(productTrace, "ProductTrace__NotProductOwner");
             });
 
             it("Should revert if product is not in Production stage", async function () {
                 // Create a new product (it will be in RawMaterial stage)
-                let tx = await productTrace.connect(producer1).createProduct("Not In Prod", "Source", "Q", 1, "Time");
-                const newProdId = (await tx.wait()).logs.find(log => productTrace.interface.parseLog(log)?.name === "ProductCreated").args.productId;
+                let tx = await productTrace.connect(producer1).createProduct("Not In Prod", "Source", "Q", 1, UNITS.PIECE, PICKUP_TIME);
+                const newProdId = (await findEvent(productTrace, tx, "ProductCreated")).args.productId;
 
-                await expect(productTrace.connect(producer1).packageProduct(newProdId, "0xdef", "0xabc", "18:00"))
+                await expect(productTrace.connect(producer1).packageProduct(newProdId, "0xdef", "", "0xabc", "", ACTUAL_OUTPUT, 0, UNITS.PIECE, PACKAGING_TIME))
                     .to.be.revertedWithCustomError(productTrace, "ProductTrace__InvalidProductStage")
                     .withArgs(newProdId, STAGES.RAW_MATERIAL, STAGES.PRODUCTION);
             });
 
+            it("Should revert if a certificate URI is given without its digest", async function () {
+                await expect(productTrace.connect(producer1).packageProduct(productToPackageId, "", "ipfs://halal", "0xabc", "", ACTUAL_OUTPUT, 0, UNITS.PIECE, PACKAGING_TIME))
+                    .to.be.revertedWithCustomError(productTrace, "ProductTrace__MissingCertificateDigest");
+                await expect(productTrace.connect(producer1).packageProduct(productToPackageId, "0xdef", "", "", "ipfs://bpom", ACTUAL_OUTPUT, 0, UNITS.PIECE, PACKAGING_TIME))
+                    .to.be.revertedWithCustomError(productTrace, "ProductTrace__MissingCertificateDigest");
+            });
+
             it("Should revert if trying to package an already packaged batch", async function () {
-                await productTrace.connect(producer1).packageProduct(productToPackageId, "0xfirstHash", "0xfirstBpom", "17:00");
-                await expect(productTrace.connect(producer1).packageProduct(productToPackageId, "0xsecondHash", "0xsecondBpom", "17:05"))
+                await productTrace.connect(producer1).packageProduct(productToPackageId, "0xfirstHash", "", "0xfirstBpom", "", ACTUAL_OUTPUT, 0, UNITS.PIECE, PACKAGING_TIME);
+                await expect(productTrace.connect(producer1).packageProduct(productToPackageId, "0xsecondHash", "", "0xsecondBpom", "", ACTUAL_OUTPUT, 0, UNITS.PIECE, PACKAGING_TIME))
                     .to.be.revertedWithCustomError(productTrace, "ProductTrace__InvalidProductStage");
             });
         });
@@ -393,18 +641,18 @@ describe("Producer Management", function () {
 
             beforeEach(async function () {
                 // Create a product
-                let tx = await productTrace.connect(producer1).createProduct("Packaged Goods", "Packaging Line", "Final", 1, "01/08/2024");
-                productToDistributeId = (await tx.wait()).logs.find(log => productTrace.interface.parseLog(log)?.name === "ProductCreated").args.productId;
+                let tx = await productTrace.connect(producer1).createProduct("Packaged Goods", "Packaging Line", "Final", 1, UNITS.PIECE, declaredTime("2024-08-01T08:00:00+07:00"));
+                productToDistributeId = (await findEvent(productTrace, tx, "ProductCreated")).args.productId;
 
                 // Create a consumable product
-                tx = await productTrace.connect(producer1).createProduct("Packaging Material", "Supplier P", "Standard", 10, "01/08/2024");
-                const consumableId = (await tx.wait()).logs.find(log => productTrace.interface.parseLog(log)?.name === "ProductCreated").args.productId;
+                tx = await productTrace.connect(producer1).createProduct("Packaging Material", "Supplier P", "Standard", 10, UNITS.PIECE, declaredTime("2024-08-01T08:00:00+07:00"));
+                const consumableId = (await findEvent(productTrace, tx, "ProductCreated")).args.productId;
 
                 // Start production
-                await productTrace.connect(producer1).startProduction(productToDistributeId, [consumableId], [1], "10:00, 01/08/2024");
+                await productTrace.connect(producer1).startProduction(productToDistributeId, [consumableId], [1], [UNITS.PIECE], EXPECTED_OUTPUT, declaredTime("2024-08-01T10:00:00+07:00"));
 
                 // Package product
-                await productTrace.connect(producer1).packageProduct(productToDistributeId, "0xhalalDist", "0xbpomDist", "14:00, 01/08/2024");
+                await productTrace.connect(producer1).packageProduct(productToDistributeId, "0xhalalDist", "", "0xbpomDist", "", ACTUAL_OUTPUT, 0, UNITS.PIECE, declaredTime("2024-08-01T14:00:00+07:00"));
             });
 
             it("Product owner should be able to distribute a product in Packaging stage", async function () {
@@ -429,8 +677,8 @@ describe("Producer Management", function () {
 
             it("Should revert if product is not in Packaging stage", async function () {
                 // Create a new product (it will be in RawMaterial stage)
-                let tx = await productTrace.connect(producer1).createProduct("Not Packaged", "Source", "Q", 1, "Time");
-                const newProdId = (await tx.wait()).logs.find(log => productTrace.interface.parseLog(log)?.name === "ProductCreated").args.productId;
+                let tx = await productTrace.connect(producer1).createProduct("Not Packaged", "Source", "Q", 1, UNITS.PIECE, PICKUP_TIME);
+                const newProdId = (await findEvent(productTrace, tx, "ProductCreated")).args.productId;
 
                 await expect(productTrace.connect(producer1).distributeProduct(newProdId, "Details"))
                     .to.be.revertedWithCustomError(productTrace, "ProductTrace__InvalidProductStage")
@@ -439,6 +687,539 @@ describe("Producer Management", function () {
         });
     });
 
+    describe("Declared Times", function () {
+        const createdId = async (tx) => (await findEvent(productTrace, tx, "ProductCreated")).args.productId;
+        const latestBlockTime = async () => (await ethers.provider.getBlock("latest")).timestamp;
+
+        it("Should reject unset times and offsets outside UTC-12:00..UTC+14:00", async function () {
+            await expect(productTrace.connect(producer1).createProduct("Lot", "Farm", "A", 10, UNITS.PIECE, { timestamp: 0, utcOffsetMinutes: 0 }))
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__InvalidDeclaredTime");
+            await expect(productTrace.connect(producer1).createProduct("Lot", "Farm", "A", 10, UNITS.PIECE, { ...PICKUP_TIME, utcOffsetMinutes: 841 }))
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__InvalidDeclaredTime");
+            await expect(productTrace.connect(producer1).createProduct("Lot", "Farm", "A", 10, UNITS.PIECE, { ...PICKUP_TIME, utcOffsetMinutes: -721 }))
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__InvalidDeclaredTime");
+        });
+
+        it("Should reject times ahead of the block beyond the allowed clock skew", async function () {
+            const skew = Number(await productTrace.MAX_CLOCK_SKEW());
+            const future = (await latestBlockTime()) + skew + 3600;
+            await expect(productTrace.connect(producer1).createProduct("Lot", "Farm", "A", 10, UNITS.PIECE, { timestamp: future, utcOffsetMinutes: 0 }))
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__DeclaredTimeInFuture")
+                .withArgs(future, anyValue);
+
+            const slightlyAhead = (await latestBlockTime()) + 60;
+            await expect(productTrace.connect(producer1).createProduct("Lot", "Farm", "A", 10, UNITS.PIECE, { timestamp: slightlyAhead, utcOffsetMinutes: 0 }))
+                .to.not.be.reverted;
+        });
+
+        it("Should reject a production start before any input was picked up", async function () {
+            const outputId = await createdId(await productTrace.connect(producer1).createProduct("Juice", "Plant", "-", 1, UNITS.PIECE, PICKUP_TIME));
+            const lateLot = declaredTime("2025-05-03T08:00:00+07:00");
+            const lotId = await createdId(await productTrace.connect(producer1).createProduct("Late Lot", "Farm", "A", 10, UNITS.PIECE, lateLot));
+
+            await expect(productTrace.connect(producer1).startProduction(outputId, [lotId], [5], [UNITS.PIECE], EXPECTED_OUTPUT, START_TIME))
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__DeclaredTimeOutOfOrder")
+                .withArgs(START_TIME.timestamp, lateLot.timestamp);
+            await expect(productTrace.connect(producer1).startProduction(outputId, [lotId], [5], [UNITS.PIECE], EXPECTED_OUTPUT, lateLot)).to.not.be.reverted;
+        });
+
+        it("Should reject packaging before the production start", async function () {
+            const outputId = await createdId(await productTrace.connect(producer1).createProduct("Juice", "Plant", "-", 1, UNITS.PIECE, PICKUP_TIME));
+            const lotId = await createdId(await productTrace.connect(producer1).createProduct("Lot", "Farm", "A", 10, UNITS.PIECE, PICKUP_TIME));
+            await productTrace.connect(producer1).startProduction(outputId, [lotId], [5], [UNITS.PIECE], EXPECTED_OUTPUT, PACKAGING_TIME);
+
+            await expect(productTrace.connect(producer1).packageProduct(outputId, "", "", "", "", ACTUAL_OUTPUT, 0, UNITS.PIECE, START_TIME))
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__DeclaredTimeOutOfOrder")
+                .withArgs(START_TIME.timestamp, PACKAGING_TIME.timestamp);
+            await expect(productTrace.connect(producer1).packageProduct(outputId, "", "", "", "", ACTUAL_OUTPUT, 0, UNITS.PIECE, PACKAGING_TIME)).to.not.be.reverted;
+        });
+    });
+
+    describe("Units of Measure", function () {
+        const createdId = async (tx) => (await findEvent(productTrace, tx, "ProductCreated")).args.productId;
+        let outputId, flourId, milkId;
+
+        beforeEach(async function () {
+            outputId = await createdId(await productTrace.connect(producer1).createProduct("Bread", "Bakery", "-", 12000, UNITS.PIECE, PICKUP_TIME));
+            flourId = await createdId(await productTrace.connect(producer1).createProduct("Flour", "Mill", "A", 2500, UNITS.KILOGRAM, PICKUP_TIME)); // 2.5 kg
+            milkId = await createdId(await productTrace.connect(producer1).createProduct("Milk", "Dairy", "A", 1500, UNITS.LITRE, PICKUP_TIME)); // 1.5 L
+        });
+
+        it("Should expose the quantity precision", async function () {
+            expect(await productTrace.QUANTITY_DECIMALS()).to.equal(3);
+        });
+
+        it("Should convert grams and millilitres into the input's own unit", async function () {
+            // 750 g of flour and 250 mL of milk
+            const tx = await productTrace.connect(producer1).startProduction(outputId, [flourId, milkId], [750000, 250000], [UNITS.GRAM, UNITS.MILLILITRE], EXPECTED_OUTPUT, START_TIME);
+
+            await expect(tx).to.emit(productTrace, "BatchCreated").withArgs(1, outputId, producer1.address, [flourId, milkId], [750, 250], anyValue);
+            expect((await productTrace.products(flourId)).availableQuantity).to.equal(1750);
+            expect((await productTrace.products(milkId)).availableQuantity).to.equal(1250);
+            expect(await productTrace.getBatchQuantitiesUsed(1)).to.deep.equal([750n, 250n]);
+        });
+
+        it("Should convert kilograms into grams", async function () {
+            const sugarId = await createdId(await productTrace.connect(producer1).createProduct("Sugar", "Mill", "A", 500000, UNITS.GRAM, PICKUP_TIME)); // 500 g
+            await productTrace.connect(producer1).startProduction(outputId, [sugarId], [100], [UNITS.KILOGRAM], EXPECTED_OUTPUT, START_TIME); // 0.1 kg
+            expect((await productTrace.products(sugarId)).availableQuantity).to.equal(400000);
+        });
+
+        it("Should reject a conversion that loses precision", async function () {
+            // 0.5 g is 0.0005 kg, below the three decimals
+            await expect(productTrace.connect(producer1).startProduction(outputId, [flourId], [500], [UNITS.GRAM], EXPECTED_OUTPUT, START_TIME))
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__InexactUnitConversion")
+                .withArgs(flourId, 500, UNITS.GRAM, UNITS.KILOGRAM);
+        });
+
+        it("Should reject quantities in an incompatible unit", async function () {
+            await expect(productTrace.connect(producer1).startProduction(outputId, [flourId], [1000], [UNITS.LITRE], EXPECTED_OUTPUT, START_TIME))
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__IncompatibleUnits")
+                .withArgs(flourId, UNITS.KILOGRAM, UNITS.LITRE);
+            await expect(productTrace.connect(producer1).startProduction(outputId, [milkId], [1000], [UNITS.PIECE], EXPECTED_OUTPUT, START_TIME))
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__IncompatibleUnits")
+                .withArgs(milkId, UNITS.LITRE, UNITS.PIECE);
+        });
+
+        it("Should reject a units array of a different length", async function () {
+            await expect(productTrace.connect(producer1).startProduction(outputId, [flourId, milkId], [100, 100], [UNITS.KILOGRAM], EXPECTED_OUTPUT, START_TIME))
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__ArrayLengthMismatch");
+        });
+
+        it("Should report the product and input units in the full trace", async function () {
+            await productTrace.connect(producer1).startProduction(outputId, [flourId, milkId], [1000, 500], [UNITS.KILOGRAM, UNITS.LITRE], EXPECTED_OUTPUT, START_TIME);
+            const trace = await productTrace.getFullTrace(outputId);
+            expect(trace.productUnit).to.equal(UNITS.PIECE);
+            expect(trace.consumedProductUnits).to.deep.equal([BigInt(UNITS.KILOGRAM), BigInt(UNITS.LITRE)]);
+            expect(trace.consumedQuantitiesUsed).to.deep.equal([1000n, 500n]);
+        });
+    });
+
+    describe("Production Yield", function () {
+        const createdId = async (tx) => (await findEvent(productTrace, tx, "ProductCreated")).args.productId;
+        let outputId, lotId;
+
+        beforeEach(async function () {
+            outputId = await createdId(await productTrace.connect(producer1).createProduct("Juice", "Plant", "-", 1000, UNITS.LITRE, PICKUP_TIME));
+            lotId = await createdId(await productTrace.connect(producer1).createProduct("Oranges", "Farm", "A", 50000, UNITS.KILOGRAM, PICKUP_TIME));
+        });
+
+        it("Should record the expected output when production starts", async function () {
+            await productTrace.connect(producer1).startProduction(outputId, [lotId], [40000], [UNITS.KILOGRAM], 20000, START_TIME); // 20 L planned
+            const batch = await productTrace.batches(1);
+            expect(batch.expectedOutputQuantity).to.equal(20000);
+            expect(batch.actualOutputQuantity).to.equal(0);
+            expect((await productTrace.getFullTrace(outputId)).batchYieldBasisPoints).to.equal(0);
+        });
+
+        it("Should reject a zero expected or actual output", async function () {
+            await expect(productTrace.connect(producer1).startProduction(outputId, [lotId], [40000], [UNITS.KILOGRAM], 0, START_TIME))
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__ZeroQuantityNotAllowed");
+            await productTrace.connect(producer1).startProduction(outputId, [lotId], [40000], [UNITS.KILOGRAM], 20000, START_TIME);
+            await expect(productTrace.connect(producer1).packageProduct(outputId, "", "", "", "", 0, 0, UNITS.KILOGRAM, PACKAGING_TIME))
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__ZeroQuantityNotAllowed");
+        });
+
+        it("Should record the actual output, yield and waste at packaging", async function () {
+            await productTrace.connect(producer1).startProduction(outputId, [lotId], [40000], [UNITS.KILOGRAM], 20000, START_TIME);
+            // 17.5 L of juice and 21.25 kg of peel and pulp
+            const tx = await productTrace.connect(producer1).packageProduct(outputId, "", "", "", "", 17500, 21250, UNITS.KILOGRAM, PACKAGING_TIME);
+
+            await expect(tx).to.emit(productTrace, "BatchOutputRecorded").withArgs(1, outputId, 20000, 17500, 8750, 21250, UNITS.KILOGRAM, anyValue);
+            await expect(tx).to.emit(productTrace, "ProductQuantityUpdated").withArgs(outputId, 0, 17500, anyValue);
+            const product = await productTrace.products(outputId);
+            expect(product.initialQuantity).to.equal(17500);
+            expect(product.availableQuantity).to.equal(17500);
+
+            const trace = await productTrace.getFullTrace(outputId);
+            expect(trace.batchActualOutputQuantity).to.equal(17500);
+            expect(trace.batchYieldBasisPoints).to.equal(8750);
+            expect(trace.batchWasteQuantity).to.equal(21250);
+            expect(trace.batchWasteUnit).to.equal(UNITS.KILOGRAM);
+        });
+
+        it("Should report a yield above 100% when the batch beat the plan", async function () {
+            await productTrace.connect(producer1).startProduction(outputId, [lotId], [40000], [UNITS.KILOGRAM], 20000, START_TIME);
+            await productTrace.connect(producer1).packageProduct(outputId, "", "", "", "", 21000, 0, UNITS.KILOGRAM, PACKAGING_TIME);
+            expect((await productTrace.getFullTrace(outputId)).batchYieldBasisPoints).to.equal(10500);
+        });
+    });
+
+    describe("Stage Exceptions", function () {
+        const createdId = async (tx) => (await findEvent(productTrace, tx, "ProductCreated")).args.productId;
+        // Mirrors ProductTrace's allowedStageTransitions
+        const ALLOWED = {
+            [STAGES.RAW_MATERIAL]: [STAGES.PRODUCTION, STAGES.QUALITY_HOLD, STAGES.REJECTED, STAGES.RECALLED, STAGES.DESTROYED],
+            [STAGES.PRODUCTION]: [STAGES.PACKAGING, STAGES.QUALITY_HOLD, STAGES.REJECTED, STAGES.DESTROYED],
+            [STAGES.PACKAGING]: [STAGES.DISTRIBUTION, STAGES.QUALITY_HOLD, STAGES.REJECTED, STAGES.RECALLED, STAGES.DESTROYED],
+            [STAGES.DISTRIBUTION]: [STAGES.DELIVERED, STAGES.QUALITY_HOLD, STAGES.RECALLED],
+            [STAGES.DELIVERED]: [STAGES.RECALLED],
+            [STAGES.QUALITY_HOLD]: [STAGES.RAW_MATERIAL, STAGES.PRODUCTION, STAGES.PACKAGING, STAGES.DISTRIBUTION, STAGES.REJECTED, STAGES.RECALLED, STAGES.DESTROYED],
+            [STAGES.REJECTED]: [STAGES.DESTROYED],
+            [STAGES.RECALLED]: [STAGES.DESTROYED],
+            [STAGES.DESTROYED]: [],
+        };
+        // Reached through their own steps rather than changeProductStage
+        const REGULAR_STEPS = [STAGES.NOT_STARTED, STAGES.RAW_MATERIAL, STAGES.PRODUCTION, STAGES.PACKAGING, STAGES.DISTRIBUTION];
+        const ALL_STAGES = Object.values(STAGES);
+
+        // A fresh product of producer1's in the given stage; the exception stages are reached from RawMaterial
+        const productInStage = async (stage) => {
+            const lotId = await createdId(await productTrace.connect(producer1).createProduct("Cocoa Beans", "Farm C", "A", 5000, UNITS.KILOGRAM, PICKUP_TIME));
+            if (stage === STAGES.RAW_MATERIAL) return lotId;
+            if (!REGULAR_STEPS.includes(stage) && stage !== STAGES.DELIVERED) {
+                await productTrace.connect(producer1).changeProductStage(lotId, stage, "Setup");
+                return lotId;
+            }
+            const id = await createdId(await productTrace.connect(producer1).createProductFromInputs("Chocolate", UNITS.PIECE, [lotId], [1000], [UNITS.KILOGRAM], EXPECTED_OUTPUT, START_TIME));
+            if (stage === STAGES.PRODUCTION) return id;
+            await productTrace.connect(producer1).packageProduct(id, "", "", "", "", ACTUAL_OUTPUT, 0, UNITS.PIECE, PACKAGING_TIME);
+            if (stage === STAGES.PACKAGING) return id;
+            await productTrace.connect(producer1).distributeProduct(id, "Retailer R");
+            if (stage === STAGES.DISTRIBUTION) return id;
+            await productTrace.connect(producer1).changeProductStage(id, STAGES.DELIVERED, "Sold to customer");
+            return id;
+        };
+
+        it("Should allow exactly the transitions in the stage table", async function () {
+            for (const from of ALL_STAGES) {
+                for (const to of ALL_STAGES) {
+                    expect(await productTrace.allowedStageTransitions(from, to), `${from} -> ${to}`).to.equal((ALLOWED[from] ?? []).includes(to));
+                }
+            }
+        });
+
+        for (const [name, from] of Object.entries(STAGES).filter(([, stage]) => stage !== STAGES.NOT_STARTED)) {
+            it(`Should only move a ${name} product to its allowed exception stages`, async function () {
+                for (const to of ALL_STAGES) {
+                    const id = await productInStage(from);
+                    // The held products were held as raw materials, which is the only stage they can be released to
+                    const release = from === STAGES.QUALITY_HOLD && to === STAGES.RAW_MATERIAL;
+                    const legal = ALLOWED[from].includes(to) && (!REGULAR_STEPS.includes(to) || release);
+                    const tx = productTrace.connect(producer1).changeProductStage(id, to, "Inspection finding");
+                    if (legal) {
+                        await expect(tx)
+                            .to.emit(productTrace, "ProductStageChanged").withArgs(id, from, to, producer1.address, anyValue)
+                            .and.to.emit(productTrace, "ProductStageReason").withArgs(id, to, "Inspection finding", producer1.address, anyValue);
+                        expect((await productTrace.products(id)).stage).to.equal(to);
+                    } else {
+                        await expect(tx, `${from} -> ${to}`).to.be.revertedWithCustomError(productTrace, "ProductTrace__InvalidProductStage").withArgs(id, from, to);
+                    }
+                }
+            });
+        }
+
+        it("Should release a quality hold only to the stage it was held in", async function () {
+            const id = await productInStage(STAGES.PACKAGING);
+            await productTrace.connect(producer1).changeProductStage(id, STAGES.QUALITY_HOLD, "Seal defect suspected");
+            expect(await productTrace.stageBeforeHold(id)).to.equal(STAGES.PACKAGING);
+            expect((await productTrace.getProductsByStage(STAGES.QUALITY_HOLD, 0, 10)).map(p => p.id)).to.deep.equal([id]);
+
+            for (const to of [STAGES.RAW_MATERIAL, STAGES.PRODUCTION, STAGES.DISTRIBUTION]) {
+                await expect(productTrace.connect(producer1).changeProductStage(id, to, "Released"))
+                    .to.be.revertedWithCustomError(productTrace, "ProductTrace__InvalidProductStage").withArgs(id, STAGES.QUALITY_HOLD, to);
+            }
+            await productTrace.connect(producer1).changeProductStage(id, STAGES.PACKAGING, "Seals checked, no defect");
+            expect((await productTrace.products(id)).stage).to.equal(STAGES.PACKAGING);
+            await expect(productTrace.connect(producer1).distributeProduct(id, "Retailer R")).to.not.be.reverted;
+        });
+
+        it("Should keep products in the exception stages out of the regular steps", async function () {
+            for (const stage of [STAGES.QUALITY_HOLD, STAGES.REJECTED, STAGES.RECALLED, STAGES.DESTROYED]) {
+                const id = await productInStage(stage);
+                const inputId = await productInStage(STAGES.RAW_MATERIAL);
+                await expect(productTrace.connect(producer1).startProduction(id, [inputId], [1000], [UNITS.KILOGRAM], EXPECTED_OUTPUT, START_TIME))
+                    .to.be.revertedWithCustomError(productTrace, "ProductTrace__InvalidProductStage").withArgs(id, stage, STAGES.RAW_MATERIAL);
+                // Nor can they be consumed as inputs
+                await expect(productTrace.connect(producer1).createProductFromInputs("Chocolate", UNITS.PIECE, [id], [1000], [UNITS.KILOGRAM], EXPECTED_OUTPUT, START_TIME))
+                    .to.be.revertedWithCustomError(productTrace, "ProductTrace__InvalidProductStage").withArgs(id, stage, STAGES.RAW_MATERIAL);
+            }
+            const deliveredId = await productInStage(STAGES.DELIVERED);
+            await expect(productTrace.connect(producer1).distributeProduct(deliveredId, "Again"))
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__InvalidProductStage").withArgs(deliveredId, STAGES.DELIVERED, STAGES.PACKAGING);
+        });
+
+        it("Should write off the available quantity of a destroyed product", async function () {
+            const id = await productInStage(STAGES.REJECTED);
+            await expect(productTrace.connect(producer1).changeProductStage(id, STAGES.DESTROYED, "Incinerated"))
+                .to.emit(productTrace, "ProductQuantityUpdated").withArgs(id, 5000, 0, anyValue);
+            expect((await productTrace.products(id)).availableQuantity).to.equal(0);
+        });
+
+        it("Should require a reason", async function () {
+            const id = await productInStage(STAGES.RAW_MATERIAL);
+            await expect(productTrace.connect(producer1).changeProductStage(id, STAGES.QUALITY_HOLD, ""))
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__MissingReason");
+        });
+
+        it("Should only let the custodian change the stage, and only a distributor mark a delivery", async function () {
+            const id = await productInStage(STAGES.DISTRIBUTION);
+            await expect(productTrace.connect(producer2).changeProductStage(id, STAGES.RECALLED, "Contamination"))
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__NotProductOwner");
+
+            // producer2 holds no roles, so they can recall what they hold but not deliver it
+            await productTrace.connect(producer1).proposeCustodyTransfer(id, producer2.address, "Retailer");
+            await productTrace.connect(producer2).acceptCustodyTransfer(id, "Received");
+            await expect(productTrace.connect(producer2).changeProductStage(id, STAGES.DELIVERED, "Sold"))
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__MissingRole").withArgs(producer2.address, ROLES.DISTRIBUTOR);
+            await expect(productTrace.connect(producer2).changeProductStage(id, STAGES.RECALLED, "Contamination")).to.not.be.reverted;
+        });
+    });
+
+    describe("Lot Splits and Merges", function () {
+        const createdId = async (tx) => (await findEvent(productTrace, tx, "ProductCreated")).args.productId;
+        const LATER_PICKUP_TIME = declaredTime("2025-05-01T14:00:00+07:00");
+        let deliveryId;
+
+        beforeEach(async function () {
+            deliveryId = await createdId(await productTrace.connect(producer1).createProduct("Cocoa Delivery", "Farm C", "A", 1000000, UNITS.KILOGRAM, PICKUP_TIME)); // 1000 kg
+        });
+
+        it("Should split a lot into new lots with the parent's details and keep the remainder in the parent", async function () {
+            const newLotIds = await productTrace.connect(producer1).splitProduct.staticCall(deliveryId, [400000, 350000]);
+            expect(newLotIds).to.deep.equal([deliveryId + 1n, deliveryId + 2n]);
+
+            const tx = await productTrace.connect(producer1).splitProduct(deliveryId, [400000, 350000]);
+            await expect(tx).to.emit(productTrace, "ProductQuantityUpdated").withArgs(deliveryId, 750000, 250000, anyValue);
+            await expect(tx).to.emit(productTrace, "ProductCreated").withArgs(newLotIds[0], "Cocoa Delivery", producer1.address, STAGES.RAW_MATERIAL, anyValue);
+            await expect(tx).to.emit(productTrace, "LotSplit").withArgs(deliveryId, newLotIds[0], 400000, producer1.address, anyValue);
+            await expect(tx).to.emit(productTrace, "LotSplit").withArgs(deliveryId, newLotIds[1], 350000, producer1.address, anyValue);
+
+            const lot = await productTrace.products(newLotIds[0]);
+            expect(lot.source).to.equal("Farm C");
+            expect(lot.quality).to.equal("A");
+            expect(lot.unit).to.equal(UNITS.KILOGRAM);
+            expect(lot.pickupTime.timestamp).to.equal(PICKUP_TIME.timestamp);
+            expect(lot.initialQuantity).to.equal(400000);
+            expect(lot.availableQuantity).to.equal(400000);
+            expect(lot.productOwner).to.equal(producer1.address);
+            expect((await productTrace.products(deliveryId)).availableQuantity).to.equal(250000);
+            expect(await productTrace.productCount()).to.equal(deliveryId + 2n);
+            expect(await productTrace.getProductCountByOwner(producer1.address)).to.equal(3);
+            expect(await productTrace.getProductCountByStage(STAGES.RAW_MATERIAL)).to.equal(3);
+            expect((await productTrace.getCustodyHistory(newLotIds[1]))[0].custodian).to.equal(producer1.address);
+        });
+
+        it("Should let split lots go their own way", async function () {
+            await productTrace.connect(producer1).splitProduct(deliveryId, [500000, 500000]);
+            const [warehouseA, warehouseB] = [deliveryId + 1n, deliveryId + 2n];
+            await productTrace.connect(producer1).proposeCustodyTransfer(warehouseB, producer2.address, "Warehouse B");
+            await productTrace.connect(producer2).acceptCustodyTransfer(warehouseB, "");
+            expect((await productTrace.products(warehouseB)).productOwner).to.equal(producer2.address);
+
+            const outputId = await createdId(await productTrace.connect(producer1).createProductFromInputs("Chocolate", UNITS.PIECE, [warehouseA], [100000], [UNITS.KILOGRAM], EXPECTED_OUTPUT, START_TIME));
+            expect((await productTrace.getFullTrace(outputId)).consumedProductIds).to.deep.equal([warehouseA]);
+            expect((await productTrace.products(warehouseA)).availableQuantity).to.equal(400000);
+            expect((await productTrace.products(deliveryId)).availableQuantity).to.equal(0);
+        });
+
+        it("Should not split more than is available, nothing, or zero", async function () {
+            await expect(productTrace.connect(producer1).splitProduct(deliveryId, [600000, 400001]))
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__InsufficientProductQuantity")
+                .withArgs(deliveryId, 1000001, 1000000);
+            await expect(productTrace.connect(producer1).splitProduct(deliveryId, []))
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__InvalidLotCount");
+            await expect(productTrace.connect(producer1).splitProduct(deliveryId, [500000, 0]))
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__ZeroQuantityNotAllowed");
+        });
+
+        it("Should only split raw material lots the caller holds", async function () {
+            await productTrace.connect(owner).grantRole(producer2.address, ROLES.SUPPLIER);
+            await expect(productTrace.connect(producer2).splitProduct(deliveryId, [1000]))
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__NotProductOwner");
+            await expect(productTrace.connect(producer1).splitProduct(999, [1000]))
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__ProductNotFound");
+            await productTrace.connect(producer1).changeProductStage(deliveryId, STAGES.QUALITY_HOLD, "Moisture check");
+            await expect(productTrace.connect(producer1).splitProduct(deliveryId, [1000]))
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__InvalidProductStage")
+                .withArgs(deliveryId, STAGES.QUALITY_HOLD, STAGES.RAW_MATERIAL);
+        });
+
+        it("Should merge identical lots into a new lot, emptying them", async function () {
+            const secondId = await createdId(await productTrace.connect(producer1).createProduct("Cocoa Delivery 2", "Farm C", "A", 250500, UNITS.KILOGRAM, LATER_PICKUP_TIME));
+            const mergedId = await productTrace.connect(producer1).mergeProducts.staticCall([deliveryId, secondId], "Cocoa Farm C, week 18");
+            expect(mergedId).to.equal(secondId + 1n);
+
+            const tx = await productTrace.connect(producer1).mergeProducts([deliveryId, secondId], "Cocoa Farm C, week 18");
+            await expect(tx).to.emit(productTrace, "ProductQuantityUpdated").withArgs(deliveryId, 1000000, 0, anyValue);
+            await expect(tx).to.emit(productTrace, "ProductQuantityUpdated").withArgs(secondId, 250500, 0, anyValue);
+            await expect(tx).to.emit(productTrace, "ProductCreated").withArgs(mergedId, "Cocoa Farm C, week 18", producer1.address, STAGES.RAW_MATERIAL, anyValue);
+            await expect(tx).to.emit(productTrace, "LotMerged").withArgs(deliveryId, mergedId, 1000000, producer1.address, anyValue);
+            await expect(tx).to.emit(productTrace, "LotMerged").withArgs(secondId, mergedId, 250500, producer1.address, anyValue);
+
+            const merged = await productTrace.products(mergedId);
+            expect(merged.availableQuantity).to.equal(1250500);
+            expect(merged.unit).to.equal(UNITS.KILOGRAM);
+            expect(merged.source).to.equal("Farm C");
+            // The later pickup, so production cannot be declared before either lot arrived
+            expect(merged.pickupTime.timestamp).to.equal(LATER_PICKUP_TIME.timestamp);
+            expect((await productTrace.products(deliveryId)).availableQuantity).to.equal(0);
+            expect((await productTrace.products(secondId)).availableQuantity).to.equal(0);
+        });
+
+        it("Should only merge two or more distinct lots of the same unit, source and quality", async function () {
+            const gramsId = await createdId(await productTrace.connect(producer1).createProduct("Cocoa", "Farm C", "A", 1000, UNITS.GRAM, PICKUP_TIME));
+            const otherFarmId = await createdId(await productTrace.connect(producer1).createProduct("Cocoa", "Farm D", "A", 1000, UNITS.KILOGRAM, PICKUP_TIME));
+            const gradeBId = await createdId(await productTrace.connect(producer1).createProduct("Cocoa", "Farm C", "B", 1000, UNITS.KILOGRAM, PICKUP_TIME));
+
+            await expect(productTrace.connect(producer1).mergeProducts([deliveryId], "Merged"))
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__InvalidLotCount");
+            await expect(productTrace.connect(producer1).mergeProducts([deliveryId, gramsId], "Merged"))
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__IncompatibleUnits")
+                .withArgs(gramsId, UNITS.KILOGRAM, UNITS.GRAM);
+            await expect(productTrace.connect(producer1).mergeProducts([deliveryId, otherFarmId], "Merged"))
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__LotsNotMergeable")
+                .withArgs(otherFarmId);
+            await expect(productTrace.connect(producer1).mergeProducts([deliveryId, gradeBId], "Merged"))
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__LotsNotMergeable")
+                .withArgs(gradeBId);
+            await expect(productTrace.connect(producer1).mergeProducts([deliveryId, deliveryId], "Merged"))
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__ZeroQuantityNotAllowed");
+        });
+
+        it("Should only merge raw material lots the caller holds", async function () {
+            await productTrace.connect(owner).grantRole(producer2.address, ROLES.SUPPLIER);
+            const othersId = await createdId(await productTrace.connect(producer2).createProduct("Cocoa Delivery", "Farm C", "A", 1000, UNITS.KILOGRAM, PICKUP_TIME));
+            await expect(productTrace.connect(producer1).mergeProducts([deliveryId, othersId], "Merged"))
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__NotProductOwner");
+
+            const secondId = await createdId(await productTrace.connect(producer1).createProduct("Cocoa Delivery 2", "Farm C", "A", 1000, UNITS.KILOGRAM, PICKUP_TIME));
+            await productTrace.connect(producer1).changeProductStage(secondId, STAGES.RECALLED, "Supplier recall");
+            await expect(productTrace.connect(producer1).mergeProducts([deliveryId, secondId], "Merged"))
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__InvalidProductStage")
+                .withArgs(secondId, STAGES.RECALLED, STAGES.RAW_MATERIAL);
+        });
+        it("Should require the supplier or manufacturer role to split or merge lots", async function () {
+            const secondId = await createdId(await productTrace.connect(producer1).createProduct("Cocoa Delivery 2", "Farm C", "A", 1000, UNITS.KILOGRAM, PICKUP_TIME));
+            for (const lotId of [deliveryId, secondId]) {
+                await productTrace.connect(producer1).proposeCustodyTransfer(lotId, nonProducer.address, "");
+                await productTrace.connect(nonProducer).acceptCustodyTransfer(lotId, "");
+            }
+            await expect(productTrace.connect(nonProducer).splitProduct(deliveryId, [1000]))
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__MissingRole")
+                .withArgs(nonProducer.address, ROLES.SUPPLIER);
+            await expect(productTrace.connect(nonProducer).mergeProducts([deliveryId, secondId], "Merged"))
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__MissingRole")
+                .withArgs(nonProducer.address, ROLES.SUPPLIER);
+
+            await productTrace.connect(owner).grantRole(nonProducer.address, ROLES.MANUFACTURER);
+            await productTrace.connect(nonProducer).splitProduct(deliveryId, [1000]);
+            await productTrace.connect(nonProducer).mergeProducts([deliveryId, secondId], "Merged");
+        });
+
+        it("Should cancel a custody transfer pending on a parent lot before splitting or merging it", async function () {
+            await productTrace.connect(producer1).proposeCustodyTransfer(deliveryId, producer2.address, "Truck 12");
+            await expect(productTrace.connect(producer1).splitProduct(deliveryId, [1000]))
+                .to.emit(productTrace, "CustodyTransferCancelled")
+                .withArgs(deliveryId, producer1.address, producer2.address, producer1.address, anyValue);
+            expect((await productTrace.pendingTransfers(deliveryId)).to).to.equal(ZERO_ADDRESS);
+            await expect(productTrace.connect(producer2).acceptCustodyTransfer(deliveryId, ""))
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__NoPendingTransfer")
+                .withArgs(deliveryId);
+
+            const secondId = await createdId(await productTrace.connect(producer1).createProduct("Cocoa Delivery 2", "Farm C", "A", 1000, UNITS.KILOGRAM, PICKUP_TIME));
+            await productTrace.connect(producer1).proposeCustodyTransfer(secondId, producer2.address, "Truck 14");
+            await expect(productTrace.connect(producer1).mergeProducts([deliveryId, secondId], "Merged"))
+                .to.emit(productTrace, "CustodyTransferCancelled")
+                .withArgs(secondId, producer1.address, producer2.address, producer1.address, anyValue);
+            await expect(productTrace.connect(producer2).acceptCustodyTransfer(secondId, ""))
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__NoPendingTransfer")
+                .withArgs(secondId);
+            expect((await productTrace.products(secondId)).productOwner).to.equal(producer1.address);
+        });
+    });
+
+    describe("Custody Transfer", function () {
+        let lotId;
+        beforeEach(async function () {
+            const tx = await productTrace.connect(producer1).createProduct("Coffee Lot", "Farm K", "A", 80, UNITS.PIECE, PICKUP_TIME);
+            lotId = (await findEvent(productTrace, tx, "ProductCreated")).args.productId;
+        });
+
+        it("Should hand custody over once the recipient accepts", async function () {
+            await expect(productTrace.connect(producer1).proposeCustodyTransfer(lotId, owner.address, "Truck 12"))
+                .to.emit(productTrace, "CustodyTransferProposed")
+                .withArgs(lotId, producer1.address, owner.address, "Truck 12", anyValue);
+            expect((await productTrace.pendingTransfers(lotId)).to).to.equal(owner.address);
+            expect((await productTrace.products(lotId)).productOwner).to.equal(producer1.address);
+
+            await expect(productTrace.connect(owner).acceptCustodyTransfer(lotId, "Received 80 sacks"))
+                .to.emit(productTrace, "CustodyTransferAccepted")
+                .withArgs(lotId, producer1.address, owner.address, "Received 80 sacks", anyValue);
+
+            expect((await productTrace.products(lotId)).productOwner).to.equal(owner.address);
+            expect((await productTrace.pendingTransfers(lotId)).to).to.equal(ZERO_ADDRESS);
+            expect(await productTrace.getProductCountByOwner(producer1.address)).to.equal(0);
+            expect((await productTrace.getProductsByOwner(owner.address, 0, 10)).map(product => product.id)).to.deep.equal([lotId]);
+
+            const history = await productTrace.getCustodyHistory(lotId);
+            expect(history.map(record => record.custodian)).to.deep.equal([producer1.address, owner.address]);
+            expect(history[1].note).to.equal("Received 80 sacks");
+        });
+
+        it("Should let the new custodian consume the lot and stop the previous one", async function () {
+            await productTrace.connect(producer1).proposeCustodyTransfer(lotId, owner.address, "");
+            await productTrace.connect(owner).acceptCustodyTransfer(lotId, "");
+            const tx = await productTrace.connect(owner).createProduct("Roasted Coffee", "Plant", "-", 1, UNITS.PIECE, PICKUP_TIME);
+            const outputId = (await findEvent(productTrace, tx, "ProductCreated")).args.productId;
+
+            await expect(productTrace.connect(owner).startProduction(outputId, [lotId], [30], [UNITS.PIECE], EXPECTED_OUTPUT, START_TIME)).to.not.be.reverted;
+            await expect(productTrace.connect(producer1).proposeCustodyTransfer(lotId, producer1.address, ""))
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__NotProductOwner");
+        });
+
+        it("Should revert if production consumes a lot owned by someone else", async function () {
+            const tx = await productTrace.connect(owner).createProduct("Roasted Coffee", "Plant", "-", 1, UNITS.PIECE, PICKUP_TIME);
+            const outputId = (await findEvent(productTrace, tx, "ProductCreated")).args.productId;
+
+            await expect(productTrace.connect(owner).startProduction(outputId, [lotId], [30], [UNITS.PIECE], EXPECTED_OUTPUT, START_TIME))
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__NotProductOwner");
+        });
+
+        it("Should revert invalid proposals", async function () {
+            await expect(productTrace.connect(owner).proposeCustodyTransfer(lotId, owner.address, ""))
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__NotProductOwner");
+            await expect(productTrace.connect(producer1).proposeCustodyTransfer(lotId, ZERO_ADDRESS, ""))
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__ZeroAddressNotAllowed");
+            await expect(productTrace.connect(producer1).proposeCustodyTransfer(lotId, producer1.address, ""))
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__InvalidCustodian");
+            await expect(productTrace.connect(producer1).proposeCustodyTransfer(999, owner.address, ""))
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__ProductNotFound");
+        });
+
+        it("Should only let the proposed recipient accept", async function () {
+            await expect(productTrace.connect(owner).acceptCustodyTransfer(lotId, ""))
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__NoPendingTransfer")
+                .withArgs(lotId);
+
+            await productTrace.connect(producer1).proposeCustodyTransfer(lotId, owner.address, "");
+            await expect(productTrace.connect(nonProducer).acceptCustodyTransfer(lotId, ""))
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__NotTransferRecipient");
+        });
+
+        it("Should let the owner withdraw and the recipient decline a transfer", async function () {
+            await productTrace.connect(producer1).proposeCustodyTransfer(lotId, owner.address, "");
+            await expect(productTrace.connect(producer1).cancelCustodyTransfer(lotId))
+                .to.emit(productTrace, "CustodyTransferCancelled")
+                .withArgs(lotId, producer1.address, owner.address, producer1.address, anyValue);
+            await expect(productTrace.connect(owner).acceptCustodyTransfer(lotId, ""))
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__NoPendingTransfer");
+
+            await productTrace.connect(producer1).proposeCustodyTransfer(lotId, owner.address, "");
+            await expect(productTrace.connect(nonProducer).cancelCustodyTransfer(lotId))
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__NotProductOwner");
+            await expect(productTrace.connect(owner).cancelCustodyTransfer(lotId))
+                .to.emit(productTrace, "CustodyTransferCancelled")
+                .withArgs(lotId, producer1.address, owner.address, owner.address, anyValue);
+            expect((await productTrace.getCustodyHistory(lotId)).length).to.equal(1);
+        });
+
+        it("Should revert custody history for a non-existent product", async function () {
+            await expect(productTrace.getCustodyHistory(999))
+                .to.be.revertedWithCustomError(productTrace, "ProductTrace__ProductNotFound");
+        });
+    });
+
     describe("Trace Retrieval", function () {
         describe("getFullTrace()", function () {
             let mainProductId, consumableProd1Id, consumableProd2Id;
@@ -447,47 +1228,48 @@ describe("Producer Management", function () {
             const mainProductSource = "Assembly Line 1";
             const mainProductQuality = "Premium Grade";
             const mainProductInitialQty = 1; // The product being tracked through stages
-            const mainProductPickup = "N/A";
+            const mainProductPickup = declaredTime("2024-07-01T07:00:00+07:00");
 
             const consumable1Name = "Component X";
             const consumable1Source = "Supplier Foo";
             const consumable1Quality = "High";
             const consumable1Qty = 100;
-            const consumable1Pickup = "01/07/2024";
+            const consumable1Pickup = declaredTime("2024-07-01T08:00:00+07:00");
 
             const consumable2Name = "Component Y";
             const consumable2Source = "Supplier Bar";
             const consumable2Quality = "Standard";
             const consumable2Qty = 50;
-            const consumable2Pickup = "02/07/2024";
+            const consumable2Pickup = declaredTime("2024-07-02T08:00:00+07:00");
 
             const consumedQty1 = 20;
             const consumedQty2 = 10;
 
-            const prodStartTimeManual = "08:00, 03/07/2024";
+            const prodStartTime = declaredTime("2024-07-03T08:00:00+07:00");
             const packageHalalHash = "0xHalalCert123";
             const packageBpomHash = "0xBpomCertABC";
-            const packageTimeManual = "16:00, 03/07/2024";
+            const packageHalalUri = "ipfs://halal-cert";
+            const packageTime = declaredTime("2024-07-03T16:00:00+07:00");
             const distributionInfo = "Shipped to Retailer Z";
 
             beforeEach(async function () {
                 // Create main product
-                let tx = await productTrace.connect(owner).createProduct(mainProductName, mainProductSource, mainProductQuality, mainProductInitialQty, mainProductPickup);
-                mainProductId = (await tx.wait()).logs.find(log => productTrace.interface.parseLog(log)?.name === "ProductCreated").args.productId;
+                let tx = await productTrace.connect(owner).createProduct(mainProductName, mainProductSource, mainProductQuality, mainProductInitialQty, UNITS.PIECE, mainProductPickup);
+                mainProductId = (await findEvent(productTrace, tx, "ProductCreated")).args.productId;
 
                 // Create consumable products
-                tx = await productTrace.connect(owner).createProduct(consumable1Name, consumable1Source, consumable1Quality, consumable1Qty, consumable1Pickup);
-                consumableProd1Id = (await tx.wait()).logs.find(log => productTrace.interface.parseLog(log)?.name === "ProductCreated").args.productId;
+                tx = await productTrace.connect(owner).createProduct(consumable1Name, consumable1Source, consumable1Quality, consumable1Qty, UNITS.PIECE, consumable1Pickup);
+                consumableProd1Id = (await findEvent(productTrace, tx, "ProductCreated")).args.productId;
 
-                tx = await productTrace.connect(owner).createProduct(consumable2Name, consumable2Source, consumable2Quality, consumable2Qty, consumable2Pickup);
-                consumableProd2Id = (await tx.wait()).logs.find(log => productTrace.interface.parseLog(log)?.name === "ProductCreated").args.productId;
+                tx = await productTrace.connect(owner).createProduct(consumable2Name, consumable2Source, consumable2Quality, consumable2Qty, UNITS.PIECE, consumable2Pickup);
+                consumableProd2Id = (await findEvent(productTrace, tx, "ProductCreated")).args.productId;
 
                 // Start production for main product
-                tx = await productTrace.connect(owner).startProduction(mainProductId, [consumableProd1Id, consumableProd2Id], [consumedQty1, consumedQty2], prodStartTimeManual);
-                batchId = (await tx.wait()).logs.find(log => productTrace.interface.parseLog(log)?.name === "BatchCreated").args.batchId;
+                tx = await productTrace.connect(owner).startProduction(mainProductId, [consumableProd1Id, consumableProd2Id], [consumedQty1, consumedQty2], [UNITS.PIECE, UNITS.PIECE], EXPECTED_OUTPUT, prodStartTime);
+                batchId = (await findEvent(productTrace, tx, "BatchCreated")).args.batchId;
 
                 // Package main product
-                await productTrace.connect(owner).packageProduct(mainProductId, packageHalalHash, packageBpomHash, packageTimeManual);
+                await productTrace.connect(owner).packageProduct(mainProductId, packageHalalHash, packageHalalUri, packageBpomHash, "", ACTUAL_OUTPUT, 0, UNITS.PIECE, packageTime);
 
                 // Distribute main product
                 await productTrace.connect(owner).distributeProduct(mainProductId, distributionInfo);
@@ -503,9 +1285,15 @@ describe("Producer Management", function () {
                 expect(trace.productName).to.equal(mainProductName);
                 expect(trace.productSource).to.equal(mainProductSource);
                 expect(trace.productQuality).to.equal(mainProductQuality);
-                expect(trace.productInitialQuantity).to.equal(mainProductInitialQty);
-                expect(trace.productAvailableQuantity).to.equal(mainProductInitialQty); // Remains 1 for the main product
-                expect(trace.productPickupTimeManual).to.equal(mainProductPickup);
+                // Packaging replaces the registered quantity with the batch's actual output
+                expect(trace.productInitialQuantity).to.equal(ACTUAL_OUTPUT);
+                expect(trace.productAvailableQuantity).to.equal(ACTUAL_OUTPUT);
+                expect(trace.batchExpectedOutputQuantity).to.equal(EXPECTED_OUTPUT);
+                expect(trace.batchActualOutputQuantity).to.equal(ACTUAL_OUTPUT);
+                expect(trace.batchYieldBasisPoints).to.equal(9500);
+                expect(trace.productPickupTime.timestamp).to.equal(mainProductPickup.timestamp);
+                expect(trace.productPickupTime.utcOffsetMinutes).to.equal(mainProductPickup.utcOffsetMinutes);
+                expect(trace.productCreatedAt).to.equal(productData.createdAt);
                 expect(trace.productStage).to.equal(STAGES.DISTRIBUTION);
                 expect(trace.productLastUpdateTimestamp).to.equal(productData.timestamp);
                 expect(trace.productOwner).to.equal(owner.address);
@@ -521,13 +1309,15 @@ describe("Producer Management", function () {
                 expect(trace.batchPackagingTime).to.equal(batchData.packagingTime);
                 expect(trace.batchHalalCertHash).to.equal(packageHalalHash);
                 expect(trace.batchBpomCertHash).to.equal(packageBpomHash);
-                expect(trace.batchStartTimeManual).to.equal(prodStartTimeManual);
-                expect(trace.batchPackagingTimeManual).to.equal(packageTimeManual);
+                expect(trace.batchHalalCertUri).to.equal(packageHalalUri);
+                expect(trace.batchBpomCertUri).to.equal("");
+                expect(trace.batchDeclaredStartTime.timestamp).to.equal(prodStartTime.timestamp);
+                expect(trace.batchDeclaredPackagingTime.timestamp).to.equal(packageTime.timestamp);
             });
 
             it("Should return trace for a product in RawMaterial stage (no batch info)", async function () {
-                let tx = await productTrace.connect(producer1).createProduct("Raw Only", "Source Raw", "Q Raw", 10, "Time Raw");
-                const rawOnlyId = (await tx.wait()).logs.find(log => productTrace.interface.parseLog(log)?.name === "ProductCreated").args.productId;
+                let tx = await productTrace.connect(producer1).createProduct("Raw Only", "Source Raw", "Q Raw", 10, UNITS.PIECE, PICKUP_TIME);
+                const rawOnlyId = (await findEvent(productTrace, tx, "ProductCreated")).args.productId;
 
                 const trace = await productTrace.getFullTrace(rawOnlyId);
                 const productData = await productTrace.products(rawOnlyId);
@@ -550,8 +1340,8 @@ describe("Producer Management", function () {
     describe("onlyProductOwner Modifier", function () {
         let productId;
         beforeEach(async function() {
-            const tx = await productTrace.connect(producer1).createProduct("Owned Product", "S", "Q", 1, "T");
-            productId = (await tx.wait()).logs.find(log => productTrace.interface.parseLog(log)?.name === "ProductCreated").args.productId;
+            const tx = await productTrace.connect(producer1).createProduct("Owned Product", "S", "Q", 1, UNITS.PIECE, PICKUP_TIME);
+            productId = (await findEvent(productTrace, tx, "ProductCreated")).args.productId;
         });
 
         it("Should allow product owner to call functions guarded by onlyProductOwner", async function () {
@@ -576,7 +1366,7 @@ describe("getAllProducts()", function () {
     it("Should return all products created", async function () {
         const productNames = ["Prod A", "Prod B", "Prod C"];
         for (const name of productNames) {
-            await productTrace.connect(producer1).createProduct(name, "Source", "Quality", 10, "PickupTime");
+            await productTrace.connect(producer1).createProduct(name, "Source", "Quality", 10, UNITS.PIECE, PICKUP_TIME);
         }
         const count = await productTrace.productCount();
         const allProducts = await productTrace.getAllProducts();
@@ -592,10 +1382,102 @@ describe("getAllProducts()", function () {
         }
     });
 });
+
+describe("Paginated getters", function () {
+    const createProducts = async (signer, count, prefix = "Lot") => {
+        for (let i = 0; i < count; i++) {
+            await productTrace.connect(signer).createProduct(`${prefix} ${i}`, "Source", "Quality", 10, UNITS.PIECE, PICKUP_TIME);
+        }
+    };
+
+    it("Should page through products by ID", async function () {
+        await createProducts(producer1, 5);
+
+        const firstPage = await productTrace.getProducts(0, 2);
+        const lastPage = await productTrace.getProducts(4, 2);
+        expect(firstPage.map(product => product.id)).to.deep.equal([1n, 2n]);
+        expect(lastPage.map(product => product.id)).to.deep.equal([5n]);
+        expect(await productTrace.getProducts(5, 2)).to.have.length(0);
+    });
+
+    it("Should cap a page at MAX_PAGE_SIZE", async function () {
+        const maxPageSize = await productTrace.MAX_PAGE_SIZE();
+        await createProducts(producer1, Number(maxPageSize) + 5);
+
+        expect(await productTrace.getProducts(0, 1000)).to.have.length(Number(maxPageSize));
+        expect(await productTrace.getProducts(Number(maxPageSize), 1000)).to.have.length(5);
+    });
+
+    it("Should list products by owner", async function () {
+        await createProducts(producer1, 3, "P1");
+        await createProducts(owner, 2, "Owner");
+
+        expect(await productTrace.getProductCountByOwner(producer1.address)).to.equal(3);
+        expect(await productTrace.getProductCountByOwner(owner.address)).to.equal(2);
+        const ownerProducts = await productTrace.getProductsByOwner(owner.address, 0, 10);
+        expect(ownerProducts.map(product => product.name)).to.deep.equal(["Owner 0", "Owner 1"]);
+        expect(await productTrace.getProductsByOwner(nonProducer.address, 0, 10)).to.have.length(0);
+    });
+
+    it("Should move products between stage indexes as they progress", async function () {
+        await createProducts(producer1, 3);
+        await productTrace.connect(producer1).startProduction(1, [2], [4], [UNITS.PIECE], EXPECTED_OUTPUT, START_TIME);
+
+        const rawMaterials = await productTrace.getProductsByStage(STAGES.RAW_MATERIAL, 0, 10);
+        expect(rawMaterials.map(product => product.id)).to.have.members([2n, 3n]);
+        expect(await productTrace.getProductCountByStage(STAGES.PRODUCTION)).to.equal(1);
+
+        await productTrace.connect(producer1).packageProduct(1, "HALAL", "", "BPOM", "", ACTUAL_OUTPUT, 0, UNITS.PIECE, PACKAGING_TIME);
+        await productTrace.connect(producer1).distributeProduct(1, "Details");
+
+        expect(await productTrace.getProductCountByStage(STAGES.PRODUCTION)).to.equal(0);
+        expect(await productTrace.getProductCountByStage(STAGES.PACKAGING)).to.equal(0);
+        const distributed = await productTrace.getProductsByStage(STAGES.DISTRIBUTION, 0, 10);
+        expect(distributed.map(product => product.id)).to.deep.equal([1n]);
+        expect(distributed[0].stage).to.equal(STAGES.DISTRIBUTION);
+    });
+
+    it("Should list batches with their inputs", async function () {
+        await createProducts(producer1, 4);
+        await productTrace.connect(producer1).startProduction(1, [3], [2], [UNITS.PIECE], EXPECTED_OUTPUT, START_TIME);
+        await productTrace.connect(producer1).startProduction(2, [3, 4], [1, 5], [UNITS.PIECE, UNITS.PIECE], EXPECTED_OUTPUT, START_TIME);
+
+        const batches = await productTrace.getBatches(0, 10);
+        expect(batches).to.have.length(2);
+        expect(batches[1].id).to.equal(2);
+        expect(batches[1].rawMaterialIds).to.deep.equal([3n, 4n]);
+        expect(batches[1].quantitiesUsed).to.deep.equal([1n, 5n]);
+        expect(batches[1].declaredStartTime.timestamp).to.equal(START_TIME.timestamp);
+        expect(await productTrace.getBatches(2, 10)).to.have.length(0);
+    });
+
+    it("Should keep the gas of a page independent of the dataset size", async function () {
+        await createProducts(producer1, 10);
+        const smallDatasetGas = await productTrace.getProducts.estimateGas(0, 10);
+        const smallStageGas = await productTrace.getProductsByStage.estimateGas(STAGES.RAW_MATERIAL, 0, 10);
+
+        await createProducts(producer1, 140);
+        // Only calldata and name lengths differ, so allow 1% slack
+        const expectCloseTo = (gas, reference) => expect(Number(gas)).to.be.closeTo(Number(reference), Number(reference) / 100);
+        expectCloseTo(await productTrace.getProducts.estimateGas(0, 10), smallDatasetGas);
+        expectCloseTo(await productTrace.getProducts.estimateGas(140, 10), smallDatasetGas);
+        expectCloseTo(await productTrace.getProductsByStage.estimateGas(STAGES.RAW_MATERIAL, 0, 10), smallStageGas);
+    });
+
+    it("Should keep a full page well within the block gas limit", async function () {
+        await createProducts(producer1, 150);
+        const { gasLimit } = await ethers.provider.getBlock("latest");
+
+        const fullPageGas = await productTrace.getProducts.estimateGas(0, 1000);
+        const fullOwnerPageGas = await productTrace.getProductsByOwner.estimateGas(producer1.address, 0, 1000);
+        expect(fullPageGas).to.be.below(gasLimit / 4n);
+        expect(fullOwnerPageGas).to.be.below(gasLimit / 4n);
+    });
+});
     it("Should return all products created", async function () {
         const productNames = ["Prod A", "Prod B", "Prod C"];
         for (const name of productNames) {
-            await productTrace.connect(producer1).createProduct(name, "Source", "Quality", 10, "PickupTime");
+            await productTrace.connect(producer1).createProduct(name, "Source", "Quality", 10, UNITS.PIECE, PICKUP_TIME);
         }
         const count = await productTrace.productCount();
         const allProducts = await productTrace.getAllProducts();
@@ -0,0 +1,60 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createServer } = require("../scripts/certstore/server");
+
+describe("Certificate store", function () {
+    let dataDir;
+    let server;
+    let baseUrl;
+
+    beforeEach(async function () {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "certstore-"));
+        server = createServer({ dataDir, publicUrl: "http://certs.test" });
+        await new Promise(resolve => server.listen(0, resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(function () {
+        server.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    it("Should store a file under its keccak256 digest and serve it back", async function () {
+        const document = Buffer.from("%PDF-1.4 halal certificate");
+        const response = await fetch(`${baseUrl}/files`, {
+            method: "POST",
+            headers: { "Content-Type": "application/pdf", "X-File-Name": "halal.pdf" },
+            body: document,
+        });
+        expect(response.status).to.equal(201);
+
+        const { digest, uri, size } = await response.json();
+        expect(digest).to.equal(ethers.keccak256(document));
+        expect(uri).to.equal(`http://certs.test/files/${digest}`);
+        expect(size).to.equal(document.length);
+
+        const download = await fetch(`${baseUrl}/files/${digest}`);
+        expect(download.headers.get("content-type")).to.equal("application/pdf");
+        expect(download.headers.get("x-content-type-options")).to.equal("nosniff");
+        expect(Buffer.from(await download.arrayBuffer())).to.deep.equal(document);
+    });
+
+    it("Should reject empty uploads and unknown digests", async function () {
+        expect((await fetch(`${baseUrl}/files`, { method: "POST", headers: { "Content-Type": "application/pdf" }, body: "" })).status).to.equal(400);
+        expect((await fetch(`${baseUrl}/files/${ethers.ZeroHash}`)).status).to.equal(404);
+        expect((await fetch(`${baseUrl}/files/../secret`)).status).to.equal(404);
+    });
+
+    it("Should only accept PDFs and images", async function () {
+        for (const type of ["text/html", "image/svg+xml", "application/octet-stream"]) {
+            const response = await fetch(`${baseUrl}/files`, { method: "POST", headers: { "Content-Type": type }, body: "<script>alert(1)</script>" });
+            expect(response.status).to.equal(415);
+        }
+        expect(fs.readdirSync(dataDir)).to.be.empty;
+        const scan = await fetch(`${baseUrl}/files`, { method: "POST", headers: { "Content-Type": "image/jpeg" }, body: Buffer.from([0xff, 0xd8, 0xff]) });
+        expect(scan.status).to.equal(201);
+    });
+});
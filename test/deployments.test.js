@@ -0,0 +1,90 @@
+const { expect } = require("chai");
+const { artifacts, ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { abiHash, getDeployment, readRegistry, recordDeployment, resolveDeployment } = require("../scripts/deployments");
+
+describe("Deployment registry", function () {
+    let registryPath;
+    let abi;
+
+    const deployment = (overrides = {}) => ({
+        chainId: 31337,
+        network: "hardhat",
+        address: "0x5FbDB2315678afecb367f032d93F642f64180aa3",
+        deployBlock: 1,
+        deployer: "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266",
+        gitCommit: "abc123",
+        abi,
+        ...overrides,
+    });
+
+    beforeEach(async function () {
+        registryPath = path.join(os.tmpdir(), `deployments-${Date.now()}.json`);
+        abi = new ethers.Interface((await artifacts.readArtifact("ProductTrace")).abi).format();
+    });
+
+    afterEach(function () {
+        if (fs.existsSync(registryPath)) fs.unlinkSync(registryPath);
+    });
+
+    it("Should record a deployment keyed by chainId with its metadata and ABI hash", async function () {
+        const entry = recordDeployment(deployment(), registryPath);
+
+        expect(entry.abiHash).to.equal(abiHash(abi));
+        const stored = readRegistry(registryPath)["31337"];
+        expect(stored.address).to.equal("0x5FbDB2315678afecb367f032d93F642f64180aa3");
+        expect(stored.deployBlock).to.equal(1);
+        expect(stored.deployer).to.equal("0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266");
+        expect(stored.gitCommit).to.equal("abc123");
+        expect(stored.abi).to.deep.equal(abi);
+    });
+
+    it("Should keep other networks when a chain is redeployed", async function () {
+        recordDeployment(deployment(), registryPath);
+        recordDeployment(deployment({ chainId: 11155111n, network: "sepolia", address: "0x0000000000000000000000000000000000000001" }), registryPath);
+        recordDeployment(deployment({ address: "0x0000000000000000000000000000000000000002", deployBlock: 9 }), registryPath);
+
+        expect(getDeployment(11155111, registryPath).network).to.equal("sepolia");
+        expect(getDeployment(31337, registryPath).address).to.equal("0x0000000000000000000000000000000000000002");
+        expect(getDeployment(31337, registryPath).deployBlock).to.equal(9);
+    });
+
+    it("Should record the InspectionLog deployed alongside ProductTrace", async function () {
+        const inspectionLogAbi = new ethers.Interface((await artifacts.readArtifact("InspectionLog")).abi).format();
+        expect(recordDeployment(deployment(), registryPath).inspectionLog).to.equal(undefined);
+
+        recordDeployment(deployment({ inspectionLog: { address: "0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0", abi: inspectionLogAbi } }), registryPath);
+        const { inspectionLog } = getDeployment(31337, registryPath);
+        expect(inspectionLog.address).to.equal("0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0");
+        expect(inspectionLog.abiHash).to.equal(abiHash(inspectionLogAbi));
+        expect(inspectionLog.abi).to.deep.equal(inspectionLogAbi);
+    });
+
+    it("Should record the CertificateRegistry deployed alongside ProductTrace", async function () {
+        const registryAbi = new ethers.Interface((await artifacts.readArtifact("CertificateRegistry")).abi).format();
+        expect(recordDeployment(deployment(), registryPath).certificateRegistry).to.equal(undefined);
+
+        recordDeployment(deployment({ certificateRegistry: { address: "0xCf7Ed3AccA5a467e9e704C703E8D87F634fB0Fc9", abi: registryAbi } }), registryPath);
+        const { certificateRegistry } = getDeployment(31337, registryPath);
+        expect(certificateRegistry.address).to.equal("0xCf7Ed3AccA5a467e9e704C703E8D87F634fB0Fc9");
+        expect(certificateRegistry.abiHash).to.equal(abiHash(registryAbi));
+        expect(certificateRegistry.abi).to.deep.equal(registryAbi);
+    });
+
+    it("Should give the same ABI hash for human-readable and JSON ABIs", async function () {
+        const jsonAbi = (await artifacts.readArtifact("ProductTrace")).abi;
+        expect(abiHash(jsonAbi)).to.equal(abiHash(abi));
+    });
+
+    it("Should resolve the deployment for the provider's chain and reject unknown chains", async function () {
+        recordDeployment(deployment({ chainId: 11155111 }), registryPath);
+        await expect(resolveDeployment(ethers.provider, registryPath)).to.be.rejectedWith("No ProductTrace deployment recorded for chain 31337");
+
+        recordDeployment(deployment(), registryPath);
+        const resolved = await resolveDeployment(ethers.provider, registryPath);
+        expect(resolved.chainId).to.equal(31337);
+        expect(resolved.address).to.equal("0x5FbDB2315678afecb367f032d93F642f64180aa3");
+    });
+});
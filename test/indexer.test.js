@@ -0,0 +1,120 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { IndexerDatabase } = require("../scripts/indexer/db");
+const { ProductTraceIndexer } = require("../scripts/indexer/indexer");
+const { createServer } = require("../scripts/indexer/server");
+const { getProductTraceFactory } = require("../scripts/productTraceFactory");
+
+describe("ProductTrace indexer", function () {
+    let productTrace;
+    let owner;
+    let producer1;
+    let db;
+    let indexer;
+    // Declared times (unix seconds, UTC+07:00) in lifecycle order
+    const PICKUP_TIME = { timestamp: 1746061200, utcOffsetMinutes: 420 };
+    const START_TIME = { timestamp: 1746147600, utcOffsetMinutes: 420 };
+    const PACKAGING_TIME = { timestamp: 1746176400, utcOffsetMinutes: 420 };
+    const PIECE = 0; // ProductTrace.Unit.Piece
+    const EXPECTED_OUTPUT = 1000;
+    const ACTUAL_OUTPUT = 950;
+    const silentLogger = { log() {}, warn() {}, error() {} };
+
+    beforeEach(async function () {
+        [owner, producer1] = await ethers.getSigners();
+        const ProductTrace = await getProductTraceFactory(ethers);
+        productTrace = await ProductTrace.deploy();
+        await productTrace.waitForDeployment();
+        const startBlock = (await productTrace.deploymentTransaction().wait()).blockNumber;
+
+        db = await IndexerDatabase.open(null);
+        indexer = new ProductTraceIndexer({ provider: ethers.provider, contract: productTrace, db, startBlock, logger: silentLogger });
+        await indexer.init();
+    });
+
+    afterEach(function () {
+        db.close();
+    });
+
+    it("Should project products, batches and producers from events", async function () {
+        await productTrace.connect(owner).addProducer(producer1.address);
+        await productTrace.connect(producer1).createProduct("Cocoa Beans", "Farm C", "A", 100, PIECE, PICKUP_TIME);
+        await productTrace.connect(producer1).createProduct("Chocolate Bar", "Plant 1", "-", 1, PIECE, PICKUP_TIME);
+        await productTrace.connect(producer1).startProduction(2, [1], [30], [PIECE], EXPECTED_OUTPUT, START_TIME);
+        await productTrace.connect(producer1).packageProduct(2, "0xhalal", "ipfs://halal", "0xbpom", "", ACTUAL_OUTPUT, 0, PIECE, PACKAGING_TIME);
+        await productTrace.connect(producer1).distributeProduct(2, "Truck 1 to Store A");
+        await productTrace.connect(producer1).proposeCustodyTransfer(1, owner.address, "Leftover beans");
+        await productTrace.connect(owner).acceptCustodyTransfer(1, "");
+        await productTrace.connect(owner).removeProducer(producer1.address);
+
+        await indexer.syncOnce();
+
+        const cocoa = db.get("SELECT * FROM products WHERE id = 1");
+        expect(cocoa.source).to.equal("Farm C");
+        expect(cocoa.initial_quantity).to.equal("100");
+        expect(cocoa.available_quantity).to.equal("70");
+        expect(cocoa.unit).to.equal(PIECE);
+        expect(cocoa.pickup_time).to.equal(PICKUP_TIME.timestamp);
+        expect(cocoa.pickup_utc_offset_minutes).to.equal(420);
+        expect(cocoa.owner).to.equal(owner.address);
+
+        const bar = db.get("SELECT * FROM products WHERE id = 2");
+        expect(bar.stage).to.equal(4);
+        expect(bar.current_batch_id).to.equal(1);
+        expect(bar.distribution_details).to.equal("Truck 1 to Store A");
+
+        const batch = db.get("SELECT * FROM batches WHERE id = 1");
+        expect(JSON.parse(batch.consumed_product_ids)).to.deep.equal(["1"]);
+        expect(batch.halal_cert_hash).to.equal("0xhalal");
+        expect(batch.halal_cert_uri).to.equal("ipfs://halal");
+        expect(batch.expected_output_quantity).to.equal("1000");
+        expect(batch.actual_output_quantity).to.equal("950");
+        expect(batch.yield_basis_points).to.equal(9500);
+        expect(bar.available_quantity).to.equal("950");
+
+        expect(db.get("SELECT active FROM producers WHERE address = ?", [producer1.address]).active).to.equal(0);
+        expect(db.get("SELECT active FROM producers WHERE address = ?", [owner.address]).active).to.equal(1);
+    });
+
+    it("Should roll back orphaned events after a reorg", async function () {
+        await productTrace.connect(owner).createProduct("Stable Lot", "Farm S", "A", 10, PIECE, PICKUP_TIME);
+        await indexer.syncOnce();
+        const snapshot = await network.provider.send("evm_snapshot");
+
+        await productTrace.connect(owner).createProduct("Orphaned Lot", "Farm O", "B", 20, PIECE, PICKUP_TIME);
+        await indexer.syncOnce();
+        expect(db.get("SELECT name FROM products WHERE id = 2").name).to.equal("Orphaned Lot");
+
+        // Replace the block that held "Orphaned Lot" with a different one at the same height
+        await network.provider.send("evm_revert", [snapshot]);
+        await productTrace.connect(owner).createProduct("Canonical Lot", "Farm K", "A", 30, PIECE, PICKUP_TIME);
+        await indexer.syncOnce();
+
+        expect(db.get("SELECT name FROM products WHERE id = 2").name).to.equal("Canonical Lot");
+        expect(db.get("SELECT COUNT(*) AS n FROM events WHERE name = 'ProductCreated'").n).to.equal(2);
+    });
+
+    it("Should serve indexed products over the HTTP API", async function () {
+        await productTrace.connect(owner).createProduct("Rice Lot", "Farm R", "A", 50, PIECE, PICKUP_TIME);
+        await productTrace.connect(owner).createProduct("Salt Lot", "Farm T", "A", 5, PIECE, PICKUP_TIME);
+        await indexer.syncOnce();
+
+        const server = createServer(indexer);
+        await new Promise(resolve => server.listen(0, resolve));
+        const baseUrl = `http://127.0.0.1:${server.address().port}`;
+        try {
+            const page = await (await fetch(`${baseUrl}/products?stage=1&limit=1`)).json();
+            expect(page.total).to.equal(2);
+            expect(page.items).to.have.length(1);
+            expect(page.items[0].name).to.equal("Rice Lot");
+
+            const producers = await (await fetch(`${baseUrl}/producers`)).json();
+            expect(producers[0].address).to.equal(owner.address);
+            expect(producers[0].history[0].action).to.equal("added");
+
+            expect((await fetch(`${baseUrl}/products/99`)).status).to.equal(404);
+        } finally {
+            server.close();
+        }
+    });
+});
@@ -0,0 +1,181 @@
+const { expect } = require("chai");
+const { ethers, run } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { getProductTraceFactory } = require("../scripts/productTraceFactory");
+
+describe("Lifecycle tasks", function () {
+    let productTrace;
+    let address;
+    let owner;
+    let producer1;
+    let producer2;
+
+    const KILOGRAM = 2; // ProductTrace.Unit.Kilogram
+    const STAGE_DISTRIBUTION = 4; // ProductTrace.Stage.Distribution
+
+    // Runs a task with --json against the test deployment and returns what it printed, parsed
+    const runJson = async (name, args) => {
+        const printed = [];
+        const log = console.log;
+        console.log = (line) => printed.push(line);
+        try {
+            await run(name, { ...args, address, json: true });
+        } finally {
+            console.log = log;
+        }
+        return JSON.parse(printed.join("\n"));
+    };
+    const runJsonFailure = (name, args) => runJson(name, args).then(() => expect.fail(`${name} succeeded`), (error) => error);
+
+    const inputFile = (name, content) => {
+        const file = path.join(os.tmpdir(), `lifecycle-${Date.now()}-${name}`);
+        fs.writeFileSync(file, content);
+        return file;
+    };
+
+    beforeEach(async function () {
+        [owner, producer1, producer2] = await ethers.getSigners();
+        const ProductTrace = await getProductTraceFactory(ethers);
+        productTrace = await ProductTrace.deploy();
+        await productTrace.waitForDeployment();
+        address = await productTrace.getAddress();
+    });
+
+    it("Should add producers from a CSV file, list them and remove one", async function () {
+        const file = inputFile("producers.csv", `account\n${producer1.address}\n${producer2.address}\n`);
+        const added = await runJson("producer:add", { file });
+        expect(added.map(row => row.ok)).to.deep.equal([true, true]);
+        expect(await productTrace.producers(producer2.address)).to.equal(true);
+
+        await runJson("producer:remove", { account: producer1.address });
+
+        const producers = await runJson("producer:list", {});
+        expect(producers.map(row => row.account)).to.deep.equal([owner.address, producer2.address]);
+        const all = await runJson("producer:list", { all: true });
+        expect(all.find(row => row.account === producer1.address).active).to.equal(false);
+    });
+
+    it("Should run a product through creation, production, packaging and distribution", async function () {
+        const lots = await runJson("product:create", {
+            file: inputFile("lots.csv", [
+                "name,source,quality,quantity,unit,pickupTime",
+                "Cocoa Lot 3,Farm C,A,100,kg,2025-05-01T08:00+07:00",
+                "\"Sugar Lot 1, fine\",Mill S,B,20000,g,2025-05-01T09:00+07:00",
+            ].join("\n")),
+        });
+        expect(lots.map(row => row.row)).to.deep.equal([2, 3]);
+        const [cocoaId, sugarId] = lots.map(row => row.productId);
+        const cocoa = await productTrace.products(cocoaId);
+        expect(cocoa.initialQuantity).to.equal(100000n);
+        expect(cocoa.unit).to.equal(BigInt(KILOGRAM));
+        expect(cocoa.pickupTime.timestamp).to.equal(1746061200n);
+        expect(cocoa.pickupTime.utcOffsetMinutes).to.equal(420n);
+        expect((await productTrace.products(sugarId)).name).to.equal("Sugar Lot 1, fine");
+
+        const { productId } = await runJson("product:create", { name: "Chocolate Bar", quantity: "1", pickupTime: "2025-05-01T10:00+07:00" });
+        const { batchId } = await runJson("production:start", {
+            product: productId,
+            inputs: `${cocoaId}:2.5:kg,${sugarId}:500`,
+            expectedOutput: "1000",
+            startTime: "2025-05-02T08:00+07:00",
+        });
+        expect(batchId).to.equal("1");
+        expect((await productTrace.products(cocoaId)).availableQuantity).to.equal(97500n);
+        expect((await productTrace.products(sugarId)).availableQuantity).to.equal(19500000n);
+
+        await runJson("product:package", {
+            product: productId,
+            actualOutput: "950",
+            waste: "0.5",
+            wasteUnit: "kg",
+            halalHash: "0xhalal",
+            packagingTime: "2025-05-02T16:00+07:00",
+        });
+        await runJson("product:distribute", {
+            product: productId,
+            carrier: "PT Kirim",
+            destination: "Store A",
+            vehicle: "B 1234 XY",
+            dispatchTime: "2025-05-03T07:30+07:00",
+        });
+
+        const { trace, custody } = await runJson("product:trace", { id: productId });
+        expect(trace.productStageName).to.equal("Distribution");
+        expect(trace.batchActualOutputQuantity).to.equal("950000");
+        expect(trace.batchWasteQuantity).to.equal("500");
+        const distribution = JSON.parse(trace.productDistributionDetails);
+        expect(distribution).to.include({ carrier: "PT Kirim", vehicleNumber: "B 1234 XY" });
+        expect(distribution.dispatchTime).to.deep.equal({ timestamp: 1746232200, utcOffsetMinutes: 420 });
+        expect(custody[0].custodian).to.equal(owner.address);
+
+        const distributed = await runJson("product:list", { stage: "distribution" });
+        expect(distributed).to.deep.equal([{
+            id: productId,
+            name: "Chocolate Bar",
+            stage: "Distribution",
+            owner: owner.address,
+            available: "950 pcs",
+        }]);
+        expect(await runJson("product:list", { owner: owner.address, stage: String(STAGE_DISTRIBUTION) })).to.have.length(1);
+        expect(await runJson("product:list", {})).to.have.length(3);
+    });
+
+    it("Should report each failing row with the decoded revert and still process the others", async function () {
+        const { productId: lotId } = await runJson("product:create", { name: "Mango Lot 7", quantity: "40", pickupTime: "2025-05-01T08:00+07:00" });
+        const file = inputFile("lots.json", JSON.stringify([
+            { name: "Mango Puree", quantity: 1, pickupTime: "2025-05-01T10:00+07:00" },
+            { name: "Mango Jam", quantity: "1.5", pickupTime: "2025-05-01T10:00+07:00" },
+            { name: "Mango Juice", quantity: 1, pickupTime: "2025-05-01 10:00" },
+            { name: "Mango Sorbet", quantity: 1 },
+        ]));
+        const error = await runJsonFailure("product:create", { file });
+        expect(error.message).to.equal("3 of 4 rows failed");
+        expect(error.report.map(row => row.ok)).to.deep.equal([true, false, false, false]);
+        expect(error.report[1].error).to.equal("Pieces must be a whole number.");
+        expect(error.report[2].error).to.match(/UTC offset/);
+        expect(error.report[3].error).to.equal("Missing pickupTime");
+
+        // CSV rows are reported by the line they start on, past blank lines and multi-line cells
+        const csv = inputFile("lots.csv", 'name,source,quantity,pickupTime\n\n"Mango Lot 8","Farm M\nBlock 2",10,2025-05-01T08:00+07:00\nMango Lot 9,Farm M,x,2025-05-01T08:00+07:00\n');
+        const csvError = await runJsonFailure("product:create", { file: csv });
+        expect(csvError.report.map(row => [row.row, row.ok])).to.deep.equal([[3, true], [5, false]]);
+
+        const pureeId = String(error.report[0].productId);
+        const revert = await runJsonFailure("production:start", {
+            product: pureeId,
+            inputs: `${lotId}:55`,
+            expectedOutput: "1",
+            startTime: "2025-05-02T08:00+07:00",
+        });
+        expect(revert.message).to.equal(`Product #${lotId} only has 40 left, you asked for 55.`);
+    });
+
+
+    it("Should import a delivery CSV in batches and write a report with trace URLs", async function () {
+        const file = inputFile("deliveries.csv", [
+            "name,source,quality,quantity,unit,pickupTime",
+            "Cocoa Lot 1,Farm C,A,100,kg,2025-05-01T08:00+07:00",
+            "Cocoa Lot 2,Farm C,A,80.5,kg,2025-05-01T09:00+07:00",
+            "Crates,Depot,-,2.5,pcs,2025-05-01T08:00+07:00",
+        ].join("\n"));
+
+        const invalid = await runJsonFailure("product:import", { file });
+        expect(invalid.message).to.equal("1 of 3 rows are invalid; fix them or pass --skip-invalid");
+        const preview = await runJson("product:import", { file, dryRun: true });
+        expect(preview[2].errors).to.equal("Pieces must be a whole number.");
+        expect(await productTrace.productCount()).to.equal(0);
+
+        const out = inputFile("report.csv", "");
+        const failure = await runJsonFailure("product:import", { file, skipInvalid: true, batchSize: "1", out, traceBaseUrl: "https://trace.example/" });
+        expect(failure.message).to.equal("1 of 3 rows were not imported");
+        expect(failure.report.map(entry => entry.productId)).to.deep.equal([1n, 2n, undefined]);
+        expect((await productTrace.products(2)).initialQuantity).to.equal(80500n);
+        expect(fs.readFileSync(out, "utf8").split("\n").slice(0, 3)).to.deep.equal([
+            "line,name,productId,traceUrl,error",
+            "2,Cocoa Lot 1,1,https://trace.example/trace/1,",
+            "3,Cocoa Lot 2,2,https://trace.example/trace/2,",
+        ]);
+    });
+});
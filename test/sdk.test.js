@@ -0,0 +1,284 @@
+const { expect } = require("chai");
+const { artifacts, ethers } = require("hardhat");
+const { getProductTraceFactory } = require("../scripts/productTraceFactory");
+
+describe("ProductTrace SDK", function () {
+    let sdk;
+    let productTrace;
+    let owner;
+    let producer1;
+
+    // Declared times (unix seconds, UTC+07:00) in lifecycle order
+    const PICKUP_TIME = { timestamp: 1746061200, utcOffsetMinutes: 420 };
+    const START_TIME = { timestamp: 1746147600, utcOffsetMinutes: 420 };
+    const PACKAGING_TIME = { timestamp: 1746176400, utcOffsetMinutes: 420 };
+    const EXPECTED_OUTPUT = 1000;
+    const ACTUAL_OUTPUT = 950;
+
+    before(async function () {
+        sdk = await import("../sdk/index.js");
+    });
+
+    beforeEach(async function () {
+        [owner, producer1] = await ethers.getSigners();
+        const ProductTrace = await getProductTraceFactory(ethers);
+        productTrace = await ProductTrace.deploy();
+        await productTrace.waitForDeployment();
+        await productTrace.connect(owner).addProducer(producer1.address);
+        productTrace = productTrace.connect(producer1);
+    });
+
+    it("Should mirror the contract's Stage enum", async function () {
+        expect(sdk.STAGE_NAMES[sdk.Stage.Distribution]).to.equal("Distribution");
+        expect(sdk.stageName(sdk.Stage.Delivered)).to.equal("Delivered");
+        expect(sdk.Unit.Kilogram).to.equal(2);
+        expect(sdk.Role.Auditor).to.equal(5);
+    });
+
+    it("Should return the IDs created by createProduct, startProduction and createProductFromInputs", async function () {
+        const lotId = await sdk.createProduct(productTrace, "Cocoa Lot 3", "Farm C", "A", 100, sdk.Unit.Piece, PICKUP_TIME);
+        const productId = await sdk.createProduct(productTrace, "Chocolate Bar", "Plant 1", "-", 1, sdk.Unit.Piece, PICKUP_TIME);
+        expect(lotId).to.equal(1n);
+        expect(productId).to.equal(2n);
+
+        const batchId = await sdk.startProduction(productTrace, productId, [lotId], [40], [sdk.Unit.Piece], EXPECTED_OUTPUT, START_TIME);
+        expect(batchId).to.equal(1n);
+
+        const created = await sdk.createProductFromInputs(productTrace, "Cocoa Nibs", sdk.Unit.Piece, [lotId], [10], [sdk.Unit.Piece], EXPECTED_OUTPUT, START_TIME);
+        expect(created).to.deep.equal({ productId: 3n, batchId: 2n });
+        expect((await productTrace.products(lotId)).availableQuantity).to.equal(50);
+    });
+
+    it("Should return the lots created by splitProduct and mergeProducts", async function () {
+        const lotId = await sdk.createProduct(productTrace, "Sugar Lot 1", "Mill S", "A", 100, sdk.Unit.Piece, PICKUP_TIME);
+        const splitIds = await sdk.splitProduct(productTrace, lotId, [30, 20]);
+        expect(splitIds).to.deep.equal([2n, 3n]);
+
+        const mergedId = await sdk.mergeProducts(productTrace, splitIds, "Sugar Lot 1 (regrouped)");
+        expect(mergedId).to.equal(4n);
+        expect((await productTrace.products(mergedId)).availableQuantity).to.equal(50);
+    });
+
+    it("Should read a full trace as plain values with stage names", async function () {
+        const lotId = await sdk.createProduct(productTrace, "Cocoa Lot 3", "Farm C", "A", 100, sdk.Unit.Piece, PICKUP_TIME);
+        const productId = await sdk.createProduct(productTrace, "Chocolate Bar", "Plant 1", "-", 1, sdk.Unit.Piece, PICKUP_TIME);
+        const batchId = await sdk.startProduction(productTrace, productId, [lotId], [40], [sdk.Unit.Piece], EXPECTED_OUTPUT, START_TIME);
+        await sdk.packageProduct(productTrace, productId, "0xhalal", "", "0xbpom", "", ACTUAL_OUTPUT, 0, sdk.Unit.Piece, PACKAGING_TIME);
+        const receipt = await sdk.distributeProduct(productTrace, productId, "Truck B 1234");
+        expect(receipt.status).to.equal(1);
+
+        const trace = await sdk.getTrace(productTrace, productId);
+        expect(trace.productId).to.equal(productId.toString());
+        expect(trace.productStage).to.equal(sdk.Stage.Distribution);
+        expect(trace.productStageName).to.equal("Distribution");
+        expect(trace.batchId).to.equal(batchId.toString());
+        expect(trace.consumedProductIds).to.deep.equal([lotId.toString()]);
+        expect(trace.consumedQuantitiesUsed).to.deep.equal(["40"]);
+        expect(trace.batchActualOutputQuantity).to.equal(String(ACTUAL_OUTPUT));
+        expect(trace.batchDeclaredPackagingTime).to.deep.equal(PACKAGING_TIME);
+        expect(trace.batchPackagingTime).to.be.a("number").and.be.greaterThan(0);
+        expect(trace.productDistributionDetails).to.equal("Truck B 1234");
+        // Plain data survives a JSON round trip unchanged
+        expect(JSON.parse(JSON.stringify(trace))).to.deep.equal(trace);
+
+        const custody = await sdk.getCustodyHistory(productTrace, productId);
+        expect(custody).to.have.lengthOf(1);
+        expect(custody[0].custodian).to.equal(producer1.address);
+        expect(custody[0].since).to.be.a("number");
+    });
+
+    it("Should only parse the contract's own events and fail clearly when one is missing", async function () {
+        const tx = await productTrace.createProduct("Salt Lot 9", "Pond P", "A", 5, sdk.Unit.Piece, PICKUP_TIME);
+        const names = (await sdk.parseLogs(productTrace, tx)).map(event => event.name);
+        expect(names).to.include("ProductCreated");
+
+        const created = await sdk.findEvent(productTrace, tx, "ProductCreated");
+        expect(sdk.eventArgs(created)).to.include({ productId: "1", name: "Salt Lot 9", productOwner: producer1.address });
+
+        // Logs of another contract are skipped even when they share the ABI
+        const ProductTrace = await getProductTraceFactory(ethers);
+        const other = await ProductTrace.deploy();
+        await other.waitForDeployment();
+        expect(await sdk.parseLogs(other, tx)).to.deep.equal([]);
+
+        await expect(sdk.findEvent(productTrace, tx, "BatchCreated")).to.be.rejectedWith("Transaction did not emit BatchCreated");
+    });
+
+    describe("Parsing", function () {
+        it("Should parse units and quantities as the contract stores them", async function () {
+            expect(sdk.parseUnit("kg")).to.equal(sdk.Unit.Kilogram);
+            expect(sdk.parseUnit("Litre")).to.equal(sdk.Unit.Litre);
+            expect(sdk.parseUnit("1")).to.equal(sdk.Unit.Gram);
+            expect(() => sdk.parseUnit("lb")).to.throw('"lb" is not a unit; use one of pcs, g, kg, mL, L.');
+
+            expect(sdk.parseQuantity("2.5", sdk.Unit.Kilogram)).to.equal(2500n);
+            expect(() => sdk.parseQuantity("2.5", sdk.Unit.Piece)).to.throw("Pieces must be a whole number.");
+            expect(() => sdk.parseQuantity("0.0001", sdk.Unit.Gram)).to.throw("Quantities can have at most 3 decimals.");
+        });
+
+        it("Should parse declared times only with an explicit UTC offset", async function () {
+            expect(sdk.parseDeclaredTime("2025-05-01T08:00+07:00")).to.deep.equal(PICKUP_TIME);
+            expect(sdk.parseDeclaredTime("2025-05-01 01:00:00Z")).to.deep.equal({ timestamp: PICKUP_TIME.timestamp, utcOffsetMinutes: 0 });
+            expect(sdk.parseDeclaredTime("2025-04-30T20:30-0430")).to.deep.equal({ timestamp: PICKUP_TIME.timestamp, utcOffsetMinutes: -270 });
+            expect(() => sdk.parseDeclaredTime("2025-05-01T08:00")).to.throw(/UTC offset/);
+        });
+
+        it("Should read CSV with quoted fields, CRLF line ends and blank lines", async function () {
+            const csv = '\uFEFFname,source,quantity\r\n"Sugar Lot 1, fine","Mill ""S""",2.5\r\n\r\nCocoa Lot 3,"Farm\nC"\r\n';
+            expect(sdk.parseCsv(csv)).to.deep.equal([
+                { line: 2, values: { name: "Sugar Lot 1, fine", source: 'Mill "S"', quantity: "2.5" } },
+                { line: 4, values: { name: "Cocoa Lot 3", source: "Farm\nC", quantity: "" } },
+            ]);
+            expect(() => sdk.parseCsv('name\n"Cocoa')).to.throw("CSV ends inside a quoted field.");
+        });
+
+        it("Should number each row by the line it starts on in the file", async function () {
+            const csv = 'name,notes\n\nCocoa Lot 3,"first\r\nsecond\nthird"\n\n\nSugar Lot 1,\r\nSalt,x';
+            expect(sdk.parseCsv(csv).map(row => [row.line, row.values.name])).to.deep.equal([[3, "Cocoa Lot 3"], [8, "Sugar Lot 1"], [9, "Salt"]]);
+        });
+    });
+
+    describe("Raw material import", function () {
+        const CSV = [
+            "Name,Source,Quality,Quantity,Unit,Pickup Time",
+            "Cocoa Lot 1,Farm C,A,100,kg,2025-05-01T08:00+07:00",
+            "Cocoa Lot 2,Farm C,A,abc,kg,2025-05-01T08:00+07:00",
+            "Crates,Depot,-,2.5,pcs,2025-05-01T08:00+07:00",
+            ",Farm D,B,10,kg,2099-05-01T08:00+07:00",
+            // Valid text, but +15:00 is outside the offsets the contract accepts
+            "Sugar Lot 1,Mill S,B,20000,g,2025-05-01T08:00+15:00",
+            "Sugar Lot 2,Mill S,B,5000,g,2025-05-01T09:00+07:00",
+        ].join("\n");
+
+        it("Should validate every row and keep the contract arguments of the valid ones", async function () {
+            const entries = sdk.readRawMaterialCsv(CSV);
+            expect(entries.map(entry => entry.line)).to.deep.equal([2, 3, 4, 5, 6, 7]);
+            expect(entries[0].product).to.deep.equal({
+                name: "Cocoa Lot 1", source: "Farm C", quality: "A", initialQuantity: 100000n, unit: sdk.Unit.Kilogram, pickupTime: PICKUP_TIME,
+            });
+            expect(entries[1].errors).to.deep.equal(['"abc" is not a valid quantity.']);
+            expect(entries[2].errors).to.deep.equal(["Pieces must be a whole number."]);
+            expect(entries[3].errors).to.deep.equal(["Missing name.", "The pickup time cannot be in the future."]);
+            expect(entries[4].product).to.not.equal(null);
+
+            expect(() => sdk.readRawMaterialCsv("name,source\nCocoa,Farm")).to.throw("The CSV has no quantity, pickupTime column.");
+        });
+
+        it("Should number rows by their line in the file across blank lines", async function () {
+            const entries = sdk.readRawMaterialCsv([
+                "name,source,quality,quantity,unit,pickupTime",
+                "Cocoa Lot 1,Farm C,A,100,kg,2025-05-01T08:00+07:00",
+                "",
+                "Cocoa Lot 2,Farm C,A,abc,kg,2025-05-01T08:00+07:00",
+            ].join("\n"));
+            expect(entries.map(entry => entry.line)).to.deep.equal([2, 4]);
+            expect(entries[1].errors).to.deep.equal(['"abc" is not a valid quantity.']);
+        });
+
+        it("Should number the rows after a multi-line quoted field by their line in the file", async function () {
+            const entries = sdk.readRawMaterialCsv([
+                "name,source,quality,quantity,unit,pickupTime",
+                '"Cocoa Lot 1","Farm C',
+                'Block 2, north field",A,100,kg,2025-05-01T08:00+07:00',
+                "Cocoa Lot 2,Farm C,A,abc,kg,2025-05-01T08:00+07:00",
+            ].join("\r\n"));
+            expect(entries.map(entry => entry.line)).to.deep.equal([2, 4]);
+            expect(entries[0].product.source).to.equal("Farm C\r\nBlock 2, north field");
+        });
+
+        it("Should carry the source line numbers into the import report and its CSV", async function () {
+            const entries = sdk.readRawMaterialCsv([
+                "name,source,quality,quantity,unit,pickupTime",
+                "Cocoa Lot 1,Farm C,A,100,kg,2025-05-01T08:00+07:00",
+                "",
+                "Cocoa Lot 2,Farm C,A,abc,kg,2025-05-01T08:00+07:00",
+            ].join("\n"));
+            const report = await sdk.importRawMaterials(productTrace, entries);
+            expect(report.map(entry => entry.line)).to.deep.equal([2, 4]);
+            expect(sdk.importReportToCsv(report).split("\n")[2]).to.match(/^4,Cocoa Lot 2,,,/);
+        });
+
+        it("Should send the rows in batches and report the ones the contract rejects", async function () {
+            const entries = sdk.readRawMaterialCsv(CSV);
+            const progress = [];
+            const report = await sdk.importRawMaterials(productTrace, entries, { batchSize: 2, onProgress: (done, total) => progress.push(`${done}/${total}`) });
+
+            expect(report.map(entry => entry.line)).to.deep.equal([2, 3, 4, 5, 6, 7]);
+            expect(report[0]).to.deep.equal({ line: 2, name: "Cocoa Lot 1", productId: 1n });
+            expect(report[1].error).to.equal('"abc" is not a valid quantity.');
+            expect(report[4]).to.deep.equal({ line: 6, name: "Sugar Lot 1", error: "Please enter a valid date, time and UTC offset." });
+            expect(report[5]).to.deep.equal({ line: 7, name: "Sugar Lot 2", productId: 2n });
+            expect(progress).to.deep.equal(["2/3", "3/3"]);
+            expect(await productTrace.productCount()).to.equal(2);
+
+            const csv = sdk.importReportToCsv(report, (id) => `https://trace.example/trace/${id}`);
+            expect(csv.split("\n")[0]).to.equal("line,name,productId,traceUrl,error");
+            expect(csv.split("\n")[1]).to.equal("2,Cocoa Lot 1,1,https://trace.example/trace/1,");
+            expect(csv.split("\n")[2]).to.equal('3,Cocoa Lot 2,,,"""abc"" is not a valid quantity."');
+        });
+    });
+
+    describe("Errors", function () {
+        const revertOf = async (promise) => {
+            try {
+                await promise;
+            } catch (error) {
+                return error;
+            }
+            throw new Error("Expected the call to revert");
+        };
+
+        it("Should explain a revert with its arguments, in English and Indonesian", async function () {
+            const lotId = await sdk.createProduct(productTrace, "Cocoa Lot 3", "Farm C", "A", 40000, sdk.Unit.Kilogram, PICKUP_TIME);
+            const productId = await sdk.createProduct(productTrace, "Chocolate Bar", "Plant 1", "-", 1, sdk.Unit.Piece, PICKUP_TIME);
+            const error = await revertOf(productTrace.startProduction(productId, [lotId], [55000], [sdk.Unit.Kilogram], EXPECTED_OUTPUT, START_TIME));
+
+            const decoded = sdk.decodeError(error, [productTrace]);
+            expect(decoded.name).to.equal("ProductTrace__InsufficientProductQuantity");
+            expect(decoded.args.available).to.equal(40000n);
+            expect(sdk.describeError(error, [productTrace])).to.equal(`Product #${lotId} only has 40 left, you asked for 55.`);
+            expect(sdk.describeError(error, [productTrace], "id")).to.equal(`Produk #${lotId} hanya tersisa 40, Anda meminta 55.`);
+            // Unknown locales fall back to English
+            expect(sdk.describeError(error, [productTrace], "fr")).to.equal(`Product #${lotId} only has 40 left, you asked for 55.`);
+        });
+
+        it("Should name enum arguments and find revert data nested by the wallet", async function () {
+            const productId = await sdk.createProduct(productTrace, "Chocolate Bar", "Plant 1", "-", 1, sdk.Unit.Piece, PICKUP_TIME);
+            const error = await revertOf(productTrace.distributeProduct(productId, "Truck B 1234"));
+            const message = `Product #${productId} is in RawMaterial, but this step needs it in Packaging.`;
+            expect(sdk.describeError(error, [productTrace])).to.equal(message);
+
+            const walletError = { code: -32603, message: "Internal JSON-RPC error.", data: { code: 3, data: error.data } };
+            expect(sdk.describeError({ info: { error: walletError } }, [productTrace])).to.equal(message);
+        });
+
+        it("Should have a message in every locale for every custom error of the three contracts", async function () {
+            for (const name of ["ProductTrace", "InspectionLog", "CertificateRegistry"]) {
+                const { abi } = await artifacts.readArtifact(name);
+                const errorNames = new ethers.Interface(abi).fragments.filter(fragment => fragment.type === "error").map(fragment => fragment.name);
+                for (const [locale, messages] of Object.entries(sdk.ERROR_MESSAGES)) {
+                    expect(errorNames.filter(errorName => !messages.errors[errorName]), `${name} errors without a ${locale} message`).to.deep.equal([]);
+                }
+            }
+        });
+
+        it("Should fall back to the provider's message for errors it cannot decode", async function () {
+            expect(sdk.describeError({ code: "ACTION_REJECTED", message: "user rejected action" }, [productTrace]))
+                .to.equal("The transaction was rejected in the wallet.");
+            expect(sdk.describeError({ shortMessage: "could not detect network", message: "long text" }, [productTrace]))
+                .to.equal("could not detect network");
+        });
+
+        it("Should pre-flight writes so a revert is thrown before anything is sent", async function () {
+            const [, , outsider] = await ethers.getSigners();
+            const nonceBefore = await ethers.provider.getTransactionCount(outsider.address);
+
+            const error = await revertOf(sdk.createProduct(productTrace.connect(outsider), "Cocoa Lot 4", "Farm C", "A", 10, sdk.Unit.Piece, PICKUP_TIME));
+            expect(sdk.describeError(error, [productTrace])).to.equal(`${outsider.address} does not hold the Supplier role needed for this step.`);
+            expect(await ethers.provider.getTransactionCount(outsider.address)).to.equal(nonceBefore);
+
+            expect(await sdk.preflight(productTrace, "createProduct", "Cocoa Lot 4", "Farm C", "A", 10, sdk.Unit.Piece, PICKUP_TIME)).to.equal(1n);
+            expect(await productTrace.productCount()).to.equal(0);
+        });
+    });
+});
@@ -0,0 +1,110 @@
+const { expect } = require("chai");
+const { ethers, run } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { getProductTraceFactory } = require("../scripts/productTraceFactory");
+
+describe("where-used task", function () {
+    let productTrace;
+    let owner;
+    let producer1;
+    let suspectLotId, cleanLotId, juiceId, jamId;
+
+    // Declared times (unix seconds, UTC+07:00) in lifecycle order
+    const PICKUP_TIME = { timestamp: 1746061200, utcOffsetMinutes: 420 };
+    const START_TIME = { timestamp: 1746147600, utcOffsetMinutes: 420 };
+    const PACKAGING_TIME = { timestamp: 1746176400, utcOffsetMinutes: 420 };
+    const PIECE = 0; // ProductTrace.Unit.Piece
+    const EXPECTED_OUTPUT = 1000;
+    const ACTUAL_OUTPUT = 950;
+    const createdId = async (tx) => (await findEvent(productTrace, tx, "ProductCreated")).args.productId;
+
+    // The SDK is an ES module, so it is imported rather than required
+    let findEvent;
+    before(async function () {
+        ({ findEvent } = await import("../sdk/index.js"));
+    });
+
+    beforeEach(async function () {
+        [owner, producer1] = await ethers.getSigners();
+        const ProductTrace = await getProductTraceFactory(ethers);
+        productTrace = await ProductTrace.deploy();
+        await productTrace.waitForDeployment();
+        await productTrace.connect(owner).addProducer(producer1.address);
+
+        suspectLotId = await createdId(await productTrace.connect(owner).createProduct("Mango Lot 7", "Farm M", "A", 100, PIECE, PICKUP_TIME));
+        cleanLotId = await createdId(await productTrace.connect(owner).createProduct("Sugar Lot 2", "Mill S", "A", 100, PIECE, PICKUP_TIME));
+        juiceId = await createdId(await productTrace.connect(owner).createProduct("Mango Juice", "Plant 1", "-", 1, PIECE, PICKUP_TIME));
+        jamId = await createdId(await productTrace.connect(producer1).createProduct("Mango Jam", "Plant 2", "-", 1, PIECE, PICKUP_TIME));
+
+        await productTrace.connect(owner).startProduction(juiceId, [suspectLotId, cleanLotId], [40, 10], [PIECE, PIECE], EXPECTED_OUTPUT, START_TIME);
+        // The rest of the mango lot is handed to producer1's plant
+        await productTrace.connect(owner).proposeCustodyTransfer(suspectLotId, producer1.address, "");
+        await productTrace.connect(producer1).acceptCustodyTransfer(suspectLotId, "");
+        await productTrace.connect(producer1).startProduction(jamId, [suspectLotId], [25], [PIECE], EXPECTED_OUTPUT, START_TIME);
+        await productTrace.connect(producer1).packageProduct(jamId, "0xhalal", "", "0xbpom", "", ACTUAL_OUTPUT, 0, PIECE, PACKAGING_TIME);
+        await productTrace.connect(producer1).distributeProduct(jamId, "Truck 9 to Store A");
+    });
+
+    it("Should report every product that consumed the suspect lot with owner, stage and distribution details", async function () {
+        const out = path.join(os.tmpdir(), `where-used-${Date.now()}.json`);
+        const report = await run("where-used", { id: suspectLotId.toString(), address: await productTrace.getAddress(), format: "json", out });
+
+        expect(report.affected.map(row => row.productId)).to.deep.equal([juiceId.toString(), jamId.toString()]);
+        const jam = report.affected.find(row => row.productId === jamId.toString());
+        expect(jam.owner).to.equal(producer1.address);
+        expect(jam.stageName).to.equal("Distribution");
+        expect(jam.distributionDetails).to.equal("Truck 9 to Store A");
+        expect(jam.consumedVia[0].quantity).to.equal("25");
+        expect(jam.consumedVia[0].unit).to.equal("pcs");
+
+        const written = JSON.parse(fs.readFileSync(out, "utf8"));
+        expect(written.sourceProductId).to.equal(suspectLotId.toString());
+        expect(written.affected).to.have.length(2);
+        fs.unlinkSync(out);
+    });
+
+    it("Should export a CSV with one row per affected product", async function () {
+        const out = path.join(os.tmpdir(), `where-used-${Date.now()}.csv`);
+        await run("where-used", { id: suspectLotId.toString(), address: await productTrace.getAddress(), format: "csv", out });
+
+        const lines = fs.readFileSync(out, "utf8").trim().split("\n");
+        expect(lines[0]).to.equal("productId,name,depth,owner,stageName,availableQuantity,distributionDetails,consumedVia");
+        expect(lines).to.have.length(3);
+        fs.unlinkSync(out);
+    });
+
+    it("Should follow the suspect material through lot splits and merges", async function () {
+        const mixId = await createdId(await productTrace.connect(producer1).createProduct("Mango Lot 9", "Farm M", "A", 20, PIECE, PICKUP_TIME));
+        const splitTx = await productTrace.connect(producer1).splitProduct(suspectLotId, [10]);
+        const splitLotId = (await findEvent(productTrace, splitTx, "LotSplit")).args.lotId;
+        const mergedId = await createdId(await productTrace.connect(producer1).mergeProducts([splitLotId, mixId], "Mango Mix"));
+
+        const out = path.join(os.tmpdir(), `where-used-${Date.now()}.json`);
+        const report = await run("where-used", { id: suspectLotId.toString(), address: await productTrace.getAddress(), format: "json", out });
+        const split = report.affected.find(row => row.productId === splitLotId.toString());
+        expect(split.depth).to.equal(1);
+        expect(split.consumedVia[0]).to.include({ kind: "split", batchId: null, quantity: "10" });
+        const merged = report.affected.find(row => row.productId === mergedId.toString());
+        expect(merged.depth).to.equal(2);
+        expect(merged.consumedVia[0]).to.include({ inputProductId: splitLotId.toString(), kind: "merge", quantity: "10" });
+        fs.unlinkSync(out);
+    });
+
+    it("Should only index events from --fromBlock on", async function () {
+        const fromBlock = String(await ethers.provider.getBlockNumber() + 1);
+        const out = path.join(os.tmpdir(), `where-used-${Date.now()}.json`);
+        const report = await run("where-used", { id: suspectLotId.toString(), address: await productTrace.getAddress(), format: "json", out, fromBlock });
+        expect(report.affected).to.be.empty;
+        fs.unlinkSync(out);
+    });
+
+    it("Should report nothing for a lot that was never consumed", async function () {
+        const unusedId = await createdId(await productTrace.connect(owner).createProduct("Unused Lot", "Farm U", "B", 5, PIECE, PICKUP_TIME));
+        const out = path.join(os.tmpdir(), `where-used-${Date.now()}.json`);
+        const report = await run("where-used", { id: unusedId.toString(), address: await productTrace.getAddress(), format: "json", out });
+        expect(report.affected).to.be.empty;
+        fs.unlinkSync(out);
+    });
+});